@@ -1,5 +1,8 @@
 module.exports = {
     secret: process.env.JWT_SECRET || 'default-dev-secret-change-in-production',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-    algorithm: 'HS256'
+    algorithm: 'HS256',
+    // Failed logins an IP may make per window before login answers 429
+    maxFailedLogins: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 10,
+    failedLoginWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15
 };
@@ -16,6 +16,8 @@ const STATUS = {
     ASSIGNED: 'Assigned',
     IN_PROGRESS: 'In Progress',
     UNDER_REVIEW: 'Under Review',
+    LEGAL_SIGN_OFF: 'Legal Sign-off',
+    PENDING_REQUESTER: 'Pending Requester',
     CLOSED: 'Closed'
 };
 
@@ -37,6 +39,8 @@ const CATEGORY = {
 };
 
 // Allowed status transitions with role permissions
+// Seeds the default workflow definition; live definitions are stored in the
+// workflow_* tables and loaded through WorkflowService
 // Format: { [fromStatus]: { [toStatus]: [allowedRoles] } }
 const TRANSITIONS = {
     [STATUS.CREATED]: {
@@ -46,7 +50,11 @@ const TRANSITIONS = {
         [STATUS.IN_PROGRESS]: [ROLES.ANALYST]
     },
     [STATUS.IN_PROGRESS]: {
-        [STATUS.UNDER_REVIEW]: [ROLES.ANALYST]
+        [STATUS.UNDER_REVIEW]: [ROLES.ANALYST],
+        [STATUS.PENDING_REQUESTER]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.PENDING_REQUESTER]: {
+        [STATUS.IN_PROGRESS]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN] // Requester replied
     },
     [STATUS.UNDER_REVIEW]: {
         [STATUS.CLOSED]: [ROLES.MANAGER, ROLES.ADMIN],
@@ -54,29 +62,310 @@ const TRANSITIONS = {
     }
 };
 
+// IT incidents skip the review stage
+const IT_INCIDENT_TRANSITIONS = {
+    [STATUS.CREATED]: {
+        [STATUS.ASSIGNED]: [ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.ASSIGNED]: {
+        [STATUS.IN_PROGRESS]: [ROLES.ANALYST]
+    },
+    [STATUS.IN_PROGRESS]: {
+        [STATUS.CLOSED]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN],
+        [STATUS.PENDING_REQUESTER]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.PENDING_REQUESTER]: {
+        [STATUS.IN_PROGRESS]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN]
+    }
+};
+
+// Compliance cases need a legal sign-off after review
+const COMPLIANCE_TRANSITIONS = {
+    [STATUS.CREATED]: {
+        [STATUS.ASSIGNED]: [ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.ASSIGNED]: {
+        [STATUS.IN_PROGRESS]: [ROLES.ANALYST]
+    },
+    [STATUS.IN_PROGRESS]: {
+        [STATUS.UNDER_REVIEW]: [ROLES.ANALYST],
+        [STATUS.PENDING_REQUESTER]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.PENDING_REQUESTER]: {
+        [STATUS.IN_PROGRESS]: [ROLES.ANALYST, ROLES.MANAGER, ROLES.ADMIN]
+    },
+    [STATUS.UNDER_REVIEW]: {
+        [STATUS.LEGAL_SIGN_OFF]: [ROLES.MANAGER, ROLES.ADMIN],
+        [STATUS.IN_PROGRESS]: [ROLES.MANAGER, ROLES.ADMIN] // Return for rework
+    },
+    [STATUS.LEGAL_SIGN_OFF]: {
+        [STATUS.CLOSED]: [ROLES.ADMIN],
+        [STATUS.IN_PROGRESS]: [ROLES.ADMIN] // Rejected by legal
+    }
+};
+
+// Guard condition types that can be attached to a transition
+const GUARD_TYPES = {
+    HAS_ASSIGNEE: 'has_assignee',
+    MIN_COMMENTS: 'min_comments',
+    REQUIRED_FIELD: 'required_field'
+};
+
+const ASSIGNEE_GUARD = { type: GUARD_TYPES.HAS_ASSIGNEE };
+const COMMENT_GUARD = { type: GUARD_TYPES.MIN_COMMENTS, count: 1 };
+const RESOLUTION_GUARD = { type: GUARD_TYPES.REQUIRED_FIELD, field: 'resolutionSummary', label: 'Resolution summary' };
+const REWORK_GUARD = { type: GUARD_TYPES.REQUIRED_FIELD, field: 'reworkReason', label: 'Rework reason' };
+
+// Guard conditions checked before a transition of the default workflow
+// Format: { [fromStatus]: { [toStatus]: [guards] } }
+const TRANSITION_GUARDS = {
+    [STATUS.CREATED]: {
+        [STATUS.ASSIGNED]: [ASSIGNEE_GUARD]
+    },
+    [STATUS.IN_PROGRESS]: {
+        [STATUS.UNDER_REVIEW]: [COMMENT_GUARD]
+    },
+    [STATUS.UNDER_REVIEW]: {
+        [STATUS.CLOSED]: [RESOLUTION_GUARD],
+        [STATUS.IN_PROGRESS]: [REWORK_GUARD]
+    }
+};
+
+const IT_INCIDENT_GUARDS = {
+    [STATUS.CREATED]: {
+        [STATUS.ASSIGNED]: [ASSIGNEE_GUARD]
+    },
+    [STATUS.IN_PROGRESS]: {
+        [STATUS.CLOSED]: [RESOLUTION_GUARD]
+    }
+};
+
+const COMPLIANCE_GUARDS = {
+    ...TRANSITION_GUARDS,
+    [STATUS.UNDER_REVIEW]: {
+        [STATUS.IN_PROGRESS]: [REWORK_GUARD]
+    },
+    [STATUS.LEGAL_SIGN_OFF]: {
+        [STATUS.CLOSED]: [RESOLUTION_GUARD],
+        [STATUS.IN_PROGRESS]: [REWORK_GUARD]
+    }
+};
+
+// Automation actions that can run after a transition or on case creation
+const ACTION_TYPES = {
+    AUTO_ASSIGN: 'auto_assign',
+    ADD_COMMENT: 'add_comment',
+    SET_PRIORITY: 'set_priority',
+    NOTIFY_REQUESTER: 'notify_requester',
+    WEBHOOK: 'webhook'
+};
+
+// Name of the workflow definition seeded from TRANSITIONS and used by
+// categories without a workflow of their own
+const DEFAULT_WORKFLOW = 'default';
+
+// Workflows seeded and bound to categories on first migration
+// Format: { [category]: { name, transitions, guards } }
+const CATEGORY_WORKFLOWS = {
+    [CATEGORY.IT]: { name: 'it-incident', transitions: IT_INCIDENT_TRANSITIONS, guards: IT_INCIDENT_GUARDS },
+    [CATEGORY.COMPLIANCE]: { name: 'compliance', transitions: COMPLIANCE_TRANSITIONS, guards: COMPLIANCE_GUARDS }
+};
+
 // Audit action types
 const AUDIT_ACTIONS = {
     CASE_CREATED: 'CASE_CREATED',
     STATUS_CHANGED: 'STATUS_CHANGED',
     CASE_ASSIGNED: 'CASE_ASSIGNED',
     CASE_UPDATED: 'CASE_UPDATED',
-    COMMENT_ADDED: 'COMMENT_ADDED'
+    COMMENT_ADDED: 'COMMENT_ADDED',
+    AUTOMATION_EXECUTED: 'AUTOMATION_EXECUTED',
+    AUTOMATION_FAILED: 'AUTOMATION_FAILED',
+    USER_CREATED: 'USER_CREATED',
+    USER_UPDATED: 'USER_UPDATED',
+    USER_ROLE_CHANGED: 'USER_ROLE_CHANGED',
+    USER_DELETED: 'USER_DELETED',
+    USER_REGISTERED: 'USER_REGISTERED',
+    LOGIN_SUCCEEDED: 'LOGIN_SUCCEEDED',
+    LOGIN_FAILED: 'LOGIN_FAILED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    SLA_BREACHED: 'SLA_BREACHED',
+    ATTACHMENT_ADDED: 'ATTACHMENT_ADDED',
+    ATTACHMENT_DELETED: 'ATTACHMENT_DELETED',
+    CASE_IMPORTED: 'CASE_IMPORTED'
+};
+
+// Application events published through EventService
+const EVENTS = {
+    CASE_CREATED: 'case.created',
+    CASE_IMPORTED: 'case.imported',
+    CASE_UPDATED: 'case.updated',
+    CASE_ASSIGNED: 'case.assigned',
+    CASE_STATUS_CHANGED: 'case.status_changed',
+    COMMENT_ADDED: 'comment.added',
+    REQUESTER_NOTIFICATION: 'requester.notification',
+    SLA_ESCALATION: 'sla.escalation'
+};
+
+// In-app notification types; each user can mute any of them
+const NOTIFICATION_TYPES = {
+    CASE_ASSIGNED: 'case_assigned',
+    STATUS_CHANGED: 'status_changed',
+    COMMENT_ADDED: 'comment_added',
+    CASE_UPDATE: 'case_update',
+    SLA_AT_RISK: 'sla_at_risk',
+    SLA_BREACHED: 'sla_breached'
+};
+
+// Webhook event sent for each audited case action
+const WEBHOOK_EVENTS = {
+    [AUDIT_ACTIONS.CASE_CREATED]: 'case.created',
+    [AUDIT_ACTIONS.CASE_IMPORTED]: 'case.imported',
+    [AUDIT_ACTIONS.CASE_UPDATED]: 'case.updated',
+    [AUDIT_ACTIONS.STATUS_CHANGED]: 'case.status_changed',
+    [AUDIT_ACTIONS.CASE_ASSIGNED]: 'case.assigned',
+    [AUDIT_ACTIONS.COMMENT_ADDED]: 'comment.added',
+    [AUDIT_ACTIONS.ATTACHMENT_ADDED]: 'attachment.added',
+    [AUDIT_ACTIONS.ATTACHMENT_DELETED]: 'attachment.deleted',
+    [AUDIT_ACTIONS.SLA_BREACHED]: 'sla.breached'
+};
+
+// Delivery states of webhook deliveries
+const WEBHOOK_DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+// File types that can be attached, by extension; downloads are served with
+// this content type whatever the browser claimed on upload
+const ATTACHMENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.zip': 'application/zip',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 };
 
-// SLA defaults (in hours)
-const SLA_DEFAULTS = {
-    [PRIORITY.LOW]: 72,
-    [PRIORITY.MEDIUM]: 48,
-    [PRIORITY.HIGH]: 24,
-    [PRIORITY.CRITICAL]: 4
+// Upload limits; ATTACHMENT_MAX_MB overrides the file size
+const ATTACHMENT_LIMITS = {
+    MAX_FILE_MB: 10,
+    MAX_FILES: 5
 };
 
+// Case imports (POST /api/cases/import)
+const IMPORT_LIMITS = {
+    MAX_FILE_MB: 5,
+    MAX_ROWS: 1000
+};
+
+// Delivery states of queued emails
+const EMAIL_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+// SLA targets (in working hours) seeded as the default policy for every
+// category; live policies are stored in sla_policies and loaded through SlaService
+const SLA_POLICY_DEFAULTS = {
+    [PRIORITY.LOW]: { responseHours: 24, resolutionHours: 72 },
+    [PRIORITY.MEDIUM]: { responseHours: 8, resolutionHours: 48 },
+    [PRIORITY.HIGH]: { responseHours: 4, resolutionHours: 24 },
+    [PRIORITY.CRITICAL]: { responseHours: 1, resolutionHours: 4 }
+};
+
+// Targets tracked for every case
+const SLA_TYPES = {
+    RESPONSE: 'response',
+    RESOLUTION: 'resolution'
+};
+
+// Seeded workflow states that stop the SLA clock while a case is in them
+const SLA_PAUSE_STATUSES = [STATUS.PENDING_REQUESTER];
+
+// Seeded workflow states whose entry counts as the first response
+const SLA_RESPONSE_STATUSES = [STATUS.IN_PROGRESS];
+
+// Events the SLA monitor records, at most once per case, target and due date
+const SLA_EVENTS = {
+    AT_RISK: 'at_risk',
+    BREACHED: 'breached'
+};
+
+// Working hours before a target is due that it counts as at risk, seeded
+// per priority; live thresholds are stored in sla_thresholds
+const SLA_AT_RISK_DEFAULTS = {
+    [PRIORITY.LOW]: 12,
+    [PRIORITY.MEDIUM]: 6,
+    [PRIORITY.HIGH]: 2,
+    [PRIORITY.CRITICAL]: 1
+};
+
+// SLA states reported for a case's targets (sla_status)
+const SLA_STATUS = {
+    MET: 'met',
+    OVERDUE: 'overdue',
+    PAUSED: 'paused',
+    AT_RISK: 'at_risk',
+    ON_TRACK: 'on_track'
+};
+
+// Steps the SLA monitor can take when it records an event
+const ESCALATION_ACTIONS = {
+    RAISE_PRIORITY: 'raise_priority',
+    ASSIGN_MANAGER: 'assign_manager',
+    NOTIFY: 'notify'
+};
+
+// Escalation steps run, in order, for each SLA event
+const SLA_ESCALATIONS = {
+    [SLA_EVENTS.AT_RISK]: [ESCALATION_ACTIONS.NOTIFY],
+    [SLA_EVENTS.BREACHED]: [
+        ESCALATION_ACTIONS.RAISE_PRIORITY,
+        ESCALATION_ACTIONS.ASSIGN_MANAGER,
+        ESCALATION_ACTIONS.NOTIFY
+    ]
+};
+
+// Calendar that SLA clocks count working time on unless a category is bound to another
+const DEFAULT_SLA_CALENDAR = 'business-hours';
+
 module.exports = {
     ROLES,
     STATUS,
     PRIORITY,
     CATEGORY,
     TRANSITIONS,
+    GUARD_TYPES,
+    TRANSITION_GUARDS,
+    ACTION_TYPES,
+    DEFAULT_WORKFLOW,
+    CATEGORY_WORKFLOWS,
     AUDIT_ACTIONS,
-    SLA_DEFAULTS
+    EVENTS,
+    NOTIFICATION_TYPES,
+    EMAIL_STATUS,
+    WEBHOOK_EVENTS,
+    WEBHOOK_DELIVERY_STATUS,
+    ATTACHMENT_TYPES,
+    ATTACHMENT_LIMITS,
+    IMPORT_LIMITS,
+    SLA_POLICY_DEFAULTS,
+    SLA_TYPES,
+    SLA_PAUSE_STATUSES,
+    SLA_RESPONSE_STATUSES,
+    SLA_EVENTS,
+    SLA_AT_RISK_DEFAULTS,
+    SLA_STATUS,
+    ESCALATION_ACTIONS,
+    SLA_ESCALATIONS,
+    DEFAULT_SLA_CALENDAR
 };
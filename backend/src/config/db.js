@@ -52,8 +52,31 @@ const getClient = async () => {
     return client;
 };
 
+/**
+ * Run a callback inside a transaction on a dedicated client.
+ * Commits when the callback resolves, rolls back when it throws.
+ * @param {Function} callback - Receives the client, returns a promise
+ * @returns {Promise<*>} Result of the callback
+ */
+const withTransaction = async (callback) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 module.exports = {
     query,
     getClient,
+    withTransaction,
     pool
 };
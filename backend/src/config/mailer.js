@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Email transports, picked with EMAIL_TRANSPORT:
+ * - smtp: deliver through SMTP_HOST
+ * - file: write each message as an .eml file to EMAIL_FILE_DIR
+ * - console: print each message to stdout
+ * Email is off when EMAIL_TRANSPORT is unset.
+ *
+ * A transport is { name, from, send(message) } where message is
+ * { to, subject, text }; send rejects when the message was not accepted.
+ * @param {Object} [env] - Settings, process.env by default
+ * @returns {Object|null} Transport, or null when email is off
+ */
+const createTransport = (env = process.env) => {
+    const from = env.EMAIL_FROM || 'WACMS <no-reply@wacms.local>';
+
+    switch (env.EMAIL_TRANSPORT) {
+        case 'smtp': {
+            if (!env.SMTP_HOST) {
+                throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT is smtp');
+            }
+            const transporter = nodemailer.createTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT) || 587,
+                // true for port 465; other ports upgrade with STARTTLS
+                secure: env.SMTP_SECURE === 'true',
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+            });
+            return { name: 'smtp', from, send: (message) => transporter.sendMail({ from, ...message }) };
+        }
+        case 'file': {
+            const dir = env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails');
+            const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+            return {
+                name: 'file',
+                from,
+                send: async (message) => {
+                    const info = await transporter.sendMail({ from, ...message });
+                    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+                    await fs.promises.mkdir(dir, { recursive: true });
+                    await fs.promises.writeFile(file, info.message);
+                    return { ...info, file };
+                }
+            };
+        }
+        case 'console':
+            return {
+                name: 'console',
+                from,
+                send: async (message) => {
+                    console.log(`📧 ${message.to}: ${message.subject}\n${message.text}`);
+                    return { accepted: [message.to] };
+                }
+            };
+        case undefined:
+        case '':
+            return null;
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${env.EMAIL_TRANSPORT}`);
+    }
+};
+
+module.exports = { createTransport };
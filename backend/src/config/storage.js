@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment storage backends, picked with STORAGE_DRIVER:
+ * - local (default): files under ATTACHMENT_DIR
+ * - s3: objects in S3_BUCKET on AWS or any S3-compatible service
+ *   (MinIO, R2, ...) at S3_ENDPOINT; needs @aws-sdk/client-s3 installed
+ *
+ * A storage is { name, put(key, buffer, contentType), get(key), remove(key) }
+ * where get resolves to a readable stream of the file, or null when there is
+ * no such file, and remove ignores keys that are already gone.
+ * @param {Object} [env] - Settings, process.env by default
+ * @returns {Object} Storage
+ */
+const createStorage = (env = process.env) => {
+    switch (env.STORAGE_DRIVER || 'local') {
+        case 'local': {
+            const dir = path.resolve(env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads'));
+            const fileFor = (key) => {
+                const file = path.resolve(dir, key);
+                // Keys are generated, but never let one escape the directory
+                if (!file.startsWith(dir + path.sep)) {
+                    throw new Error(`Invalid storage key: ${key}`);
+                }
+                return file;
+            };
+            return {
+                name: 'local',
+                put: async (key, buffer) => {
+                    const file = fileFor(key);
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.writeFile(file, buffer);
+                },
+                get: async (key) => {
+                    const file = fileFor(key);
+                    // Check here rather than fail mid-response when the file is missing
+                    try {
+                        await fs.promises.access(file);
+                    } catch (error) {
+                        if (error.code === 'ENOENT') {
+                            return null;
+                        }
+                        throw error;
+                    }
+                    return fs.createReadStream(file);
+                },
+                remove: (key) => fs.promises.rm(fileFor(key), { force: true })
+            };
+        }
+        case 's3': {
+            if (!env.S3_BUCKET) {
+                throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+            }
+            const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+            const client = new S3Client({
+                region: env.S3_REGION || 'us-east-1',
+                endpoint: env.S3_ENDPOINT || undefined,
+                // Most self-hosted S3-compatible services only support path-style URLs
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                credentials: env.S3_ACCESS_KEY_ID
+                    ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+                    : undefined
+            });
+            const bucket = env.S3_BUCKET;
+            return {
+                name: 's3',
+                put: (key, buffer, contentType) => client.send(new PutObjectCommand({
+                    Bucket: bucket, Key: key, Body: buffer, ContentType: contentType
+                })),
+                get: async (key) => {
+                    try {
+                        return (await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))).Body;
+                    } catch (error) {
+                        if (error.name === 'NoSuchKey') {
+                            return null;
+                        }
+                        throw error;
+                    }
+                },
+                remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+            };
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+    }
+};
+
+module.exports = { createStorage };
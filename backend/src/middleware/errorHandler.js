@@ -4,6 +4,11 @@
 const errorHandler = (err, req, res, next) => {
     console.error('Error:', err);
 
+    // A streamed response already started; let Express close the connection
+    if (res.headersSent) {
+        return next(err);
+    }
+
     // Validation errors
     if (err.name === 'ValidationError') {
         return res.status(400).json({
@@ -28,7 +33,8 @@ const errorHandler = (err, req, res, next) => {
     // Custom application errors
     if (err.statusCode) {
         return res.status(err.statusCode).json({
-            error: err.message
+            error: err.message,
+            ...err.details
         });
     }
 
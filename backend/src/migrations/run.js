@@ -4,6 +4,21 @@
  */
 require('dotenv').config();
 const { pool } = require('../config/db');
+const {
+  STATUS,
+  CATEGORY,
+  TRANSITIONS,
+  TRANSITION_GUARDS,
+  DEFAULT_WORKFLOW,
+  CATEGORY_WORKFLOWS,
+  SLA_POLICY_DEFAULTS,
+  SLA_AT_RISK_DEFAULTS,
+  SLA_PAUSE_STATUSES,
+  SLA_RESPONSE_STATUSES,
+  DEFAULT_SLA_CALENDAR
+} = require('../config/constants');
+const WorkflowService = require('../services/workflow.service');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const migrations = [
   // Users table
@@ -33,20 +48,226 @@ const migrations = [
     updated_at TIMESTAMP DEFAULT NOW()
   )`,
 
+  // Workflow definitions - each row is an immutable version
+  `CREATE TABLE IF NOT EXISTS workflow_definitions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (name, version)
+  )`,
+
+  // Workflow states
+  `CREATE TABLE IF NOT EXISTS workflow_states (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER REFERENCES workflow_definitions(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(30) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_initial BOOLEAN NOT NULL DEFAULT false,
+    is_final BOOLEAN NOT NULL DEFAULT false,
+    UNIQUE (workflow_id, name)
+  )`,
+
+  // Workflow transitions with role permissions
+  `CREATE TABLE IF NOT EXISTS workflow_transitions (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER REFERENCES workflow_definitions(id) ON DELETE CASCADE NOT NULL,
+    from_state VARCHAR(30) NOT NULL,
+    to_state VARCHAR(30) NOT NULL,
+    allowed_roles TEXT[] NOT NULL,
+    UNIQUE (workflow_id, from_state, to_state)
+  )`,
+
+  // Guard conditions checked before each transition
+  `ALTER TABLE workflow_transitions ADD COLUMN IF NOT EXISTS guards JSONB NOT NULL DEFAULT '[]'`,
+
+  // Automation actions run after each transition and on case creation
+  `ALTER TABLE workflow_transitions ADD COLUMN IF NOT EXISTS actions JSONB NOT NULL DEFAULT '[]'`,
+  `ALTER TABLE workflow_definitions ADD COLUMN IF NOT EXISTS creation_actions JSONB NOT NULL DEFAULT '[]'`,
+
+  // State a case in the initial state moves to when it is assigned (none if NULL).
+  // Versions stored before this existed moved to Assigned, so they get it once
+  // when the column is added and lose it again if they have no such transition.
+  `ALTER TABLE workflow_definitions ADD COLUMN IF NOT EXISTS assigned_state VARCHAR(30) DEFAULT 'Assigned'`,
+  `ALTER TABLE workflow_definitions ALTER COLUMN assigned_state DROP DEFAULT`,
+  `UPDATE workflow_definitions wd SET assigned_state = NULL
+   WHERE assigned_state IS NOT NULL AND NOT EXISTS (
+     SELECT 1 FROM workflow_transitions wt
+     JOIN workflow_states ws ON ws.workflow_id = wt.workflow_id AND ws.name = wt.from_state AND ws.is_initial
+     WHERE wt.workflow_id = wd.id AND wt.to_state = wd.assigned_state
+   )`,
+
+  // Workflow bound to each category; new cases use its active version
+  `CREATE TABLE IF NOT EXISTS category_workflows (
+    category VARCHAR(50) PRIMARY KEY CHECK (category IN ('IT', 'HR', 'Finance', 'Compliance', 'Other')),
+    workflow_name VARCHAR(100) NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // Cases keep the workflow version they were created under
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS workflow_id INTEGER REFERENCES workflow_definitions(id)`,
+
+  // Row version for optimistic concurrency (bumped on every case update)
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`,
+
+  // SLA calendars: working days (ISO weekdays), hours and holidays in a time zone
+  `CREATE TABLE IF NOT EXISTS sla_calendars (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    work_start TIME NOT NULL DEFAULT '09:00',
+    work_end TIME NOT NULL DEFAULT '17:00',
+    holidays JSONB NOT NULL DEFAULT '[]',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // Calendar whose working time each category's SLA clock counts
+  `CREATE TABLE IF NOT EXISTS category_sla_calendars (
+    category VARCHAR(50) PRIMARY KEY CHECK (category IN ('IT', 'HR', 'Finance', 'Compliance', 'Other')),
+    calendar_id INTEGER REFERENCES sla_calendars(id) NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // SLA targets per priority; a NULL category is the policy for categories without their own
+  `CREATE TABLE IF NOT EXISTS sla_policies (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(50) CHECK (category IN ('IT', 'HR', 'Finance', 'Compliance', 'Other')),
+    priority VARCHAR(20) NOT NULL CHECK (priority IN ('Low', 'Medium', 'High', 'Critical')),
+    response_hours NUMERIC(8, 2) NOT NULL CHECK (response_hours > 0),
+    resolution_hours NUMERIC(8, 2) NOT NULL CHECK (resolution_hours > 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope ON sla_policies ((COALESCE(category, '')), priority)`,
+
+  // First-response target; sla_due_at is the resolution target. Each target
+  // records when it was met and, if it was missed, the deadline it missed.
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_response_due_at TIMESTAMP`,
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_responded_at TIMESTAMP`,
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_response_breached_at TIMESTAMP`,
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_resolved_at TIMESTAMP`,
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_resolution_breached_at TIMESTAMP`,
+
+  // Cases finished before resolution was tracked were resolved when last updated
+  `UPDATE cases SET sla_resolved_at = updated_at
+   WHERE sla_resolved_at IS NULL
+     AND (status = 'Closed' OR EXISTS (
+       SELECT 1 FROM workflow_states ws
+       WHERE ws.workflow_id = cases.workflow_id AND ws.name = cases.status AND ws.is_final
+     ))`,
+
+  // Hours before a target is due that a case of each priority is at risk
+  `CREATE TABLE IF NOT EXISTS sla_thresholds (
+    priority VARCHAR(20) PRIMARY KEY CHECK (priority IN ('Low', 'Medium', 'High', 'Critical')),
+    at_risk_hours NUMERIC(8, 2) NOT NULL CHECK (at_risk_hours > 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // Workflow states that stop the SLA clock (e.g. waiting on the requester)
+  `ALTER TABLE workflow_states ADD COLUMN IF NOT EXISTS pauses_sla BOOLEAN NOT NULL DEFAULT false`,
+
+  // Workflow states whose entry meets the first-response target. Cases used
+  // to be responded to on reaching In Progress, so states of that name get it
+  // once when the column is added.
+  `ALTER TABLE workflow_states ADD COLUMN IF NOT EXISTS records_response BOOLEAN`,
+  `UPDATE workflow_states SET records_response = (name = 'In Progress') WHERE records_response IS NULL`,
+  `ALTER TABLE workflow_states ALTER COLUMN records_response SET DEFAULT false`,
+  `ALTER TABLE workflow_states ALTER COLUMN records_response SET NOT NULL`,
+
+  // Start of the running SLA pause, NULL while the clock runs
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_paused_at TIMESTAMP`,
+
+  // SLA pauses; paused_hours is the working time sla_due_at was extended by
+  `CREATE TABLE IF NOT EXISTS case_sla_pauses (
+    id SERIAL PRIMARY KEY,
+    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    paused_at TIMESTAMP NOT NULL,
+    resumed_at TIMESTAMP,
+    paused_hours NUMERIC(10, 2)
+  )`,
+
+  // SLA events recorded by the monitor; the unique index below lets each
+  // event fire once per due date even when several server instances scan
+  // at the same time
+  `CREATE TABLE IF NOT EXISTS case_sla_events (
+    id SERIAL PRIMARY KEY,
+    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE NOT NULL,
+    sla_type VARCHAR(20) NOT NULL CHECK (sla_type IN ('response', 'resolution')),
+    event VARCHAR(20) NOT NULL CHECK (event IN ('at_risk', 'breached')),
+    due_at TIMESTAMP NOT NULL,
+    occurred_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+
   // Case Audit Log - Immutable
   `CREATE TABLE IF NOT EXISTS case_audit_log (
     id SERIAL PRIMARY KEY,
-    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE NOT NULL,
+    case_id INTEGER,
     action VARCHAR(50) NOT NULL,
     previous_status VARCHAR(30),
     new_status VARCHAR(30),
-    previous_assignee INTEGER REFERENCES users(id),
-    new_assignee INTEGER REFERENCES users(id),
-    performed_by INTEGER REFERENCES users(id) NOT NULL,
+    previous_assignee INTEGER,
+    new_assignee INTEGER,
+    performed_by INTEGER,
     details JSONB,
     timestamp TIMESTAMP DEFAULT NOW()
   )`,
 
+  // Audit entries outlive their case (the trail must survive case deletion)
+  `ALTER TABLE case_audit_log DROP CONSTRAINT IF EXISTS case_audit_log_case_id_fkey`,
+
+  // User administration events are audited without a case
+  `ALTER TABLE case_audit_log ALTER COLUMN case_id DROP NOT NULL`,
+
+  // Entries also outlive the users they mention, so deleting a user is possible
+  // (and audited) after they have acted on cases
+  `ALTER TABLE case_audit_log DROP CONSTRAINT IF EXISTS case_audit_log_previous_assignee_fkey`,
+  `ALTER TABLE case_audit_log DROP CONSTRAINT IF EXISTS case_audit_log_new_assignee_fkey`,
+  `ALTER TABLE case_audit_log DROP CONSTRAINT IF EXISTS case_audit_log_performed_by_fkey`,
+
+  // Failed logins for unknown emails have no actor
+  `ALTER TABLE case_audit_log ALTER COLUMN performed_by DROP NOT NULL`,
+
+  // Hash chain: each entry hashes its content plus the previous entry's hash
+  `ALTER TABLE case_audit_log ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64)`,
+  `ALTER TABLE case_audit_log ADD COLUMN IF NOT EXISTS hash VARCHAR(64)`,
+
+  `CREATE OR REPLACE FUNCTION case_audit_log_hash(entry case_audit_log) RETURNS TEXT AS $$
+    SELECT encode(sha256(convert_to(jsonb_build_array(
+      entry.id, entry.case_id, entry.action, entry.previous_status, entry.new_status,
+      entry.previous_assignee, entry.new_assignee, entry.performed_by, entry.details,
+      to_char(entry.timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US'), entry.prev_hash
+    )::text, 'UTF8')), 'hex')
+  $$ LANGUAGE SQL IMMUTABLE`,
+
+  // Audit writers are serialised and ids are drawn under the lock, so id
+  // order is chain order. The lock is held until the writing transaction
+  // ends, so only one transaction at a time can write audit entries: write
+  // them last in a transaction (as the case services, escalations, uploads
+  // and imports do) and keep work that runs after them short.
+  `CREATE OR REPLACE FUNCTION case_audit_log_chain() RETURNS TRIGGER AS $$
+  BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('case_audit_log'));
+    NEW.id := nextval(pg_get_serial_sequence('case_audit_log', 'id'));
+    SELECT hash INTO NEW.prev_hash FROM case_audit_log ORDER BY id DESC LIMIT 1;
+    NEW.hash := case_audit_log_hash(NEW);
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql`,
+
+  `CREATE OR REPLACE FUNCTION case_audit_log_immutable() RETURNS TRIGGER AS $$
+  BEGIN
+    RAISE EXCEPTION 'case_audit_log is append-only';
+  END;
+  $$ LANGUAGE plpgsql`,
+
   // Comments table
   `CREATE TABLE IF NOT EXISTS comments (
     id SERIAL PRIMARY KEY,
@@ -56,6 +277,110 @@ const migrations = [
     created_at TIMESTAMP DEFAULT NOW()
   )`,
 
+  // Full-text search documents (utils/search); the text search configuration
+  // must match the one queries use
+  `ALTER TABLE cases ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(case_id, '') || ' ' || coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED`,
+  `ALTER TABLE comments ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', comment)) STORED`,
+
+  // Files attached to a case, or to one of its comments; the content lives
+  // in attachment storage under storage_key
+  `CREATE TABLE IF NOT EXISTS attachments (
+    id SERIAL PRIMARY KEY,
+    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE NOT NULL,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    storage_key VARCHAR(255) UNIQUE NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // Named case list filters (utils/caseFilters); shared views are offered
+  // to every user, but still only show the cases each of them can see
+  `CREATE TABLE IF NOT EXISTS saved_views (
+    id SERIAL PRIMARY KEY,
+    owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    shared BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (owner_id, name)
+  )`,
+
+  // In-app notifications; read_at is NULL until the user reads one
+  `CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL,
+    message TEXT NOT NULL,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // Notification types a user has muted or unmuted; no row means enabled
+  `CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (user_id, type)
+  )`,
+
+  // Outgoing email; rows wait as pending until the queue delivers them or
+  // gives up after its last retry
+  `CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    case_id INTEGER REFERENCES cases(id) ON DELETE SET NULL,
+    to_address VARCHAR(255) NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    sent_at TIMESTAMP
+  )`,
+
+  // Outbound webhook subscriptions; an empty categories list matches every category
+  `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    events TEXT[] NOT NULL,
+    categories TEXT[] NOT NULL DEFAULT '{}',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`,
+
+  // One row per attempt to deliver an event to a subscription; replays are
+  // new rows pointing at the delivery they repeat
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    audit_log_id INTEGER,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    response_status INTEGER,
+    last_error TEXT,
+    replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    delivered_at TIMESTAMP
+  )`,
+
   // Indexes for performance
   `CREATE INDEX IF NOT EXISTS idx_cases_status ON cases(status)`,
   `CREATE INDEX IF NOT EXISTS idx_cases_assigned_to ON cases(assigned_to)`,
@@ -63,12 +388,246 @@ const migrations = [
   `CREATE INDEX IF NOT EXISTS idx_cases_priority ON cases(priority)`,
   `CREATE INDEX IF NOT EXISTS idx_cases_category ON cases(category)`,
   `CREATE INDEX IF NOT EXISTS idx_audit_case_id ON case_audit_log(case_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_performed_by ON case_audit_log(performed_by)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_action ON case_audit_log(action)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON case_audit_log(timestamp)`,
   `CREATE INDEX IF NOT EXISTS idx_comments_case_id ON comments(case_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_search ON cases USING GIN (search_vector)`,
+  `CREATE INDEX IF NOT EXISTS idx_comments_search ON comments USING GIN (search_vector)`,
+  `CREATE INDEX IF NOT EXISTS idx_attachments_case_id ON attachments(case_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_saved_views_shared ON saved_views(id) WHERE shared`,
+  `CREATE INDEX IF NOT EXISTS idx_sla_pauses_case_id ON case_sla_pauses(case_id)`,
+  // Events are recorded once per due date, so a rescheduled target escalates again
+  `DROP INDEX IF EXISTS idx_sla_events_once`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_events_once_per_due ON case_sla_events(case_id, sla_type, event, due_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'pending'`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_workflow_id ON cases(workflow_id)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_active_name ON workflow_definitions(name) WHERE is_active`,
+
+  // Case list sort orders (SORT_FIELDS in utils/caseFilters), with id as the
+  // tie-breaker so keyset pages can walk them. The default order is also
+  // indexed within the requester and analyst scopes. The priority rank must
+  // be the same expression as SORT_FIELDS.priority for the planner to use it.
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_priority ON cases(
+    (CASE priority WHEN 'Critical' THEN 4 WHEN 'High' THEN 3 WHEN 'Medium' THEN 2 ELSE 1 END) DESC NULLS LAST,
+    created_at DESC NULLS LAST, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_created_by ON cases(created_by,
+    (CASE priority WHEN 'Critical' THEN 4 WHEN 'High' THEN 3 WHEN 'Medium' THEN 2 ELSE 1 END) DESC NULLS LAST,
+    created_at DESC NULLS LAST, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_assigned_to ON cases(assigned_to,
+    (CASE priority WHEN 'Critical' THEN 4 WHEN 'High' THEN 3 WHEN 'Medium' THEN 2 ELSE 1 END) DESC NULLS LAST,
+    created_at DESC NULLS LAST, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_created_at ON cases(created_at DESC NULLS LAST, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_updated_at ON cases(updated_at DESC NULLS LAST, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_cases_list_sla_due_at ON cases(sla_due_at ASC NULLS LAST, id DESC)`,
 
   // Case ID sequence (for auto-generation)
   `CREATE SEQUENCE IF NOT EXISTS case_id_seq START 1000`
 ];
 
+/**
+ * Hash audit entries written before the chain existed, then install the
+ * triggers that chain new entries and reject UPDATE, DELETE and TRUNCATE.
+ */
+async function sealAuditLog(client) {
+  await client.query('DROP TRIGGER IF EXISTS case_audit_log_immutable ON case_audit_log');
+  await client.query('DROP TRIGGER IF EXISTS case_audit_log_truncate ON case_audit_log');
+
+  const head = await client.query(
+    'SELECT hash FROM case_audit_log WHERE hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+  );
+  let prevHash = head.rows[0]?.hash || null;
+
+  const unsealed = await client.query('SELECT id FROM case_audit_log WHERE hash IS NULL ORDER BY id');
+  for (const { id } of unsealed.rows) {
+    await client.query('UPDATE case_audit_log SET prev_hash = $1 WHERE id = $2', [prevHash, id]);
+    const sealed = await client.query(
+      'UPDATE case_audit_log cal SET hash = case_audit_log_hash(cal) WHERE id = $1 RETURNING hash',
+      [id]
+    );
+    prevHash = sealed.rows[0].hash;
+  }
+
+  await client.query('DROP TRIGGER IF EXISTS case_audit_log_chain ON case_audit_log');
+  await client.query(`CREATE TRIGGER case_audit_log_chain
+    BEFORE INSERT ON case_audit_log
+    FOR EACH ROW EXECUTE FUNCTION case_audit_log_chain()`);
+  await client.query(`CREATE TRIGGER case_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON case_audit_log
+    FOR EACH ROW EXECUTE FUNCTION case_audit_log_immutable()`);
+  await client.query(`CREATE TRIGGER case_audit_log_truncate
+    BEFORE TRUNCATE ON case_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION case_audit_log_immutable()`);
+}
+
+/**
+ * Seed a workflow from a transition map, or bring it up to date with it.
+ * States are taken in order of appearance. Versions never change once
+ * stored, so if the active version is a seeded one (no created_by) that
+ * lacks states or transitions added to the seed since, or guards on seeded
+ * transitions that have none, a new version is published with them added
+ * after its own. Versions an admin published are left alone.
+ * @returns {Promise<number>} Id of the active version of the workflow
+ */
+async function seedWorkflow(client, name, transitions, guards = {}) {
+  const seedState = (state) => ({
+    name: state,
+    isInitial: state === STATUS.CREATED,
+    isFinal: !transitions[state],
+    pausesSla: SLA_PAUSE_STATUSES.includes(state),
+    recordsResponse: SLA_RESPONSE_STATUSES.includes(state)
+  });
+  const states = [...new Set(
+    Object.entries(transitions).flatMap(([fromState, targets]) => [fromState, ...Object.keys(targets)])
+  )];
+
+  const existing = await client.query(
+    'SELECT * FROM workflow_definitions WHERE name = $1 ORDER BY is_active DESC, version DESC LIMIT 1',
+    [name]
+  );
+
+  if (existing.rows.length === 0) {
+    console.log(`  Seeding workflow: ${name}...`);
+    return WorkflowService.insertVersion(client, name, {
+      states: states.map(seedState),
+      transitions,
+      guards,
+      assignedState: transitions[STATUS.CREATED]?.[STATUS.ASSIGNED] ? STATUS.ASSIGNED : null
+    }, null);
+  }
+
+  const active = existing.rows[0];
+  if (active.created_by !== null) {
+    return active.id;
+  }
+
+  const graph = await WorkflowService.loadGraph(active.id, client);
+  const definition = {
+    states: [...graph.states],
+    transitions: structuredClone(graph.transitions),
+    guards: structuredClone(graph.guards),
+    actions: graph.actions,
+    creationActions: active.creation_actions,
+    assignedState: active.assigned_state
+  };
+  let changed = false;
+
+  for (const state of states) {
+    if (!definition.states.some(s => s.name === state)) {
+      definition.states.push(seedState(state));
+      changed = true;
+    }
+  }
+
+  for (const [fromState, targets] of Object.entries(transitions)) {
+    for (const [toState, roles] of Object.entries(targets)) {
+      if (!definition.transitions[fromState]?.[toState]) {
+        definition.transitions[fromState] = { ...definition.transitions[fromState], [toState]: roles };
+        changed = true;
+      }
+      const transitionGuards = guards[fromState]?.[toState];
+      if (transitionGuards && !definition.guards[fromState]?.[toState]) {
+        definition.guards[fromState] = { ...definition.guards[fromState], [toState]: transitionGuards };
+        changed = true;
+      }
+    }
+  }
+
+  if (!changed) {
+    return active.id;
+  }
+
+  console.log(`  Publishing a new version of workflow ${name} with the seed's additions...`);
+  return WorkflowService.insertVersion(client, name, definition, null);
+}
+
+/**
+ * Seed the default SLA policy of every priority from SLA_POLICY_DEFAULTS
+ */
+async function seedSlaPolicies(client) {
+  for (const [priority, { responseHours, resolutionHours }] of Object.entries(SLA_POLICY_DEFAULTS)) {
+    await client.query(
+      `INSERT INTO sla_policies (category, priority, response_hours, resolution_hours)
+       VALUES (NULL, $1, $2, $3)
+       ON CONFLICT ((COALESCE(category, '')), priority) DO NOTHING`,
+      [priority, responseHours, resolutionHours]
+    );
+  }
+}
+
+/**
+ * Seed the at-risk threshold of every priority from SLA_AT_RISK_DEFAULTS
+ */
+async function seedSlaThresholds(client) {
+  for (const [priority, hours] of Object.entries(SLA_AT_RISK_DEFAULTS)) {
+    await client.query(
+      `INSERT INTO sla_thresholds (priority, at_risk_hours)
+       VALUES ($1, $2)
+       ON CONFLICT (priority) DO NOTHING`,
+      [priority, hours]
+    );
+  }
+}
+
+/**
+ * Seed the business-hours and 24x7 calendars and bind every category
+ * without a calendar to business hours
+ */
+async function seedSlaCalendars(client) {
+  const timeZone = process.env.SLA_TIME_ZONE || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown SLA_TIME_ZONE: ${timeZone}`);
+  }
+
+  await client.query(
+    `INSERT INTO sla_calendars (name, time_zone, working_days, work_start, work_end)
+     VALUES ($1, $2, '{1,2,3,4,5}', '09:00', '17:00'), ($3, 'UTC', '{1,2,3,4,5,6,7}', '00:00', '24:00')
+     ON CONFLICT (name) DO NOTHING`,
+    [DEFAULT_SLA_CALENDAR, timeZone, '24x7']
+  );
+
+  const result = await client.query('SELECT id FROM sla_calendars WHERE name = $1', [DEFAULT_SLA_CALENDAR]);
+  for (const category of Object.values(CATEGORY)) {
+    await client.query(
+      `INSERT INTO category_sla_calendars (category, calendar_id)
+       VALUES ($1, $2)
+       ON CONFLICT (category) DO NOTHING`,
+      [category, result.rows[0].id]
+    );
+  }
+}
+
+/**
+ * Seed the default and per-category workflows, bind every category to
+ * one and attach existing cases to the default workflow
+ */
+async function seedWorkflows(client) {
+  const defaultWorkflowId = await seedWorkflow(client, DEFAULT_WORKFLOW, TRANSITIONS, TRANSITION_GUARDS);
+
+  for (const category of Object.values(CATEGORY)) {
+    const seed = CATEGORY_WORKFLOWS[category];
+    if (seed) {
+      await seedWorkflow(client, seed.name, seed.transitions, seed.guards);
+    }
+
+    await client.query(
+      `INSERT INTO category_workflows (category, workflow_name)
+       VALUES ($1, $2)
+       ON CONFLICT (category) DO NOTHING`,
+      [category, seed ? seed.name : DEFAULT_WORKFLOW]
+    );
+  }
+
+  await client.query(
+    'UPDATE cases SET workflow_id = $1 WHERE workflow_id IS NULL',
+    [defaultWorkflowId]
+  );
+}
+
 async function runMigrations(closePool = false) {
   console.log('🔄 Running database migrations...\n');
 
@@ -83,6 +642,12 @@ async function runMigrations(closePool = false) {
       await client.query(migration);
     }
 
+    await sealAuditLog(client);
+    await seedWorkflows(client);
+    await seedSlaCalendars(client);
+    await seedSlaPolicies(client);
+    await seedSlaThresholds(client);
+
     await client.query('COMMIT');
     console.log('\n✅ All migrations completed successfully!');
   } catch (error) {
@@ -105,3 +670,4 @@ if (require.main === module) {
 }
 
 module.exports = runMigrations;
+module.exports.seedWorkflows = seedWorkflows;
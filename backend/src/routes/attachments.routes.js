@@ -0,0 +1,206 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, validationResult } = require('express-validator');
+
+const db = require('../config/db');
+const { authenticate } = require('../middleware/auth');
+const { ROLES, ATTACHMENT_TYPES, ATTACHMENT_LIMITS } = require('../config/constants');
+const AttachmentService = require('../services/attachment.service');
+const { HttpError } = require('../utils/errors');
+const { canViewCase } = require('../utils/caseAccess');
+
+// Mounted at /api/cases/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+const maxFileBytes = AttachmentService.getMaxFileBytes();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileBytes, files: ATTACHMENT_LIMITS.MAX_FILES },
+    fileFilter: (req, file, callback) => {
+        // Browsers send UTF-8 filenames, which multer reads as latin1
+        file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+        if (!AttachmentService.getContentType(file.originalname)) {
+            return callback(new HttpError(400, `File type not allowed: ${file.originalname}`, {
+                allowedTypes: Object.keys(ATTACHMENT_TYPES)
+            }));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Parse the multipart `files` field, turning multer's limit errors into HTTP ones
+ */
+const receiveFiles = (req, res, next) => {
+    upload.array('files')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return next(new HttpError(413, `Files can be at most ${maxFileBytes / (1024 * 1024)} MB`));
+            }
+            if (error.code === 'LIMIT_FILE_COUNT') {
+                return next(new HttpError(400, `At most ${ATTACHMENT_LIMITS.MAX_FILES} files can be uploaded at once`));
+            }
+            return next(new HttpError(400, error.message));
+        }
+        next(error);
+    });
+};
+
+/**
+ * Load the case into req.caseData if the user can see it
+ * Runs before any upload is read, so files for other cases are never buffered.
+ */
+const loadCase = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await db.query(
+            'SELECT id, case_id, created_by, assigned_to FROM cases WHERE id = $1',
+            [req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+        if (!canViewCase(req.user, result.rows[0])) {
+            return res.status(403).json({ error: 'You do not have access to this case' });
+        }
+
+        req.caseData = result.rows[0];
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Load the attachment named in the URL from the case
+ */
+const loadAttachment = async (req, res, next) => {
+    try {
+        const attachment = await AttachmentService.get(req.caseData.id, req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        req.attachment = attachment;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/cases/:id/attachments
+ * Get attachments for a case, with the file types and size that can be uploaded
+ */
+router.get('/', [
+    param('id').isInt().toInt()
+], loadCase, async (req, res, next) => {
+    try {
+        const attachments = await AttachmentService.list(req.caseData.id);
+        res.json({
+            attachments,
+            allowedTypes: Object.keys(ATTACHMENT_TYPES),
+            maxFileBytes,
+            maxFiles: ATTACHMENT_LIMITS.MAX_FILES
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/cases/:id/attachments
+ * Upload files to a case as multipart/form-data: up to MAX_FILES `files`,
+ * and an optional `commentId` to attach them to one of its comments
+ */
+router.post('/', [
+    param('id').isInt().toInt()
+], loadCase, receiveFiles, [
+    body('commentId').optional({ values: 'falsy' }).isInt().withMessage('Comment id must be an integer').toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const attachments = await AttachmentService.upload(
+            req.caseData.id,
+            req.files,
+            { commentId: req.body.commentId || null },
+            req.user.id
+        );
+
+        res.status(201).json({
+            message: attachments.length === 1 ? 'File attached' : `${attachments.length} files attached`,
+            attachments
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/cases/:id/attachments/:attachmentId
+ * Download an attachment
+ */
+router.get('/:attachmentId', [
+    param('id').isInt().toInt(),
+    param('attachmentId').isInt().toInt()
+], loadCase, loadAttachment, async (req, res, next) => {
+    try {
+        const { attachment } = req;
+
+        const stream = await AttachmentService.open(attachment);
+        if (!stream) {
+            return res.status(404).json({ error: 'Attachment file is missing from storage' });
+        }
+
+        res.set({
+            'Content-Type': attachment.content_type,
+            'Content-Length': attachment.size_bytes,
+            'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+        });
+        stream.on('error', next);
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/cases/:id/attachments/:attachmentId
+ * Delete an attachment (its uploader, or a Manager/Admin)
+ */
+router.delete('/:attachmentId', [
+    param('id').isInt().toInt(),
+    param('attachmentId').isInt().toInt()
+], loadCase, loadAttachment, async (req, res, next) => {
+    try {
+        const { attachment } = req;
+
+        const isManager = [ROLES.MANAGER, ROLES.ADMIN].includes(req.user.role);
+        if (!isManager && attachment.uploaded_by !== req.user.id) {
+            return res.status(403).json({ error: 'Only the uploader or a manager can delete this attachment' });
+        }
+
+        await AttachmentService.remove(attachment, req.user.id);
+        res.json({ message: `Attachment '${attachment.filename}' deleted` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
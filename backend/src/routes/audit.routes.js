@@ -0,0 +1,132 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/rbac');
+const { AUDIT_ACTIONS } = require('../config/constants');
+const AuditService = require('../services/audit.service');
+const { toCsvRow } = require('../utils/csv');
+
+const router = express.Router();
+
+// Entries fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_COLUMNS = [
+    'id', 'timestamp', 'action', 'case_id', 'case_ref', 'performed_by', 'performed_by_name',
+    'previous_status', 'new_status', 'previous_assignee', 'new_assignee', 'details', 'prev_hash', 'hash'
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Map query parameters onto AuditService.search filters
+ * caseId accepts the numeric id or the case reference (e.g. CASE-01000).
+ */
+function getFilters(reqQuery) {
+    const { actorId, action, caseId, fromStatus, toStatus, from, to, targetUserId } = reqQuery;
+    const isNumericCase = /^\d+$/.test(caseId || '');
+
+    return {
+        actorId,
+        actions: action ? action.split(',').map(a => a.trim()) : undefined,
+        caseId: isNumericCase ? parseInt(caseId, 10) : undefined,
+        caseRef: caseId && !isNumericCase ? caseId : undefined,
+        fromStatus,
+        toStatus,
+        from,
+        to,
+        targetUserId
+    };
+}
+
+/**
+ * Write every matching entry, newest first, as CSV or JSON lines
+ * The first page is read before anything is written so that a bad cursor
+ * still gets a normal error response.
+ */
+async function streamExport(res, format, filters, cursor) {
+    let page = await AuditService.search(filters, { cursor, limit: EXPORT_BATCH_SIZE });
+
+    const extension = format === 'csv' ? 'csv' : 'jsonl';
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.${extension}"`
+    });
+
+    if (format === 'csv') {
+        res.write(toCsvRow(EXPORT_COLUMNS));
+    }
+
+    for (;;) {
+        for (const entry of page.entries) {
+            res.write(format === 'csv'
+                ? toCsvRow(EXPORT_COLUMNS.map(column => entry[column]))
+                : JSON.stringify(entry) + '\n');
+        }
+
+        if (!page.nextCursor) {
+            break;
+        }
+        page = await AuditService.search(filters, { cursor: page.nextCursor, limit: EXPORT_BATCH_SIZE });
+    }
+
+    res.end();
+}
+
+/**
+ * GET /api/audit
+ * Search the audit log across all cases and user administration (Admin only)
+ * Results are newest first; pass nextCursor back as cursor for the next page.
+ * format=csv or format=jsonl streams every matching entry instead.
+ */
+router.get('/', requireAdmin, [
+    query('actorId').optional().isInt().toInt(),
+    query('action').optional().custom(value =>
+        value.split(',').every(a => Object.values(AUDIT_ACTIONS).includes(a.trim()))
+    ).withMessage('Invalid action'),
+    query('caseId').optional().trim().notEmpty(),
+    query('fromStatus').optional().trim().notEmpty(),
+    query('toStatus').optional().trim().notEmpty(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('targetUserId').optional().isInt().toInt(),
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('format').optional().isIn(['json', 'csv', 'jsonl']).withMessage('Format must be json, csv or jsonl')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { cursor, limit = 50, format = 'json' } = req.query;
+        const filters = getFilters(req.query);
+
+        if (format !== 'json') {
+            return await streamExport(res, format, filters, cursor);
+        }
+
+        const { entries, nextCursor } = await AuditService.search(filters, { cursor, limit });
+        res.json({ entries, nextCursor });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/audit/verify
+ * Check the audit log hash chain (Admin only)
+ */
+router.get('/verify', requireAdmin, async (req, res, next) => {
+    try {
+        const verification = await AuditService.verifyChain();
+        res.json(verification);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -7,9 +7,35 @@ const db = require('../config/db');
 const authConfig = require('../config/auth');
 const { authenticate } = require('../middleware/auth');
 const { ROLES } = require('../config/constants');
+const AuditService = require('../services/audit.service');
 
 const router = express.Router();
 
+// Failed logins by client IP: { count, resetAt }. Every failure is an audit
+// entry, and audit writers share one lock, so unauthenticated clients must
+// not be able to write them without limit.
+const failedLogins = new Map();
+
+const isLoginThrottled = (ip, now = Date.now()) => {
+    const entry = failedLogins.get(ip);
+    if (entry && entry.resetAt <= now) {
+        failedLogins.delete(ip);
+        return false;
+    }
+    return Boolean(entry) && entry.count >= authConfig.maxFailedLogins;
+};
+
+const recordFailedLogin = (ip, now = Date.now()) => {
+    for (const [key, entry] of failedLogins) {
+        if (entry.resetAt <= now) {
+            failedLogins.delete(key);
+        }
+    }
+    const entry = failedLogins.get(ip) || { count: 0, resetAt: now + authConfig.failedLoginWindowMinutes * 60000 };
+    entry.count += 1;
+    failedLogins.set(ip, entry);
+};
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -38,14 +64,18 @@ router.post('/register', [
         const passwordHash = await bcrypt.hash(password, 12);
 
         // Create user
-        const result = await db.query(
-            `INSERT INTO users (name, email, password_hash, role)
+        const user = await db.withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO users (name, email, password_hash, role)
        VALUES ($1, $2, $3, $4)
        RETURNING id, name, email, role, created_at`,
-            [name, email, passwordHash, role]
-        );
+                [name, email, passwordHash, role]
+            );
 
-        const user = result.rows[0];
+            await AuditService.logUserRegistered(result.rows[0], AuditService.getRequestContext(req), client);
+
+            return result.rows[0];
+        });
 
         // Generate token
         const token = jwt.sign(
@@ -72,6 +102,8 @@ router.post('/register', [
 /**
  * POST /api/auth/login
  * Authenticate user and return token
+ * An IP that fails maxFailedLogins times in a window gets 429 until the
+ * window ends, and those attempts are not audited.
  */
 router.post('/login', [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
@@ -84,6 +116,11 @@ router.post('/login', [
         }
 
         const { email, password } = req.body;
+        const context = AuditService.getRequestContext(req);
+
+        if (isLoginThrottled(context.ip)) {
+            return res.status(429).json({ error: 'Too many failed logins, try again later' });
+        }
 
         // Find user
         const result = await db.query(
@@ -92,6 +129,8 @@ router.post('/login', [
         );
 
         if (result.rows.length === 0) {
+            recordFailedLogin(context.ip);
+            await AuditService.logLoginFailed(null, email, 'Unknown email', context);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
@@ -100,9 +139,13 @@ router.post('/login', [
         // Verify password
         const validPassword = await bcrypt.compare(password, user.password_hash);
         if (!validPassword) {
+            recordFailedLogin(context.ip);
+            await AuditService.logLoginFailed(user, email, 'Wrong password', context);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        await AuditService.logLoginSucceeded(user, context);
+
         // Generate token
         const token = jwt.sign(
             { userId: user.id, role: user.role },
@@ -165,10 +208,14 @@ router.put('/password', authenticate, [
         const newPasswordHash = await bcrypt.hash(newPassword, 12);
 
         // Update password
-        await db.query(
-            'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-            [newPasswordHash, req.user.id]
-        );
+        await db.withTransaction(async (client) => {
+            await client.query(
+                'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+                [newPasswordHash, req.user.id]
+            );
+
+            await AuditService.logPasswordChanged(req.user.id, AuditService.getRequestContext(req), client);
+        });
 
         res.json({ message: 'Password updated successfully' });
     } catch (error) {
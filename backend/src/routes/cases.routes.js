@@ -1,48 +1,112 @@
+const crypto = require('crypto');
 const express = require('express');
+const multer = require('multer');
 const { body, param, query, validationResult } = require('express-validator');
 
 const db = require('../config/db');
 const { authenticate } = require('../middleware/auth');
 const { requireRole, requireManager } = require('../middleware/rbac');
-const { ROLES, STATUS, PRIORITY, CATEGORY, SLA_DEFAULTS } = require('../config/constants');
+const { PRIORITY, CATEGORY, SLA_TYPES, EVENTS, IMPORT_LIMITS } = require('../config/constants');
 const WorkflowService = require('../services/workflow.service');
 const AuditService = require('../services/audit.service');
+const CaseService = require('../services/case.service');
+const ImportService = require('../services/import.service');
+const AutomationService = require('../services/automation.service');
+const SlaService = require('../services/sla.service');
+const { HttpError } = require('../utils/errors');
+const { caseEtag, getExpectedVersions } = require('../utils/versioning');
+const { caseScopeCondition, canViewCase } = require('../utils/caseAccess');
+const { CASE_CREATE_RULES } = require('../utils/caseValidation');
+const { caseSearch, toSearchResult } = require('../utils/search');
+const {
+    DEFAULT_SORT,
+    parseCaseFilters,
+    parseCaseFields,
+    caseFilterConditions,
+    caseSortKeys,
+    caseSortOrder,
+    caseListSelect,
+    pickCaseFields,
+    encodeCaseCursor,
+    decodeCaseCursor,
+    caseCursorColumn,
+    caseCursorCondition
+} = require('../utils/caseFilters');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_LIMITS.MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
 
 /**
- * Generate unique case ID
+ * Parse the multipart `file` field of an import, turning multer's limit errors into HTTP ones
  */
-async function generateCaseId() {
-    const prefix = process.env.CASE_ID_PREFIX || 'CASE';
-    const result = await db.query("SELECT nextval('case_id_seq')");
-    const seq = result.rows[0].nextval;
-    return `${prefix}-${String(seq).padStart(5, '0')}`;
-}
+const receiveImportFile = (req, res, next) => {
+    importUpload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return next(new HttpError(413, `Import files can be at most ${IMPORT_LIMITS.MAX_FILE_MB} MB`));
+            }
+            return next(new HttpError(400, error.message));
+        }
+        next(error);
+    });
+};
+
+// Most cases one bulk request may change
+const BULK_MAX_CASES = 100;
+
+/**
+ * What each bulk action does to one case, with the fields of the request
+ * body it uses; the result is merged into that case's entry in `results`
+ */
+const BULK_ACTIONS = {
+    assign: async (id, { assigneeId }, user, options) => {
+        const result = await CaseService.assign(id, assigneeId, user, options);
+        return { case: result.case };
+    },
+    transition: async (id, { status, fields }, user, options) => {
+        const result = await CaseService.transition(id, status, user, { ...options, fields });
+        return { case: result.case };
+    },
+    update: async (id, { priority, category }, user, options) => {
+        const result = await CaseService.update(id, { priority, category }, user, options);
+        return { case: result.case };
+    },
+    comment: async (id, { comment }, user, options) => ({
+        comment: await CaseService.addComment(id, comment, user, options)
+    })
+};
+
+// All routes require authentication
+router.use(authenticate);
 
 /**
- * Calculate SLA due date based on priority
+ * Number of cases matching a list query's WHERE clause
+ * `estimate` reads the planner's row estimate instead of counting, which
+ * stays fast on large tables but can be well off for narrow filters.
+ * @param {string} mode - exact, estimate or none
+ * @returns {Promise<number|null>} null for none
  */
-function calculateSlaDueDate(priority) {
-    const hours = SLA_DEFAULTS[priority] || 48;
-    const dueDate = new Date();
-    dueDate.setHours(dueDate.getHours() + hours);
-    return dueDate;
+async function countCases(mode, whereClause, params) {
+    if (mode === 'none') {
+        return null;
+    }
+    if (mode === 'estimate') {
+        const result = await db.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM cases c ${whereClause}`, params);
+        return result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'];
+    }
+    const result = await db.query(`SELECT COUNT(*) FROM cases c ${whereClause}`, params);
+    return parseInt(result.rows[0].count);
 }
 
 /**
  * POST /api/cases
  * Create a new case
  */
-router.post('/', [
-    body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 255 }),
-    body('description').optional().trim(),
-    body('category').isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
-    body('priority').isIn(Object.values(PRIORITY)).withMessage('Invalid priority')
-], async (req, res, next) => {
+router.post('/', CASE_CREATE_RULES, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -50,28 +114,162 @@ router.post('/', [
         }
 
         const { title, description, category, priority } = req.body;
-        const caseId = await generateCaseId();
-        const slaDueAt = calculateSlaDueDate(priority);
+        const workflow = await WorkflowService.getActiveDefinitionForCategory(category);
+        if (!workflow) {
+            return res.status(500).json({ error: 'No active workflow configured' });
+        }
+
+        const caseId = await CaseService.generateCaseId();
+        const sla = await SlaService.calculateTargets(priority, category);
 
         const result = await db.query(
-            `INSERT INTO cases (case_id, title, description, category, priority, status, created_by, sla_due_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `INSERT INTO cases (case_id, title, description, category, priority, status, created_by, sla_response_due_at, sla_due_at, workflow_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
-            [caseId, title, description, category, priority, STATUS.CREATED, req.user.id, slaDueAt]
+            [
+                caseId, title, description, category, priority, workflow.initialState, req.user.id,
+                sla.responseDueAt, sla.resolutionDueAt, workflow.id
+            ]
         );
 
-        const newCase = result.rows[0];
-
         // Log audit
-        await AuditService.logCaseCreated(newCase.id, req.user.id, {
+        await AuditService.logCaseCreated(result.rows[0].id, result.rows[0].status, req.user.id, {
             title,
             category,
-            priority
+            priority,
+            workflowVersion: workflow.version
+        });
+
+        const automation = await AutomationService.runCreationActions(result.rows[0], workflow, req.user.id);
+
+        await CaseService.publish(EVENTS.CASE_CREATED, {
+            case: automation.case,
+            performedBy: req.user.id
         });
 
         res.status(201).json({
             message: 'Case created successfully',
-            case: newCase
+            case: automation.case,
+            automation: automation.results
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/cases/import
+ * Import cases from a CSV or XLSX file (Manager/Admin only)
+ * Multipart fields: file, mapping (JSON { field: column header }) and dryRun.
+ * A dry run only returns the validation report; otherwise the file is
+ * imported if every row is valid, and rejected with the same report if not.
+ */
+router.post('/import', requireManager, receiveImportFile, [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+    body('mapping').optional().customSanitizer((value) => {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }).custom(mapping => Boolean(mapping) && typeof mapping === 'object' && !Array.isArray(mapping)
+        && Object.values(mapping).every(header => typeof header === 'string'))
+        .withMessage('mapping must be a JSON object of field to column header')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const result = await ImportService.importCases(req.file, req.user, {
+            mapping: req.body.mapping,
+            dryRun: req.body.dryRun === true
+        });
+
+        res.status(result.dryRun ? 200 : 201).json({
+            message: result.dryRun ? 'Import checked' : 'Cases imported successfully',
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/cases/bulk
+ * Apply one action to several cases: assign (Manager only), transition,
+ * update (priority and/or category) or comment
+ * Each case is changed on its own, with the same checks and audit entries
+ * as the single-case endpoints, so one failing case does not stop the rest.
+ * Every audit entry carries the request's bulkId. Cases the user cannot see
+ * are reported as not found.
+ */
+router.post('/bulk', [
+    body('action').isIn(Object.keys(BULK_ACTIONS)).withMessage(`Action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}`),
+    body('ids').isArray({ min: 1, max: BULK_MAX_CASES }).withMessage(`ids must list 1 to ${BULK_MAX_CASES} case ids`),
+    body('ids.*').isInt({ min: 1 }).withMessage('Case ids must be positive integers').toInt(),
+    body('assigneeId').if(body('action').equals('assign')).isInt().withMessage('Assignee ID is required').toInt(),
+    body('status').if(body('action').equals('transition')).trim().notEmpty().withMessage('Invalid status'),
+    body('fields').optional().isObject().withMessage('Transition fields must be an object'),
+    body('priority').optional().isIn(Object.values(PRIORITY)).withMessage('Invalid priority'),
+    body('category').optional().isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+    body('comment').if(body('action').equals('comment')).trim().notEmpty().withMessage('Comment is required')
+], (req, res, next) => (req.body.action === 'assign' ? requireManager(req, res, next) : next()), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { action } = req.body;
+        if (action === 'update' && req.body.priority === undefined && req.body.category === undefined) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const ids = [...new Set(req.body.ids)];
+        const found = await db.query(
+            'SELECT id, created_by, assigned_to FROM cases WHERE id = ANY($1::int[])',
+            [ids]
+        );
+        const visible = new Set(found.rows.filter(row => canViewCase(req.user, row)).map(row => row.id));
+
+        const bulkId = crypto.randomUUID();
+        const results = [];
+
+        // One case at a time, so a batch never holds more than one row lock
+        for (const id of ids) {
+            if (!visible.has(id)) {
+                results.push({ id, ok: false, status: 404, error: 'Case not found' });
+                continue;
+            }
+            try {
+                const result = await BULK_ACTIONS[action](id, req.body, req.user, { auditDetails: { bulkId } });
+                results.push({ id, ok: true, ...result });
+            } catch (error) {
+                if (!error.statusCode) {
+                    console.error(`Bulk ${action} failed for case ${id}:`, error);
+                }
+                results.push({
+                    id,
+                    ok: false,
+                    status: error.statusCode || 500,
+                    error: error.statusCode ? error.message : 'Internal server error',
+                    ...(error.statusCode && error.details)
+                });
+            }
+        }
+
+        const succeeded = results.filter(result => result.ok).length;
+        res.json({
+            message: `${action} applied to ${succeeded} of ${ids.length} cases`,
+            bulkId,
+            succeeded,
+            failed: ids.length - succeeded,
+            results
         });
     } catch (error) {
         next(error);
@@ -81,95 +279,135 @@ router.post('/', [
 /**
  * GET /api/cases
  * List cases (filtered by role)
+ * Takes the filters and sort of utils/caseFilters. With `q`, only cases whose
+ * ID, title, description or comments match it, best match first unless
+ * sorted otherwise, each with highlighted snippets in `search`.
+ * Pages by `page` or, with `pagination=cursor`, by passing back nextCursor
+ * as `cursor`. `fields` cuts each case down to some fields and `count`
+ * chooses an exact, estimated or no total.
  */
 router.get('/', [
-    query('status').optional().isIn(Object.values(STATUS)),
-    query('priority').optional().isIn(Object.values(PRIORITY)),
-    query('category').optional().isIn(Object.values(CATEGORY)),
     query('page').optional().isInt({ min: 1 }).toInt(),
-    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('pagination').optional().isIn(['offset', 'cursor']).withMessage('Pagination must be offset or cursor'),
+    query('cursor').optional().isString(),
+    query('count').optional().isIn(['exact', 'estimate', 'none']).withMessage('Count must be exact, estimate or none'),
+    query('fields').optional().customSanitizer(value => value || undefined).custom(value => parseCaseFields(value))
 ], async (req, res, next) => {
     try {
-        const { status, priority, category, page = 1, limit = 20 } = req.query;
-        const offset = (page - 1) * limit;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { page = 1, limit = 20, cursor } = req.query;
+        const byCursor = req.query.pagination === 'cursor' || cursor !== undefined;
+        const count = req.query.count || (byCursor ? 'none' : 'exact');
+        const fields = req.query.fields ? parseCaseFields(req.query.fields) : null;
+        const filters = parseCaseFilters(req.query);
 
         let whereClause = '';
         const params = [];
         const conditions = [];
 
-        // Role-based filtering
-        if (req.user.role === ROLES.REQUESTER) {
-            conditions.push(`c.created_by = $${params.length + 1}`);
-            params.push(req.user.id);
-        } else if (req.user.role === ROLES.ANALYST) {
-            conditions.push(`(c.assigned_to = $${params.length + 1} OR c.created_by = $${params.length + 1})`);
-            params.push(req.user.id);
+        // Role-based filtering; managers and admins see all
+        const scope = caseScopeCondition(req.user, params);
+        if (scope) {
+            conditions.push(scope);
         }
-        // Managers and Admins see all
 
-        if (status) {
-            conditions.push(`c.status = $${params.length + 1}`);
-            params.push(status);
-        }
-        if (priority) {
-            conditions.push(`c.priority = $${params.length + 1}`);
-            params.push(priority);
+        conditions.push(...caseFilterConditions(filters, req.user, params));
+
+        // Filter on the same SLA states the response reports
+        const thresholds = await SlaService.getThresholds();
+        const calendars = await SlaService.getCategoryCalendars();
+        const now = new Date();
+        if (filters.slaStatus) {
+            conditions.push(SlaService.getStatusCondition(
+                filters.slaStatus, thresholds, params, now, SLA_TYPES.RESOLUTION, calendars
+            ));
         }
-        if (category) {
-            conditions.push(`c.category = $${params.length + 1}`);
-            params.push(category);
+
+        const search = filters.q ? caseSearch(filters.q, params) : null;
+        if (search) {
+            conditions.push(search.condition);
         }
 
         if (conditions.length > 0) {
             whereClause = 'WHERE ' + conditions.join(' AND ');
         }
 
-        // Get total count
-        const countResult = await db.query(
-            `SELECT COUNT(*) FROM cases c ${whereClause}`,
-            params
-        );
-        const total = parseInt(countResult.rows[0].count);
+        const total = await countCases(count, whereClause, params);
+
+        // Search results come best match first unless a sort was chosen
+        const keys = caseSortKeys(filters.sort);
+        if (search && !filters.sort) {
+            keys.unshift({ column: search.rank, expression: search.rankExpression, descending: true, nullable: false });
+        }
+        const sort = filters.sort || (search ? 'relevance' : DEFAULT_SORT);
+
+        // A cursor continues after the last case of the previous page
+        const pageConditions = [...conditions];
+        if (cursor) {
+            const values = decodeCaseCursor(cursor, sort, keys.length);
+            if (!values) {
+                throw new HttpError(400, 'Invalid cursor');
+            }
+            pageConditions.push(caseCursorCondition(keys, values, params));
+        }
+        const pageWhere = pageConditions.length > 0 ? 'WHERE ' + pageConditions.join(' AND ') : '';
+
+        // Without an exact count, fetch one extra row to know whether another page exists
+        const fetchLimit = count === 'exact' && !byCursor ? limit : limit + 1;
+        const pageParams = byCursor ? [fetchLimit] : [fetchLimit, (page - 1) * limit];
+        const select = caseListSelect(fields, keys);
 
-        // Get cases with pagination
         const casesResult = await db.query(
             `SELECT
-        c.*,
-        creator.name as created_by_name,
-        assignee.name as assigned_to_name,
-        CASE
-            WHEN c.status = 'Closed' THEN 'closed'
-            WHEN c.sla_due_at < NOW() THEN 'overdue'
-            WHEN c.priority = 'Critical' AND c.sla_due_at < NOW() + INTERVAL '1 hour' THEN 'at_risk'
-            WHEN c.priority = 'High' AND c.sla_due_at < NOW() + INTERVAL '2 hours' THEN 'at_risk'
-            WHEN c.priority = 'Medium' AND c.sla_due_at < NOW() + INTERVAL '6 hours' THEN 'at_risk'
-            WHEN c.priority = 'Low' AND c.sla_due_at < NOW() + INTERVAL '12 hours' THEN 'at_risk'
-            ELSE 'on_track'
-        END as sla_status
+        ${select.columns}
+        ${search ? `, ${search.columns}` : ''}
+        ${byCursor ? `, ${caseCursorColumn(keys)}` : ''}
        FROM cases c
-       LEFT JOIN users creator ON c.created_by = creator.id
-       LEFT JOIN users assignee ON c.assigned_to = assignee.id
-       ${whereClause}
-       ORDER BY
-         CASE c.priority
-           WHEN 'Critical' THEN 1
-           WHEN 'High' THEN 2
-           WHEN 'Medium' THEN 3
-           ELSE 4
-         END,
-         c.created_at DESC
-       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
-            [...params, limit, offset]
+       ${select.joins}
+       ${search ? search.join : ''}
+       ${pageWhere}
+       ORDER BY ${caseSortOrder(keys).join(', ')}
+       LIMIT $${params.length + 1}${byCursor ? '' : ` OFFSET $${params.length + 2}`}`,
+            [...params, ...pageParams]
         );
 
+        const rows = casesResult.rows.slice(0, limit);
+        const hasMore = count === 'exact' && !byCursor
+            ? page * limit < total
+            : casesResult.rows.length > limit;
+        const lastRow = rows[rows.length - 1];
+
+        const cases = rows.map(({ cursor_values: cursorValues, ...row }) => {
+            const caseData = {
+                ...row,
+                sla_status: SlaService.getStatus(row, thresholds, now, SLA_TYPES.RESOLUTION, calendars[row.category])
+            };
+            return pickCaseFields(search ? toSearchResult(caseData) : caseData, fields);
+        });
+
         res.json({
-            cases: casesResult.rows,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit)
-            }
+            cases,
+            pagination: byCursor
+                ? {
+                    limit,
+                    nextCursor: hasMore ? encodeCaseCursor(sort, lastRow.cursor_values) : null,
+                    hasMore,
+                    total,
+                    estimated: count === 'estimate'
+                }
+                : {
+                    page,
+                    limit,
+                    total,
+                    totalPages: total === null ? null : Math.ceil(total / limit),
+                    hasMore,
+                    estimated: count === 'estimate'
+                }
         });
     } catch (error) {
         next(error);
@@ -207,11 +445,30 @@ router.get('/:id', [
         const caseData = result.rows[0];
 
         // Add available transitions for current user
+        const workflow = await WorkflowService.getDefinitionForCase(caseData);
         caseData.availableTransitions = WorkflowService.getAvailableTransitions(
             caseData.status,
-            req.user.role
+            req.user.role,
+            workflow.transitions
         );
-
+        caseData.transitionFields = WorkflowService.getRequiredFields(
+            caseData.status,
+            workflow.guards
+        );
+        caseData.workflow = {
+            id: workflow.id,
+            name: workflow.name,
+            version: workflow.version
+        };
+        caseData.slaPauses = await SlaService.getPauses(caseData.id);
+
+        const thresholds = await SlaService.getThresholds();
+        const calendar = await SlaService.getCalendarForCategory(caseData.category);
+        const now = new Date();
+        caseData.sla_status = SlaService.getStatus(caseData, thresholds, now, SLA_TYPES.RESOLUTION, calendar);
+        caseData.sla_response_status = SlaService.getStatus(caseData, thresholds, now, SLA_TYPES.RESPONSE, calendar);
+
+        res.set('ETag', caseEtag(caseData));
         res.json({ case: caseData });
     } catch (error) {
         next(error);
@@ -221,13 +478,15 @@ router.get('/:id', [
 /**
  * PUT /api/cases/:id
  * Update case details (title, description, category, priority)
+ * Requires If-Match (or a version field), so edits to a stale copy are rejected.
  */
 router.put('/:id', [
     param('id').isInt().toInt(),
     body('title').optional().trim().notEmpty().isLength({ max: 255 }),
     body('description').optional().trim(),
     body('category').optional().isIn(Object.values(CATEGORY)),
-    body('priority').optional().isIn(Object.values(PRIORITY))
+    body('priority').optional().isIn(Object.values(PRIORITY)),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -238,69 +497,18 @@ router.put('/:id', [
         const { id } = req.params;
         const { title, description, category, priority } = req.body;
 
-        // Get current case
-        const current = await db.query('SELECT * FROM cases WHERE id = $1', [id]);
-        if (current.rows.length === 0) {
-            return res.status(404).json({ error: 'Case not found' });
-        }
-
-        const caseData = current.rows[0];
-
-        // Check permissions (owner or assignee or manager/admin)
-        const canEdit =
-            caseData.created_by === req.user.id ||
-            caseData.assigned_to === req.user.id ||
-            [ROLES.MANAGER, ROLES.ADMIN].includes(req.user.role);
-
-        if (!canEdit) {
-            return res.status(403).json({ error: 'You do not have permission to edit this case' });
-        }
-
-        // Build update query
-        const updates = [];
-        const values = [];
-        let paramIndex = 1;
-
-        if (title !== undefined) {
-            updates.push(`title = $${paramIndex++}`);
-            values.push(title);
-        }
-        if (description !== undefined) {
-            updates.push(`description = $${paramIndex++}`);
-            values.push(description);
-        }
-        if (category !== undefined) {
-            updates.push(`category = $${paramIndex++}`);
-            values.push(category);
-        }
-        if (priority !== undefined) {
-            updates.push(`priority = $${paramIndex++}`);
-            values.push(priority);
-            // Recalculate SLA if priority changes
-            updates.push(`sla_due_at = $${paramIndex++}`);
-            values.push(calculateSlaDueDate(priority));
-        }
-
-        if (updates.length === 0) {
+        if ([title, description, category, priority].every(value => value === undefined)) {
             return res.status(400).json({ error: 'No fields to update' });
         }
 
-        updates.push(`updated_at = NOW()`);
-        values.push(id);
-
-        const result = await db.query(
-            `UPDATE cases SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
-            values
-        );
-
-        // Log audit
-        await AuditService.logCaseUpdate(id, req.user.id, {
-            changes: { title, description, category, priority }
+        const result = await CaseService.update(id, { title, description, category, priority }, req.user, {
+            versions: getExpectedVersions(req)
         });
 
+        res.set('ETag', caseEtag(result.case));
         res.json({
             message: 'Case updated successfully',
-            case: result.rows[0]
+            case: result.case
         });
     } catch (error) {
         next(error);
@@ -313,7 +521,9 @@ router.put('/:id', [
  */
 router.put('/:id/status', [
     param('id').isInt().toInt(),
-    body('status').isIn(Object.values(STATUS)).withMessage('Invalid status')
+    body('status').trim().notEmpty().withMessage('Invalid status'),
+    body('fields').optional().isObject().withMessage('Transition fields must be an object'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -322,56 +532,18 @@ router.put('/:id/status', [
         }
 
         const { id } = req.params;
-        const { status: targetStatus } = req.body;
+        const { status: targetStatus, fields = {} } = req.body;
 
-        // Get current case
-        const current = await db.query('SELECT * FROM cases WHERE id = $1', [id]);
-        if (current.rows.length === 0) {
-            return res.status(404).json({ error: 'Case not found' });
-        }
-
-        const caseData = current.rows[0];
-        const previousStatus = caseData.status;
-
-        // Validate transition
-        const transitionCheck = WorkflowService.canTransition(
-            previousStatus,
-            targetStatus,
-            req.user.role
-        );
-
-        if (!transitionCheck.valid) {
-            return res.status(403).json({
-                error: 'Invalid transition',
-                reason: transitionCheck.reason
-            });
-        }
-
-        // Validate requirements
-        const requirementsCheck = WorkflowService.validateTransitionRequirements(
-            caseData,
-            targetStatus
-        );
-
-        if (!requirementsCheck.valid) {
-            return res.status(400).json({
-                error: 'Transition requirements not met',
-                errors: requirementsCheck.errors
-            });
-        }
-
-        // Perform transition
-        const result = await db.query(
-            `UPDATE cases SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-            [targetStatus, id]
-        );
-
-        // Log audit
-        await AuditService.logStatusChange(id, previousStatus, targetStatus, req.user.id);
+        const transition = await CaseService.transition(id, targetStatus, req.user, {
+            fields,
+            versions: getExpectedVersions(req)
+        });
 
+        res.set('ETag', caseEtag(transition.case));
         res.json({
-            message: `Case transitioned from '${previousStatus}' to '${targetStatus}'`,
-            case: result.rows[0]
+            message: `Case transitioned from '${transition.previousStatus}' to '${targetStatus}'`,
+            case: transition.case,
+            automation: transition.automation
         });
     } catch (error) {
         next(error);
@@ -384,7 +556,8 @@ router.put('/:id/status', [
  */
 router.put('/:id/assign', requireManager, [
     param('id').isInt().toInt(),
-    body('assigneeId').isInt().withMessage('Assignee ID is required')
+    body('assigneeId').isInt().withMessage('Assignee ID is required'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer')
 ], async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -395,54 +568,15 @@ router.put('/:id/assign', requireManager, [
         const { id } = req.params;
         const { assigneeId } = req.body;
 
-        // Get current case
-        const current = await db.query('SELECT * FROM cases WHERE id = $1', [id]);
-        if (current.rows.length === 0) {
-            return res.status(404).json({ error: 'Case not found' });
-        }
-
-        const caseData = current.rows[0];
-
-        // Verify assignee exists and is an analyst
-        const assignee = await db.query(
-            'SELECT id, name, role FROM users WHERE id = $1',
-            [assigneeId]
-        );
-        if (assignee.rows.length === 0) {
-            return res.status(404).json({ error: 'Assignee not found' });
-        }
-        if (assignee.rows[0].role !== ROLES.ANALYST) {
-            return res.status(400).json({ error: 'Can only assign cases to analysts' });
-        }
-
-        const previousAssignee = caseData.assigned_to;
-        let newStatus = caseData.status;
-
-        // Auto-transition to Assigned if case is in Created status
-        if (caseData.status === STATUS.CREATED) {
-            newStatus = STATUS.ASSIGNED;
-        }
-
-        // Update case
-        const result = await db.query(
-            `UPDATE cases SET assigned_to = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
-            [assigneeId, newStatus, id]
-        );
-
-        // Log audit
-        await AuditService.logAssignment(id, previousAssignee, assigneeId, req.user.id, {
-            assigneeName: assignee.rows[0].name
+        const assignment = await CaseService.assign(id, assigneeId, req.user, {
+            versions: getExpectedVersions(req)
         });
 
-        if (newStatus !== caseData.status) {
-            await AuditService.logStatusChange(id, caseData.status, newStatus, req.user.id, {
-                reason: 'Auto-transitioned on assignment'
-            });
-        }
-
+        res.set('ETag', caseEtag(assignment.case));
         res.json({
-            message: `Case assigned to ${assignee.rows[0].name}`,
-            case: result.rows[0]
+            message: `Case assigned to ${assignment.assigneeName}`,
+            case: assignment.case,
+            automation: assignment.automation
         });
     } catch (error) {
         next(error);
@@ -466,28 +600,11 @@ router.post('/:id/comments', [
         const { id } = req.params;
         const { comment } = req.body;
 
-        // Verify case exists
-        const caseCheck = await db.query('SELECT id FROM cases WHERE id = $1', [id]);
-        if (caseCheck.rows.length === 0) {
-            return res.status(404).json({ error: 'Case not found' });
-        }
-
-        // Create comment
-        const result = await db.query(
-            `INSERT INTO comments (case_id, comment, created_by)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-            [id, comment, req.user.id]
-        );
-
-        // Log audit
-        await AuditService.logCommentAdded(id, req.user.id, {
-            commentId: result.rows[0].id
-        });
+        const result = await CaseService.addComment(id, comment, req.user);
 
         res.status(201).json({
             message: 'Comment added',
-            comment: result.rows[0]
+            comment: result
         });
     } catch (error) {
         next(error);
@@ -2,19 +2,49 @@ const express = require('express');
 const db = require('../config/db');
 const { authenticate } = require('../middleware/auth');
 const { requireManager } = require('../middleware/rbac');
-const { STATUS, PRIORITY, CATEGORY } = require('../config/constants');
+const { STATUS, PRIORITY, CATEGORY, SLA_TYPES, SLA_STATUS, ROLES } = require('../config/constants');
+const SlaService = require('../services/sla.service');
+const WorkflowService = require('../services/workflow.service');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Workflows name their states freely, so where a case stands is told from
+// the flags of its state, its workflow's assigned state and who can move it on
+const caseStage = `
+  LEFT JOIN workflow_states ws ON ws.workflow_id = c.workflow_id AND ws.name = c.status
+  LEFT JOIN workflow_definitions wd ON wd.id = c.workflow_id
+`;
+
+// Whether a user of the role given by a query parameter can move the case on.
+// Queries using inProgress and underReview pass the analyst role as $1.
+const movableBy = (roleParam) => `EXISTS (
+  SELECT 1 FROM workflow_transitions wt
+  WHERE wt.workflow_id = c.workflow_id AND wt.from_state = c.status AND ${roleParam} = ANY(wt.allowed_roles)
+)`;
+
+// In progress: past the initial and assigned states, not paused and up to the assignee's role
+const inProgress = `NOT COALESCE(ws.is_initial, false) AND c.status IS DISTINCT FROM wd.assigned_state
+  AND NOT COALESCE(ws.pauses_sla, false) AND ${movableBy('$1')}`;
+
+// Under review: past the initial state and only the reviewer's role can move it on
+const underReview = (reviewerParam) => `NOT COALESCE(ws.is_initial, false)
+  AND NOT ${movableBy('$1')} AND ${movableBy(reviewerParam)}`;
+
 /**
  * GET /api/dashboard/summary
  * Get case counts by status
  */
 router.get('/summary', async (req, res, next) => {
   try {
+    // Whether a case is finished depends on its workflow's final states
+    const caseStates = `
+      FROM cases c
+      LEFT JOIN workflow_states ws ON ws.workflow_id = c.workflow_id AND ws.name = c.status
+    `;
+
     // Count by status
     const statusCounts = await db.query(`
       SELECT status, COUNT(*) as count
@@ -22,12 +52,19 @@ router.get('/summary', async (req, res, next) => {
       GROUP BY status
     `);
 
+    // Count by category and status, since categories follow different workflows
+    const categoryStatusCounts = await db.query(`
+      SELECT category, status, COUNT(*) as count
+      FROM cases
+      GROUP BY category, status
+    `);
+
     // Count by priority
     const priorityCounts = await db.query(`
-      SELECT priority, COUNT(*) as count
-      FROM cases
-      WHERE status != 'Closed'
-      GROUP BY priority
+      SELECT c.priority, COUNT(*) as count
+      ${caseStates}
+      WHERE NOT COALESCE(ws.is_final, false)
+      GROUP BY c.priority
     `);
 
     // Count by category
@@ -41,10 +78,11 @@ router.get('/summary', async (req, res, next) => {
     const totals = await db.query(`
       SELECT
         COUNT(*) as total,
-        COUNT(*) FILTER (WHERE status != 'Closed') as open,
-        COUNT(*) FILTER (WHERE status = 'Closed') as closed,
-        COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days') as created_this_week
-      FROM cases
+        COUNT(*) FILTER (WHERE NOT COALESCE(ws.is_final, false)) as open,
+        COUNT(*) FILTER (WHERE ws.is_final) as closed,
+        COUNT(*) FILTER (WHERE c.sla_paused_at IS NOT NULL AND NOT COALESCE(ws.is_final, false)) as sla_paused,
+        COUNT(*) FILTER (WHERE c.created_at >= NOW() - INTERVAL '7 days') as created_this_week
+      ${caseStates}
     `);
 
     res.json({
@@ -54,6 +92,11 @@ router.get('/summary', async (req, res, next) => {
           acc[row.status] = parseInt(row.count);
           return acc;
         }, {}),
+        byCategoryStatus: categoryStatusCounts.rows.reduce((acc, row) => {
+          acc[row.category] = acc[row.category] || {};
+          acc[row.category][row.status] = parseInt(row.count);
+          return acc;
+        }, {}),
         byPriority: priorityCounts.rows.reduce((acc, row) => {
           acc[row.priority] = parseInt(row.count);
           return acc;
@@ -71,36 +114,72 @@ router.get('/summary', async (req, res, next) => {
 
 /**
  * GET /api/dashboard/sla-breaches
- * Get cases that have breached or are about to breach SLA
+ * Get open first-response and resolution targets that have been breached
+ * or are about to be, and how often each target has been met
  */
 router.get('/sla-breaches', requireManager, async (req, res, next) => {
   try {
-    const result = await db.query(`
-      SELECT
-        c.*,
-        creator.name as created_by_name,
-        assignee.name as assigned_to_name,
-        CASE
-          WHEN c.sla_due_at < NOW() THEN 'breached'
-          WHEN c.sla_due_at < NOW() + INTERVAL '4 hours' THEN 'at_risk'
-          ELSE 'on_track'
-        END as sla_status,
-        EXTRACT(EPOCH FROM (c.sla_due_at - NOW())) / 3600 as hours_remaining
-      FROM cases c
-      LEFT JOIN users creator ON c.created_by = creator.id
-      LEFT JOIN users assignee ON c.assigned_to = assignee.id
-      WHERE c.status NOT IN ('Closed')
-        AND (c.sla_due_at < NOW() OR c.sla_due_at < NOW() + INTERVAL '24 hours')
-      ORDER BY c.sla_due_at ASC
-    `);
+    const calendars = await SlaService.getCategoryCalendars();
+    const thresholds = await SlaService.getThresholds();
+    const now = new Date();
+    // Due soon enough to be at risk under the largest threshold
+    const atRiskBefore = SlaService.getAtRiskHorizon(thresholds, now, calendars);
+    const cases = [];
+    const byType = {};
+
+    for (const type of Object.values(SLA_TYPES)) {
+      const columns = SlaService.getTargetColumns(type);
+      // A paused case's clock stopped when it was paused
+      const result = await db.query(`
+        SELECT
+          c.*,
+          creator.name as created_by_name,
+          assignee.name as assigned_to_name
+        FROM cases c
+        LEFT JOIN users creator ON c.created_by = creator.id
+        LEFT JOIN users assignee ON c.assigned_to = assignee.id
+        WHERE NOT ${WorkflowService.finalStateCondition()}
+          AND c.${columns.met} IS NULL
+          AND (
+            c.${columns.due} < c.sla_paused_at
+            OR (c.sla_paused_at IS NULL AND c.${columns.due} < $1)
+          )
+        ORDER BY c.${columns.due} ASC
+      `, [atRiskBefore]);
+
+      // Targets met so far, on time or late
+      const outcomes = await db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE ${columns.met} IS NOT NULL AND ${columns.breached} IS NULL) as met,
+          COUNT(*) FILTER (WHERE ${columns.breached} IS NOT NULL) as missed
+        FROM cases
+      `);
 
-    const breached = result.rows.filter(c => c.sla_status === 'breached');
-    const atRisk = result.rows.filter(c => c.sla_status === 'at_risk');
+      // Working hours left on each case's category calendar (negative once breached)
+      const targets = result.rows.map(c => ({
+        ...c,
+        sla_type: type,
+        due_at: c[columns.due],
+        sla_status: SlaService.getStatus(c, thresholds, now, type, calendars[c.category]),
+        hours_remaining: SlaService.getHoursRemaining(c, calendars[c.category], now, type)
+      }));
+      cases.push(...targets);
+
+      byType[type] = {
+        breached: targets.filter(c => c.sla_status === SLA_STATUS.OVERDUE).length,
+        atRisk: targets.filter(c => c.sla_status === SLA_STATUS.AT_RISK).length,
+        met: parseInt(outcomes.rows[0].met),
+        missed: parseInt(outcomes.rows[0].missed)
+      };
+    }
+
+    cases.sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
 
     res.json({
-      breached: breached.length,
-      atRisk: atRisk.length,
-      cases: result.rows
+      breached: cases.filter(c => c.sla_status === SLA_STATUS.OVERDUE).length,
+      atRisk: cases.filter(c => c.sla_status === SLA_STATUS.AT_RISK).length,
+      byType,
+      cases
     });
   } catch (error) {
     next(error);
@@ -121,7 +200,7 @@ router.get('/resolution-times', requireManager, async (req, res, next) => {
         MIN(EXTRACT(EPOCH FROM (updated_at - created_at)) / 3600) as min_hours,
         MAX(EXTRACT(EPOCH FROM (updated_at - created_at)) / 3600) as max_hours
       FROM cases
-      WHERE status = 'Closed'
+      WHERE ${WorkflowService.finalStateCondition('cases')}
       GROUP BY category
       ORDER BY avg_hours DESC
     `);
@@ -152,15 +231,16 @@ router.get('/analyst-workload', requireManager, async (req, res, next) => {
         u.name,
         u.email,
         COUNT(c.id) as total_assigned,
-        COUNT(c.id) FILTER (WHERE c.status = 'Assigned') as pending,
-        COUNT(c.id) FILTER (WHERE c.status = 'In Progress') as in_progress,
-        COUNT(c.id) FILTER (WHERE c.status = 'Under Review') as under_review
+        COUNT(c.id) FILTER (WHERE c.status = wd.assigned_state) as pending,
+        COUNT(c.id) FILTER (WHERE ${inProgress}) as in_progress,
+        COUNT(c.id) FILTER (WHERE ${underReview('$2')}) as under_review
       FROM users u
-      LEFT JOIN cases c ON c.assigned_to = u.id AND c.status != 'Closed'
-      WHERE u.role = 'analyst'
+      LEFT JOIN cases c ON c.assigned_to = u.id AND NOT ${WorkflowService.finalStateCondition()}
+      ${caseStage}
+      WHERE u.role = $1
       GROUP BY u.id, u.name, u.email
       ORDER BY total_assigned DESC
-    `);
+    `, [ROLES.ANALYST, ROLES.MANAGER]);
 
     res.json({
       analysts: result.rows.map(row => ({
@@ -192,7 +272,7 @@ router.get('/recent-activity', async (req, res, next) => {
         u.name as performed_by_name
       FROM case_audit_log cal
       JOIN cases c ON cal.case_id = c.id
-      JOIN users u ON cal.performed_by = u.id
+      LEFT JOIN users u ON cal.performed_by = u.id
       ORDER BY cal.timestamp DESC
       LIMIT 20
     `);
@@ -216,74 +296,45 @@ router.get('/my-pending-actions', async (req, res, next) => {
     let pendingReviews = [];
 
     if (role === 'analyst') {
-      // Analyst: Cases assigned to them that need action
+      // Analyst: Cases assigned to them, waiting to be started or in progress
       const result = await db.query(`
-                SELECT c.*,
-                    CASE
-                        WHEN c.sla_due_at < NOW() THEN 'overdue'
-                        WHEN c.priority = 'Critical' AND c.sla_due_at < NOW() + INTERVAL '1 hour' THEN 'at_risk'
-                        WHEN c.priority = 'High' AND c.sla_due_at < NOW() + INTERVAL '2 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Medium' AND c.sla_due_at < NOW() + INTERVAL '6 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Low' AND c.sla_due_at < NOW() + INTERVAL '12 hours' THEN 'at_risk'
-                        ELSE 'on_track'
-                    END as sla_status
+                SELECT c.*
                 FROM cases c
-                WHERE c.assigned_to = $1
-                AND c.status IN ('Assigned', 'In Progress')
+                ${caseStage}
+                WHERE c.assigned_to = $2
+                AND (c.status = wd.assigned_state OR ${inProgress})
                 ORDER BY c.sla_due_at ASC
-            `, [userId]);
-      pendingCases = result.rows;
+            `, [ROLES.ANALYST, userId]);
+      pendingCases = await SlaService.addStatus(result.rows);
     } else if (role === 'manager' || role === 'admin') {
       // Manager: Cases needing assignment or review
       const unassigned = await db.query(`
-                SELECT c.*,
-                    CASE
-                        WHEN c.sla_due_at < NOW() THEN 'overdue'
-                        WHEN c.priority = 'Critical' AND c.sla_due_at < NOW() + INTERVAL '1 hour' THEN 'at_risk'
-                        WHEN c.priority = 'High' AND c.sla_due_at < NOW() + INTERVAL '2 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Medium' AND c.sla_due_at < NOW() + INTERVAL '6 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Low' AND c.sla_due_at < NOW() + INTERVAL '12 hours' THEN 'at_risk'
-                        ELSE 'on_track'
-                    END as sla_status
+                SELECT c.*
                 FROM cases c
-                WHERE c.status = 'Created'
+                ${caseStage}
+                WHERE ws.is_initial
                 ORDER BY c.sla_due_at ASC
             `);
-      pendingCases = unassigned.rows;
+      pendingCases = await SlaService.addStatus(unassigned.rows);
 
       const reviews = await db.query(`
-                SELECT c.*, assignee.name as assigned_to_name,
-                    CASE
-                        WHEN c.sla_due_at < NOW() THEN 'overdue'
-                        WHEN c.priority = 'Critical' AND c.sla_due_at < NOW() + INTERVAL '1 hour' THEN 'at_risk'
-                        WHEN c.priority = 'High' AND c.sla_due_at < NOW() + INTERVAL '2 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Medium' AND c.sla_due_at < NOW() + INTERVAL '6 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Low' AND c.sla_due_at < NOW() + INTERVAL '12 hours' THEN 'at_risk'
-                        ELSE 'on_track'
-                    END as sla_status
+                SELECT c.*, assignee.name as assigned_to_name
                 FROM cases c
                 LEFT JOIN users assignee ON c.assigned_to = assignee.id
-                WHERE c.status = 'Under Review'
+                ${caseStage}
+                WHERE ${underReview('$2')}
                 ORDER BY c.sla_due_at ASC
-            `);
-      pendingReviews = reviews.rows;
+            `, [ROLES.ANALYST, role]);
+      pendingReviews = await SlaService.addStatus(reviews.rows);
     } else if (role === 'requester') {
       // Requester: Their cases that need attention
       const result = await db.query(`
-                SELECT c.*,
-                    CASE
-                        WHEN c.sla_due_at < NOW() THEN 'overdue'
-                        WHEN c.priority = 'Critical' AND c.sla_due_at < NOW() + INTERVAL '1 hour' THEN 'at_risk'
-                        WHEN c.priority = 'High' AND c.sla_due_at < NOW() + INTERVAL '2 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Medium' AND c.sla_due_at < NOW() + INTERVAL '6 hours' THEN 'at_risk'
-                        WHEN c.priority = 'Low' AND c.sla_due_at < NOW() + INTERVAL '12 hours' THEN 'at_risk'
-                        ELSE 'on_track'
-                    END as sla_status
+                SELECT c.*
                 FROM cases c
-                WHERE c.created_by = $1 AND c.status != 'Closed'
+                WHERE c.created_by = $1 AND NOT ${WorkflowService.finalStateCondition()}
                 ORDER BY c.updated_at DESC
             `, [userId]);
-      pendingCases = result.rows;
+      pendingCases = await SlaService.addStatus(result.rows);
     }
 
     res.json({
@@ -0,0 +1,21 @@
+const express = require('express');
+
+const { authenticate } = require('../middleware/auth');
+const RealtimeService = require('../services/realtime.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/events/stream
+ * Server-Sent Events stream of changes to the cases the user can see
+ * Authenticates with the usual Bearer token, so browsers read it with
+ * fetch rather than EventSource.
+ */
+router.get('/stream', (req, res) => {
+    RealtimeService.connect(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const { authenticate } = require('../middleware/auth');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+const NotificationService = require('../services/notification.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/notifications
+ * List the current user's notifications, newest first
+ * Pass the id of the last notification received as `before` for the next page.
+ */
+router.get('/', [
+    query('unread').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('before').optional().isInt({ min: 1 }).toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { unread, limit, before } = req.query;
+        const result = await NotificationService.list(req.user.id, { unreadOnly: unread, limit, before });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications, for the bell badge
+ */
+router.get('/unread-count', async (req, res, next) => {
+    try {
+        const unreadCount = await NotificationService.getUnreadCount(req.user.id);
+        res.json({ unreadCount });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark all of the current user's notifications read
+ */
+router.put('/read-all', async (req, res, next) => {
+    try {
+        const marked = await NotificationService.markAllRead(req.user.id);
+        res.json({
+            message: `${marked} notification(s) marked read`,
+            unreadCount: 0
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/notifications/preferences
+ * Which notification types the current user receives
+ */
+router.get('/preferences', async (req, res, next) => {
+    try {
+        const preferences = await NotificationService.getPreferences(req.user.id);
+        res.json({ preferences });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Mute (false) or unmute (true) notification types for the current user
+ */
+router.put('/preferences', [
+    body('preferences').isObject().withMessage('Preferences must be an object'),
+    body('preferences.*').isBoolean({ strict: true }).withMessage('Preferences must be true or false')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { preferences } = req.body;
+        const unknown = Object.keys(preferences).filter(type => !Object.values(NOTIFICATION_TYPES).includes(type));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown notification type: ${unknown.join(', ')}` });
+        }
+
+        const saved = await NotificationService.savePreferences(req.user.id, preferences);
+
+        res.json({
+            message: 'Notification preferences saved',
+            preferences: saved
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one of the current user's notifications read
+ */
+router.put('/:id/read', [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const notification = await NotificationService.markRead(req.user.id, req.params.id);
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        const unreadCount = await NotificationService.getUnreadCount(req.user.id);
+        res.json({ notification, unreadCount });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
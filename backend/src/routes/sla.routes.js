@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const db = require('../config/db');
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin, requireManager } = require('../middleware/rbac');
+const { CATEGORY, PRIORITY } = require('../config/constants');
+const SlaService = require('../services/sla.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const calendarValidators = [
+    body('timeZone').trim().notEmpty().withMessage('Time zone is required'),
+    body('workingDays').isArray({ min: 1 }).withMessage('Working days are required'),
+    body('workStart').trim().notEmpty().withMessage('Work start is required'),
+    body('workEnd').trim().notEmpty().withMessage('Work end is required'),
+    body('holidays').optional().isArray().withMessage('Holidays must be an array')
+];
+
+const getCalendarSettings = ({ timeZone, workingDays, workStart, workEnd, holidays = [] }) => ({
+    timeZone,
+    workingDays,
+    workStart,
+    workEnd,
+    holidays: holidays.map(({ date, name }) => ({ date, name: name || null }))
+});
+
+/**
+ * GET /api/sla/calendars
+ * List SLA calendars with the categories bound to them
+ */
+router.get('/calendars', requireManager, async (req, res, next) => {
+    try {
+        const calendars = await SlaService.getCalendars();
+        res.json({ calendars });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/sla/calendars
+ * Create an SLA calendar (Admin only)
+ */
+router.post('/calendars', requireAdmin, [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    ...calendarValidators
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const settings = getCalendarSettings(req.body);
+        const calendarCheck = SlaService.validateCalendar(settings);
+        if (!calendarCheck.valid) {
+            return res.status(400).json({
+                error: 'Invalid SLA calendar',
+                errors: calendarCheck.errors
+            });
+        }
+
+        const existing = await db.query('SELECT id FROM sla_calendars WHERE name = $1', [req.body.name]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'SLA calendar already exists' });
+        }
+
+        const calendar = await SlaService.createCalendar({ name: req.body.name, ...settings }, req.user.id);
+
+        res.status(201).json({
+            message: 'SLA calendar created successfully',
+            calendar
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/sla/calendars/:id
+ * Replace an SLA calendar's working time (Admin only)
+ * Due dates already set on cases are not recalculated.
+ */
+router.put('/calendars/:id', requireAdmin, [
+    param('id').isInt().toInt(),
+    ...calendarValidators
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const settings = getCalendarSettings(req.body);
+        const calendarCheck = SlaService.validateCalendar(settings);
+        if (!calendarCheck.valid) {
+            return res.status(400).json({
+                error: 'Invalid SLA calendar',
+                errors: calendarCheck.errors
+            });
+        }
+
+        const calendar = await SlaService.updateCalendar(req.params.id, settings, req.user.id);
+        if (!calendar) {
+            return res.status(404).json({ error: 'SLA calendar not found' });
+        }
+
+        res.json({
+            message: `SLA calendar '${calendar.name}' updated`,
+            calendar
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sla/categories
+ * Get the SLA calendar bound to each category
+ */
+router.get('/categories', requireManager, async (req, res, next) => {
+    try {
+        const calendars = await SlaService.getCategoryCalendars();
+        res.json({ calendars });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/sla/categories/:category
+ * Bind a category to an SLA calendar (Admin only)
+ * Applies to due dates calculated from now on.
+ */
+router.put('/categories/:category', requireAdmin, [
+    param('category').isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+    body('calendarId').isInt().withMessage('Calendar ID is required').toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { category } = req.params;
+
+        const calendar = await SlaService.getCalendar(req.body.calendarId);
+        if (!calendar) {
+            return res.status(404).json({ error: 'SLA calendar not found' });
+        }
+
+        const binding = await SlaService.bindCategory(category, calendar.id, req.user.id);
+
+        res.json({
+            message: `${category} SLAs now count working time on '${calendar.name}'`,
+            binding
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sla/policies
+ * List first-response and resolution targets per priority, by category
+ */
+router.get('/policies', requireManager, async (req, res, next) => {
+    try {
+        const policies = await SlaService.getPolicies();
+        res.json({ policies });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/sla/policies
+ * Set the targets of a priority for a category, or the default for
+ * categories without their own when category is null (Admin only)
+ * Applies to due dates calculated from now on.
+ */
+router.put('/policies', requireAdmin, [
+    body('priority').isIn(Object.values(PRIORITY)).withMessage('Invalid priority'),
+    body('category').optional({ nullable: true }).isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+    body('responseHours').isFloat({ gt: 0 }).withMessage('Response hours must be a positive number').toFloat(),
+    body('resolutionHours').isFloat({ gt: 0 }).withMessage('Resolution hours must be a positive number').toFloat()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { priority, category = null, responseHours, resolutionHours } = req.body;
+        if (responseHours > resolutionHours) {
+            return res.status(400).json({ error: 'First response cannot be due after resolution' });
+        }
+
+        const policy = await SlaService.savePolicy({ category, priority, responseHours, resolutionHours }, req.user.id);
+
+        res.json({
+            message: `${priority} SLA policy for ${category || 'all categories'} saved`,
+            policy
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/sla/policies/:id
+ * Remove a category's own policy so the default applies again (Admin only)
+ */
+router.delete('/policies/:id', requireAdmin, [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const policy = await SlaService.deletePolicy(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Category SLA policy not found' });
+        }
+
+        res.json({
+            message: `${policy.category} now uses the default ${policy.priority} SLA policy`,
+            policy
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sla/thresholds
+ * Hours before a target is due that a case of each priority is at risk,
+ * counted in working hours on the case's category calendar
+ */
+router.get('/thresholds', async (req, res, next) => {
+    try {
+        const thresholds = await SlaService.getThresholds();
+        res.json({ thresholds });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/sla/thresholds/:priority
+ * Set the at-risk threshold of a priority (Admin only)
+ * Applies to every sla_status reported from now on.
+ */
+router.put('/thresholds/:priority', requireAdmin, [
+    param('priority').isIn(Object.values(PRIORITY)).withMessage('Invalid priority'),
+    body('atRiskHours').isFloat({ gt: 0 }).withMessage('At-risk hours must be a positive number').toFloat()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const threshold = await SlaService.saveThreshold(req.params.priority, req.body.atRiskHours, req.user.id);
+
+        res.json({
+            message: `${threshold.priority} cases are at risk ${threshold.atRiskHours} working hours before an SLA target is due`,
+            threshold
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
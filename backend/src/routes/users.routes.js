@@ -6,6 +6,8 @@ const db = require('../config/db');
 const { authenticate } = require('../middleware/auth');
 const { requireAdmin, requireManager } = require('../middleware/rbac');
 const { ROLES } = require('../config/constants');
+const AuditService = require('../services/audit.service');
+const { HttpError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -112,16 +114,22 @@ router.post('/', requireAdmin, [
         const passwordHash = await bcrypt.hash(password, 12);
 
         // Create user
-        const result = await db.query(
-            `INSERT INTO users (name, email, password_hash, role)
+        const user = await db.withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO users (name, email, password_hash, role)
        VALUES ($1, $2, $3, $4)
        RETURNING id, name, email, role, created_at`,
-            [name, email, passwordHash, role]
-        );
+                [name, email, passwordHash, role]
+            );
+
+            await AuditService.logUserCreated(result.rows[0], req.user.id, AuditService.getRequestContext(req), client);
+
+            return result.rows[0];
+        });
 
         res.status(201).json({
             message: 'User created successfully',
-            user: result.rows[0]
+            user
         });
     } catch (error) {
         next(error);
@@ -147,45 +155,51 @@ router.put('/:id', requireAdmin, [
         const { id } = req.params;
         const { name, email, role } = req.body;
 
-        // Check user exists
-        const existing = await db.query('SELECT id FROM users WHERE id = $1', [id]);
-        if (existing.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        // Build update query
-        const updates = [];
-        const values = [];
-        let paramIndex = 1;
-
-        if (name) {
-            updates.push(`name = $${paramIndex++}`);
-            values.push(name);
-        }
-        if (email) {
-            updates.push(`email = $${paramIndex++}`);
-            values.push(email);
-        }
-        if (role) {
-            updates.push(`role = $${paramIndex++}`);
-            values.push(role);
-        }
-
-        if (updates.length === 0) {
+        if (!name && !email && !role) {
             return res.status(400).json({ error: 'No fields to update' });
         }
 
-        updates.push(`updated_at = NOW()`);
-        values.push(id);
-
-        const result = await db.query(
-            `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING id, name, email, role`,
-            values
-        );
+        const user = await db.withTransaction(async (client) => {
+            // Check user exists
+            const existing = await client.query(
+                'SELECT id, name, email, role FROM users WHERE id = $1 FOR UPDATE',
+                [id]
+            );
+            if (existing.rows.length === 0) {
+                throw new HttpError(404, 'User not found');
+            }
+
+            const changes = AuditService.diffChanges(existing.rows[0], { name, email, role }, ['name', 'email', 'role']);
+            if (Object.keys(changes).length === 0) {
+                return existing.rows[0];
+            }
+
+            // Build update query
+            const updates = [];
+            const values = [];
+            let paramIndex = 1;
+
+            for (const [field, { to }] of Object.entries(changes)) {
+                updates.push(`${field} = $${paramIndex++}`);
+                values.push(to);
+            }
+
+            updates.push(`updated_at = NOW()`);
+            values.push(id);
+
+            const result = await client.query(
+                `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING id, name, email, role`,
+                values
+            );
+
+            await AuditService.logUserUpdated(id, req.user.id, changes, AuditService.getRequestContext(req), client);
+
+            return result.rows[0];
+        });
 
         res.json({
             message: 'User updated successfully',
-            user: result.rows[0]
+            user
         });
     } catch (error) {
         next(error);
@@ -207,11 +221,18 @@ router.delete('/:id', requireAdmin, [
             return res.status(400).json({ error: 'Cannot delete your own account' });
         }
 
-        const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+        await db.withTransaction(async (client) => {
+            const result = await client.query(
+                'DELETE FROM users WHERE id = $1 RETURNING id, name, email, role',
+                [id]
+            );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+            if (result.rows.length === 0) {
+                throw new HttpError(404, 'User not found');
+            }
+
+            await AuditService.logUserDeleted(result.rows[0], req.user.id, AuditService.getRequestContext(req), client);
+        });
 
         res.json({ message: 'User deleted successfully' });
     } catch (error) {
@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const { authenticate } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const ViewService = require('../services/view.service');
+const { parseCaseFilters } = require('../utils/caseFilters');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const viewValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+        field('filters').isObject().withMessage('Filters must be an object'),
+        body('shared').optional().isBoolean({ strict: true }).withMessage('Shared must be true or false')
+    ];
+};
+
+/**
+ * Load the view named in the URL, which only its owner may change
+ * Admins may also delete any view.
+ */
+const loadOwnView = (allowAdmin) => async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const view = await ViewService.get(req.params.id);
+        if (!view || (view.owner_id !== req.user.id && !view.shared)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+        if (view.owner_id !== req.user.id && !(allowAdmin && req.user.role === ROLES.ADMIN)) {
+            return res.status(403).json({ error: 'Only the owner can change this view' });
+        }
+
+        req.view = view;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/views
+ * Saved case list views: your own, then those shared by others
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const views = await ViewService.list(req.user.id);
+        res.json({ views });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/views
+ * Save the current case list filters as a view
+ */
+router.post('/', viewValidators(false), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, filters, shared } = req.body;
+        const view = await ViewService.create(req.user.id, {
+            name,
+            filters: parseCaseFilters(filters, { strict: true }),
+            shared
+        });
+
+        res.status(201).json({
+            message: 'View saved',
+            view
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/views/:id
+ * Rename, refilter, share or unshare one of your views
+ */
+router.put('/:id', [
+    param('id').isInt().toInt(),
+    ...viewValidators(true)
+], loadOwnView(false), async (req, res, next) => {
+    try {
+        const { name, filters, shared } = req.body;
+        const view = await ViewService.update(req.view.id, {
+            name,
+            filters: filters && parseCaseFilters(filters, { strict: true }),
+            shared
+        });
+
+        res.json({
+            message: 'View updated',
+            view
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/views/:id
+ * Delete one of your views (Admins can delete any shared view)
+ */
+router.delete('/:id', [
+    param('id').isInt().toInt()
+], loadOwnView(true), async (req, res, next) => {
+    try {
+        await ViewService.delete(req.view.id);
+        res.json({ message: `View '${req.view.name}' deleted` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/rbac');
+const { CATEGORY, WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = require('../config/constants');
+const WebhookService = require('../services/webhook.service');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(authenticate, requireAdmin);
+
+const subscriptionValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+        field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('URL must be an http(s) URL'),
+        field('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+        body('events.*').isIn(Object.values(WEBHOOK_EVENTS)).withMessage('Unknown event'),
+        body('categories').optional().isArray().withMessage('Categories must be an array'),
+        body('categories.*').isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+        body('active').optional().isBoolean({ strict: true }).withMessage('Active must be true or false')
+    ];
+};
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions and the events they can subscribe to (Admin only)
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const subscriptions = await WebhookService.getSubscriptions();
+        res.json({ subscriptions, events: Object.values(WEBHOOK_EVENTS) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook subscription (Admin only)
+ * The signing secret is only returned here.
+ */
+router.post('/', subscriptionValidators(false), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, url, events, categories, active } = req.body;
+        const subscription = await WebhookService.createSubscription(
+            { name, url, events: [...new Set(events)], categories, active },
+            req.user.id
+        );
+
+        res.status(201).json({
+            message: 'Webhook subscription created',
+            subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Change a webhook subscription (Admin only)
+ */
+router.put('/:id', [
+    param('id').isInt().toInt(),
+    ...subscriptionValidators(true)
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, url, events, categories, active } = req.body;
+        const subscription = await WebhookService.updateSubscription(req.params.id, {
+            name,
+            url,
+            events: events && [...new Set(events)],
+            categories,
+            active
+        });
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        res.json({
+            message: 'Webhook subscription updated',
+            subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook subscription and its delivery log (Admin only)
+ */
+router.delete('/:id', [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const subscription = await WebhookService.deleteSubscription(req.params.id);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        res.json({ message: `Webhook subscription '${subscription.name}' deleted` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a subscription, newest first (Admin only)
+ */
+router.get('/:id/deliveries', [
+    param('id').isInt().toInt(),
+    query('status').optional().isIn(Object.values(WEBHOOK_DELIVERY_STATUS)).withMessage('Invalid status'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status, limit } = req.query;
+        const deliveries = await WebhookService.getDeliveries(req.params.id, { status, limit });
+        res.json({ deliveries });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event to a subscription now and report the result (Admin only)
+ */
+router.post('/:id/test', [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const subscription = await WebhookService.getSubscription(req.params.id);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        const delivery = await WebhookService.sendTest(subscription, req.user.id);
+        const delivered = delivery.status === WEBHOOK_DELIVERY_STATUS.DELIVERED;
+
+        res.json({
+            message: delivered ? 'Test event delivered' : `Test event failed: ${delivery.last_error}`,
+            delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Queue a delivery again with its original payload (Admin only)
+ */
+router.post('/deliveries/:deliveryId/replay', [
+    param('deliveryId').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const delivery = await WebhookService.replay(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook delivery not found' });
+        }
+
+        res.status(202).json({
+            message: 'Delivery queued for replay',
+            delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
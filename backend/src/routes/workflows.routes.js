@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const db = require('../config/db');
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin, requireManager } = require('../middleware/rbac');
+const { CATEGORY } = require('../config/constants');
+const WorkflowService = require('../services/workflow.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/workflows
+ * List workflow definition versions (Manager/Admin only)
+ */
+router.get('/', requireManager, async (req, res, next) => {
+    try {
+        const result = await db.query(`
+      SELECT
+        wd.id, wd.name, wd.version, wd.is_active, wd.created_at,
+        u.name as created_by_name,
+        (SELECT COUNT(*) FROM cases c WHERE c.workflow_id = wd.id) as case_count
+      FROM workflow_definitions wd
+      LEFT JOIN users u ON wd.created_by = u.id
+      ORDER BY wd.name, wd.version DESC
+    `);
+
+        res.json({
+            workflows: result.rows.map(row => ({
+                ...row,
+                case_count: parseInt(row.case_count)
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/workflows/categories
+ * Get the workflow bound to each category
+ */
+router.get('/categories', requireManager, async (req, res, next) => {
+    try {
+        const bindings = await WorkflowService.getCategoryBindings();
+        res.json({ bindings });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/workflows/categories/:category
+ * Bind a category to a workflow (Admin only)
+ * Existing cases keep the workflow version they were created under.
+ */
+router.put('/categories/:category', requireAdmin, [
+    param('category').isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+    body('workflowName').trim().notEmpty().withMessage('Workflow name is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { category } = req.params;
+        const { workflowName } = req.body;
+
+        const workflow = await WorkflowService.getActiveDefinition(workflowName);
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found or has no active version' });
+        }
+
+        const binding = await WorkflowService.bindCategory(category, workflowName, req.user.id);
+
+        res.json({
+            message: `${category} cases now follow workflow '${workflowName}'`,
+            binding
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/workflows/:id
+ * Get a workflow definition version with its states and transitions
+ */
+router.get('/:id', requireManager, [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const workflow = await WorkflowService.getDefinition(req.params.id);
+
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        res.json({ workflow });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/workflows
+ * Create a new workflow (Admin only)
+ */
+router.post('/', requireAdmin, [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('states').isArray({ min: 1 }).withMessage('States are required'),
+    body('transitions').isObject().withMessage('Transitions are required'),
+    body('guards').optional().isObject().withMessage('Guards must be an object'),
+    body('actions').optional().isObject().withMessage('Actions must be an object'),
+    body('creationActions').optional().isArray().withMessage('Creation actions must be an array'),
+    body('assignedState').optional({ values: 'null' }).isString().withMessage('Assigned state must be a state name')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, states, transitions, guards, actions, creationActions, assignedState } = req.body;
+        const definition = { states, transitions, guards, actions, creationActions, assignedState };
+
+        const definitionCheck = WorkflowService.validateDefinition(definition);
+        if (!definitionCheck.valid) {
+            return res.status(400).json({
+                error: 'Invalid workflow definition',
+                errors: definitionCheck.errors
+            });
+        }
+
+        const existing = await db.query('SELECT id FROM workflow_definitions WHERE name = $1 LIMIT 1', [name]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'Workflow already exists' });
+        }
+
+        const workflow = await WorkflowService.createVersion(name, definition, req.user.id);
+
+        res.status(201).json({
+            message: 'Workflow created successfully',
+            workflow
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/workflows/:id
+ * Publish a new version of a workflow (Admin only)
+ * Cases created under earlier versions keep following them.
+ */
+router.put('/:id', requireAdmin, [
+    param('id').isInt().toInt(),
+    body('states').isArray({ min: 1 }).withMessage('States are required'),
+    body('transitions').isObject().withMessage('Transitions are required'),
+    body('guards').optional().isObject().withMessage('Guards must be an object'),
+    body('actions').optional().isObject().withMessage('Actions must be an object'),
+    body('creationActions').optional().isArray().withMessage('Creation actions must be an array'),
+    body('assignedState').optional({ values: 'null' }).isString().withMessage('Assigned state must be a state name')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { states, transitions, guards, actions, creationActions, assignedState } = req.body;
+        const definition = { states, transitions, guards, actions, creationActions, assignedState };
+
+        const current = await WorkflowService.getDefinition(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        const definitionCheck = WorkflowService.validateDefinition(definition);
+        if (!definitionCheck.valid) {
+            return res.status(400).json({
+                error: 'Invalid workflow definition',
+                errors: definitionCheck.errors
+            });
+        }
+
+        const workflow = await WorkflowService.createVersion(current.name, definition, req.user.id);
+
+        res.json({
+            message: `Workflow '${workflow.name}' published as version ${workflow.version}`,
+            workflow
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/workflows/:id/activate
+ * Make an earlier version the active one for new cases (Admin only)
+ */
+router.put('/:id/activate', requireAdmin, [
+    param('id').isInt().toInt()
+], async (req, res, next) => {
+    try {
+        const workflow = await WorkflowService.activateVersion(req.params.id);
+
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        res.json({
+            message: `Workflow '${workflow.name}' version ${workflow.version} activated`,
+            workflow
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -4,16 +4,49 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 
+const attachmentRoutes = require('./routes/attachments.routes');
+const auditRoutes = require('./routes/audit.routes');
 const authRoutes = require('./routes/auth.routes');
 const caseRoutes = require('./routes/cases.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
+const eventRoutes = require('./routes/events.routes');
+const notificationRoutes = require('./routes/notifications.routes');
+const slaRoutes = require('./routes/sla.routes');
 const userRoutes = require('./routes/users.routes');
+const viewRoutes = require('./routes/views.routes');
+const webhookRoutes = require('./routes/webhooks.routes');
+const workflowRoutes = require('./routes/workflows.routes');
+
+const EmailService = require('./services/email.service');
+const EscalationService = require('./services/escalation.service');
+const NotificationService = require('./services/notification.service');
+const RealtimeService = require('./services/realtime.service');
+const WebhookService = require('./services/webhook.service');
 
 const errorHandler = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/logger');
+const { omitSearchVectors } = require('./utils/search');
 
 const app = express();
 
+// In-app notification center
+NotificationService.subscribe();
+
+// Live case updates for connected browsers
+RealtimeService.subscribe();
+
+// Email channel, when EMAIL_TRANSPORT is set
+if (EmailService.getTransport()) {
+    EmailService.subscribe();
+}
+
+// Behind a load balancer, trust its X-Forwarded-For so audited IPs are the client's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+        ? parseInt(process.env.TRUST_PROXY, 10)
+        : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -34,9 +67,13 @@ app.use(cors({
         }
         return callback(null, false);
     },
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
 }));
 
+// Search vectors come back with every `SELECT c.*` but are never part of a response
+app.set('json replacer', omitSearchVectors);
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -50,10 +87,18 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/audit', auditRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/cases/:id/attachments', attachmentRoutes);
 app.use('/api/cases', caseRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sla', slaRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/workflows', workflowRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -82,9 +127,31 @@ const startServer = async () => {
             console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
         });
 
+        // SLA monitor; every instance scans and each event still fires once
+        const slaMonitorSeconds = parseInt(process.env.SLA_MONITOR_INTERVAL_SECONDS || '60', 10);
+        if (slaMonitorSeconds > 0) {
+            EscalationService.start({ intervalMs: slaMonitorSeconds * 1000 });
+        }
+
+        // Email queue; every instance sends and each message still goes once
+        const emailQueueSeconds = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS || '10', 10);
+        if (EmailService.getTransport() && emailQueueSeconds > 0) {
+            EmailService.start({ intervalMs: emailQueueSeconds * 1000 });
+        }
+
+        // Webhook queue; every instance sends and each delivery still goes once
+        const webhookQueueSeconds = parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS || '10', 10);
+        if (webhookQueueSeconds > 0) {
+            WebhookService.start({ intervalMs: webhookQueueSeconds * 1000 });
+        }
+
         // Graceful shutdown
         process.on('SIGTERM', () => {
             console.log('SIGTERM received. Shutting down gracefully...');
+            EscalationService.stop();
+            EmailService.stop();
+            WebhookService.stop();
+            RealtimeService.disconnectAll();
             server.close(() => {
                 console.log('Server closed.');
                 process.exit(0);
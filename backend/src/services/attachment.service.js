@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const db = require('../config/db');
+const { createStorage } = require('../config/storage');
+const { ATTACHMENT_TYPES, ATTACHMENT_LIMITS } = require('../config/constants');
+const AuditService = require('./audit.service');
+const { HttpError } = require('../utils/errors');
+
+const MB = 1024 * 1024;
+
+// Columns returned to clients; storage keys stay on the server
+const ATTACHMENT_COLUMNS = `a.id, a.case_id, a.comment_id, a.filename, a.content_type,
+        a.size_bytes, a.uploaded_by, a.created_at`;
+
+let storage;
+
+/**
+ * Attachment Service - Files attached to cases and comments
+ *
+ * Files go to the configured storage (config/storage) first and are then
+ * recorded, with an audit entry each, in one transaction; if that fails the
+ * stored files are removed again. Deleting works the other way round, so a
+ * failure can at worst leave an unreferenced file behind, never a row
+ * pointing at a missing one.
+ */
+class AttachmentService {
+    /**
+     * Storage configured by STORAGE_DRIVER, created on first use
+     * unless one was set with useStorage
+     * @returns {Object}
+     */
+    static getStorage() {
+        if (storage === undefined) {
+            storage = createStorage();
+        }
+        return storage;
+    }
+
+    /**
+     * Store files in a given storage instead of the configured one
+     * @param {Object} value - { name, put, get, remove }
+     */
+    static useStorage(value) {
+        storage = value;
+    }
+
+    /**
+     * Largest file that can be uploaded, in bytes
+     * @param {Object} [env]
+     * @returns {number}
+     */
+    static getMaxFileBytes(env = process.env) {
+        return Math.round((parseFloat(env.ATTACHMENT_MAX_MB) || ATTACHMENT_LIMITS.MAX_FILE_MB) * MB);
+    }
+
+    /**
+     * Content type a file is stored and served with, from its extension
+     * @param {string} filename
+     * @returns {string|null} Null when the type cannot be attached
+     */
+    static getContentType(filename) {
+        return ATTACHMENT_TYPES[path.extname(filename).toLowerCase()] || null;
+    }
+
+    /**
+     * Get a case's attachments, newest first
+     * @param {number} caseId
+     * @returns {Promise<Object[]>}
+     */
+    static async list(caseId) {
+        const result = await db.query(
+            `SELECT ${ATTACHMENT_COLUMNS}, u.name as uploaded_by_name
+       FROM attachments a
+       JOIN users u ON a.uploaded_by = u.id
+       WHERE a.case_id = $1
+       ORDER BY a.created_at DESC, a.id DESC`,
+            [caseId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Get one attachment of a case, with its storage key
+     * @param {number} caseId
+     * @param {number} attachmentId
+     * @returns {Promise<Object|null>}
+     */
+    static async get(caseId, attachmentId) {
+        const result = await db.query(
+            'SELECT * FROM attachments WHERE id = $1 AND case_id = $2',
+            [attachmentId, caseId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Store uploaded files and attach them to a case
+     * @param {number} caseId
+     * @param {Object[]} files - { originalname, buffer, size } as multer parses them
+     * @param {Object} options - { commentId } to attach them to a comment of the case
+     * @param {number} userId
+     * @returns {Promise<Object[]>} Attachments
+     */
+    static async upload(caseId, files, { commentId = null } = {}, userId) {
+        const activeStorage = this.getStorage();
+        const stored = [];
+
+        try {
+            for (const file of files) {
+                const filename = path.basename(file.originalname).replace(/[\u0000-\u001f"\\]/g, '_').slice(-255);
+                const contentType = this.getContentType(filename);
+                const storageKey = `cases/${caseId}/${crypto.randomUUID()}${path.extname(filename).toLowerCase()}`;
+                await activeStorage.put(storageKey, file.buffer, contentType);
+                stored.push({ storageKey, filename, contentType, size: file.size });
+            }
+
+            return await db.withTransaction(async (client) => {
+                if (commentId) {
+                    const comment = await client.query(
+                        'SELECT id FROM comments WHERE id = $1 AND case_id = $2',
+                        [commentId, caseId]
+                    );
+                    if (comment.rows.length === 0) {
+                        throw new HttpError(400, 'Comment not found on this case');
+                    }
+                }
+
+                const attachments = [];
+                for (const { storageKey, filename, contentType, size } of stored) {
+                    const result = await client.query(
+                        `INSERT INTO attachments (case_id, comment_id, storage_key, filename, content_type, size_bytes, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, case_id, comment_id, filename, content_type, size_bytes, uploaded_by, created_at`,
+                        [caseId, commentId, storageKey, filename, contentType, size, userId]
+                    );
+                    attachments.push(result.rows[0]);
+                }
+
+                // Audit entries last: the first one holds the chain lock until commit
+                for (const attachment of attachments) {
+                    await AuditService.logAttachmentAdded(caseId, userId, {
+                        attachmentId: attachment.id,
+                        commentId,
+                        filename: attachment.filename,
+                        sizeBytes: attachment.size_bytes
+                    }, client);
+                }
+                return attachments;
+            });
+        } catch (error) {
+            await Promise.allSettled(stored.map(({ storageKey }) => activeStorage.remove(storageKey)));
+            throw error;
+        }
+    }
+
+    /**
+     * Open an attachment's content
+     * @param {Object} attachment - Row from get
+     * @returns {Promise<Readable|null>} Null when the file is missing from storage
+     */
+    static async open(attachment) {
+        return this.getStorage().get(attachment.storage_key);
+    }
+
+    /**
+     * Delete an attachment and its file
+     * @param {Object} attachment - Row from get
+     * @param {number} userId
+     */
+    static async remove(attachment, userId) {
+        await db.withTransaction(async (client) => {
+            await client.query('DELETE FROM attachments WHERE id = $1', [attachment.id]);
+            await AuditService.logAttachmentDeleted(attachment.case_id, userId, {
+                attachmentId: attachment.id,
+                commentId: attachment.comment_id,
+                filename: attachment.filename
+            }, client);
+        });
+
+        try {
+            await this.getStorage().remove(attachment.storage_key);
+        } catch (error) {
+            console.error(`Failed to remove stored file ${attachment.storage_key}:`, error);
+        }
+    }
+}
+
+module.exports = AttachmentService;
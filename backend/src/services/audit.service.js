@@ -1,27 +1,105 @@
 const db = require('../config/db');
 const { AUDIT_ACTIONS } = require('../config/constants');
+const { HttpError } = require('../utils/errors');
+const WebhookService = require('./webhook.service');
+
+// Entries read per query when verifying the hash chain
+const VERIFY_BATCH_SIZE = 1000;
+
+/**
+ * Cursors are opaque to clients; they wrap the id of the last entry returned
+ */
+function encodeCursor(id) {
+    return Buffer.from(String(id)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const id = parseInt(Buffer.from(cursor, 'base64url').toString(), 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Normalise a column value so equal dates compare equal and JSON stays readable
+ */
+function toAuditValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Turn an audit row into a list of { field, from, to } changes.
+ * Entries written before diffs were recorded only have the new values.
+ */
+function describeChanges(entry) {
+    switch (entry.action) {
+        case AUDIT_ACTIONS.STATUS_CHANGED:
+            return [{ field: 'status', from: entry.previous_status, to: entry.new_status }];
+        case AUDIT_ACTIONS.CASE_ASSIGNED:
+            return [{
+                field: 'assigned_to',
+                from: entry.previous_assignee_name || null,
+                to: entry.new_assignee_name || null
+            }];
+        case AUDIT_ACTIONS.CASE_UPDATED:
+        case AUDIT_ACTIONS.USER_UPDATED:
+        case AUDIT_ACTIONS.USER_ROLE_CHANGED:
+            return Object.entries(entry.details?.changes || {})
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([field, value]) => (
+                    typeof value === 'object' && 'to' in value
+                        ? { field, from: value.from, to: value.to }
+                        : { field, from: null, to: value }
+                ));
+        default:
+            return [];
+    }
+}
 
 /**
  * Audit Service - Immutable logging of all case actions
+ * Every log method takes an optional trailing client for use inside
+ * db.withTransaction.
+ *
+ * The database chains entries on insert (each row's hash covers its
+ * content and the previous row's hash) and rejects UPDATE and DELETE;
+ * see case_audit_log_chain in the migrations. Chaining takes a lock held
+ * until the transaction ends, so log as the last step of a transaction.
+ *
+ * Case entries are also the source of outbound webhooks (WebhookService).
  */
 class AuditService {
     /**
-     * Log a case creation event
+     * Log a case creation event, with the initial state of the case's workflow
      */
-    static async logCaseCreated(caseId, performedBy, details = {}) {
+    static async logCaseCreated(caseId, newStatus, performedBy, details = {}, client = db) {
         return this.log({
             caseId,
             action: AUDIT_ACTIONS.CASE_CREATED,
-            newStatus: 'Created',
+            newStatus,
             performedBy,
             details
-        });
+        }, client);
+    }
+
+    /**
+     * Log a case created by an import rather than POST /api/cases
+     */
+    static async logCaseImported(caseId, newStatus, performedBy, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.CASE_IMPORTED,
+            newStatus,
+            performedBy,
+            details
+        }, client);
     }
 
     /**
      * Log a status transition
      */
-    static async logStatusChange(caseId, previousStatus, newStatus, performedBy, details = {}) {
+    static async logStatusChange(caseId, previousStatus, newStatus, performedBy, details = {}, client = db) {
         return this.log({
             caseId,
             action: AUDIT_ACTIONS.STATUS_CHANGED,
@@ -29,13 +107,13 @@ class AuditService {
             newStatus,
             performedBy,
             details
-        });
+        }, client);
     }
 
     /**
      * Log a case assignment
      */
-    static async logAssignment(caseId, previousAssignee, newAssignee, performedBy, details = {}) {
+    static async logAssignment(caseId, previousAssignee, newAssignee, performedBy, details = {}, client = db) {
         return this.log({
             caseId,
             action: AUDIT_ACTIONS.CASE_ASSIGNED,
@@ -43,63 +121,418 @@ class AuditService {
             newAssignee,
             performedBy,
             details
-        });
+        }, client);
     }
 
     /**
      * Log a case update
      */
-    static async logCaseUpdate(caseId, performedBy, details = {}) {
+    static async logCaseUpdate(caseId, performedBy, details = {}, client = db) {
         return this.log({
             caseId,
             action: AUDIT_ACTIONS.CASE_UPDATED,
             performedBy,
             details
-        });
+        }, client);
+    }
+
+    /**
+     * Where a request came from, recorded on authentication and user
+     * administration entries
+     * @param {Object} req - Express request
+     * @returns {Object} { ip, userAgent }
+     */
+    static getRequestContext(req) {
+        return {
+            ip: req.ip || null,
+            userAgent: req.get('User-Agent') || null
+        };
+    }
+
+    /**
+     * Log a self-service registration
+     */
+    static async logUserRegistered(user, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.USER_REGISTERED,
+            performedBy: user.id,
+            details: { targetUserId: user.id, email: user.email, role: user.role, ...context }
+        }, client);
+    }
+
+    /**
+     * Log a successful login
+     */
+    static async logLoginSucceeded(user, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.LOGIN_SUCCEEDED,
+            performedBy: user.id,
+            details: { targetUserId: user.id, email: user.email, ...context }
+        }, client);
+    }
+
+    /**
+     * Log a failed login
+     * @param {Object|null} user - Account the email belongs to, if any
+     * @param {string} email - Email that was tried
+     * @param {string} reason
+     */
+    static async logLoginFailed(user, email, reason, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.LOGIN_FAILED,
+            performedBy: null,
+            details: { ...(user && { targetUserId: user.id }), email, reason, ...context }
+        }, client);
+    }
+
+    /**
+     * Log a user changing their own password
+     */
+    static async logPasswordChanged(userId, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+            performedBy: userId,
+            details: { targetUserId: userId, ...context }
+        }, client);
+    }
+
+    /**
+     * Log a user account being created
+     */
+    static async logUserCreated(targetUser, performedBy, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.USER_CREATED,
+            performedBy,
+            details: {
+                targetUserId: targetUser.id,
+                email: targetUser.email,
+                role: targetUser.role,
+                ...context
+            }
+        }, client);
+    }
+
+    /**
+     * Log changes to a user account
+     * Recorded as USER_ROLE_CHANGED when the role is among the changes.
+     */
+    static async logUserUpdated(targetUserId, performedBy, changes, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: changes.role ? AUDIT_ACTIONS.USER_ROLE_CHANGED : AUDIT_ACTIONS.USER_UPDATED,
+            performedBy,
+            details: { targetUserId, changes, ...context }
+        }, client);
+    }
+
+    /**
+     * Log a user account being deleted
+     */
+    static async logUserDeleted(targetUser, performedBy, context = {}, client = db) {
+        return this.log({
+            caseId: null,
+            action: AUDIT_ACTIONS.USER_DELETED,
+            performedBy,
+            details: {
+                targetUserId: targetUser.id,
+                name: targetUser.name,
+                email: targetUser.email,
+                role: targetUser.role,
+                ...context
+            }
+        }, client);
+    }
+
+    /**
+     * Compare two versions of a row
+     * @param {Object} before - Row before the change
+     * @param {Object} after - Row after the change (or the requested values)
+     * @param {string[]} fields - Columns to compare; fields missing from after are skipped
+     * @returns {Object} { [field]: { from, to } } for changed fields only
+     */
+    static diffChanges(before, after, fields) {
+        const changes = {};
+
+        for (const field of fields) {
+            if (after[field] === undefined) {
+                continue;
+            }
+
+            const from = toAuditValue(before[field]);
+            const to = toAuditValue(after[field]);
+            if (from !== to) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return changes;
     }
 
     /**
      * Log comment added
      */
-    static async logCommentAdded(caseId, performedBy, details = {}) {
+    static async logCommentAdded(caseId, performedBy, details = {}, client = db) {
         return this.log({
             caseId,
             action: AUDIT_ACTIONS.COMMENT_ADDED,
             performedBy,
             details
-        });
+        }, client);
+    }
+
+    /**
+     * Log a file attached to a case
+     */
+    static async logAttachmentAdded(caseId, performedBy, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.ATTACHMENT_ADDED,
+            performedBy,
+            details
+        }, client);
+    }
+
+    /**
+     * Log an attachment deleted from a case
+     */
+    static async logAttachmentDeleted(caseId, performedBy, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.ATTACHMENT_DELETED,
+            performedBy,
+            details
+        }, client);
+    }
+
+    /**
+     * Log a successful automation action
+     */
+    static async logAutomationExecuted(caseId, performedBy, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.AUTOMATION_EXECUTED,
+            performedBy,
+            details
+        }, client);
+    }
+
+    /**
+     * Log a failed automation action
+     */
+    static async logAutomationFailed(caseId, performedBy, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.AUTOMATION_FAILED,
+            performedBy,
+            details
+        }, client);
+    }
+
+    /**
+     * Log an SLA target breached while the case was open
+     * Recorded by the SLA monitor, so there is no actor.
+     */
+    static async logSlaBreached(caseId, details = {}, client = db) {
+        return this.log({
+            caseId,
+            action: AUDIT_ACTIONS.SLA_BREACHED,
+            performedBy: null,
+            details
+        }, client);
     }
 
     /**
      * Core logging function
+     * Pass a transaction client so the entry commits or rolls back with the
+     * change it records.
      */
-    static async log({ caseId, action, previousStatus, newStatus, previousAssignee, newAssignee, performedBy, details }) {
-        const result = await db.query(
+    static async log({ caseId, action, previousStatus, newStatus, previousAssignee, newAssignee, performedBy, details }, client = db) {
+        const result = await client.query(
             `INSERT INTO case_audit_log
        (case_id, action, previous_status, new_status, previous_assignee, new_assignee, performed_by, details)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
             [caseId, action, previousStatus, newStatus, previousAssignee, newAssignee, performedBy, JSON.stringify(details)]
         );
+
+        // Queued in the same transaction, so webhooks only go out for committed changes
+        await WebhookService.enqueue(result.rows[0], client);
+
         return result.rows[0];
     }
 
     /**
-     * Get audit trail for a case
+     * Search the whole audit log, newest first
+     * @param {Object} filters - { actorId, actions, caseId, caseRef, fromStatus, toStatus, from, to, targetUserId }
+     * @param {Object} page - { cursor, limit }
+     * @returns {Promise<Object>} { entries, nextCursor } (nextCursor is null on the last page)
+     */
+    static async search(filters = {}, { cursor, limit = 50 } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (filters.actorId) {
+            conditions.push(`cal.performed_by = $${params.length + 1}`);
+            params.push(filters.actorId);
+        }
+        if (filters.actions?.length) {
+            conditions.push(`cal.action = ANY($${params.length + 1})`);
+            params.push(filters.actions);
+        }
+        if (filters.caseId) {
+            conditions.push(`cal.case_id = $${params.length + 1}`);
+            params.push(filters.caseId);
+        }
+        if (filters.caseRef) {
+            conditions.push(`c.case_id = $${params.length + 1}`);
+            params.push(filters.caseRef);
+        }
+        if (filters.fromStatus) {
+            conditions.push(`cal.previous_status = $${params.length + 1}`);
+            params.push(filters.fromStatus);
+        }
+        if (filters.toStatus) {
+            conditions.push(`cal.new_status = $${params.length + 1}`);
+            params.push(filters.toStatus);
+        }
+        if (filters.from) {
+            conditions.push(`cal.timestamp >= $${params.length + 1}`);
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push(`cal.timestamp < $${params.length + 1}`);
+            params.push(filters.to);
+        }
+        if (filters.targetUserId) {
+            conditions.push(`cal.details->>'targetUserId' = $${params.length + 1}`);
+            params.push(String(filters.targetUserId));
+        }
+        if (cursor) {
+            const afterId = decodeCursor(cursor);
+            if (!afterId) {
+                throw new HttpError(400, 'Invalid cursor');
+            }
+            conditions.push(`cal.id < $${params.length + 1}`);
+            params.push(afterId);
+        }
+
+        const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        // Fetch one extra row to know whether another page exists
+        const result = await db.query(
+            `SELECT
+        cal.*,
+        c.case_id as case_ref,
+        u.name as performed_by_name,
+        pa.name as previous_assignee_name,
+        na.name as new_assignee_name
+       FROM case_audit_log cal
+       LEFT JOIN cases c ON cal.case_id = c.id
+       LEFT JOIN users u ON cal.performed_by = u.id
+       LEFT JOIN users pa ON cal.previous_assignee = pa.id
+       LEFT JOIN users na ON cal.new_assignee = na.id
+       ${whereClause}
+       ORDER BY cal.id DESC
+       LIMIT $${params.length + 1}`,
+            [...params, limit + 1]
+        );
+
+        const entries = result.rows.slice(0, limit).map(entry => ({
+            ...entry,
+            changes: describeChanges(entry)
+        }));
+        const hasMore = result.rows.length > limit;
+
+        return {
+            entries,
+            nextCursor: hasMore ? encodeCursor(entries[entries.length - 1].id) : null
+        };
+    }
+
+    /**
+     * Walk the hash chain in id order and report the first broken link
+     * Deleted or reordered entries show up as a prev_hash mismatch,
+     * edited entries as a hash mismatch.
+     * @returns {Promise<Object>} { valid, checked, headHash, brokenAt? }
+     */
+    static async verifyChain() {
+        let previousHash = null;
+        let lastId = 0;
+        let checked = 0;
+
+        for (;;) {
+            const result = await db.query(
+                `SELECT id, case_id, action, timestamp, prev_hash, hash,
+          case_audit_log_hash(cal) as expected_hash
+         FROM case_audit_log cal
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+                [lastId, VERIFY_BATCH_SIZE]
+            );
+
+            for (const entry of result.rows) {
+                let reason = null;
+                if (entry.prev_hash !== previousHash) {
+                    reason = 'Entry does not link to the previous entry';
+                } else if (entry.hash !== entry.expected_hash) {
+                    reason = 'Entry content does not match its hash';
+                }
+
+                if (reason) {
+                    return {
+                        valid: false,
+                        checked,
+                        headHash: previousHash,
+                        brokenAt: {
+                            id: entry.id,
+                            caseId: entry.case_id,
+                            action: entry.action,
+                            timestamp: entry.timestamp,
+                            reason
+                        }
+                    };
+                }
+
+                previousHash = entry.hash;
+                lastId = entry.id;
+                checked++;
+            }
+
+            if (result.rows.length < VERIFY_BATCH_SIZE) {
+                return { valid: true, checked, headHash: previousHash };
+            }
+        }
+    }
+
+    /**
+     * Get audit trail for a case, newest first, with each entry's field changes
      */
     static async getAuditTrail(caseId) {
         const result = await db.query(
             `SELECT
         cal.*,
         u.name as performed_by_name,
-        u.email as performed_by_email
+        u.email as performed_by_email,
+        pa.name as previous_assignee_name,
+        na.name as new_assignee_name
        FROM case_audit_log cal
-       JOIN users u ON cal.performed_by = u.id
+       LEFT JOIN users u ON cal.performed_by = u.id
+       LEFT JOIN users pa ON cal.previous_assignee = pa.id
+       LEFT JOIN users na ON cal.new_assignee = na.id
        WHERE cal.case_id = $1
-       ORDER BY cal.timestamp DESC`,
+       ORDER BY cal.timestamp DESC, cal.id DESC`,
             [caseId]
         );
-        return result.rows;
+        return result.rows.map(entry => ({
+            ...entry,
+            changes: describeChanges(entry)
+        }));
     }
 }
 
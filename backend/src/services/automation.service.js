@@ -0,0 +1,343 @@
+const db = require('../config/db');
+const { ACTION_TYPES, PRIORITY, EVENTS } = require('../config/constants');
+const AuditService = require('./audit.service');
+const EventService = require('./event.service');
+const SlaService = require('./sla.service');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Automation Service - Actions fired when a case changes state
+ *
+ * Actions are configured per transition on the workflow definition
+ * ({ [fromStatus]: { [toStatus]: [actions] } }) and as creation actions.
+ * A failing action never fails the request that triggered it; the
+ * failure is recorded in the audit log instead.
+ *
+ * Actions run after the triggering change has committed, so those that
+ * change the case lock it again in a transaction of their own and work
+ * from the locked row, like CaseService does.
+ */
+class AutomationService {
+    /**
+     * Validate an action definition
+     * @param {Object} action
+     * @returns {string|null} Error message or null if valid
+     */
+    static validateAction(action) {
+        if (!action || !Object.values(ACTION_TYPES).includes(action.type)) {
+            return `Unknown action type: ${action?.type}`;
+        }
+
+        switch (action.type) {
+            case ACTION_TYPES.AUTO_ASSIGN:
+                if (action.assigneeId !== undefined && !Number.isInteger(action.assigneeId)) {
+                    return 'auto_assign assigneeId must be an integer';
+                }
+                break;
+            case ACTION_TYPES.ADD_COMMENT:
+                if (typeof action.text !== 'string' || !action.text.trim()) {
+                    return 'add_comment actions need text';
+                }
+                break;
+            case ACTION_TYPES.SET_PRIORITY:
+                if (!Object.values(PRIORITY).includes(action.priority)) {
+                    return 'set_priority actions need a valid priority';
+                }
+                break;
+            case ACTION_TYPES.NOTIFY_REQUESTER:
+                if (action.message !== undefined && typeof action.message !== 'string') {
+                    return 'notify_requester message must be a string';
+                }
+                break;
+            case ACTION_TYPES.WEBHOOK:
+                if (!/^https?:\/\/\S+$/.test(action.url || '')) {
+                    return 'webhook actions need an http(s) url';
+                }
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Run the actions configured on a transition
+     * @param {Object} caseData - Case row after the transition
+     * @param {string} fromStatus
+     * @param {string} toStatus
+     * @param {Object} workflow - Definition of the case's workflow
+     * @param {number} performedBy - User who triggered the transition
+     * @returns {Promise<Object>} { case, results }
+     */
+    static async runTransitionActions(caseData, fromStatus, toStatus, workflow, performedBy) {
+        const actions = workflow.actions?.[fromStatus]?.[toStatus] || [];
+        return this.runActions(actions, caseData, {
+            trigger: `${fromStatus} → ${toStatus}`,
+            fromStatus,
+            toStatus,
+            workflow,
+            performedBy
+        });
+    }
+
+    /**
+     * Run the actions configured for case creation
+     * @param {Object} caseData - Newly created case row
+     * @param {Object} workflow - Definition of the case's workflow
+     * @param {number} performedBy - User who created the case
+     * @returns {Promise<Object>} { case, results }
+     */
+    static async runCreationActions(caseData, workflow, performedBy) {
+        return this.runActions(workflow.creationActions || [], caseData, {
+            trigger: 'created',
+            toStatus: caseData.status,
+            workflow,
+            performedBy
+        });
+    }
+
+    /**
+     * Run actions in order, each seeing the case as left by the previous one
+     * @returns {Promise<Object>} { case, results: [{ type, success, error? }] }
+     */
+    static async runActions(actions, caseData, context) {
+        let current = caseData;
+        const results = [];
+
+        for (const action of actions) {
+            try {
+                const updated = await this.execute(action, current, context);
+                if (updated) {
+                    current = updated;
+                }
+                results.push({ type: action.type, success: true });
+            } catch (error) {
+                results.push({ type: action.type, success: false, error: error.message });
+
+                try {
+                    await AuditService.logAutomationFailed(current.id, context.performedBy, {
+                        trigger: context.trigger,
+                        action,
+                        error: error.message
+                    });
+                } catch (auditError) {
+                    console.error('Failed to record automation failure:', auditError);
+                }
+            }
+        }
+
+        return { case: current, results };
+    }
+
+    /**
+     * Execute a single action
+     * @returns {Promise<Object|null>} Updated case row, or null if unchanged
+     */
+    static async execute(action, caseData, context) {
+        switch (action.type) {
+            case ACTION_TYPES.AUTO_ASSIGN:
+                return this.autoAssign(action, caseData, context);
+            case ACTION_TYPES.ADD_COMMENT:
+                return this.addComment(action, caseData, context);
+            case ACTION_TYPES.SET_PRIORITY:
+                return this.setPriority(action, caseData, context);
+            case ACTION_TYPES.NOTIFY_REQUESTER:
+                return this.notifyRequester(action, caseData, context);
+            case ACTION_TYPES.WEBHOOK:
+                return this.callWebhook(action, caseData, context);
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    }
+
+    /**
+     * Assign to a fixed analyst or the analyst with the fewest open cases.
+     * Moves the case to its workflow's assigned state like a manual assignment would; actions of
+     * that implicit transition are not run.
+     */
+    static async autoAssign(action, caseData, { performedBy }) {
+        // Required here because workflow.service and case.service require this module
+        const WorkflowService = require('./workflow.service');
+        const CaseService = require('./case.service');
+
+        const assignment = await db.withTransaction(async (client) => {
+            // The case may have changed since the triggering change committed
+            const current = await CaseService.lock(caseData.id, client);
+
+            const assignee = action.assigneeId
+                ? await client.query(
+                    "SELECT id, name FROM users WHERE id = $1 AND role = 'analyst'",
+                    [action.assigneeId]
+                )
+                : await client.query(`
+          SELECT u.id, u.name
+          FROM users u
+          LEFT JOIN cases c ON c.assigned_to = u.id AND NOT ${WorkflowService.finalStateCondition()}
+          WHERE u.role = 'analyst'
+          GROUP BY u.id, u.name
+          ORDER BY COUNT(c.id), u.id
+          LIMIT 1
+        `);
+
+            if (assignee.rows.length === 0) {
+                throw new Error('No analyst available for auto-assignment');
+            }
+
+            const { id: assigneeId, name: assigneeName } = assignee.rows[0];
+            const workflow = await WorkflowService.getDefinitionForCase(current);
+            const newStatus = WorkflowService.getStateOnAssignment(workflow, current.status) || current.status;
+
+            const result = await client.query(
+                `UPDATE cases SET assigned_to = $1, status = $2, version = version + 1, updated_at = NOW() WHERE id = $3 RETURNING *`,
+                [assigneeId, newStatus, current.id]
+            );
+            const clock = await SlaService.updateClock(result.rows[0], workflow, client);
+
+            await AuditService.logAssignment(current.id, current.assigned_to, assigneeId, performedBy, {
+                assigneeName,
+                automated: true
+            }, client);
+
+            if (newStatus !== current.status) {
+                await AuditService.logStatusChange(current.id, current.status, newStatus, performedBy, {
+                    reason: 'Auto-transitioned on assignment',
+                    automated: true,
+                    ...(clock.sla && { sla: clock.sla })
+                }, client);
+            }
+
+            return { case: clock.case, previousAssignee: current.assigned_to };
+        });
+
+        await CaseService.publish(EVENTS.CASE_ASSIGNED, {
+            case: assignment.case,
+            previousAssignee: assignment.previousAssignee,
+            performedBy
+        });
+
+        return assignment.case;
+    }
+
+    /**
+     * Add a comment on behalf of the user who triggered the action
+     */
+    static async addComment(action, caseData, { performedBy }) {
+        await db.withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO comments (case_id, comment, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+                [caseData.id, action.text, performedBy]
+            );
+
+            await AuditService.logCommentAdded(caseData.id, performedBy, {
+                commentId: result.rows[0].id,
+                automated: true
+            }, client);
+        });
+
+        return null;
+    }
+
+    /**
+     * Change priority and recalculate the SLA due date
+     */
+    static async setPriority(action, caseData, { performedBy }) {
+        // Required here because case.service requires this module
+        const CaseService = require('./case.service');
+
+        const updated = await db.withTransaction(async (client) => {
+            const current = await CaseService.lock(caseData.id, client);
+            if (current.priority === action.priority) {
+                return null;
+            }
+
+            // Targets already met keep their due dates
+            const sla = await SlaService.calculateTargets(
+                action.priority,
+                current.category,
+                current.sla_paused_at || new Date()
+            );
+            const result = await client.query(
+                `UPDATE cases
+         SET priority = $1,
+             sla_due_at = CASE WHEN sla_resolved_at IS NULL THEN $2 ELSE sla_due_at END,
+             sla_response_due_at = CASE WHEN sla_responded_at IS NULL THEN $3 ELSE sla_response_due_at END,
+             version = version + 1, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+                [action.priority, sla.resolutionDueAt, sla.responseDueAt, current.id]
+            );
+
+            await AuditService.logCaseUpdate(current.id, performedBy, {
+                changes: AuditService.diffChanges(current, result.rows[0], ['priority', 'sla_response_due_at', 'sla_due_at']),
+                automated: true
+            }, client);
+
+            return result.rows[0];
+        });
+
+        return updated;
+    }
+
+    /**
+     * Publish a notification for the requester to subscribed channels
+     */
+    static async notifyRequester(action, caseData, { trigger, performedBy }) {
+        if (EventService.listenerCount(EVENTS.REQUESTER_NOTIFICATION) === 0) {
+            throw new Error('No notification channel is configured');
+        }
+
+        const results = await EventService.publish(EVENTS.REQUESTER_NOTIFICATION, {
+            case: caseData,
+            userId: caseData.created_by,
+            message: action.message || `Your case ${caseData.case_id} is now ${caseData.status}`,
+            trigger
+        });
+
+        const failure = results.find(r => r.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+
+        await AuditService.logAutomationExecuted(caseData.id, performedBy, {
+            trigger,
+            action: action.type,
+            recipient: caseData.created_by
+        });
+
+        return null;
+    }
+
+    /**
+     * POST the case and trigger to an external URL
+     */
+    static async callWebhook(action, caseData, { trigger, fromStatus, toStatus, performedBy }) {
+        const response = await fetch(action.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                trigger,
+                fromStatus: fromStatus || null,
+                toStatus,
+                case: caseData,
+                timestamp: new Date().toISOString()
+            }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+
+        await AuditService.logAutomationExecuted(caseData.id, performedBy, {
+            trigger,
+            action: action.type,
+            url: action.url,
+            status: response.status
+        });
+
+        return null;
+    }
+}
+
+module.exports = AutomationService;
@@ -0,0 +1,389 @@
+const db = require('../config/db');
+const { ROLES, EVENTS } = require('../config/constants');
+const WorkflowService = require('./workflow.service');
+const AuditService = require('./audit.service');
+const AutomationService = require('./automation.service');
+const EventService = require('./event.service');
+const SlaService = require('./sla.service');
+const { HttpError } = require('../utils/errors');
+const { assertExpectedVersion } = require('../utils/versioning');
+
+// Case columns editable through PUT /api/cases/:id
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'priority'];
+
+/**
+ * Case Service - Changes to existing cases
+ *
+ * Each change locks the case row, checks the version the caller expects,
+ * and writes the change with its audit entries in one transaction. Workflow
+ * automation and the case event follow once it is committed, so slow
+ * actions never hold the row lock. Used by the single-case routes and by
+ * bulk operations, which pass `auditDetails` to tag every entry they write.
+ */
+class CaseService {
+    /**
+     * Publish a case event once the change is committed
+     * A failing channel is logged and never fails the request.
+     */
+    static async publish(event, payload) {
+        const results = await EventService.publish(event, payload);
+        for (const failure of results.filter(r => r.status === 'rejected')) {
+            console.error(`${event} handler failed for case ${payload.case.id}:`, failure.reason);
+        }
+    }
+
+    /**
+     * Generate the next case ID, e.g. CASE-01000
+     * @param {Object} [client] - Transaction client
+     * @returns {Promise<string>}
+     */
+    static async generateCaseId(client = db) {
+        const result = await client.query("SELECT nextval('case_id_seq')");
+        const seq = result.rows[0].nextval;
+        return `${this.getCaseIdPrefix()}-${String(seq).padStart(5, '0')}`;
+    }
+
+    /**
+     * Prefix of generated case IDs (CASE_ID_PREFIX)
+     * @returns {string}
+     */
+    static getCaseIdPrefix() {
+        return process.env.CASE_ID_PREFIX || 'CASE';
+    }
+
+    /**
+     * Lock a case for the rest of a transaction
+     * @throws {HttpError} 404 if there is no such case
+     */
+    static async lock(id, client) {
+        const current = await client.query('SELECT * FROM cases WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new HttpError(404, 'Case not found');
+        }
+        return current.rows[0];
+    }
+
+    /**
+     * Edit a case's title, description, category or priority
+     * Only fields whose values change are written; a new priority or
+     * category restarts the SLA targets not yet met.
+     * @param {number} id
+     * @param {Object} fields - { title, description, category, priority }, undefined to keep
+     * @param {Object} user - { id, role }
+     * @param {Object} [options] - { versions, auditDetails }
+     * @returns {Promise<Object>} { case, changed }
+     */
+    static async update(id, fields, user, { versions = null, auditDetails = {} } = {}) {
+        const { category } = fields;
+
+        let changed = false;
+        const result = await db.withTransaction(async (client) => {
+            // Lock the case so the version check and the update are atomic
+            const caseData = await this.lock(id, client);
+
+            // Check permissions (owner or assignee or manager/admin)
+            const canEdit =
+                caseData.created_by === user.id ||
+                caseData.assigned_to === user.id ||
+                [ROLES.MANAGER, ROLES.ADMIN].includes(user.role);
+
+            if (!canEdit) {
+                throw new HttpError(403, 'You do not have permission to edit this case');
+            }
+
+            assertExpectedVersion(versions, caseData);
+
+            // Only write the fields whose values actually change
+            const changes = AuditService.diffChanges(caseData, fields, EDITABLE_FIELDS);
+            if (Object.keys(changes).length === 0) {
+                return caseData;
+            }
+
+            // Build update query
+            const updates = [];
+            const values = [];
+            let paramIndex = 1;
+
+            for (const [field, { to }] of Object.entries(changes)) {
+                updates.push(`${field} = $${paramIndex++}`);
+                values.push(to);
+            }
+
+            // Move the case onto the new category's workflow
+            if (changes.category) {
+                const workflow = await WorkflowService.getActiveDefinitionForCategory(category);
+                if (!workflow.states.some(s => s.name === caseData.status)) {
+                    throw new HttpError(409, `Status '${caseData.status}' does not exist in the ${category} workflow`);
+                }
+                updates.push(`workflow_id = $${paramIndex++}`);
+                values.push(workflow.id);
+            }
+
+            // Restart the SLA targets not yet met under the new priority or category's policy.
+            // A paused clock has not run since the pause started.
+            if (changes.priority || changes.category) {
+                const sla = await SlaService.calculateTargets(
+                    changes.priority?.to ?? caseData.priority,
+                    changes.category?.to ?? caseData.category,
+                    caseData.sla_paused_at || new Date()
+                );
+                if (!caseData.sla_resolved_at) {
+                    updates.push(`sla_due_at = $${paramIndex++}`);
+                    values.push(sla.resolutionDueAt);
+                }
+                if (!caseData.sla_responded_at) {
+                    updates.push(`sla_response_due_at = $${paramIndex++}`);
+                    values.push(sla.responseDueAt);
+                }
+            }
+
+            updates.push('version = version + 1');
+            updates.push('updated_at = NOW()');
+            values.push(id);
+
+            const updated = await client.query(
+                `UPDATE cases SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+                values
+            );
+
+            // Log audit with before/after values of the fields that changed
+            await AuditService.logCaseUpdate(id, user.id, {
+                changes: AuditService.diffChanges(caseData, updated.rows[0], [...EDITABLE_FIELDS, 'sla_response_due_at', 'sla_due_at']),
+                ...auditDetails
+            }, client);
+
+            changed = true;
+            return updated.rows[0];
+        });
+
+        if (changed) {
+            await this.publish(EVENTS.CASE_UPDATED, {
+                case: result,
+                performedBy: user.id
+            });
+        }
+
+        return { case: result, changed };
+    }
+
+    /**
+     * Move a case to another status of its workflow
+     * The transition must be allowed for the user's role and its guards met.
+     * @param {number} id
+     * @param {string} targetStatus
+     * @param {Object} user - { id, role }
+     * @param {Object} [options] - { fields (guard fields), versions, auditDetails }
+     * @returns {Promise<Object>} { case, previousStatus, automation }
+     */
+    static async transition(id, targetStatus, user, { fields = {}, versions = null, auditDetails = {} } = {}) {
+        const transition = await db.withTransaction(async (client) => {
+            // Lock the case so concurrent transitions are checked one at a time
+            const caseData = await this.lock(id, client);
+            const previousStatus = caseData.status;
+
+            assertExpectedVersion(versions, caseData);
+
+            // Validate transition against the case's workflow version
+            const workflow = await WorkflowService.getDefinitionForCase(caseData);
+            const transitionCheck = WorkflowService.canTransition(
+                previousStatus,
+                targetStatus,
+                user.role,
+                workflow.transitions
+            );
+
+            if (!transitionCheck.valid) {
+                throw new HttpError(403, 'Invalid transition', { reason: transitionCheck.reason });
+            }
+
+            // Validate guard conditions
+            const commentCount = await client.query('SELECT COUNT(*) FROM comments WHERE case_id = $1', [id]);
+            const requirementsCheck = WorkflowService.validateTransitionRequirements(
+                caseData,
+                targetStatus,
+                {
+                    guards: workflow.guards,
+                    fields,
+                    commentCount: parseInt(commentCount.rows[0].count)
+                }
+            );
+
+            if (!requirementsCheck.valid) {
+                throw new HttpError(400, 'Transition requirements not met', { errors: requirementsCheck.errors });
+            }
+
+            // Perform transition
+            const result = await client.query(
+                `UPDATE cases SET status = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+                [targetStatus, id]
+            );
+            const clock = await SlaService.updateClock(result.rows[0], workflow, client);
+
+            // Log audit
+            await AuditService.logStatusChange(id, previousStatus, targetStatus, user.id, {
+                fields: requirementsCheck.fields,
+                ...(clock.sla && { sla: clock.sla }),
+                ...auditDetails
+            }, client);
+
+            return { case: clock.case, previousStatus, workflow };
+        });
+
+        const automation = await AutomationService.runTransitionActions(
+            transition.case,
+            transition.previousStatus,
+            targetStatus,
+            transition.workflow,
+            user.id
+        );
+
+        await this.publish(EVENTS.CASE_STATUS_CHANGED, {
+            case: automation.case,
+            previousStatus: transition.previousStatus,
+            newStatus: targetStatus,
+            performedBy: user.id
+        });
+
+        return { case: automation.case, previousStatus: transition.previousStatus, automation: automation.results };
+    }
+
+    /**
+     * Assign a case to an analyst
+     * A case still in its workflow's initial status moves to Assigned.
+     * Callers check that the user may assign cases.
+     * @param {number} id
+     * @param {number} assigneeId
+     * @param {Object} user - { id, role }
+     * @param {Object} [options] - { versions, auditDetails }
+     * @returns {Promise<Object>} { case, assigneeName, automation }
+     */
+    static async assign(id, assigneeId, user, { versions = null, auditDetails = {} } = {}) {
+        const assignment = await db.withTransaction(async (client) => {
+            // Lock the case so concurrent assignments are applied one at a time
+            const caseData = await this.lock(id, client);
+
+            assertExpectedVersion(versions, caseData);
+
+            // Verify assignee exists and is an analyst
+            const assignee = await client.query(
+                'SELECT id, name, role FROM users WHERE id = $1',
+                [assigneeId]
+            );
+            if (assignee.rows.length === 0) {
+                throw new HttpError(404, 'Assignee not found');
+            }
+            if (assignee.rows[0].role !== ROLES.ANALYST) {
+                throw new HttpError(400, 'Can only assign cases to analysts');
+            }
+
+            const previousAssignee = caseData.assigned_to;
+
+            // Move a case still in its initial state to the workflow's assigned state, if it has one
+            const workflow = await WorkflowService.getDefinitionForCase(caseData);
+            const newStatus = WorkflowService.getStateOnAssignment(workflow, caseData.status) || caseData.status;
+
+            // Update case
+            const result = await client.query(
+                `UPDATE cases SET assigned_to = $1, status = $2, version = version + 1, updated_at = NOW() WHERE id = $3 RETURNING *`,
+                [assigneeId, newStatus, id]
+            );
+            const clock = await SlaService.updateClock(result.rows[0], workflow, client);
+
+            // Log audit
+            await AuditService.logAssignment(id, previousAssignee, assigneeId, user.id, {
+                assigneeName: assignee.rows[0].name,
+                ...auditDetails
+            }, client);
+
+            if (newStatus !== caseData.status) {
+                await AuditService.logStatusChange(id, caseData.status, newStatus, user.id, {
+                    reason: 'Auto-transitioned on assignment',
+                    ...(clock.sla && { sla: clock.sla }),
+                    ...auditDetails
+                }, client);
+            }
+
+            return {
+                case: clock.case,
+                assigneeName: assignee.rows[0].name,
+                previousAssignee,
+                previousStatus: caseData.status,
+                workflow
+            };
+        });
+
+        let automation = { case: assignment.case, results: [] };
+        if (assignment.case.status !== assignment.previousStatus) {
+            automation = await AutomationService.runTransitionActions(
+                assignment.case,
+                assignment.previousStatus,
+                assignment.case.status,
+                assignment.workflow,
+                user.id
+            );
+        }
+
+        await this.publish(EVENTS.CASE_ASSIGNED, {
+            case: automation.case,
+            previousAssignee: assignment.previousAssignee,
+            performedBy: user.id
+        });
+        if (assignment.case.status !== assignment.previousStatus) {
+            await this.publish(EVENTS.CASE_STATUS_CHANGED, {
+                case: automation.case,
+                previousStatus: assignment.previousStatus,
+                newStatus: assignment.case.status,
+                performedBy: user.id
+            });
+        }
+
+        return { case: automation.case, assigneeName: assignment.assigneeName, automation: automation.results };
+    }
+
+    /**
+     * Add a comment to a case
+     * The first comment by staff counts as the first response.
+     * @param {number} id
+     * @param {string} comment
+     * @param {Object} user - { id, role, name }
+     * @param {Object} [options] - { auditDetails }
+     * @returns {Promise<Object>} The comment
+     */
+    static async addComment(id, comment, user, { auditDetails = {} } = {}) {
+        // Verify case exists
+        const caseCheck = await db.query('SELECT id, case_id, created_by, assigned_to FROM cases WHERE id = $1', [id]);
+        if (caseCheck.rows.length === 0) {
+            throw new HttpError(404, 'Case not found');
+        }
+
+        // Create comment
+        const result = await db.query(
+            `INSERT INTO comments (case_id, comment, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+            [id, comment, user.id]
+        );
+
+        // Log audit
+        await AuditService.logCommentAdded(id, user.id, {
+            commentId: result.rows[0].id,
+            ...auditDetails
+        });
+
+        // The first staff comment is the first response
+        if (user.role !== ROLES.REQUESTER) {
+            await SlaService.recordResponse({ id });
+        }
+
+        await this.publish(EVENTS.COMMENT_ADDED, {
+            case: caseCheck.rows[0],
+            comment: result.rows[0],
+            authorName: user.name,
+            performedBy: user.id
+        });
+
+        return result.rows[0];
+    }
+}
+
+module.exports = CaseService;
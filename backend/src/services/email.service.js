@@ -0,0 +1,285 @@
+const db = require('../config/db');
+const { createTransport } = require('../config/mailer');
+const { EVENTS, EMAIL_STATUS } = require('../config/constants');
+const EventService = require('./event.service');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_INTERVAL_MS = 10 * 1000;
+
+// Messages sent per scan
+const BATCH_SIZE = 20;
+
+// Wait before each retry; a message is given up on after the last one
+const RETRY_DELAYS_MS = [1, 5, 15, 60].map(minutes => minutes * MINUTE_MS);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// A claimed message is retried after this long if its instance never reports back
+const SEND_LEASE_MS = 5 * MINUTE_MS;
+
+let transport;
+let timer = null;
+let sending = false;
+
+/**
+ * Everyone involved in a case other than the user who acted on it
+ */
+function recipients(userIds, performedBy) {
+    return [...new Set(userIds)].filter(id => id && id !== performedBy);
+}
+
+/**
+ * Link to the case in the app, when APP_URL is set
+ */
+function caseLink(caseData) {
+    return process.env.APP_URL ? `\n\nView the case: ${process.env.APP_URL.replace(/\/$/, '')}/cases/${caseData.id}` : '';
+}
+
+/**
+ * Email templates by event, each rendering { subject, text } for one recipient
+ */
+const TEMPLATES = {
+    [EVENTS.CASE_CREATED]: ({ case: caseData, recipient }) => ({
+        subject: `[${caseData.case_id}] We received your case: ${caseData.title}`,
+        text: `Hi ${recipient.name},\n\nYour case ${caseData.case_id} "${caseData.title}" has been received `
+            + `with ${caseData.priority} priority. We will let you know when it moves on.${caseLink(caseData)}`
+    }),
+    [EVENTS.CASE_ASSIGNED]: ({ case: caseData, recipient }) => ({
+        subject: `[${caseData.case_id}] Assigned to you: ${caseData.title}`,
+        text: `Hi ${recipient.name},\n\nCase ${caseData.case_id} "${caseData.title}" (${caseData.priority} priority) `
+            + `has been assigned to you.${caseLink(caseData)}`
+    }),
+    [EVENTS.CASE_STATUS_CHANGED]: ({ case: caseData, previousStatus, newStatus, recipient }) => ({
+        subject: `[${caseData.case_id}] ${newStatus}: ${caseData.title}`,
+        text: `Hi ${recipient.name},\n\nCase ${caseData.case_id} "${caseData.title}" has moved from `
+            + `${previousStatus} to ${newStatus}.${caseLink(caseData)}`
+    }),
+    [EVENTS.COMMENT_ADDED]: ({ case: caseData, comment, authorName, recipient }) => ({
+        subject: `[${caseData.case_id}] New comment from ${authorName || 'a team member'}`,
+        text: `Hi ${recipient.name},\n\n${authorName || 'A team member'} commented on case ${caseData.case_id}:\n\n`
+            + `${comment.comment}${caseLink(caseData)}`
+    })
+};
+
+// Who gets each event's email
+const RECIPIENTS = {
+    // The requester's confirmation, even though they raised the case
+    [EVENTS.CASE_CREATED]: ({ case: caseData }) => [caseData.created_by],
+    [EVENTS.CASE_ASSIGNED]: ({ case: caseData, performedBy }) => recipients([caseData.assigned_to], performedBy),
+    [EVENTS.CASE_STATUS_CHANGED]: ({ case: caseData, performedBy }) => (
+        recipients([caseData.created_by, caseData.assigned_to], performedBy)
+    ),
+    [EVENTS.COMMENT_ADDED]: ({ case: caseData, performedBy }) => (
+        recipients([caseData.created_by, caseData.assigned_to], performedBy)
+    )
+};
+
+/**
+ * Email Service - Email channel for case events
+ *
+ * Event handlers only queue messages in email_outbox, so a mail server
+ * outage never fails the request that raised the event. The queue is sent
+ * on an interval by every server instance; each scan claims its messages
+ * with FOR UPDATE SKIP LOCKED so no message is sent by two instances.
+ * Failed sends are retried after RETRY_DELAYS_MS and marked failed after
+ * the last retry.
+ */
+class EmailService {
+    /**
+     * Transport messages are sent with, configured from the environment
+     * unless one was set with useTransport
+     * @returns {Object|null}
+     */
+    static getTransport() {
+        if (transport === undefined) {
+            transport = createTransport();
+        }
+        return transport;
+    }
+
+    /**
+     * Send through a given transport instead of the configured one
+     * @param {Object|null} value - { name, send(message) }, or null for email off
+     */
+    static useTransport(value) {
+        transport = value;
+    }
+
+    /**
+     * Queue an email for each case event
+     * Called once on startup when a transport is configured.
+     */
+    static subscribe() {
+        for (const event of Object.keys(TEMPLATES)) {
+            EventService.subscribe(event, (payload) => this.enqueue(event, payload));
+        }
+    }
+
+    /**
+     * Render an event's email for one recipient
+     * @param {string} event - EVENTS value with a template
+     * @param {Object} payload - Event payload plus recipient ({ name, email })
+     * @returns {Object} { subject, text }
+     */
+    static render(event, payload) {
+        const template = TEMPLATES[event];
+        if (!template) {
+            throw new Error(`No email template for ${event}`);
+        }
+        return template(payload);
+    }
+
+    /**
+     * Queue an event's email for everyone who should get it
+     * @param {string} event - EVENTS value
+     * @param {Object} payload - Event payload
+     * @returns {Promise<Object[]>} Queued email_outbox rows
+     */
+    static async enqueue(event, payload) {
+        const userIds = RECIPIENTS[event](payload).filter(Boolean);
+        if (userIds.length === 0) {
+            return [];
+        }
+
+        const users = await db.query(
+            'SELECT id, name, email FROM users WHERE id = ANY($1::int[])',
+            [userIds]
+        );
+
+        const queued = [];
+        for (const recipient of users.rows) {
+            const { subject, text } = this.render(event, { ...payload, recipient });
+            const result = await db.query(
+                `INSERT INTO email_outbox (case_id, to_address, subject, body)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+                [payload.case.id, recipient.email, subject, text]
+            );
+            queued.push(result.rows[0]);
+        }
+
+        return queued;
+    }
+
+    /**
+     * Send the queue on an interval until stop() is called
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between scans
+     * @param {Function} [options.clock] - Returns the current Date
+     */
+    static start({ intervalMs = DEFAULT_INTERVAL_MS, clock = () => new Date() } = {}) {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => this.tick(clock), intervalMs);
+        // Never keep the process alive just for the queue
+        timer.unref();
+    }
+
+    /**
+     * Stop sending
+     */
+    static stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Run one scheduled scan unless the previous one is still going
+     * @param {Function} clock
+     * @returns {Promise<Object[]>} Send results
+     */
+    static async tick(clock) {
+        if (sending) {
+            return [];
+        }
+
+        sending = true;
+        try {
+            return await this.runOnce(clock());
+        } catch (error) {
+            console.error('Email queue scan failed:', error);
+            return [];
+        } finally {
+            sending = false;
+        }
+    }
+
+    /**
+     * Send every queued email that is due at an instant
+     * @param {Date} [now]
+     * @returns {Promise<Object[]>} [{ id, status, attempts, error? }]
+     */
+    static async runOnce(now = new Date()) {
+        const activeTransport = this.getTransport();
+        if (!activeTransport) {
+            return [];
+        }
+
+        const messages = await this.claim(now);
+        const results = [];
+
+        for (const message of messages) {
+            try {
+                await activeTransport.send({ to: message.to_address, subject: message.subject, text: message.body });
+                await db.query(
+                    `UPDATE email_outbox SET status = $2, sent_at = $3, last_error = NULL WHERE id = $1`,
+                    [message.id, EMAIL_STATUS.SENT, now]
+                );
+                results.push({ id: message.id, status: EMAIL_STATUS.SENT, attempts: message.attempts });
+            } catch (error) {
+                results.push(await this.recordFailure(message, error, now));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Take due messages off the queue for this instance
+     * Claimed messages are leased for SEND_LEASE_MS and count an attempt.
+     * @param {Date} now
+     * @returns {Promise<Object[]>} email_outbox rows
+     */
+    static async claim(now) {
+        const result = await db.query(`
+      UPDATE email_outbox
+      SET attempts = attempts + 1, next_attempt_at = $2
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE status = $3 AND next_attempt_at <= $1
+        ORDER BY next_attempt_at, id
+        LIMIT $4
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [now, new Date(new Date(now).getTime() + SEND_LEASE_MS), EMAIL_STATUS.PENDING, BATCH_SIZE]);
+
+        return result.rows;
+    }
+
+    /**
+     * Schedule the next attempt of a message that failed to send, or give up
+     * on it after the last retry
+     * @returns {Promise<Object>} { id, status, attempts, error }
+     */
+    static async recordFailure(message, error, now) {
+        const status = message.attempts >= MAX_ATTEMPTS ? EMAIL_STATUS.FAILED : EMAIL_STATUS.PENDING;
+        const nextAttemptAt = status === EMAIL_STATUS.PENDING
+            ? new Date(new Date(now).getTime() + RETRY_DELAYS_MS[message.attempts - 1])
+            : now;
+
+        await db.query(
+            `UPDATE email_outbox SET status = $2, next_attempt_at = $3, last_error = $4 WHERE id = $1`,
+            [message.id, status, nextAttemptAt, error.message]
+        );
+
+        if (status === EMAIL_STATUS.FAILED) {
+            console.error(`Giving up on email ${message.id} to ${message.to_address}:`, error.message);
+        }
+
+        return { id: message.id, status, attempts: message.attempts, error: error.message };
+    }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,365 @@
+const db = require('../config/db');
+const {
+    ROLES,
+    PRIORITY,
+    EVENTS,
+    SLA_TYPES,
+    SLA_EVENTS,
+    SLA_STATUS,
+    ESCALATION_ACTIONS,
+    SLA_ESCALATIONS
+} = require('../config/constants');
+const AuditService = require('./audit.service');
+const EventService = require('./event.service');
+const SlaService = require('./sla.service');
+const WorkflowService = require('./workflow.service');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Priorities from lowest to highest
+const PRIORITY_LADDER = [PRIORITY.LOW, PRIORITY.MEDIUM, PRIORITY.HIGH, PRIORITY.CRITICAL];
+
+let timer = null;
+let scanning = false;
+
+/**
+ * Escalation Service - Background SLA monitor
+ *
+ * Scans open cases for first-response and resolution targets that are at
+ * risk or overdue (see SlaService.getStatus), records each event once per
+ * due date in case_sla_events and runs the SLA_ESCALATIONS steps for it, so
+ * a target whose due date is recalculated (priority change, resumed clock,
+ * new policy) is escalated again against the new one. A breach also stamps
+ * the target's breached column and adds an SLA_BREACHED audit entry.
+ *
+ * Every server instance runs the monitor. An event is only acted on by the
+ * instance whose insert into case_sla_events succeeds; the case row is
+ * locked while it does, and the unique index on (case_id, sla_type, event,
+ * due_at) turns the other instances' inserts into no-ops.
+ *
+ * Time comes from the caller (runOnce(now), start({ clock })) so scans can
+ * be run against any instant.
+ */
+class EscalationService {
+    /**
+     * Scan on an interval until stop() is called
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between scans
+     * @param {Function} [options.clock] - Returns the current Date
+     */
+    static start({ intervalMs = DEFAULT_INTERVAL_MS, clock = () => new Date() } = {}) {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => this.tick(clock), intervalMs);
+        // Never keep the process alive just for the monitor
+        timer.unref();
+    }
+
+    /**
+     * Stop scanning
+     */
+    static stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Run one scheduled scan unless the previous one is still going
+     * @param {Function} clock
+     * @returns {Promise<Object[]>} Events fired
+     */
+    static async tick(clock) {
+        if (scanning) {
+            return [];
+        }
+
+        scanning = true;
+        try {
+            return await this.runOnce(clock());
+        } catch (error) {
+            console.error('SLA monitor scan failed:', error);
+            return [];
+        } finally {
+            scanning = false;
+        }
+    }
+
+    /**
+     * Record and escalate every SLA event due at an instant
+     * A case that fails to escalate is retried on the next scan.
+     * @param {Date} [now]
+     * @returns {Promise<Object[]>} Events fired: { case, slaType, event, dueAt, escalations }
+     */
+    static async runOnce(now = new Date()) {
+        const thresholds = await SlaService.getThresholds();
+        const calendars = await SlaService.getCategoryCalendars();
+        const candidates = await this.findDueEvents(now, thresholds, calendars);
+        const fired = [];
+
+        for (const candidate of candidates) {
+            try {
+                const result = await this.fire(candidate, now, thresholds, calendars);
+                if (!result) {
+                    continue;
+                }
+                fired.push(result);
+
+                if (result.escalations.includes(ESCALATION_ACTIONS.NOTIFY)) {
+                    await this.notify(result);
+                }
+            } catch (error) {
+                console.error(`SLA monitor failed to escalate case ${candidate.case.id}:`, error);
+            }
+        }
+
+        return fired;
+    }
+
+    /**
+     * Which SLA event a target is in at an instant
+     * Follows the target's sla_status: overdue is a breach, at_risk is at risk.
+     * @param {Object} caseData - Case row
+     * @param {string} type - SLA_TYPES value
+     * @param {Date} now
+     * @param {Object} thresholds - At-risk hours by priority
+     * @param {Object} [calendars] - Calendar by category
+     * @returns {string|null} SLA_EVENTS value, or null if the target is met, paused or on track
+     */
+    static classify(caseData, type, now, thresholds, calendars = {}) {
+        switch (SlaService.getStatus(caseData, thresholds, now, type, calendars[caseData.category])) {
+            case SLA_STATUS.OVERDUE:
+                return SLA_EVENTS.BREACHED;
+            case SLA_STATUS.AT_RISK:
+                return SLA_EVENTS.AT_RISK;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Find open targets whose current SLA event has not been recorded for their due date yet
+     * @param {Date} now
+     * @param {Object} thresholds - At-risk hours by priority
+     * @param {Object} [calendars] - Calendar by category
+     * @returns {Promise<Object[]>} [{ case, slaType, event }]
+     */
+    static async findDueEvents(now, thresholds, calendars = {}) {
+        // Narrowed down to each case's own threshold and calendar by classify
+        const atRiskBefore = SlaService.getAtRiskHorizon(thresholds, now, calendars);
+        const candidates = [];
+
+        for (const type of Object.values(SLA_TYPES)) {
+            const columns = SlaService.getTargetColumns(type);
+            const result = await db.query(`
+        SELECT c.*
+        FROM cases c
+        WHERE NOT ${WorkflowService.finalStateCondition()}
+          AND c.${columns.met} IS NULL
+          AND (
+            c.${columns.due} < c.sla_paused_at
+            OR (c.sla_paused_at IS NULL AND c.${columns.due} < $2)
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM case_sla_events e
+            WHERE e.case_id = c.id AND e.sla_type = $3 AND e.due_at = c.${columns.due}
+              AND e.event = CASE
+                WHEN c.${columns.due} < COALESCE(c.sla_paused_at, $1) THEN 'breached'
+                ELSE 'at_risk'
+              END
+          )
+        ORDER BY c.${columns.due} ASC
+      `, [now, atRiskBefore, type]);
+
+            for (const row of result.rows) {
+                const event = this.classify(row, type, now, thresholds, calendars);
+                if (event) {
+                    candidates.push({ case: row, slaType: type, event });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Record an SLA event and run its escalation steps in one transaction
+     * Audit entries are written after every other change: the first takes
+     * the audit chain lock, which blocks every other audit writer until commit.
+     * @param {Object} candidate - { case, slaType, event } from findDueEvents
+     * @param {Date} now
+     * @param {Object} thresholds - At-risk hours by priority
+     * @param {Object} [calendars] - Calendar by category
+     * @returns {Promise<Object|null>} { case, slaType, event, dueAt, previousAssignee, escalations },
+     *   or null if the event no longer applies or another instance recorded it
+     */
+    static async fire({ case: caseData, slaType, event }, now, thresholds, calendars = {}) {
+        return db.withTransaction(async (client) => {
+            const locked = await client.query('SELECT * FROM cases WHERE id = $1 FOR UPDATE', [caseData.id]);
+            let current = locked.rows[0];
+
+            // Met, paused or rescheduled since the scan
+            if (!current || this.classify(current, slaType, now, thresholds, calendars) !== event) {
+                return null;
+            }
+
+            const { dueAt } = SlaService.getTarget(current, slaType);
+            const recorded = await client.query(
+                `INSERT INTO case_sla_events (case_id, sla_type, event, due_at, occurred_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (case_id, sla_type, event, due_at) DO NOTHING
+         RETURNING id`,
+                [current.id, slaType, event, dueAt, now]
+            );
+            if (recorded.rows.length === 0) {
+                return null;
+            }
+
+            const auditEntries = [];
+
+            if (event === SLA_EVENTS.BREACHED) {
+                const columns = SlaService.getTargetColumns(slaType);
+                const stamped = await client.query(
+                    `UPDATE cases SET ${columns.breached} = ${columns.due} WHERE id = $1 RETURNING *`,
+                    [current.id]
+                );
+                current = stamped.rows[0];
+
+                auditEntries.push(() => AuditService.logSlaBreached(caseData.id, {
+                    slaType,
+                    dueAt,
+                    detectedAt: now
+                }, client));
+            }
+
+            const previousAssignee = current.assigned_to;
+            const escalations = [];
+            for (const action of SLA_ESCALATIONS[event] || []) {
+                if (action === ESCALATION_ACTIONS.NOTIFY) {
+                    // Sent once the transaction commits
+                    escalations.push(action);
+                    continue;
+                }
+
+                const updated = await this.escalate(action, current, { slaType, event, auditEntries }, client);
+                if (updated) {
+                    current = updated;
+                    escalations.push(action);
+                }
+            }
+
+            for (const writeEntry of auditEntries) {
+                await writeEntry();
+            }
+
+            return { case: current, slaType, event, dueAt, previousAssignee, escalations };
+        });
+    }
+
+    /**
+     * Run an escalation step that changes the case
+     * Steps add the writes of their audit entries to context.auditEntries.
+     * @returns {Promise<Object|null>} Updated case row, or null if the step did not apply
+     */
+    static async escalate(action, caseData, context, client) {
+        switch (action) {
+            case ESCALATION_ACTIONS.RAISE_PRIORITY:
+                return this.raisePriority(caseData, context, client);
+            case ESCALATION_ACTIONS.ASSIGN_MANAGER:
+                return this.assignManager(caseData, context, client);
+            default:
+                throw new Error(`Unknown escalation action: ${action}`);
+        }
+    }
+
+    /**
+     * Move the case one priority up
+     * Due dates are not recalculated; the missed deadline stands.
+     */
+    static async raisePriority(caseData, { slaType, event, auditEntries }, client) {
+        const next = PRIORITY_LADDER[PRIORITY_LADDER.indexOf(caseData.priority) + 1];
+        if (!next) {
+            return null;
+        }
+
+        const result = await client.query(
+            `UPDATE cases SET priority = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+            [next, caseData.id]
+        );
+
+        auditEntries.push(() => AuditService.logCaseUpdate(caseData.id, null, {
+            changes: AuditService.diffChanges(caseData, result.rows[0], ['priority']),
+            reason: `SLA ${slaType} target ${event.replace('_', ' ')}`,
+            automated: true
+        }, client));
+
+        return result.rows[0];
+    }
+
+    /**
+     * Hand the case to the manager with the fewest open cases
+     * Cases already with a manager or admin stay where they are.
+     */
+    static async assignManager(caseData, { slaType, event, auditEntries }, client) {
+        if (caseData.assigned_to) {
+            const assignee = await client.query('SELECT role FROM users WHERE id = $1', [caseData.assigned_to]);
+            if ([ROLES.MANAGER, ROLES.ADMIN].includes(assignee.rows[0]?.role)) {
+                return null;
+            }
+        }
+
+        const manager = await client.query(`
+      SELECT u.id, u.name
+      FROM users u
+      LEFT JOIN cases c ON c.assigned_to = u.id AND NOT ${WorkflowService.finalStateCondition()}
+      WHERE u.role = 'manager'
+      GROUP BY u.id, u.name
+      ORDER BY COUNT(c.id), u.id
+      LIMIT 1
+    `);
+        if (manager.rows.length === 0) {
+            return null;
+        }
+
+        const { id: managerId, name: managerName } = manager.rows[0];
+        const result = await client.query(
+            `UPDATE cases SET assigned_to = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+            [managerId, caseData.id]
+        );
+
+        auditEntries.push(() => AuditService.logAssignment(caseData.id, caseData.assigned_to, managerId, null, {
+            assigneeName: managerName,
+            reason: `SLA ${slaType} target ${event.replace('_', ' ')}`,
+            automated: true
+        }, client));
+
+        return result.rows[0];
+    }
+
+    /**
+     * Publish an SLA event to subscribed channels for the case's current
+     * and previous assignee
+     * A failing channel is logged and never fails the scan.
+     */
+    static async notify({ case: caseData, slaType, event, dueAt, previousAssignee }) {
+        const target = slaType === SLA_TYPES.RESPONSE ? 'first-response' : 'resolution';
+        const message = event === SLA_EVENTS.BREACHED
+            ? `Case ${caseData.case_id} missed its ${target} SLA (due ${new Date(dueAt).toISOString()})`
+            : `Case ${caseData.case_id} is due to miss its ${target} SLA at ${new Date(dueAt).toISOString()}`;
+
+        const results = await EventService.publish(EVENTS.SLA_ESCALATION, {
+            case: caseData,
+            userIds: [...new Set([caseData.assigned_to, previousAssignee])].filter(Boolean),
+            slaType,
+            event,
+            dueAt,
+            message
+        });
+
+        for (const failure of results.filter(r => r.status === 'rejected')) {
+            console.error(`SLA escalation notification failed for case ${caseData.id}:`, failure.reason);
+        }
+    }
+}
+
+module.exports = EscalationService;
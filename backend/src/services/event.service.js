@@ -0,0 +1,49 @@
+/**
+ * Event Service - In-process publish/subscribe for application events
+ * Channels such as notifications subscribe here instead of being called
+ * directly from routes.
+ */
+const handlers = new Map();
+
+class EventService {
+    /**
+     * Subscribe to an event
+     * @param {string} event - One of EVENTS
+     * @param {Function} handler - Async handler receiving the payload
+     */
+    static subscribe(event, handler) {
+        if (!handlers.has(event)) {
+            handlers.set(event, []);
+        }
+        handlers.get(event).push(handler);
+    }
+
+    /**
+     * Remove a subscription
+     */
+    static unsubscribe(event, handler) {
+        const list = handlers.get(event) || [];
+        handlers.set(event, list.filter(h => h !== handler));
+    }
+
+    /**
+     * Number of handlers subscribed to an event
+     */
+    static listenerCount(event) {
+        return (handlers.get(event) || []).length;
+    }
+
+    /**
+     * Publish an event to all subscribers and wait for them to settle.
+     * A failing handler never prevents the others from running.
+     * @param {string} event
+     * @param {Object} payload
+     * @returns {Promise<Object[]>} Promise.allSettled results, one per handler
+     */
+    static async publish(event, payload) {
+        const list = handlers.get(event) || [];
+        return Promise.allSettled(list.map(async handler => handler(payload)));
+    }
+}
+
+module.exports = EventService;
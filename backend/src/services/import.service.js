@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+
+const db = require('../config/db');
+const { IMPORT_LIMITS, EVENTS } = require('../config/constants');
+const AuditService = require('./audit.service');
+const CaseService = require('./case.service');
+const SlaService = require('./sla.service');
+const WorkflowService = require('./workflow.service');
+const { HttpError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { checkCaseFields } = require('../utils/caseValidation');
+
+// Case fields an import can set, with the headers recognised for each
+// when no mapping is given (compared lowercased, punctuation as spaces)
+const IMPORT_FIELDS = {
+    case_id: ['case id', 'id', 'reference', 'ref'],
+    title: ['title', 'summary', 'subject'],
+    description: ['description', 'details'],
+    category: ['category', 'type'],
+    priority: ['priority', 'severity'],
+    created_at: ['created at', 'created', 'created date', 'opened', 'date']
+};
+
+const REQUIRED_FIELDS = ['title', 'category', 'priority'];
+
+// Same limit as the cases.case_id column
+const CASE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,19}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Import Service - Creates cases from CSV or Excel files
+ *
+ * Every row is checked with the rules of POST /api/cases before anything is
+ * written, and the file is imported in one transaction only if all rows pass,
+ * so a file is either imported whole or not at all. Imported cases keep their
+ * case IDs and created dates when the file has them; their SLA targets run
+ * from the time of the import. Imports are audited as CASE_IMPORTED and publish
+ * CASE_IMPORTED for each case once committed; they do not run creation
+ * automation or send the confirmation emails of CASE_CREATED.
+ */
+class ImportService {
+    /**
+     * Check a file and, unless it is a dry run, import it
+     * @param {Object} file - { buffer, originalname, mimetype } from multer
+     * @param {Object} user - Importing user
+     * @param {Object} [options] - { mapping: { field: header }, dryRun }
+     * @returns {Promise<Object>} Validation report, plus the created cases when imported
+     */
+    static async importCases(file, user, { mapping, dryRun = false } = {}) {
+        const { headers, rows } = await this.readRows(file);
+        const columns = this.resolveMapping(headers, mapping);
+        const checked = await this.checkRows(headers, rows, columns);
+
+        const errors = checked.filter(row => row.errors.length > 0)
+            .map(({ row, errors }) => ({ row, errors }));
+        const report = {
+            dryRun,
+            mapping: columns,
+            total: checked.length,
+            valid: checked.length - errors.length,
+            invalid: errors.length,
+            errors
+        };
+
+        if (dryRun) {
+            return report;
+        }
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Import has invalid rows; nothing was imported', report);
+        }
+
+        const importId = crypto.randomUUID();
+        const cases = await db.withTransaction(client => this.insertCases(checked, user, importId, client));
+
+        for (const { case: created } of cases) {
+            await CaseService.publish(EVENTS.CASE_IMPORTED, { case: created, performedBy: user.id, importId });
+        }
+
+        return {
+            dryRun,
+            mapping: columns,
+            total: checked.length,
+            imported: cases.length,
+            importId,
+            cases: cases.map(({ row, case: created }) => ({ row, id: created.id, case_id: created.case_id }))
+        };
+    }
+
+    /**
+     * Read the header and data rows of a CSV or XLSX file
+     * Row numbers are those of the spreadsheet, the header being row 1;
+     * blank rows are skipped.
+     * @returns {Promise<Object>} { headers, rows: [{ row, values }] }
+     */
+    static async readRows(file) {
+        const isXlsx = /\.xlsx$/i.test(file.originalname || '')
+            || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+        let table;
+        if (isXlsx) {
+            table = await this.readXlsx(file.buffer);
+        } else {
+            try {
+                table = parseCsv(file.buffer.toString('utf8'));
+            } catch (error) {
+                throw new HttpError(400, `Could not read CSV: ${error.message}`);
+            }
+        }
+
+        const [headerRow = [], ...dataRows] = table;
+        const headers = headerRow.map(header => String(header ?? '').trim());
+        if (!headers.some(Boolean)) {
+            throw new HttpError(400, 'The file has no header row');
+        }
+
+        const rows = dataRows
+            .map((values, index) => ({ row: index + 2, values }))
+            .filter(({ values }) => values.some(value => String(value ?? '').trim() !== ''));
+
+        if (rows.length === 0) {
+            throw new HttpError(400, 'The file has no rows to import');
+        }
+        if (rows.length > IMPORT_LIMITS.MAX_ROWS) {
+            throw new HttpError(400, `At most ${IMPORT_LIMITS.MAX_ROWS} rows can be imported at once`);
+        }
+
+        return { headers, rows };
+    }
+
+    /**
+     * Read the first worksheet of an XLSX file as rows of strings
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    static async readXlsx(buffer) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new HttpError(400, 'Could not read Excel file');
+        }
+
+        const sheet = workbook.worksheets[0];
+        if (!sheet) {
+            return [];
+        }
+
+        const table = [];
+        sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+            const values = [];
+            for (let column = 1; column <= row.cellCount; column++) {
+                values.push(this.cellText(row.getCell(column).value));
+            }
+            table[rowNumber - 1] = values;
+        });
+        return Array.from(table, values => values || []);
+    }
+
+    /**
+     * Text of an Excel cell value (dates as ISO 8601, formulas as their result)
+     */
+    static cellText(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (typeof value === 'object') {
+            if ('result' in value) {
+                return this.cellText(value.result);
+            }
+            if (Array.isArray(value.richText)) {
+                return value.richText.map(part => part.text).join('');
+            }
+            if ('text' in value) {
+                return String(value.text);
+            }
+        }
+        return String(value);
+    }
+
+    /**
+     * Work out which column holds each case field
+     * An explicit mapping wins; other fields are matched by header name.
+     * @param {Array<string>} headers
+     * @param {Object} [mapping] - { field: header }
+     * @returns {Object} { field: header } for every mapped field
+     */
+    static resolveMapping(headers, mapping = {}) {
+        const unknownFields = Object.keys(mapping).filter(field => !IMPORT_FIELDS[field]);
+        if (unknownFields.length > 0) {
+            throw new HttpError(400, `Unknown import fields: ${unknownFields.join(', ')}`, {
+                fields: Object.keys(IMPORT_FIELDS)
+            });
+        }
+        const unknownHeaders = Object.values(mapping).filter(header => !headers.includes(header));
+        if (unknownHeaders.length > 0) {
+            throw new HttpError(400, `Columns not in the file: ${unknownHeaders.join(', ')}`, { headers });
+        }
+
+        const columns = { ...mapping };
+        const used = new Set(Object.values(mapping));
+        for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+            if (columns[field]) {
+                continue;
+            }
+            const header = headers.find(candidate => !used.has(candidate)
+                && aliases.includes(normalizeHeader(candidate)));
+            if (header) {
+                columns[field] = header;
+                used.add(header);
+            }
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => !columns[field]);
+        if (missing.length > 0) {
+            throw new HttpError(400, `No column found for: ${missing.join(', ')}`, { missing, headers });
+        }
+
+        return columns;
+    }
+
+    /**
+     * Validate every row, collecting all of its errors
+     * @returns {Promise<Array>} [{ row, fields, errors: [{ path, msg }] }]
+     */
+    static async checkRows(headers, rows, columns) {
+        const indexes = Object.entries(columns).map(([field, header]) => [field, headers.indexOf(header)]);
+        const checked = [];
+        const seenIds = new Map();
+
+        for (const { row, values } of rows) {
+            const raw = {};
+            for (const [field, index] of indexes) {
+                raw[field] = String(values[index] ?? '').trim();
+            }
+
+            const { fields, errors } = await checkCaseFields({
+                title: raw.title,
+                description: raw.description || undefined,
+                category: raw.category,
+                priority: raw.priority
+            });
+
+            if (raw.case_id) {
+                if (!CASE_ID_PATTERN.test(raw.case_id)) {
+                    errors.push({ path: 'case_id', msg: 'Case ID must be up to 20 letters, digits, - or _' });
+                } else if (seenIds.has(raw.case_id)) {
+                    errors.push({ path: 'case_id', msg: `Case ID repeats row ${seenIds.get(raw.case_id)}` });
+                } else {
+                    seenIds.set(raw.case_id, row);
+                }
+            }
+
+            let createdAt = null;
+            if (raw.created_at) {
+                createdAt = ISO_DATE_PATTERN.test(raw.created_at) ? new Date(raw.created_at) : null;
+                if (!createdAt || Number.isNaN(createdAt.getTime())) {
+                    errors.push({ path: 'created_at', msg: 'Created date must be an ISO 8601 date' });
+                    createdAt = null;
+                } else if (createdAt > new Date()) {
+                    errors.push({ path: 'created_at', msg: 'Created date cannot be in the future' });
+                }
+            }
+
+            checked.push({
+                row,
+                fields: { ...fields, caseId: raw.case_id || null, createdAt },
+                errors
+            });
+        }
+
+        await this.checkExistingIds(checked);
+        return checked;
+    }
+
+    /**
+     * Flag rows whose case ID is already taken
+     */
+    static async checkExistingIds(checked) {
+        const ids = checked.map(({ fields }) => fields.caseId).filter(Boolean);
+        if (ids.length === 0) {
+            return;
+        }
+
+        const result = await db.query('SELECT case_id FROM cases WHERE case_id = ANY($1)', [ids]);
+        const taken = new Set(result.rows.map(row => row.case_id));
+        for (const { fields, errors } of checked) {
+            if (taken.has(fields.caseId)) {
+                errors.push({ path: 'case_id', msg: `Case ${fields.caseId} already exists` });
+            }
+        }
+    }
+
+    /**
+     * Insert checked rows, each with an audit entry
+     * Generated IDs continue after the highest imported one that uses the
+     * CASE_ID_PREFIX format, so later cases do not collide with it. Audit
+     * entries are written after every case is in: the first one takes the
+     * audit chain lock, which blocks every other audit writer until commit.
+     * @returns {Promise<Array>} [{ row, case }] with the inserted case rows
+     */
+    static async insertCases(checked, user, importId, client) {
+        const prefix = CaseService.getCaseIdPrefix();
+        const sequenced = new RegExp(`^${prefix.replace(/[^A-Za-z0-9]/g, '\\$&')}-(\\d+)$`);
+        const highest = Math.max(0, ...checked
+            .map(({ fields }) => sequenced.exec(fields.caseId || ''))
+            .filter(Boolean)
+            .map(match => Number(match[1])));
+        if (highest > 0) {
+            await client.query(
+                "SELECT setval('case_id_seq', GREATEST((SELECT last_value FROM case_id_seq), $1))",
+                [highest]
+            );
+        }
+
+        const workflows = new Map();
+        const cases = [];
+        const auditEntries = [];
+
+        for (const { row, fields } of checked) {
+            if (!workflows.has(fields.category)) {
+                workflows.set(fields.category, await WorkflowService.getActiveDefinitionForCategory(fields.category));
+            }
+            const workflow = workflows.get(fields.category);
+            if (!workflow) {
+                throw new HttpError(500, 'No active workflow configured');
+            }
+
+            const caseId = fields.caseId || await CaseService.generateCaseId(client);
+            const createdAt = fields.createdAt || new Date();
+            const sla = await SlaService.calculateTargets(fields.priority, fields.category);
+
+            let result;
+            try {
+                result = await client.query(
+                    `INSERT INTO cases (case_id, title, description, category, priority, status, created_by, sla_response_due_at, sla_due_at, workflow_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+       RETURNING *`,
+                    [
+                        caseId, fields.title, fields.description, fields.category, fields.priority,
+                        workflow.initialState, user.id, sla.responseDueAt, sla.resolutionDueAt, workflow.id, createdAt
+                    ]
+                );
+            } catch (error) {
+                if (error.code === '23505') {
+                    throw new HttpError(409, `Case ${caseId} already exists`, { row });
+                }
+                throw error;
+            }
+
+            auditEntries.push([result.rows[0].id, workflow.initialState, {
+                importId,
+                row,
+                title: fields.title,
+                category: fields.category,
+                priority: fields.priority,
+                workflowVersion: workflow.version,
+                createdAt
+            }]);
+
+            cases.push({ row, case: result.rows[0] });
+        }
+
+        for (const [caseId, status, details] of auditEntries) {
+            await AuditService.logCaseImported(caseId, status, user.id, details, client);
+        }
+
+        return cases;
+    }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,207 @@
+const db = require('../config/db');
+const { EVENTS, NOTIFICATION_TYPES, SLA_EVENTS } = require('../config/constants');
+const EventService = require('./event.service');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Everyone involved in a case other than the user who acted on it
+ */
+function recipients(userIds, performedBy) {
+    return [...new Set(userIds)].filter(id => id && id !== performedBy);
+}
+
+/**
+ * Notification Service - In-app notification center
+ *
+ * Notifications are written by the event handlers registered in subscribe(),
+ * never directly from routes. A user who muted a type gets nothing of that
+ * type; everything else lands unread in their notification list.
+ */
+class NotificationService {
+    /**
+     * Register the in-app channel for application events
+     * Called once on startup.
+     */
+    static subscribe() {
+        EventService.subscribe(EVENTS.CASE_ASSIGNED, ({ case: caseData, performedBy }) => (
+            this.notify(recipients([caseData.assigned_to], performedBy), {
+                type: NOTIFICATION_TYPES.CASE_ASSIGNED,
+                caseId: caseData.id,
+                message: `Case ${caseData.case_id} was assigned to you`
+            })
+        ));
+
+        EventService.subscribe(EVENTS.CASE_STATUS_CHANGED, ({ case: caseData, previousStatus, newStatus, performedBy }) => (
+            this.notify(recipients([caseData.created_by, caseData.assigned_to], performedBy), {
+                type: NOTIFICATION_TYPES.STATUS_CHANGED,
+                caseId: caseData.id,
+                message: `Case ${caseData.case_id} moved from ${previousStatus} to ${newStatus}`
+            })
+        ));
+
+        EventService.subscribe(EVENTS.COMMENT_ADDED, ({ case: caseData, performedBy, authorName }) => (
+            this.notify(recipients([caseData.created_by, caseData.assigned_to], performedBy), {
+                type: NOTIFICATION_TYPES.COMMENT_ADDED,
+                caseId: caseData.id,
+                message: `${authorName || 'Someone'} commented on case ${caseData.case_id}`
+            })
+        ));
+
+        EventService.subscribe(EVENTS.REQUESTER_NOTIFICATION, ({ case: caseData, userId, message }) => (
+            this.notify([userId], {
+                type: NOTIFICATION_TYPES.CASE_UPDATE,
+                caseId: caseData.id,
+                message
+            })
+        ));
+
+        EventService.subscribe(EVENTS.SLA_ESCALATION, ({ case: caseData, userIds, event, message }) => (
+            this.notify(userIds, {
+                type: event === SLA_EVENTS.BREACHED ? NOTIFICATION_TYPES.SLA_BREACHED : NOTIFICATION_TYPES.SLA_AT_RISK,
+                caseId: caseData.id,
+                message
+            })
+        ));
+    }
+
+    /**
+     * Add a notification for each user who has not muted its type
+     * @param {number[]} userIds
+     * @param {Object} notification - { type, caseId, message }
+     * @returns {Promise<Object[]>} Notifications created
+     */
+    static async notify(userIds, { type, caseId = null, message }, client = db) {
+        const ids = [...new Set(userIds)].filter(Boolean);
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const result = await client.query(`
+      INSERT INTO notifications (user_id, case_id, type, message)
+      SELECT u.id, $2, $3, $4
+      FROM users u
+      WHERE u.id = ANY($1::int[])
+        AND NOT EXISTS (
+          SELECT 1 FROM notification_preferences p
+          WHERE p.user_id = u.id AND p.type = $3 AND NOT p.enabled
+        )
+      RETURNING *
+    `, [ids, caseId, type, message]);
+
+        return result.rows;
+    }
+
+    /**
+     * List a user's notifications, newest first
+     * @param {number} userId
+     * @param {Object} [options]
+     * @param {boolean} [options.unreadOnly]
+     * @param {number} [options.limit]
+     * @param {number} [options.before] - Only notifications older than this id
+     * @returns {Promise<Object>} { notifications, unreadCount, hasMore }
+     */
+    static async list(userId, { unreadOnly = false, limit = DEFAULT_PAGE_SIZE, before = null } = {}) {
+        const conditions = ['n.user_id = $1'];
+        const params = [userId];
+
+        if (unreadOnly) {
+            conditions.push('n.read_at IS NULL');
+        }
+        if (before) {
+            params.push(before);
+            conditions.push(`n.id < $${params.length}`);
+        }
+        params.push(limit + 1);
+
+        const result = await db.query(`
+      SELECT n.*, c.case_id AS case_ref, c.title AS case_title
+      FROM notifications n
+      LEFT JOIN cases c ON n.case_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY n.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+        return {
+            notifications: result.rows.slice(0, limit),
+            unreadCount: await this.getUnreadCount(userId),
+            hasMore: result.rows.length > limit
+        };
+    }
+
+    /**
+     * Number of unread notifications of a user
+     */
+    static async getUnreadCount(userId) {
+        const result = await db.query(
+            'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+            [userId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Mark one of a user's notifications read
+     * @returns {Promise<Object|null>} The notification, or null if it is not the user's
+     */
+    static async markRead(userId, id) {
+        const result = await db.query(
+            `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+            [id, userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mark every unread notification of a user read
+     * @returns {Promise<number>} Notifications marked
+     */
+    static async markAllRead(userId) {
+        const result = await db.query(
+            'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Whether each notification type is enabled for a user
+     * @returns {Promise<Object>} { [type]: boolean }
+     */
+    static async getPreferences(userId) {
+        const result = await db.query(
+            'SELECT type, enabled FROM notification_preferences WHERE user_id = $1',
+            [userId]
+        );
+        const defaults = Object.fromEntries(Object.values(NOTIFICATION_TYPES).map(type => [type, true]));
+        return result.rows.reduce((preferences, row) => (
+            row.type in preferences ? { ...preferences, [row.type]: row.enabled } : preferences
+        ), defaults);
+    }
+
+    /**
+     * Mute or unmute notification types for a user
+     * Types left out keep their current setting.
+     * @param {number} userId
+     * @param {Object} preferences - { [type]: boolean }
+     * @returns {Promise<Object>} Every type's setting after the change
+     */
+    static async savePreferences(userId, preferences) {
+        await db.withTransaction(async (client) => {
+            for (const [type, enabled] of Object.entries(preferences)) {
+                await client.query(
+                    `INSERT INTO notification_preferences (user_id, type, enabled)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled`,
+                    [userId, type, enabled]
+                );
+            }
+        });
+        return this.getPreferences(userId);
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,204 @@
+const db = require('../config/db');
+const { EVENTS } = require('../config/constants');
+const EventService = require('./event.service');
+const SlaService = require('./sla.service');
+const { canViewCase } = require('../utils/caseAccess');
+const { omitSearchVectors } = require('../utils/search');
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// Browsers reconnect after this long when the stream drops
+const RETRY_MS = 5000;
+
+// Case events pushed to clients as case.changed
+const CASE_EVENTS = [
+    EVENTS.CASE_CREATED,
+    EVENTS.CASE_IMPORTED,
+    EVENTS.CASE_UPDATED,
+    EVENTS.CASE_ASSIGNED,
+    EVENTS.CASE_STATUS_CHANGED,
+    EVENTS.SLA_ESCALATION
+];
+
+const clients = new Map();
+let nextClientId = 1;
+let heartbeat = null;
+
+/**
+ * Realtime Service - Server-Sent Events stream of case changes
+ *
+ * Each connected user receives, for the cases they can see under the same
+ * role rules as GET /api/cases (utils/caseAccess):
+ * - case.changed: { event, case } after a case is created, edited,
+ *   assigned, transitioned or escalated, with the case as the list returns it
+ * - comment.added: { caseId, comment } as GET /api/cases/:id/comments returns it
+ * - pending_actions.changed: { caseId } when their pending actions may differ
+ * A user who just lost sight of a case (e.g. an analyst it was reassigned
+ * away from) also gets that case's events once.
+ *
+ * Clients are held in memory, so a client only hears about changes made
+ * through the instance it is connected to.
+ */
+class RealtimeService {
+    /**
+     * Push case events to connected clients
+     * Called once on startup.
+     */
+    static subscribe() {
+        for (const event of CASE_EVENTS) {
+            EventService.subscribe(event, (payload) => this.broadcastCase(event, payload));
+        }
+        EventService.subscribe(EVENTS.COMMENT_ADDED, (payload) => this.broadcastComment(payload));
+    }
+
+    /**
+     * Open an event stream for an authenticated request
+     * The connection stays registered until the client goes away.
+     * @param {Object} req - Request with req.user
+     * @param {Object} res
+     * @returns {number} Client id
+     */
+    static connect(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop nginx-style proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const id = nextClientId++;
+        clients.set(id, { user: req.user, res });
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            clients.delete(id);
+            if (clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+
+        return id;
+    }
+
+    /**
+     * End every open stream so the server can shut down
+     * Clients reconnect to another instance on their own.
+     */
+    static disconnectAll() {
+        for (const { res } of clients.values()) {
+            res.end();
+        }
+        clients.clear();
+        this.stopHeartbeat();
+    }
+
+    /**
+     * Number of open streams
+     */
+    static clientCount() {
+        return clients.size;
+    }
+
+    /**
+     * Write one event to a stream
+     */
+    static send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data, omitSearchVectors)}\n\n`);
+    }
+
+    /**
+     * Streams of users who can see a case, plus users it was just taken from
+     * @param {Object} caseData
+     * @param {number[]} [alsoUserIds]
+     * @returns {Object[]} Clients
+     */
+    static audience(caseData, alsoUserIds = []) {
+        return [...clients.values()].filter(({ user }) => (
+            canViewCase(user, caseData) || alsoUserIds.includes(user.id)
+        ));
+    }
+
+    /**
+     * Push a changed case, and a pending actions hint, to everyone who can see it
+     */
+    static async broadcastCase(event, { case: changed, previousAssignee, userIds = [] }) {
+        if (clients.size === 0) {
+            return;
+        }
+
+        const result = await db.query(
+            `SELECT
+        c.*,
+        creator.name as created_by_name,
+        assignee.name as assigned_to_name
+       FROM cases c
+       LEFT JOIN users creator ON c.created_by = creator.id
+       LEFT JOIN users assignee ON c.assigned_to = assignee.id
+       WHERE c.id = $1`,
+            [changed.id]
+        );
+        if (result.rows.length === 0) {
+            return;
+        }
+
+        const [caseData] = await SlaService.addStatus(result.rows);
+        for (const { res } of this.audience(caseData, [previousAssignee, ...userIds].filter(Boolean))) {
+            this.send(res, 'case.changed', { event, case: caseData });
+            this.send(res, 'pending_actions.changed', { caseId: caseData.id });
+        }
+    }
+
+    /**
+     * Push a new comment to everyone who can see its case
+     */
+    static async broadcastComment({ case: caseData, comment }) {
+        if (clients.size === 0) {
+            return;
+        }
+
+        const result = await db.query(
+            `SELECT
+        c.*,
+        u.name as created_by_name,
+        u.email as created_by_email,
+        u.role as created_by_role
+       FROM comments c
+       JOIN users u ON c.created_by = u.id
+       WHERE c.id = $1`,
+            [comment.id]
+        );
+
+        for (const { res } of this.audience(caseData)) {
+            this.send(res, 'comment.added', { caseId: caseData.id, comment: result.rows[0] || comment });
+        }
+    }
+
+    /**
+     * Keep every open stream alive while there are any
+     */
+    static startHeartbeat() {
+        if (heartbeat) {
+            return;
+        }
+        heartbeat = setInterval(() => {
+            for (const { res } of clients.values()) {
+                res.write(': heartbeat\n\n');
+            }
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+
+    /**
+     * Stop the heartbeat once the last stream closes
+     */
+    static stopHeartbeat() {
+        clearInterval(heartbeat);
+        heartbeat = null;
+    }
+}
+
+module.exports = RealtimeService;
@@ -0,0 +1,800 @@
+const db = require('../config/db');
+const {
+    SLA_POLICY_DEFAULTS,
+    SLA_AT_RISK_DEFAULTS,
+    SLA_TYPES,
+    SLA_STATUS,
+    CATEGORY,
+    PRIORITY
+} = require('../config/constants');
+const {
+    isValidTimeZone,
+    zonedTimeToUtc,
+    getLocalDate,
+    addDays,
+    getIsoWeekday,
+    formatLocalDate,
+    compareLocalDates
+} = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Give up looking for working time after ten years of calendar days
+const MAX_CALENDAR_DAYS = 3660;
+
+// Case columns of each SLA target
+const TARGET_COLUMNS = {
+    [SLA_TYPES.RESPONSE]: { due: 'sla_response_due_at', met: 'sla_responded_at', breached: 'sla_response_breached_at' },
+    [SLA_TYPES.RESOLUTION]: { due: 'sla_due_at', met: 'sla_resolved_at', breached: 'sla_resolution_breached_at' }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Minutes since midnight of an HH:MM (or HH:MM:SS) time
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * SLA Service - Due date calculation for case SLAs
+ *
+ * Every case has a first-response target (sla_response_due_at) and a
+ * resolution target (sla_due_at), taken from the sla_policies row of its
+ * priority and category. A response is the first staff comment or entering
+ * a state flagged recordsResponse; resolution is reaching a final state. Each target
+ * records when it was met and, if it was missed, the deadline it missed.
+ *
+ * SLA hours count working time on the calendar bound to the case's
+ * category: working days and hours in the calendar's time zone, minus
+ * holidays. Without a calendar they count wall-clock time.
+ *
+ * Workflow states flagged pausesSla stop the clock: cases.sla_paused_at
+ * is set while a pause runs and each pause is kept in case_sla_pauses.
+ *
+ * sla_status (SLA_STATUS) is worked out here rather than in SQL: a target
+ * is at risk once it is due within the sla_thresholds hours of the case's
+ * priority, counted in working hours on the same calendar as its due date.
+ *
+ * Calendar shape: { id, name, timeZone, workingDays: [1-7, ISO weekdays],
+ * workStart: 'HH:MM', workEnd: 'HH:MM', holidays: [{ date: 'YYYY-MM-DD', name }] }
+ */
+class SlaService {
+    /**
+     * Add SLA hours to the start of a clock
+     * @param {number} hours - Target in (working) hours
+     * @param {Date} [from] - Start of the SLA clock
+     * @param {Object} [calendar] - Working-time calendar; wall-clock hours without one
+     * @returns {Date}
+     */
+    static calculateDueDate(hours, from = new Date(), calendar = null) {
+        if (!calendar) {
+            return new Date(new Date(from).getTime() + hours * HOUR_MS);
+        }
+        return this.addWorkingHours(from, hours, calendar);
+    }
+
+    /**
+     * Calculate the first-response and resolution due dates of a case
+     * from the policy and calendar of its priority and category
+     * @param {string} priority
+     * @param {string} category
+     * @param {Date} [from] - Start of the SLA clock
+     * @returns {Promise<Object>} { responseDueAt, resolutionDueAt }
+     */
+    static async calculateTargets(priority, category, from = new Date()) {
+        const [policy, calendar] = await Promise.all([
+            this.getPolicy(priority, category),
+            this.getCalendarForCategory(category)
+        ]);
+
+        return {
+            responseDueAt: this.calculateDueDate(policy.responseHours, from, calendar),
+            resolutionDueAt: this.calculateDueDate(policy.resolutionHours, from, calendar)
+        };
+    }
+
+    /**
+     * Get the SLA policy for a priority and category
+     * A category's own policy wins over the default one; SLA_POLICY_DEFAULTS
+     * applies when neither is stored.
+     * @returns {Promise<Object>} { id, category, priority, responseHours, resolutionHours }
+     */
+    static async getPolicy(priority, category) {
+        const result = await db.query(
+            `SELECT * FROM sla_policies
+       WHERE priority = $1 AND (category = $2 OR category IS NULL)
+       ORDER BY category NULLS LAST
+       LIMIT 1`,
+            [priority, category]
+        );
+
+        if (result.rows.length > 0) {
+            return this.hydratePolicy(result.rows[0]);
+        }
+
+        const defaults = SLA_POLICY_DEFAULTS[priority] || SLA_POLICY_DEFAULTS[PRIORITY.MEDIUM];
+        return { id: null, category: null, priority, ...defaults };
+    }
+
+    /**
+     * Get all SLA policies, defaults first
+     * @returns {Promise<Object[]>}
+     */
+    static async getPolicies() {
+        const result = await db.query(`
+      SELECT sp.*, u.name as updated_by_name
+      FROM sla_policies sp
+      LEFT JOIN users u ON sp.updated_by = u.id
+      ORDER BY sp.category NULLS FIRST,
+        CASE sp.priority
+          WHEN 'Critical' THEN 1
+          WHEN 'High' THEN 2
+          WHEN 'Medium' THEN 3
+          ELSE 4
+        END
+    `);
+        return result.rows.map(row => ({
+            ...this.hydratePolicy(row),
+            updatedByName: row.updated_by_name,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Create or replace the policy of a priority, for one category or as the default
+     * Due dates already set on cases are not recalculated.
+     * @param {Object} policy - { category (null for the default), priority, responseHours, resolutionHours }
+     * @param {number} updatedBy - User id
+     * @returns {Promise<Object>}
+     */
+    static async savePolicy({ category = null, priority, responseHours, resolutionHours }, updatedBy) {
+        const result = await db.query(
+            `INSERT INTO sla_policies (category, priority, response_hours, resolution_hours, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT ((COALESCE(category, '')), priority) DO UPDATE
+       SET response_hours = EXCLUDED.response_hours, resolution_hours = EXCLUDED.resolution_hours,
+           updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+            [category, priority, responseHours, resolutionHours, updatedBy]
+        );
+        return this.hydratePolicy(result.rows[0]);
+    }
+
+    /**
+     * Delete a category's own policy so the default applies again
+     * Default policies cannot be deleted.
+     * @returns {Promise<Object|null>} The deleted policy or null if there was none
+     */
+    static async deletePolicy(id) {
+        const result = await db.query(
+            'DELETE FROM sla_policies WHERE id = $1 AND category IS NOT NULL RETURNING *',
+            [id]
+        );
+        return result.rows.length > 0 ? this.hydratePolicy(result.rows[0]) : null;
+    }
+
+    /**
+     * Convert a sla_policies row into a policy object
+     */
+    static hydratePolicy(row) {
+        return {
+            id: row.id,
+            category: row.category,
+            priority: row.priority,
+            responseHours: parseFloat(row.response_hours),
+            resolutionHours: parseFloat(row.resolution_hours)
+        };
+    }
+
+    /**
+     * Move a due date later by a number of working hours
+     * @param {Date} dueAt
+     * @param {number} hours
+     * @param {Object} [calendar] - Wall-clock hours without a calendar
+     * @returns {Date}
+     */
+    static extendDueDate(dueAt, hours, calendar = null) {
+        if (hours <= 0) {
+            return new Date(dueAt);
+        }
+        if (!calendar) {
+            return new Date(new Date(dueAt).getTime() + hours * HOUR_MS);
+        }
+        return this.addWorkingHours(dueAt, hours, calendar);
+    }
+
+    /**
+     * Due, met and breached timestamps of one of a case's SLA targets
+     * @param {Object} caseData - Case row
+     * @param {string} type - SLA_TYPES value
+     * @returns {Object} { dueAt, metAt, breachedAt }
+     */
+    static getTarget(caseData, type) {
+        const columns = this.getTargetColumns(type);
+        return {
+            dueAt: caseData[columns.due],
+            metAt: caseData[columns.met],
+            breachedAt: caseData[columns.breached]
+        };
+    }
+
+    /**
+     * Case columns holding an SLA target's due, met and breached timestamps
+     * @param {string} type - SLA_TYPES value
+     * @returns {Object} { due, met, breached }
+     */
+    static getTargetColumns(type) {
+        return TARGET_COLUMNS[type] || TARGET_COLUMNS[SLA_TYPES.RESOLUTION];
+    }
+
+    /**
+     * Working hours left before an SLA target is due (negative once breached)
+     * The clock of a paused case stopped when it was paused.
+     * @param {Object} caseData - Case row
+     * @param {Object} [calendar]
+     * @param {Date} [now]
+     * @param {string} [type] - SLA_TYPES value, resolution by default
+     * @returns {number}
+     */
+    static getHoursRemaining(caseData, calendar = null, now = new Date(), type = SLA_TYPES.RESOLUTION) {
+        return this.workingHoursBetween(caseData.sla_paused_at || now, this.getTarget(caseData, type).dueAt, calendar);
+    }
+
+    /**
+     * SLA state of one of a case's targets at an instant
+     * This is the only place sla_status is worked out; every endpoint that
+     * reports it goes through here (or addStatus). getStatusCondition is
+     * its SQL form for filtering and must stay in step with it.
+     * @param {Object} caseData - Case row
+     * @param {Object} thresholds - At-risk hours by priority, from getThresholds
+     * @param {Date} [now]
+     * @param {string} [type] - SLA_TYPES value, resolution by default
+     * @param {Object} [calendar] - Calendar of the case's category; wall-clock hours without one
+     * @returns {string|null} SLA_STATUS value, or null for a case without the target
+     */
+    static getStatus(caseData, thresholds, now = new Date(), type = SLA_TYPES.RESOLUTION, calendar = null) {
+        const { dueAt, metAt } = this.getTarget(caseData, type);
+        if (!dueAt) {
+            return null;
+        }
+        if (metAt) {
+            return SLA_STATUS.MET;
+        }
+
+        // A paused clock stopped when the pause started
+        const due = new Date(dueAt).getTime();
+        if (due < new Date(caseData.sla_paused_at || now).getTime()) {
+            return SLA_STATUS.OVERDUE;
+        }
+        if (caseData.sla_paused_at) {
+            return SLA_STATUS.PAUSED;
+        }
+
+        if (due < this.getAtRiskBefore(caseData.priority, thresholds, now, calendar).getTime()) {
+            return SLA_STATUS.AT_RISK;
+        }
+        return SLA_STATUS.ON_TRACK;
+    }
+
+    /**
+     * Due date before which a running target of a priority is at risk
+     * The threshold is added like SLA hours, so it counts working time on
+     * the calendar when there is one.
+     * @param {string} priority
+     * @param {Object} thresholds - At-risk hours by priority, from getThresholds
+     * @param {Date} [now]
+     * @param {Object} [calendar]
+     * @returns {Date}
+     */
+    static getAtRiskBefore(priority, thresholds, now = new Date(), calendar = null) {
+        const atRiskHours = thresholds[priority] ?? SLA_AT_RISK_DEFAULTS[priority] ?? SLA_AT_RISK_DEFAULTS[PRIORITY.MEDIUM];
+        return this.calculateDueDate(atRiskHours, now, calendar);
+    }
+
+    /**
+     * Latest due date a running target can have and be at risk at an instant
+     * Queries for at-risk and overdue targets narrow down to this before
+     * getStatus decides, so they cover every configured threshold and calendar.
+     * @param {Object} thresholds - At-risk hours by priority, from getThresholds
+     * @param {Date} [now]
+     * @param {Object} [calendars] - Calendar by category, from getCategoryCalendars
+     * @returns {Date}
+     */
+    static getAtRiskHorizon(thresholds, now = new Date(), calendars = {}) {
+        const hours = Math.max(...Object.values({ ...SLA_AT_RISK_DEFAULTS, ...thresholds }));
+        return new Date(Math.max(...[null, ...Object.values(calendars)]
+            .map(calendar => this.calculateDueDate(hours, now, calendar).getTime())));
+    }
+
+    /**
+     * SQL condition matching cases of `cases c` whose target is in any of some SLA states
+     * @param {string[]} statuses - SLA_STATUS values
+     * @param {Object} thresholds - At-risk hours by priority, from getThresholds
+     * @param {Array} params - Query parameters; values used are appended
+     * @param {Date} [now]
+     * @param {string} [type] - SLA_TYPES value, resolution by default
+     * @param {Object} [calendars] - Calendar by category, from getCategoryCalendars
+     * @returns {string}
+     */
+    static getStatusCondition(statuses, thresholds, params, now = new Date(), type = SLA_TYPES.RESOLUTION, calendars = {}) {
+        const { due, met } = this.getTargetColumns(type);
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        const nowParam = `${param(now)}::timestamp`;
+        // getAtRiskBefore of every priority on a calendar, picked by the case's category
+        const atRiskBefore = (calendar) => `CASE c.priority ${Object.values(PRIORITY).map(priority => (
+            `WHEN '${priority}' THEN ${param(this.getAtRiskBefore(priority, thresholds, now, calendar))}::timestamp`
+        )).join(' ')} ELSE ${param(this.getAtRiskBefore(null, thresholds, now, calendar))}::timestamp END`;
+        const withCalendar = Object.entries(calendars).filter(([, calendar]) => calendar);
+        const atRiskBoundary = withCalendar.length === 0
+            ? atRiskBefore(null)
+            : `CASE c.category ${withCalendar.map(([category, calendar]) => (
+                `WHEN ${param(category)} THEN ${atRiskBefore(calendar)}`
+            )).join(' ')} ELSE ${atRiskBefore(null)} END`;
+        const open = `c.${due} IS NOT NULL AND c.${met} IS NULL`;
+        const running = `${open} AND c.${due} >= ${nowParam} AND c.sla_paused_at IS NULL`;
+
+        const byStatus = {
+            [SLA_STATUS.MET]: `c.${due} IS NOT NULL AND c.${met} IS NOT NULL`,
+            [SLA_STATUS.OVERDUE]: `${open} AND c.${due} < COALESCE(c.sla_paused_at, ${nowParam})`,
+            [SLA_STATUS.PAUSED]: `${open} AND c.sla_paused_at IS NOT NULL AND c.${due} >= c.sla_paused_at`,
+            [SLA_STATUS.AT_RISK]: `${running} AND c.${due} < ${atRiskBoundary}`,
+            [SLA_STATUS.ON_TRACK]: `${running} AND c.${due} >= ${atRiskBoundary}`
+        };
+
+        return `(${statuses.map(status => `(${byStatus[status]})`).join(' OR ')})`;
+    }
+
+    /**
+     * Set sla_status on case rows
+     * @param {Object[]} rows - Case rows
+     * @param {Date} [now]
+     * @param {string} [type] - SLA_TYPES value, resolution by default
+     * @returns {Promise<Object[]>} Copies of the rows with sla_status
+     */
+    static async addStatus(rows, now = new Date(), type = SLA_TYPES.RESOLUTION) {
+        const [thresholds, calendars] = await Promise.all([this.getThresholds(), this.getCategoryCalendars()]);
+        return rows.map(row => ({
+            ...row,
+            sla_status: this.getStatus(row, thresholds, now, type, calendars[row.category])
+        }));
+    }
+
+    /**
+     * Get the at-risk threshold of every priority
+     * SLA_AT_RISK_DEFAULTS applies to priorities without a stored threshold.
+     * @returns {Promise<Object>} { [priority]: hours }
+     */
+    static async getThresholds() {
+        const result = await db.query('SELECT priority, at_risk_hours FROM sla_thresholds');
+        return result.rows.reduce((thresholds, row) => ({
+            ...thresholds,
+            [row.priority]: parseFloat(row.at_risk_hours)
+        }), { ...SLA_AT_RISK_DEFAULTS });
+    }
+
+    /**
+     * Set how many hours before a target is due a case of a priority is at risk
+     * @param {string} priority
+     * @param {number} hours
+     * @param {number} updatedBy - User id
+     * @returns {Promise<Object>} { priority, atRiskHours }
+     */
+    static async saveThreshold(priority, hours, updatedBy) {
+        const result = await db.query(
+            `INSERT INTO sla_thresholds (priority, at_risk_hours, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (priority) DO UPDATE
+       SET at_risk_hours = EXCLUDED.at_risk_hours, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+            [priority, hours, updatedBy]
+        );
+        return { priority: result.rows[0].priority, atRiskHours: parseFloat(result.rows[0].at_risk_hours) };
+    }
+
+    /**
+     * Bring a case's SLA up to date after its status changed
+     * Entering a state that pauses the SLA records a pause and leaving it
+     * extends the open targets by the paused working time. Entering a state
+     * that records the response meets the first-response target and reaching
+     * a final state meets the resolution target.
+     * @param {Object} caseData - Case row after the status change
+     * @param {Object} workflow - Definition the case follows
+     * @param {Object} [client] - Transaction client
+     * @param {Date} [now]
+     * @returns {Promise<Object>} { case, sla } where sla describes the changes or is null
+     */
+    static async updateClock(caseData, workflow, client = db, now = new Date()) {
+        if (!caseData.sla_due_at) {
+            return { case: caseData, sla: null };
+        }
+
+        const state = workflow.states.find(s => s.name === caseData.status);
+        let current = caseData;
+        const sla = {};
+
+        if (!!state?.pausesSla !== !!current.sla_paused_at) {
+            const clock = state?.pausesSla
+                ? await this.pauseClock(current, client, now)
+                : await this.resumeClock(current, client, now);
+            current = clock.case;
+            Object.assign(sla, clock.sla);
+        }
+
+        if (state?.recordsResponse && !current.sla_responded_at) {
+            const response = await this.recordResponse(current, client, now);
+            current = response.case;
+            Object.assign(sla, response.sla);
+        }
+
+        if (state?.isFinal && !current.sla_resolved_at) {
+            const result = await client.query(
+                `UPDATE cases
+         SET sla_resolved_at = $1,
+             sla_resolution_breached_at = COALESCE(
+               sla_resolution_breached_at,
+               CASE WHEN sla_due_at < $1 THEN sla_due_at END
+             )
+         WHERE id = $2
+         RETURNING *`,
+                [now, current.id]
+            );
+            current = result.rows[0];
+            Object.assign(sla, { resolved: true, resolutionBreached: !!current.sla_resolution_breached_at });
+        }
+
+        return { case: current, sla: Object.keys(sla).length > 0 ? sla : null };
+    }
+
+    /**
+     * Meet a case's first-response target unless it already was
+     * @param {Object} caseData - Case row
+     * @param {Object} [client] - Transaction client
+     * @param {Date} [now]
+     * @returns {Promise<Object>} { case, sla } where sla is null if the case had already been responded to
+     */
+    static async recordResponse(caseData, client = db, now = new Date()) {
+        // A paused clock stopped when the pause started; a breach the SLA
+        // monitor already recorded stands
+        const result = await client.query(
+            `UPDATE cases
+       SET sla_responded_at = $1,
+           sla_response_breached_at = COALESCE(sla_response_breached_at, CASE
+             WHEN sla_response_due_at < COALESCE(sla_paused_at, $1) THEN sla_response_due_at
+           END)
+       WHERE id = $2 AND sla_responded_at IS NULL
+       RETURNING *`,
+            [now, caseData.id]
+        );
+
+        if (result.rows.length === 0) {
+            return { case: caseData, sla: null };
+        }
+        return {
+            case: result.rows[0],
+            sla: { responded: true, responseBreached: !!result.rows[0].sla_response_breached_at }
+        };
+    }
+
+    /**
+     * Stop the SLA clock and record the pause
+     */
+    static async pauseClock(caseData, client, now) {
+        const result = await client.query(
+            'UPDATE cases SET sla_paused_at = $1 WHERE id = $2 RETURNING *',
+            [now, caseData.id]
+        );
+        await client.query(
+            'INSERT INTO case_sla_pauses (case_id, status, paused_at) VALUES ($1, $2, $3)',
+            [caseData.id, caseData.status, now]
+        );
+        return { case: result.rows[0], sla: { paused: true } };
+    }
+
+    /**
+     * Restart the SLA clock, extending the targets not yet met by the
+     * working time the pause lasted
+     */
+    static async resumeClock(caseData, client, now) {
+        const calendar = await this.getCalendarForCategory(caseData.category);
+        const pausedHours = this.workingHoursBetween(caseData.sla_paused_at, now, calendar);
+        const dueAt = this.extendDueDate(caseData.sla_due_at, pausedHours, calendar);
+        const responseDueAt = caseData.sla_response_due_at && !caseData.sla_responded_at
+            ? this.extendDueDate(caseData.sla_response_due_at, pausedHours, calendar)
+            : caseData.sla_response_due_at;
+
+        const result = await client.query(
+            `UPDATE cases SET sla_paused_at = NULL, sla_due_at = $1, sla_response_due_at = $2
+       WHERE id = $3
+       RETURNING *`,
+            [dueAt, responseDueAt, caseData.id]
+        );
+        await client.query(
+            `UPDATE case_sla_pauses SET resumed_at = $1, paused_hours = $2
+       WHERE case_id = $3 AND resumed_at IS NULL`,
+            [now, pausedHours, caseData.id]
+        );
+
+        return {
+            case: result.rows[0],
+            sla: {
+                resumed: true,
+                pausedHours: Math.round(pausedHours * 100) / 100,
+                previousDueAt: caseData.sla_due_at,
+                dueAt
+            }
+        };
+    }
+
+    /**
+     * Get the SLA pauses of a case, oldest first
+     * @param {number} caseId
+     * @returns {Promise<Object[]>}
+     */
+    static async getPauses(caseId) {
+        const result = await db.query(
+            `SELECT id, status, paused_at, resumed_at, paused_hours
+       FROM case_sla_pauses
+       WHERE case_id = $1
+       ORDER BY paused_at, id`,
+            [caseId]
+        );
+        return result.rows.map(row => ({
+            ...row,
+            paused_hours: row.paused_hours === null ? null : parseFloat(row.paused_hours)
+        }));
+    }
+
+    /**
+     * Working window of a local date, or null if it is not a working day
+     * @param {Object} date - { year, month, day } in the calendar's time zone
+     * @param {Object} calendar
+     * @returns {Object|null} { start: Date, end: Date }
+     */
+    static getWorkingWindow(date, calendar) {
+        const dateKey = formatLocalDate(date);
+        if (!calendar.workingDays.includes(getIsoWeekday(date)) ||
+            calendar.holidays.some(holiday => holiday.date === dateKey)) {
+            return null;
+        }
+
+        const start = toMinutes(calendar.workStart);
+        const end = toMinutes(calendar.workEnd);
+
+        return {
+            start: zonedTimeToUtc({ ...date, hour: Math.floor(start / 60), minute: start % 60 }, calendar.timeZone),
+            end: zonedTimeToUtc({ ...date, hour: Math.floor(end / 60), minute: end % 60 }, calendar.timeZone)
+        };
+    }
+
+    /**
+     * Add working hours to an instant
+     * A clock started outside working hours starts at the next working window.
+     * @param {Date} from
+     * @param {number} hours
+     * @param {Object} calendar
+     * @returns {Date}
+     */
+    static addWorkingHours(from, hours, calendar) {
+        const start = new Date(from).getTime();
+        let remaining = hours * HOUR_MS;
+        let day = getLocalDate(new Date(start), calendar.timeZone);
+
+        for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+            const window = this.getWorkingWindow(day, calendar);
+
+            if (window) {
+                const windowStart = Math.max(start, window.start.getTime());
+                const available = window.end.getTime() - windowStart;
+
+                if (available > 0) {
+                    if (remaining <= available) {
+                        return new Date(windowStart + remaining);
+                    }
+                    remaining -= available;
+                }
+            }
+
+            day = addDays(day, 1);
+        }
+
+        throw new Error(`SLA calendar '${calendar.name}' has no working time`);
+    }
+
+    /**
+     * Working hours between two instants (negative if to is before from)
+     * @param {Date} from
+     * @param {Date} to
+     * @param {Object} [calendar] - Wall-clock hours without a calendar
+     * @returns {number}
+     */
+    static workingHoursBetween(from, to, calendar = null) {
+        const start = new Date(from).getTime();
+        const end = new Date(to).getTime();
+
+        if (end < start) {
+            return -this.workingHoursBetween(to, from, calendar);
+        }
+        if (!calendar) {
+            return (end - start) / HOUR_MS;
+        }
+
+        let total = 0;
+        const lastDay = getLocalDate(new Date(end), calendar.timeZone);
+
+        for (let day = getLocalDate(new Date(start), calendar.timeZone);
+            compareLocalDates(day, lastDay) <= 0;
+            day = addDays(day, 1)) {
+            const window = this.getWorkingWindow(day, calendar);
+            if (window) {
+                const overlap = Math.min(end, window.end.getTime()) - Math.max(start, window.start.getTime());
+                total += Math.max(overlap, 0);
+            }
+        }
+
+        return total / HOUR_MS;
+    }
+
+    /**
+     * Validate a calendar definition
+     * @param {Object} calendar
+     * @returns {Object} { valid, errors }
+     */
+    static validateCalendar({ timeZone, workingDays, workStart, workEnd, holidays = [] }) {
+        const errors = [];
+
+        if (!isValidTimeZone(timeZone)) {
+            errors.push(`Unknown time zone: ${timeZone}`);
+        }
+
+        if (!Array.isArray(workingDays) || workingDays.length === 0 ||
+            !workingDays.every(day => Number.isInteger(day) && day >= 1 && day <= 7)) {
+            errors.push('Working days must be a non-empty list of ISO weekdays (1 = Monday ... 7 = Sunday)');
+        }
+
+        if (!TIME_PATTERN.test(workStart || '') || !TIME_PATTERN.test(workEnd || '')) {
+            errors.push('Working hours must be HH:MM');
+        } else if (toMinutes(workStart) >= toMinutes(workEnd)) {
+            errors.push('Working hours must end after they start');
+        }
+
+        if (!Array.isArray(holidays) || !holidays.every(holiday =>
+            DATE_PATTERN.test(holiday?.date || '') && !isNaN(Date.parse(holiday.date)))) {
+            errors.push('Holidays must be a list of { date: YYYY-MM-DD, name }');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Get all calendars with the categories bound to them
+     */
+    static async getCalendars() {
+        const result = await db.query(`
+      SELECT
+        sc.*,
+        COALESCE(array_agg(csc.category ORDER BY csc.category) FILTER (WHERE csc.category IS NOT NULL), '{}') as categories
+      FROM sla_calendars sc
+      LEFT JOIN category_sla_calendars csc ON csc.calendar_id = sc.id
+      GROUP BY sc.id
+      ORDER BY sc.name
+    `);
+        return result.rows.map(row => ({
+            ...this.hydrateCalendar(row),
+            categories: row.categories
+        }));
+    }
+
+    /**
+     * Get a calendar by id
+     * @returns {Promise<Object|null>}
+     */
+    static async getCalendar(id) {
+        const result = await db.query('SELECT * FROM sla_calendars WHERE id = $1', [id]);
+        return result.rows.length > 0 ? this.hydrateCalendar(result.rows[0]) : null;
+    }
+
+    /**
+     * Get the calendar bound to a category
+     * @returns {Promise<Object|null>} null if the category has no calendar
+     */
+    static async getCalendarForCategory(category) {
+        const result = await db.query(
+            `SELECT sc.*
+       FROM category_sla_calendars csc
+       JOIN sla_calendars sc ON sc.id = csc.calendar_id
+       WHERE csc.category = $1`,
+            [category]
+        );
+        return result.rows.length > 0 ? this.hydrateCalendar(result.rows[0]) : null;
+    }
+
+    /**
+     * Get the calendar bound to every category
+     * @returns {Promise<Object>} { [category]: calendar|null }
+     */
+    static async getCategoryCalendars() {
+        const result = await db.query(`
+      SELECT csc.category, sc.*
+      FROM category_sla_calendars csc
+      JOIN sla_calendars sc ON sc.id = csc.calendar_id
+    `);
+
+        const calendars = Object.fromEntries(Object.values(CATEGORY).map(category => [category, null]));
+        for (const row of result.rows) {
+            calendars[row.category] = this.hydrateCalendar(row);
+        }
+        return calendars;
+    }
+
+    /**
+     * Create a calendar
+     * @returns {Promise<Object>}
+     */
+    static async createCalendar({ name, timeZone, workingDays, workStart, workEnd, holidays = [] }, updatedBy) {
+        const result = await db.query(
+            `INSERT INTO sla_calendars (name, time_zone, working_days, work_start, work_end, holidays, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+            [name, timeZone, workingDays, workStart, workEnd, JSON.stringify(holidays), updatedBy]
+        );
+        return this.hydrateCalendar(result.rows[0]);
+    }
+
+    /**
+     * Replace a calendar's settings
+     * Due dates already set on cases are not recalculated.
+     * @returns {Promise<Object|null>}
+     */
+    static async updateCalendar(id, { timeZone, workingDays, workStart, workEnd, holidays = [] }, updatedBy) {
+        const result = await db.query(
+            `UPDATE sla_calendars
+       SET time_zone = $1, working_days = $2, work_start = $3, work_end = $4, holidays = $5,
+           updated_by = $6, updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+            [timeZone, workingDays, workStart, workEnd, JSON.stringify(holidays), updatedBy, id]
+        );
+        return result.rows.length > 0 ? this.hydrateCalendar(result.rows[0]) : null;
+    }
+
+    /**
+     * Bind a category to a calendar
+     * @returns {Promise<Object>} The binding row
+     */
+    static async bindCategory(category, calendarId, updatedBy) {
+        const result = await db.query(
+            `INSERT INTO category_sla_calendars (category, calendar_id, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (category) DO UPDATE
+       SET calendar_id = EXCLUDED.calendar_id, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+            [category, calendarId, updatedBy]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Convert a sla_calendars row into a calendar object
+     */
+    static hydrateCalendar(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            timeZone: row.time_zone,
+            workingDays: row.working_days.map(Number),
+            workStart: row.work_start.slice(0, 5),
+            workEnd: row.work_end.slice(0, 5),
+            holidays: row.holidays || []
+        };
+    }
+}
+
+module.exports = SlaService;
@@ -0,0 +1,100 @@
+const db = require('../config/db');
+const { HttpError } = require('../utils/errors');
+
+const VIEW_COLUMNS = 'v.id, v.owner_id, v.name, v.filters, v.shared, v.created_at, v.updated_at';
+
+/**
+ * View Service - Saved case list views
+ *
+ * A view is a named set of case list filters (utils/caseFilters) owned by
+ * one user. Shared views are listed for the whole team; only their owner
+ * can change them. Views never widen what a user can see: the case list
+ * applies its role rules on top of any filters.
+ */
+class ViewService {
+    /**
+     * Views a user can use: their own and those shared by others, by name
+     * @param {number} userId
+     * @returns {Promise<Object[]>} Views with owner_name
+     */
+    static async list(userId) {
+        const result = await db.query(
+            `SELECT ${VIEW_COLUMNS}, u.name as owner_name
+       FROM saved_views v
+       JOIN users u ON v.owner_id = u.id
+       WHERE v.owner_id = $1 OR v.shared
+       ORDER BY v.owner_id = $1 DESC, lower(v.name)`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Get a view
+     * @param {number} id
+     * @returns {Promise<Object|null>}
+     */
+    static async get(id) {
+        const result = await db.query(`SELECT ${VIEW_COLUMNS} FROM saved_views v WHERE v.id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Save a new view
+     * @param {number} ownerId
+     * @param {Object} view - { name, filters, shared }
+     * @returns {Promise<Object>}
+     */
+    static async create(ownerId, { name, filters, shared = false }) {
+        return this.withUniqueName(() => db.query(
+            `INSERT INTO saved_views (owner_id, name, filters, shared)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, owner_id, name, filters, shared, created_at, updated_at`,
+            [ownerId, name, JSON.stringify(filters), shared]
+        ));
+    }
+
+    /**
+     * Change a view's name, filters or sharing; omitted fields are kept
+     * @param {number} id
+     * @param {Object} changes - { name, filters, shared }
+     * @returns {Promise<Object>}
+     */
+    static async update(id, { name, filters, shared }) {
+        return this.withUniqueName(() => db.query(
+            `UPDATE saved_views
+       SET name = COALESCE($2, name),
+           filters = COALESCE($3, filters),
+           shared = COALESCE($4, shared),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, owner_id, name, filters, shared, created_at, updated_at`,
+            [id, name ?? null, filters ? JSON.stringify(filters) : null, shared ?? null]
+        ));
+    }
+
+    /**
+     * Delete a view
+     * @param {number} id
+     */
+    static async delete(id) {
+        await db.query('DELETE FROM saved_views WHERE id = $1', [id]);
+    }
+
+    /**
+     * Run a write, reporting a clash with another of the owner's view names as a 409
+     */
+    static async withUniqueName(write) {
+        try {
+            const result = await write();
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new HttpError(409, 'You already have a view with this name');
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = ViewService;
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+
+const db = require('../config/db');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = require('../config/constants');
+
+const SECOND_MS = 1000;
+
+const DEFAULT_INTERVAL_MS = 10 * SECOND_MS;
+
+const DELIVERY_TIMEOUT_MS = 10 * SECOND_MS;
+
+// Deliveries sent per scan
+const BATCH_SIZE = 20;
+
+// Retries wait 30s, 1m, 2m, ... doubling each time; a delivery is failed
+// after MAX_ATTEMPTS
+const RETRY_BASE_MS = 30 * SECOND_MS;
+const MAX_ATTEMPTS = 8;
+
+// A claimed delivery is retried after this long if its instance never reports back
+const SEND_LEASE_MS = 5 * 60 * SECOND_MS;
+
+// Event sent by the test endpoint
+const TEST_EVENT = 'webhook.test';
+
+// Columns returned for subscriptions; the secret is only shown on creation
+const SUBSCRIPTION_COLUMNS = 'id, name, url, events, categories, active, created_by, created_at, updated_at';
+
+let timer = null;
+let sending = false;
+
+/**
+ * Webhook Service - Outbound webhooks for case lifecycle events
+ *
+ * Every audited case action in WEBHOOK_EVENTS is queued for the matching
+ * subscriptions by AuditService.log, in the same transaction as the audit
+ * entry, so a webhook goes out for exactly the changes that were committed.
+ * The queue is sent on an interval by every server instance; each scan
+ * claims its deliveries with FOR UPDATE SKIP LOCKED. Failed deliveries are
+ * retried with exponential backoff.
+ *
+ * Requests are POSTed as JSON with X-WACMS-Event, X-WACMS-Delivery,
+ * X-WACMS-Timestamp and X-WACMS-Signature headers; the signature is
+ * sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex.
+ */
+class WebhookService {
+    /**
+     * Sign a request body with a subscription's secret
+     * @param {string} secret
+     * @param {string} timestamp - X-WACMS-Timestamp value (Unix seconds)
+     * @param {string} body - Raw JSON body
+     * @returns {string} X-WACMS-Signature value
+     */
+    static sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Queue the webhook event of an audit entry for every active subscription
+     * that wants it
+     * @param {Object} entry - case_audit_log row
+     * @param {Object} [client] - Client of the transaction that wrote the entry
+     * @returns {Promise<number>} Deliveries queued
+     */
+    static async enqueue(entry, client = db) {
+        const event = WEBHOOK_EVENTS[entry.action];
+        if (!event || !entry.case_id) {
+            return 0;
+        }
+
+        const result = await client.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event, audit_log_id, payload)
+      SELECT s.id, $1::text, $2::int, jsonb_build_object(
+        'id', $2::int,
+        'event', $1::text,
+        'occurredAt', $3::timestamp,
+        'case', to_jsonb(c) - 'search_vector',
+        'change', $4::jsonb
+      )
+      FROM webhook_subscriptions s
+      JOIN cases c ON c.id = $5
+      WHERE s.active
+        AND $1::text = ANY(s.events)
+        AND (cardinality(s.categories) = 0 OR c.category = ANY(s.categories))
+    `, [
+            event,
+            entry.id,
+            entry.timestamp,
+            JSON.stringify({
+                action: entry.action,
+                previousStatus: entry.previous_status,
+                newStatus: entry.new_status,
+                previousAssignee: entry.previous_assignee,
+                newAssignee: entry.new_assignee,
+                performedBy: entry.performed_by,
+                details: entry.details
+            }),
+            entry.case_id
+        ]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * List subscriptions
+     * @returns {Promise<Object[]>}
+     */
+    static async getSubscriptions() {
+        const result = await db.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY id`);
+        return result.rows;
+    }
+
+    /**
+     * Get a subscription with its secret
+     * @returns {Promise<Object|null>}
+     */
+    static async getSubscription(id) {
+        const result = await db.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create a subscription with a new signing secret
+     * @param {Object} subscription - { name, url, events, categories, active }
+     * @param {number} createdBy - User id
+     * @returns {Promise<Object>} The subscription including its secret
+     */
+    static async createSubscription({ name, url, events, categories = [], active = true }, createdBy) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const result = await db.query(
+            `INSERT INTO webhook_subscriptions (name, url, secret, events, categories, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+            [name, url, secret, events, categories, active, createdBy]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Change a subscription; fields left out keep their value
+     * @returns {Promise<Object|null>} The subscription, or null if not found
+     */
+    static async updateSubscription(id, { name, url, events, categories, active }) {
+        const result = await db.query(
+            `UPDATE webhook_subscriptions
+       SET name = COALESCE($2, name),
+           url = COALESCE($3, url),
+           events = COALESCE($4, events),
+           categories = COALESCE($5, categories),
+           active = COALESCE($6, active),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [id, name, url, events, categories, active]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Delete a subscription and its delivery log
+     * @returns {Promise<Object|null>} The deleted subscription, or null if not found
+     */
+    static async deleteSubscription(id) {
+        const result = await db.query(
+            `DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Delivery log of a subscription, newest first
+     * @param {number} subscriptionId
+     * @param {Object} [options] - { status, limit }
+     * @returns {Promise<Object[]>}
+     */
+    static async getDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+        const params = [subscriptionId];
+        let statusFilter = '';
+        if (status) {
+            params.push(status);
+            statusFilter = `AND status = $${params.length}`;
+        }
+        params.push(limit);
+
+        const result = await db.query(`
+      SELECT * FROM webhook_deliveries
+      WHERE subscription_id = $1 ${statusFilter}
+      ORDER BY id DESC
+      LIMIT $${params.length}
+    `, params);
+        return result.rows;
+    }
+
+    /**
+     * Queue a delivery again with its original payload
+     * @returns {Promise<Object|null>} The new delivery, or null if not found
+     */
+    static async replay(deliveryId) {
+        const result = await db.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event, audit_log_id, payload, replay_of)
+      SELECT subscription_id, event, audit_log_id, payload, id
+      FROM webhook_deliveries
+      WHERE id = $1
+      RETURNING *
+    `, [deliveryId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Send a test event to a subscription right away
+     * The attempt is recorded in the delivery log but never retried. It is
+     * stored as failed until its outcome is recorded, so the queue never
+     * claims and sends it a second time.
+     * @param {Object} subscription - Subscription with its secret
+     * @param {number} performedBy - User id
+     * @returns {Promise<Object>} The delivery after the attempt
+     */
+    static async sendTest(subscription, performedBy, now = new Date()) {
+        const queued = await db.query(
+            `INSERT INTO webhook_deliveries (subscription_id, event, payload, status, attempts, next_attempt_at)
+       VALUES ($1, $2, $3, $4, 1, $5)
+       RETURNING *`,
+            [
+                subscription.id,
+                TEST_EVENT,
+                JSON.stringify({ event: TEST_EVENT, occurredAt: now, subscription: subscription.name, performedBy }),
+                WEBHOOK_DELIVERY_STATUS.FAILED,
+                now
+            ]
+        );
+
+        const delivery = queued.rows[0];
+        const outcome = await this.send(subscription, delivery, now);
+        return this.recordOutcome({ ...delivery, attempts: MAX_ATTEMPTS }, outcome, now);
+    }
+
+    /**
+     * Send the queue on an interval until stop() is called
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between scans
+     * @param {Function} [options.clock] - Returns the current Date
+     */
+    static start({ intervalMs = DEFAULT_INTERVAL_MS, clock = () => new Date() } = {}) {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => this.tick(clock), intervalMs);
+        // Never keep the process alive just for the queue
+        timer.unref();
+    }
+
+    /**
+     * Stop sending
+     */
+    static stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Run one scheduled scan unless the previous one is still going
+     * @param {Function} clock
+     * @returns {Promise<Object[]>} Deliveries after their attempt
+     */
+    static async tick(clock) {
+        if (sending) {
+            return [];
+        }
+
+        sending = true;
+        try {
+            return await this.runOnce(clock());
+        } catch (error) {
+            console.error('Webhook queue scan failed:', error);
+            return [];
+        } finally {
+            sending = false;
+        }
+    }
+
+    /**
+     * Attempt every delivery that is due at an instant
+     * @param {Date} [now]
+     * @returns {Promise<Object[]>} Deliveries after their attempt
+     */
+    static async runOnce(now = new Date()) {
+        const deliveries = await this.claim(now);
+        const results = [];
+
+        for (const delivery of deliveries) {
+            const outcome = await this.send(delivery, delivery, now);
+            results.push(await this.recordOutcome(delivery, outcome, now));
+        }
+
+        return results;
+    }
+
+    /**
+     * Take due deliveries of active subscriptions off the queue for this instance
+     * Claimed deliveries are leased for SEND_LEASE_MS and count an attempt.
+     * @param {Date} now
+     * @returns {Promise<Object[]>} Deliveries with their subscription's url and secret
+     */
+    static async claim(now) {
+        const result = await db.query(`
+      UPDATE webhook_deliveries d
+      SET attempts = d.attempts + 1, next_attempt_at = $2
+      FROM webhook_subscriptions s
+      WHERE s.id = d.subscription_id
+        AND d.id IN (
+          SELECT pending.id FROM webhook_deliveries pending
+          JOIN webhook_subscriptions active ON active.id = pending.subscription_id AND active.active
+          WHERE pending.status = $3 AND pending.next_attempt_at <= $1
+          ORDER BY pending.next_attempt_at, pending.id
+          LIMIT $4
+          FOR UPDATE OF pending SKIP LOCKED
+        )
+      RETURNING d.*, s.url, s.secret
+    `, [now, new Date(new Date(now).getTime() + SEND_LEASE_MS), WEBHOOK_DELIVERY_STATUS.PENDING, BATCH_SIZE]);
+
+        return result.rows;
+    }
+
+    /**
+     * POST a delivery's payload, signed with the subscription's secret
+     * @param {Object} subscription - { url, secret }
+     * @param {Object} delivery - webhook_deliveries row
+     * @param {Date} now
+     * @returns {Promise<Object>} { ok, responseStatus, error }
+     */
+    static async send({ url, secret }, delivery, now) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = String(Math.floor(new Date(now).getTime() / 1000));
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'WACMS-Webhooks',
+                    'X-WACMS-Event': delivery.event,
+                    'X-WACMS-Delivery': String(delivery.id),
+                    'X-WACMS-Timestamp': timestamp,
+                    'X-WACMS-Signature': this.sign(secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+
+            return response.ok
+                ? { ok: true, responseStatus: response.status, error: null }
+                : { ok: false, responseStatus: response.status, error: `Responded with ${response.status}` };
+        } catch (error) {
+            return { ok: false, responseStatus: null, error: error.message };
+        }
+    }
+
+    /**
+     * Record the result of an attempt, scheduling the next one after a failure
+     * @returns {Promise<Object>} The delivery
+     */
+    static async recordOutcome(delivery, { ok, responseStatus, error }, now) {
+        let status = WEBHOOK_DELIVERY_STATUS.PENDING;
+        let nextAttemptAt = new Date(new Date(now).getTime() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+
+        if (ok) {
+            status = WEBHOOK_DELIVERY_STATUS.DELIVERED;
+            nextAttemptAt = now;
+        } else if (delivery.attempts >= MAX_ATTEMPTS) {
+            status = WEBHOOK_DELIVERY_STATUS.FAILED;
+            nextAttemptAt = now;
+        }
+
+        const result = await db.query(
+            `UPDATE webhook_deliveries
+       SET status = $2, next_attempt_at = $3, response_status = $4, last_error = $5,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN $3::timestamp END
+       WHERE id = $1
+       RETURNING *`,
+            [delivery.id, status, nextAttemptAt, responseStatus, error]
+        );
+        return result.rows[0];
+    }
+}
+
+module.exports = WebhookService;
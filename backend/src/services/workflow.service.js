@@ -1,7 +1,25 @@
-const { TRANSITIONS, STATUS } = require('../config/constants');
+const db = require('../config/db');
+const AutomationService = require('./automation.service');
+const {
+    TRANSITIONS,
+    TRANSITION_GUARDS,
+    GUARD_TYPES,
+    STATUS,
+    ROLES,
+    DEFAULT_WORKFLOW
+} = require('../config/constants');
+
+// States and transitions of a version never change, so they are cached by id
+const graphCache = new Map();
 
 /**
  * Workflow Service - State machine for case lifecycle
+ *
+ * Transition maps use the same shape as TRANSITIONS:
+ * { [fromStatus]: { [toStatus]: [allowedRoles] } }
+ * and guard maps the same shape as TRANSITION_GUARDS. The pure helpers
+ * default to the constants; routes pass the maps of the definition
+ * loaded for the case.
  */
 class WorkflowService {
     /**
@@ -9,11 +27,12 @@ class WorkflowService {
      * @param {string} currentStatus - Current case status
      * @param {string} targetStatus - Desired new status
      * @param {string} userRole - Role of the user attempting transition
+     * @param {Object} [transitions] - Transition map of the case's workflow
      * @returns {Object} { valid: boolean, reason?: string }
      */
-    static canTransition(currentStatus, targetStatus, userRole) {
+    static canTransition(currentStatus, targetStatus, userRole, transitions = TRANSITIONS) {
         // Check if current status exists in transitions
-        if (!TRANSITIONS[currentStatus]) {
+        if (!transitions[currentStatus]) {
             return {
                 valid: false,
                 reason: `No transitions available from status: ${currentStatus}`
@@ -21,9 +40,9 @@ class WorkflowService {
         }
 
         // Check if target status is a valid destination
-        const allowedRoles = TRANSITIONS[currentStatus][targetStatus];
+        const allowedRoles = transitions[currentStatus][targetStatus];
         if (!allowedRoles) {
-            const validDestinations = Object.keys(TRANSITIONS[currentStatus]);
+            const validDestinations = Object.keys(transitions[currentStatus]);
             return {
                 valid: false,
                 reason: `Cannot transition from '${currentStatus}' to '${targetStatus}'. Valid destinations: ${validDestinations.join(', ')}`
@@ -45,15 +64,16 @@ class WorkflowService {
      * Get all possible transitions from a status for a given role
      * @param {string} currentStatus - Current case status
      * @param {string} userRole - Role of the user
+     * @param {Object} [transitions] - Transition map of the case's workflow
      * @returns {string[]} Array of valid target statuses
      */
-    static getAvailableTransitions(currentStatus, userRole) {
-        if (!TRANSITIONS[currentStatus]) {
+    static getAvailableTransitions(currentStatus, userRole, transitions = TRANSITIONS) {
+        if (!transitions[currentStatus]) {
             return [];
         }
 
         const available = [];
-        for (const [targetStatus, allowedRoles] of Object.entries(TRANSITIONS[currentStatus])) {
+        for (const [targetStatus, allowedRoles] of Object.entries(transitions[currentStatus])) {
             if (allowedRoles.includes(userRole)) {
                 available.push(targetStatus);
             }
@@ -69,31 +89,179 @@ class WorkflowService {
     }
 
     /**
-     * Check if a case can be assigned (must be in Created status)
-     * @param {string} currentStatus
-     * @returns {boolean}
+     * Get the fields each available transition asks for
+     * @param {string} currentStatus - Current case status
+     * @param {Object} [guards] - Guard map of the case's workflow
+     * @returns {Object} { [targetStatus]: [{ field, label }] }
      */
-    static canAssign(currentStatus) {
-        return currentStatus === STATUS.CREATED;
+    static getRequiredFields(currentStatus, guards = TRANSITION_GUARDS) {
+        const required = {};
+        for (const [targetStatus, transitionGuards] of Object.entries(guards[currentStatus] || {})) {
+            const fields = transitionGuards
+                .filter(guard => guard.type === GUARD_TYPES.REQUIRED_FIELD)
+                .map(({ field, label }) => ({ field, label: label || field }));
+            if (fields.length > 0) {
+                required[targetStatus] = fields;
+            }
+        }
+        return required;
     }
 
     /**
-     * Validate required fields for status transition
+     * Validate the guard conditions of a status transition
      * @param {Object} caseData - Case data
      * @param {string} targetStatus - Target status
-     * @returns {Object} { valid: boolean, errors?: string[] }
+     * @param {Object} [context]
+     * @param {Object} [context.guards] - Guard map of the case's workflow
+     * @param {Object} [context.fields] - Transition fields submitted by the user
+     * @param {number} [context.commentCount] - Number of comments on the case
+     * @returns {Object} { valid: boolean, errors: string[], fields: Object }
+     *   fields holds only the submitted values that a guard asked for
+     */
+    static validateTransitionRequirements(caseData, targetStatus, { guards = TRANSITION_GUARDS, fields = {}, commentCount = 0 } = {}) {
+        const errors = [];
+        const acceptedFields = {};
+        const transitionGuards = guards[caseData.status]?.[targetStatus] || [];
+
+        for (const guard of transitionGuards) {
+            switch (guard.type) {
+                case GUARD_TYPES.HAS_ASSIGNEE:
+                    if (!caseData.assigned_to) {
+                        errors.push(`Case must have an assignee before setting status to ${targetStatus}`);
+                    }
+                    break;
+
+                case GUARD_TYPES.MIN_COMMENTS:
+                    if (commentCount < guard.count) {
+                        errors.push(`At least ${guard.count} comment(s) required before setting status to ${targetStatus}`);
+                    }
+                    break;
+
+                case GUARD_TYPES.REQUIRED_FIELD: {
+                    const value = fields?.[guard.field];
+                    if (typeof value !== 'string' || !value.trim()) {
+                        errors.push(`${guard.label || guard.field} is required`);
+                    } else {
+                        acceptedFields[guard.field] = value.trim();
+                    }
+                    break;
+                }
+
+                default:
+                    errors.push(`Unknown guard type: ${guard.type}`);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            fields: acceptedFields
+        };
+    }
+
+    /**
+     * Validate a guard definition
+     * @param {Object} guard
+     * @returns {string|null} Error message or null if valid
+     */
+    static validateGuard(guard) {
+        if (!guard || !Object.values(GUARD_TYPES).includes(guard.type)) {
+            return `Unknown guard type: ${guard?.type}`;
+        }
+        if (guard.type === GUARD_TYPES.MIN_COMMENTS && !(Number.isInteger(guard.count) && guard.count > 0)) {
+            return 'min_comments guards need a positive count';
+        }
+        if (guard.type === GUARD_TYPES.REQUIRED_FIELD && !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(guard.field || '')) {
+            return 'required_field guards need an alphanumeric field name';
+        }
+        return null;
+    }
+
+    /**
+     * Validate a workflow definition before it is stored
+     * @param {Object} definition - { states: [{ name, isInitial, isFinal, pausesSla, recordsResponse }], transitions, guards?, actions?, creationActions?, assignedState? }
+     * @returns {Object} { valid: boolean, errors: string[] }
      */
-    static validateTransitionRequirements(caseData, targetStatus) {
+    static validateDefinition({ states, transitions, guards = {}, actions = {}, creationActions = [], assignedState = null }) {
         const errors = [];
 
-        // Cannot transition to Assigned without an assignee
-        if (targetStatus === STATUS.ASSIGNED && !caseData.assigned_to) {
-            errors.push('Case must have an assignee before setting status to Assigned');
+        if (!Array.isArray(states) || states.length === 0) {
+            return { valid: false, errors: ['At least one state is required'] };
+        }
+        if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+            return { valid: false, errors: ['Transitions must be an object keyed by source state'] };
+        }
+
+        const names = new Set();
+        for (const state of states) {
+            if (typeof state.name !== 'string' || !state.name.trim() || state.name.length > 30) {
+                errors.push('State names must be non-empty strings of at most 30 characters');
+            } else if (names.has(state.name)) {
+                errors.push(`Duplicate state: ${state.name}`);
+            } else {
+                names.add(state.name);
+            }
+        }
+
+        const initialStates = states.filter(s => s.isInitial);
+        if (initialStates.length !== 1) {
+            errors.push('Exactly one initial state is required');
+        }
+
+        // The SLA clock starts when a case is created and stops when it is finished
+        for (const state of states.filter(s => s.pausesSla)) {
+            if (state.isInitial || state.isFinal) {
+                errors.push(`State '${state.name}' cannot pause the SLA: only intermediate states can`);
+            }
+        }
+        // Every case starts in the initial state, before anyone has responded
+        for (const state of states.filter(s => s.recordsResponse && s.isInitial)) {
+            errors.push(`State '${state.name}' cannot record the first response: it is the initial state`);
+        }
+
+        const validRoles = Object.values(ROLES);
+        for (const [fromState, targets] of Object.entries(transitions)) {
+            if (!names.has(fromState)) {
+                errors.push(`Unknown source state: ${fromState}`);
+                continue;
+            }
+            if (!targets || typeof targets !== 'object') {
+                errors.push(`Transitions from '${fromState}' must be an object keyed by target state`);
+                continue;
+            }
+            if (states.find(s => s.name === fromState).isFinal && Object.keys(targets).length > 0) {
+                errors.push(`Final state '${fromState}' cannot have outgoing transitions`);
+            }
+            for (const [toState, roles] of Object.entries(targets)) {
+                if (!names.has(toState)) {
+                    errors.push(`Unknown target state: ${toState}`);
+                }
+                if (!Array.isArray(roles) || roles.length === 0) {
+                    errors.push(`Transition '${fromState}' → '${toState}' needs at least one role`);
+                } else if (roles.some(role => !validRoles.includes(role))) {
+                    errors.push(`Transition '${fromState}' → '${toState}' has an invalid role`);
+                }
+            }
+        }
+
+        // Assigning a new case moves it along a transition of the initial state
+        if (assignedState !== null && initialStates.length === 1
+            && !transitions[initialStates[0].name]?.[assignedState]) {
+            errors.push(`Assigned state '${assignedState}' must be a transition target of the initial state`);
         }
 
-        // Cannot close without going through review
-        if (targetStatus === STATUS.CLOSED && caseData.status !== STATUS.UNDER_REVIEW) {
-            errors.push('Case must be Under Review before closing');
+        errors.push(...this.validateRuleMap('Guards', guards, transitions, guard => this.validateGuard(guard)));
+        errors.push(...this.validateRuleMap('Actions', actions, transitions, action => AutomationService.validateAction(action)));
+
+        if (!Array.isArray(creationActions)) {
+            errors.push('Creation actions must be an array');
+        } else {
+            for (const action of creationActions) {
+                const actionError = AutomationService.validateAction(action);
+                if (actionError) {
+                    errors.push(`Creation action: ${actionError}`);
+                }
+            }
         }
 
         return {
@@ -101,6 +269,352 @@ class WorkflowService {
             errors
         };
     }
+
+    /**
+     * Validate a per-transition rule map (guards or actions)
+     * @param {string} label - Name used in error messages
+     * @param {Object} map - { [fromStatus]: { [toStatus]: [rules] } }
+     * @param {Object} transitions - Transition map the rules attach to
+     * @param {Function} validateRule - Returns an error message or null
+     * @returns {string[]} Errors
+     */
+    static validateRuleMap(label, map, transitions, validateRule) {
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+            return [`${label} must be an object keyed by source state`];
+        }
+
+        const errors = [];
+        for (const [fromState, targets] of Object.entries(map)) {
+            for (const [toState, rules] of Object.entries(targets || {})) {
+                if (!transitions[fromState]?.[toState]) {
+                    errors.push(`${label} defined for unknown transition '${fromState}' → '${toState}'`);
+                    continue;
+                }
+                if (!Array.isArray(rules)) {
+                    errors.push(`${label} for '${fromState}' → '${toState}' must be an array`);
+                    continue;
+                }
+                for (const rule of rules) {
+                    const ruleError = validateRule(rule);
+                    if (ruleError) {
+                        errors.push(`Transition '${fromState}' → '${toState}': ${ruleError}`);
+                    }
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Load a workflow definition version by id
+     * @param {number} workflowId
+     * @returns {Promise<Object|null>} Definition or null if not found
+     */
+    static async getDefinition(workflowId) {
+        const result = await db.query(
+            'SELECT * FROM workflow_definitions WHERE id = $1',
+            [workflowId]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        return this.hydrateDefinition(result.rows[0]);
+    }
+
+    /**
+     * Load the active version of a named workflow
+     * @param {string} [name]
+     * @returns {Promise<Object|null>} Definition or null if not found
+     */
+    static async getActiveDefinition(name = DEFAULT_WORKFLOW) {
+        const result = await db.query(
+            'SELECT * FROM workflow_definitions WHERE name = $1 AND is_active',
+            [name]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return this.hydrateDefinition(result.rows[0]);
+    }
+
+    /**
+     * Load the active version of the workflow bound to a category,
+     * falling back to the default workflow
+     * @param {string} category
+     * @returns {Promise<Object|null>} Definition or null if not found
+     */
+    static async getActiveDefinitionForCategory(category) {
+        const result = await db.query(
+            'SELECT workflow_name FROM category_workflows WHERE category = $1',
+            [category]
+        );
+        const name = result.rows[0]?.workflow_name || DEFAULT_WORKFLOW;
+
+        return (await this.getActiveDefinition(name)) || this.getActiveDefinition();
+    }
+
+    /**
+     * Get the workflow bound to each category
+     * @returns {Promise<Object[]>}
+     */
+    static async getCategoryBindings() {
+        const result = await db.query(`
+      SELECT
+        cw.category, cw.workflow_name, cw.updated_at,
+        wd.id as workflow_id, wd.version as active_version,
+        u.name as updated_by_name
+      FROM category_workflows cw
+      LEFT JOIN workflow_definitions wd ON wd.name = cw.workflow_name AND wd.is_active
+      LEFT JOIN users u ON cw.updated_by = u.id
+      ORDER BY cw.category
+    `);
+        return result.rows;
+    }
+
+    /**
+     * Bind a category to a workflow. Only cases created afterwards use it.
+     * @param {string} category
+     * @param {string} workflowName
+     * @param {number} updatedBy - User id
+     * @returns {Promise<Object>} Binding row
+     */
+    static async bindCategory(category, workflowName, updatedBy) {
+        const result = await db.query(
+            `INSERT INTO category_workflows (category, workflow_name, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (category)
+       DO UPDATE SET workflow_name = $2, updated_by = $3, updated_at = NOW()
+       RETURNING *`,
+            [category, workflowName, updatedBy]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * State a case moves to when it is assigned
+     * Only cases still in the initial state move, and only in workflows
+     * that name an assignedState.
+     * @param {Object} workflow - Definition the case follows
+     * @param {string} currentStatus
+     * @returns {string|null} Target state, or null to keep the status
+     */
+    static getStateOnAssignment(workflow, currentStatus) {
+        if (!workflow.assignedState || currentStatus !== workflow.initialState) {
+            return null;
+        }
+        return workflow.transitions[currentStatus]?.[workflow.assignedState] ? workflow.assignedState : null;
+    }
+
+    /**
+     * SQL condition that is true while a case is in a final state of its workflow
+     * Workflows name their final states freely, so finished cases are never
+     * told apart by status name.
+     * @param {string} [alias] - Alias of the cases table in the query
+     * @returns {string}
+     */
+    static finalStateCondition(alias = 'c') {
+        return `EXISTS (
+          SELECT 1 FROM workflow_states final_state
+          WHERE final_state.workflow_id = ${alias}.workflow_id
+            AND final_state.name = ${alias}.status
+            AND final_state.is_final
+        )`;
+    }
+
+    /**
+     * Load the workflow version a case was created under
+     * @param {Object} caseData - Case row
+     * @returns {Promise<Object>} Definition
+     */
+    static async getDefinitionForCase(caseData) {
+        const definition = caseData.workflow_id
+            ? await this.getDefinition(caseData.workflow_id)
+            : await this.getActiveDefinition();
+
+        if (!definition) {
+            const error = new Error('Workflow definition not found');
+            error.statusCode = 500;
+            throw error;
+        }
+        return definition;
+    }
+
+    /**
+     * Store a new version of a workflow and make it the active one.
+     * Cases created under earlier versions keep using them.
+     * @param {string} name - Workflow name
+     * @param {Object} definition - { states, transitions, guards?, actions?, creationActions?, assignedState? }
+     * @param {number} createdBy - User id
+     * @returns {Promise<Object>} The new definition
+     */
+    static async createVersion(name, definition, createdBy) {
+        const workflowId = await db.withTransaction(client => this.insertVersion(client, name, definition, createdBy));
+
+        return this.getDefinition(workflowId);
+    }
+
+    /**
+     * Insert a new active version of a workflow in a transaction
+     * Used by createVersion, and by migrations to publish the seed.
+     * @param {Object} client - Transaction client
+     * @param {string} name - Workflow name
+     * @param {Object} definition - { states, transitions, guards?, actions?, creationActions?, assignedState? }
+     * @param {number|null} createdBy - User id, null for the seed
+     * @returns {Promise<number>} Id of the new version
+     */
+    static async insertVersion(client, name, { states, transitions, guards = {}, actions = {}, creationActions = [], assignedState = null }, createdBy) {
+        // Serialize concurrent publishes of the same workflow
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [name]);
+
+        const latest = await client.query(
+            'SELECT COALESCE(MAX(version), 0) AS version FROM workflow_definitions WHERE name = $1',
+            [name]
+        );
+        const version = latest.rows[0].version + 1;
+
+        await client.query(
+            'UPDATE workflow_definitions SET is_active = false WHERE name = $1 AND is_active',
+            [name]
+        );
+
+        const created = await client.query(
+            `INSERT INTO workflow_definitions (name, version, is_active, created_by, creation_actions, assigned_state)
+     VALUES ($1, $2, true, $3, $4, $5)
+     RETURNING *`,
+            [name, version, createdBy, JSON.stringify(creationActions), assignedState]
+        );
+        const workflowId = created.rows[0].id;
+
+        for (const [position, state] of states.entries()) {
+            await client.query(
+                `INSERT INTO workflow_states (workflow_id, name, position, is_initial, is_final, pauses_sla, records_response)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [
+                    workflowId, state.name, position, !!state.isInitial, !!state.isFinal,
+                    !!state.pausesSla, !!state.recordsResponse
+                ]
+            );
+        }
+
+        for (const [fromState, targets] of Object.entries(transitions)) {
+            for (const [toState, roles] of Object.entries(targets)) {
+                await client.query(
+                    `INSERT INTO workflow_transitions (workflow_id, from_state, to_state, allowed_roles, guards, actions)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+                    [
+                        workflowId, fromState, toState, roles,
+                        JSON.stringify(guards[fromState]?.[toState] || []),
+                        JSON.stringify(actions[fromState]?.[toState] || [])
+                    ]
+                );
+            }
+        }
+
+        return workflowId;
+    }
+
+    /**
+     * Make an existing version the active one for its workflow
+     * @param {number} workflowId
+     * @returns {Promise<Object|null>} Definition or null if not found
+     */
+    static async activateVersion(workflowId) {
+        const definition = await this.getDefinition(workflowId);
+        if (!definition) {
+            return null;
+        }
+        if (definition.isActive) {
+            return definition;
+        }
+
+        await db.withTransaction(async (client) => {
+            await client.query(
+                'UPDATE workflow_definitions SET is_active = false WHERE name = $1 AND is_active',
+                [definition.name]
+            );
+            await client.query(
+                'UPDATE workflow_definitions SET is_active = true WHERE id = $1',
+                [workflowId]
+            );
+        });
+
+        return this.getDefinition(workflowId);
+    }
+
+    /**
+     * Build a definition object from its stored row, states and transitions
+     * @param {Object} row - workflow_definitions row
+     * @returns {Promise<Object>}
+     */
+    static async hydrateDefinition(row) {
+        if (!graphCache.has(row.id)) {
+            graphCache.set(row.id, await this.loadGraph(row.id));
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            version: row.version,
+            isActive: row.is_active,
+            createdAt: row.created_at,
+            creationActions: row.creation_actions,
+            assignedState: row.assigned_state,
+            ...graphCache.get(row.id)
+        };
+    }
+
+    /**
+     * Load the states and transition map of a workflow version
+     * @param {number} workflowId
+     * @param {Object} [client] - Transaction client
+     * @returns {Promise<Object>} { initialState, states, transitions, guards, actions }
+     */
+    static async loadGraph(workflowId, client = db) {
+        const [states, transitions] = await Promise.all([
+            client.query(
+                'SELECT name, is_initial, is_final, pauses_sla, records_response FROM workflow_states WHERE workflow_id = $1 ORDER BY position',
+                [workflowId]
+            ),
+            client.query(
+                'SELECT from_state, to_state, allowed_roles, guards, actions FROM workflow_transitions WHERE workflow_id = $1 ORDER BY id',
+                [workflowId]
+            )
+        ]);
+
+        const transitionMap = {};
+        const guardMap = {};
+        const actionMap = {};
+        for (const t of transitions.rows) {
+            transitionMap[t.from_state] = transitionMap[t.from_state] || {};
+            transitionMap[t.from_state][t.to_state] = t.allowed_roles;
+
+            if (t.guards.length > 0) {
+                guardMap[t.from_state] = guardMap[t.from_state] || {};
+                guardMap[t.from_state][t.to_state] = t.guards;
+            }
+            if (t.actions.length > 0) {
+                actionMap[t.from_state] = actionMap[t.from_state] || {};
+                actionMap[t.from_state][t.to_state] = t.actions;
+            }
+        }
+
+        const initial = states.rows.find(s => s.is_initial);
+
+        return {
+            initialState: initial ? initial.name : null,
+            states: states.rows.map(s => ({
+                name: s.name,
+                isInitial: s.is_initial,
+                isFinal: s.is_final,
+                pausesSla: s.pauses_sla,
+                recordsResponse: s.records_response
+            })),
+            transitions: transitionMap,
+            guards: guardMap,
+            actions: actionMap
+        };
+    }
 }
 
 module.exports = WorkflowService;
@@ -0,0 +1,45 @@
+const { ROLES } = require('../config/constants');
+
+/**
+ * Which cases a user can see, by role:
+ * - requesters see the cases they raised
+ * - analysts see the cases they raised or are assigned to
+ * - managers and admins see every case
+ * The SQL and JavaScript forms below must stay in step.
+ */
+
+/**
+ * SQL condition limiting a query on `cases c` to what a user can see
+ * @param {Object} user - { id, role }
+ * @param {Array} params - Query parameters; the user id is appended when needed
+ * @returns {string|null} Condition, or null when the user sees every case
+ */
+function caseScopeCondition(user, params) {
+    if (user.role === ROLES.REQUESTER) {
+        params.push(user.id);
+        return `c.created_by = $${params.length}`;
+    }
+    if (user.role === ROLES.ANALYST) {
+        params.push(user.id);
+        return `(c.assigned_to = $${params.length} OR c.created_by = $${params.length})`;
+    }
+    return null;
+}
+
+/**
+ * Whether a user can see a case
+ * @param {Object} user - { id, role }
+ * @param {Object} caseData - Case row
+ * @returns {boolean}
+ */
+function canViewCase(user, caseData) {
+    if (user.role === ROLES.REQUESTER) {
+        return caseData.created_by === user.id;
+    }
+    if (user.role === ROLES.ANALYST) {
+        return caseData.assigned_to === user.id || caseData.created_by === user.id;
+    }
+    return true;
+}
+
+module.exports = { caseScopeCondition, canViewCase };
@@ -0,0 +1,394 @@
+const { PRIORITY, CATEGORY, SLA_STATUS } = require('../config/constants');
+const { HttpError } = require('./errors');
+
+/**
+ * Case list filters, shared by GET /api/cases and saved views
+ *
+ * Filters are kept in the shape of GET /api/cases query parameters, so a
+ * saved view is just the query string it stands for:
+ * - status, priority, category, slaStatus: one or more values
+ * - assignedTo: user ids, `me` or `none`; createdBy: user ids or `me`
+ *   (`me` is whoever runs the view, so shared views work for everyone)
+ * - createdFrom/To, updatedFrom/To, slaDueFrom/To: ISO dates or times;
+ *   a date-only `To` includes that whole day
+ * - q: full-text search (utils/search)
+ * - sort: comma-separated SORT_FIELDS, `-` in front for descending
+ * Lists can be given as repeated parameters or comma-separated.
+ *
+ * The list itself can be paged by offset or by cursor (keyset) and cut down
+ * to some fields; see caseSortKeys and caseListSelect.
+ */
+
+const LIST_FILTERS = {
+    status: null,
+    priority: Object.values(PRIORITY),
+    category: Object.values(CATEGORY),
+    slaStatus: Object.values(SLA_STATUS)
+};
+
+const USER_FILTERS = {
+    assignedTo: { column: 'c.assigned_to', keywords: ['me', 'none'] },
+    createdBy: { column: 'c.created_by', keywords: ['me'] }
+};
+
+const DATE_FILTERS = {
+    created: 'c.created_at',
+    updated: 'c.updated_at',
+    slaDue: 'c.sla_due_at'
+};
+
+// Priority sorts by urgency, so -priority puts Critical first. The list
+// indexes in migrations/run.js repeat these expressions; keep them in step.
+const SORT_FIELDS = {
+    priority: `CASE c.priority WHEN 'Critical' THEN 4 WHEN 'High' THEN 3 WHEN 'Medium' THEN 2 ELSE 1 END`,
+    case_id: 'c.case_id',
+    title: 'c.title',
+    status: 'c.status',
+    category: 'c.category',
+    assignee: 'assignee.name',
+    created_at: 'c.created_at',
+    updated_at: 'c.updated_at',
+    sla_due_at: 'c.sla_due_at'
+};
+
+const DEFAULT_SORT = '-priority,-created_at';
+
+// Case columns a list can be cut down to with `fields` (search_vector is internal)
+const CASE_COLUMNS = [
+    'id', 'case_id', 'title', 'description', 'category', 'priority', 'status',
+    'assigned_to', 'created_by', 'workflow_id', 'version', 'created_at', 'updated_at',
+    'sla_due_at', 'sla_resolved_at', 'sla_resolution_breached_at',
+    'sla_response_due_at', 'sla_responded_at', 'sla_response_breached_at', 'sla_paused_at'
+];
+
+// Joined user names: field => [table alias, case column]
+const USER_NAME_FIELDS = {
+    created_by_name: ['creator', 'c.created_by'],
+    assigned_to_name: ['assignee', 'c.assigned_to']
+};
+
+const LIST_FIELDS = [...CASE_COLUMNS, ...Object.keys(USER_NAME_FIELDS), 'sla_status'];
+
+// Columns SlaService.getStatus reads for sla_status, category picking its calendar
+const SLA_STATUS_COLUMNS = ['priority', 'category', 'sla_due_at', 'sla_resolved_at', 'sla_paused_at'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Values of a list parameter, from a string, comma-separated string or array
+ */
+const toList = (value) => [].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Check and normalise case list filters
+ * Empty values are dropped. Unknown keys are an error when strict (saved
+ * views) and ignored otherwise (page, limit, ... on GET /api/cases).
+ * @param {Object} input - Query parameters or a saved view's filters
+ * @param {Object} [options] - { strict }
+ * @returns {Object} Filters with lists as arrays and everything else as strings
+ * @throws {HttpError} 400 listing every invalid filter
+ */
+function parseCaseFilters(input = {}, { strict = false } = {}) {
+    const filters = {};
+    const errors = [];
+    const invalid = (path, msg) => errors.push({ path, msg });
+
+    for (const [key, allowed] of Object.entries(LIST_FILTERS)) {
+        const values = [...new Set(toList(input[key]))];
+        const unknown = allowed ? values.filter(value => !allowed.includes(value)) : [];
+        if (unknown.length > 0) {
+            invalid(key, `Invalid ${key}: ${unknown.join(', ')}`);
+        } else if (values.length > 0) {
+            filters[key] = values;
+        }
+    }
+
+    for (const [key, { keywords }] of Object.entries(USER_FILTERS)) {
+        const values = [...new Set(toList(input[key]))];
+        if (values.some(value => !keywords.includes(value) && !/^[1-9]\d*$/.test(value))) {
+            invalid(key, `${key} takes user ids or ${keywords.join(' or ')}`);
+        } else if (values.length > 0) {
+            filters[key] = values;
+        }
+    }
+
+    for (const name of Object.keys(DATE_FILTERS)) {
+        for (const key of [`${name}From`, `${name}To`]) {
+            const value = typeof input[key] === 'string' ? input[key].trim() : input[key];
+            if (value === undefined || value === null || value === '') {
+                continue;
+            }
+            if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+                invalid(key, `${key} must be an ISO date`);
+            } else {
+                filters[key] = value;
+            }
+        }
+    }
+
+    if (typeof input.q === 'string' && input.q.trim()) {
+        filters.q = input.q.trim();
+    }
+
+    if (input.sort !== undefined && input.sort !== '') {
+        const fields = toList(input.sort);
+        const unknown = fields.filter(field => !SORT_FIELDS[field.replace(/^-/, '')]);
+        if (unknown.length > 0) {
+            invalid('sort', `Cannot sort by ${unknown.join(', ')}`);
+        } else if (fields.length > 0) {
+            filters.sort = fields.join(',');
+        }
+    }
+
+    if (strict) {
+        const known = [
+            ...Object.keys(LIST_FILTERS),
+            ...Object.keys(USER_FILTERS),
+            ...Object.keys(DATE_FILTERS).flatMap(name => [`${name}From`, `${name}To`]),
+            'q',
+            'sort'
+        ];
+        for (const key of Object.keys(input)) {
+            if (!known.includes(key)) {
+                invalid(key, `Unknown filter: ${key}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError(400, 'Invalid filters', { errors });
+    }
+    return filters;
+}
+
+/**
+ * SQL conditions for parsed filters, other than q and slaStatus
+ * (those need utils/search and SlaService)
+ * @param {Object} filters - From parseCaseFilters
+ * @param {Object} user - { id }, for `me`
+ * @param {Array} params - Query parameters; values used are appended
+ * @returns {string[]} Conditions to AND together
+ */
+function caseFilterConditions(filters, user, params) {
+    const conditions = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    for (const [key, column] of [['status', 'c.status'], ['priority', 'c.priority'], ['category', 'c.category']]) {
+        if (filters[key]) {
+            conditions.push(`${column} = ANY(${param(filters[key])})`);
+        }
+    }
+
+    for (const [key, { column }] of Object.entries(USER_FILTERS)) {
+        if (!filters[key]) {
+            continue;
+        }
+        const ids = filters[key]
+            .filter(value => value !== 'none')
+            .map(value => (value === 'me' ? user.id : parseInt(value, 10)));
+        const matches = [];
+        if (ids.length > 0) {
+            matches.push(`${column} = ANY(${param(ids)}::int[])`);
+        }
+        if (filters[key].includes('none')) {
+            matches.push(`${column} IS NULL`);
+        }
+        conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    for (const [name, column] of Object.entries(DATE_FILTERS)) {
+        const from = filters[`${name}From`];
+        const to = filters[`${name}To`];
+        if (from) {
+            conditions.push(`${column} >= ${param(new Date(from))}`);
+        }
+        if (to) {
+            conditions.push(DATE_ONLY.test(to)
+                ? `${column} < ${param(new Date(Date.parse(to) + DAY_MS))}`
+                : `${column} <= ${param(new Date(to))}`);
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Check a `fields` list for GET /api/cases
+ * @param {string|string[]} value - Comma-separated or repeated field names
+ * @returns {string[]} Fields, always including id
+ * @throws {Error} Naming the unknown fields, for express-validator
+ */
+function parseCaseFields(value) {
+    const fields = toList(value);
+    const unknown = fields.filter(field => !LIST_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return [...new Set(['id', ...fields])];
+}
+
+/**
+ * Sort keys for a sort filter, ending with id so the order is total
+ * Every key but id sorts its nulls last.
+ * @param {string} [sort] - e.g. '-priority,created_at'
+ * @returns {Object[]} { column, descending, nullable }
+ */
+function caseSortKeys(sort = DEFAULT_SORT) {
+    return [
+        ...toList(sort).map(field => ({
+            column: SORT_FIELDS[field.replace(/^-/, '')],
+            descending: field.startsWith('-'),
+            nullable: true
+        })),
+        { column: 'c.id', descending: true, nullable: false }
+    ];
+}
+
+/**
+ * ORDER BY items for a sort filter
+ * Ties are broken by id so pages never overlap.
+ * @param {string|Object[]} [sort] - e.g. '-priority,created_at', or keys from caseSortKeys
+ * @returns {string[]}
+ */
+function caseSortOrder(sort = DEFAULT_SORT) {
+    const keys = Array.isArray(sort) ? sort : caseSortKeys(sort);
+    return keys.map(({ column, descending, nullable }) =>
+        `${column} ${descending ? 'DESC' : 'ASC'}${nullable ? ' NULLS LAST' : ''}`);
+}
+
+/**
+ * SELECT list and joins for a case list query on `cases c`
+ * Without fields every column is selected, as the full list always was.
+ * The user joins are only made for fields or sort keys that need them.
+ * @param {string[]|null} fields - From parseCaseFields
+ * @param {Object[]} keys - Sort keys of the query
+ * @returns {Object} { columns, joins }
+ */
+function caseListSelect(fields, keys) {
+    const wanted = fields || LIST_FIELDS;
+    const columns = fields
+        ? [...new Set([
+            ...fields.filter(field => CASE_COLUMNS.includes(field)),
+            ...(fields.includes('sla_status') ? SLA_STATUS_COLUMNS : [])
+        ])].map(column => `c.${column}`)
+        : ['c.*'];
+    const joins = [];
+
+    for (const [field, [alias, column]] of Object.entries(USER_NAME_FIELDS)) {
+        if (wanted.includes(field)) {
+            columns.push(`${alias}.name as ${field}`);
+        }
+        if (wanted.includes(field) || keys.some(key => key.column.startsWith(`${alias}.`))) {
+            joins.push(`LEFT JOIN users ${alias} ON ${column} = ${alias}.id`);
+        }
+    }
+
+    return { columns: columns.join(', '), joins: joins.join('\n       ') };
+}
+
+/**
+ * Keep only the requested fields of a list row
+ * @param {Object} row
+ * @param {string[]|null} fields - From parseCaseFields; null keeps everything
+ * @returns {Object}
+ */
+function pickCaseFields(row, fields) {
+    if (!fields) {
+        return row;
+    }
+    return Object.fromEntries(
+        Object.entries(row).filter(([key]) => fields.includes(key) || key === 'search')
+    );
+}
+
+/**
+ * Cursors are opaque to clients; they wrap the sort and the sort key values
+ * of the last case returned, as text so timestamps keep their microseconds
+ * @param {string} sort - Sort the page was read with
+ * @param {Array} values - Sort key values of the last row, from caseCursorColumn
+ * @returns {string}
+ */
+function encodeCaseCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+/**
+ * Sort key values of a cursor, if it was made for this sort
+ * @returns {Array|null}
+ */
+function decodeCaseCursor(cursor, sort, keyCount) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        const { values } = decoded;
+        const valid = decoded.sort === sort
+            && Array.isArray(values)
+            && values.length === keyCount
+            && values.every(value => value === null || typeof value === 'string');
+        return valid ? values : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Column selecting a row's sort key values for its cursor
+ * Keys ordering by an output column name give its SQL as `expression`.
+ * @param {Object[]} keys - Sort keys
+ * @returns {string}
+ */
+function caseCursorColumn(keys) {
+    return `json_build_array(${keys.map(key => `(${key.expression || key.column})::text`).join(', ')}) AS cursor_values`;
+}
+
+/**
+ * SQL condition for the cases after a cursor in the sort order
+ * With nulls last, a row is after the cursor on a key when its value is
+ * further on or null, and nothing is after a null.
+ * @param {Object[]} keys - Sort keys
+ * @param {Array} values - From decodeCaseCursor
+ * @param {Array} params - Query parameters; values used are appended
+ * @returns {string}
+ */
+function caseCursorCondition(keys, values, params) {
+    const equal = [];
+    const alternatives = [];
+
+    keys.forEach(({ expression, column: name, descending, nullable }, i) => {
+        const column = expression || name;
+        if (values[i] === null) {
+            equal.push(`${column} IS NULL`);
+            return;
+        }
+        params.push(values[i]);
+        const value = `$${params.length}`;
+        const after = `${column} ${descending ? '<' : '>'} ${value}`;
+        alternatives.push([...equal, nullable ? `(${after} OR ${column} IS NULL)` : after].join(' AND '));
+        equal.push(`${column} = ${value}`);
+    });
+
+    return alternatives.length > 0 ? `(${alternatives.map(a => `(${a})`).join(' OR ')})` : 'false';
+}
+
+module.exports = {
+    SORT_FIELDS,
+    DEFAULT_SORT,
+    LIST_FIELDS,
+    parseCaseFilters,
+    parseCaseFields,
+    caseFilterConditions,
+    caseSortKeys,
+    caseSortOrder,
+    caseListSelect,
+    pickCaseFields,
+    encodeCaseCursor,
+    decodeCaseCursor,
+    caseCursorColumn,
+    caseCursorCondition
+};
@@ -0,0 +1,29 @@
+const { body, validationResult } = require('express-validator');
+const { PRIORITY, CATEGORY } = require('../config/constants');
+
+/**
+ * Rules for the fields of a new case, used by POST /api/cases and for each
+ * row of an import, so both accept exactly the same cases
+ */
+const CASE_CREATE_RULES = [
+    body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 255 }),
+    body('description').optional().trim(),
+    body('category').isIn(Object.values(CATEGORY)).withMessage('Invalid category'),
+    body('priority').isIn(Object.values(PRIORITY)).withMessage('Invalid priority')
+];
+
+/**
+ * Check the fields of a new case outside a request
+ * @param {Object} fields - { title, description, category, priority }
+ * @returns {Promise<Object>} { fields (trimmed), errors: [{ path, msg }] }
+ */
+async function checkCaseFields(fields) {
+    const req = { body: { ...fields } };
+    for (const rule of CASE_CREATE_RULES) {
+        await rule.run(req);
+    }
+    const errors = validationResult(req).array().map(({ path, msg }) => ({ path, msg }));
+    return { fields: req.body, errors };
+}
+
+module.exports = { CASE_CREATE_RULES, checkCaseFields };
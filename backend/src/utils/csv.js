@@ -0,0 +1,102 @@
+/**
+ * CSV helpers for exports and imports
+ */
+
+// Leading characters spreadsheets treat as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value as a CSV field
+ * Objects are written as JSON; values that would be read as formulas are
+ * prefixed with a quote.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build one CSV line (with trailing CRLF)
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+    return values.map(toCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into records of fields
+ * Follows RFC 4180: quoted fields may hold commas, newlines and doubled
+ * quotes; lines can end in CRLF or LF. A leading byte order mark is ignored.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+module.exports = { toCsvField, toCsvRow, parseCsv };
@@ -0,0 +1,15 @@
+/**
+ * Error carrying an HTTP status and extra response fields.
+ * Thrown from inside transactions so the rollback happens before the
+ * global error handler renders { error: message, ...details }.
+ */
+class HttpError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = { HttpError };
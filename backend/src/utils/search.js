@@ -0,0 +1,74 @@
+/**
+ * Full-text search over cases and their comments
+ *
+ * cases.search_vector (case ID and title weighted A, description B) and
+ * comments.search_vector are generated columns with GIN indexes, built with
+ * the TEXT_SEARCH_CONFIG configuration; queries must use the same one.
+ * Search text is parsed with websearch_to_tsquery, so users can write
+ * "quoted phrases", OR and -excluded words.
+ */
+
+const TEXT_SEARCH_CONFIG = 'english';
+
+// Matches come back wrapped in <mark></mark>; the rest of a snippet is the
+// stored text as is, so clients must escape it rather than render it as HTML
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "';
+
+// A matching comment counts for less than a match on the case itself
+const COMMENT_RANK_WEIGHT = 0.5;
+
+/**
+ * SQL pieces for a case search, for a query on `cases c`
+ * @param {string} text - Search text
+ * @param {Array} params - Query parameters; the text is appended
+ * @returns {Object} { condition, join, columns, rank, rankExpression }
+ *   rank names the rank column for ORDER BY; rankExpression is the same
+ *   value for WHERE, where the column name cannot be used
+ */
+function caseSearch(text, params) {
+    params.push(text);
+    const tsquery = `websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $${params.length})`;
+    const rankExpression = `ts_rank(c.search_vector, ${tsquery}) + COALESCE(best_comment.rank, 0) * ${COMMENT_RANK_WEIGHT}`;
+
+    return {
+        condition: `(c.search_vector @@ ${tsquery} OR EXISTS (
+           SELECT 1 FROM comments cm WHERE cm.case_id = c.id AND cm.search_vector @@ ${tsquery}
+         ))`,
+        // The best matching comment of each case, if any
+        join: `LEFT JOIN LATERAL (
+         SELECT cm.comment, ts_rank(cm.search_vector, ${tsquery}) AS rank
+         FROM comments cm
+         WHERE cm.case_id = c.id AND cm.search_vector @@ ${tsquery}
+         ORDER BY rank DESC
+         LIMIT 1
+       ) best_comment ON true`,
+        columns: `${rankExpression} AS search_rank,
+        ts_headline('${TEXT_SEARCH_CONFIG}', c.title, ${tsquery}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS search_title,
+        ts_headline('${TEXT_SEARCH_CONFIG}', COALESCE(c.description, ''), ${tsquery}, '${HEADLINE_OPTIONS}') AS search_description,
+        CASE WHEN best_comment.comment IS NOT NULL
+          THEN ts_headline('${TEXT_SEARCH_CONFIG}', best_comment.comment, ${tsquery}, '${HEADLINE_OPTIONS}')
+        END AS search_comment`,
+        rank: 'search_rank',
+        rankExpression
+    };
+}
+
+/**
+ * Move the search columns of a result row into `search`
+ * @param {Object} row - Row selected with caseSearch().columns
+ * @returns {Object} Case with search: { rank, title, description, comment }
+ */
+function toSearchResult(row) {
+    const { search_rank: rank, search_title: title, search_description: description, search_comment: comment, ...caseData } = row;
+    return { ...caseData, search: { rank, title, description, comment } };
+}
+
+/**
+ * JSON replacer that leaves search vectors out of API responses
+ * They are an index detail, but `SELECT c.*` returns them with every case.
+ */
+function omitSearchVectors(key, value) {
+    return key === 'search_vector' ? undefined : value;
+}
+
+module.exports = { TEXT_SEARCH_CONFIG, caseSearch, toSearchResult, omitSearchVectors };
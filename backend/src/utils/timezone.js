@@ -0,0 +1,132 @@
+/**
+ * IANA time zone helpers built on Intl, used for working-time calculations.
+ * Local dates are plain { year, month, day } objects (month is 1-12).
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a time zone.
+ * The offset is re-read at the first guess so times either side of a DST
+ * change resolve correctly; hour 24 means midnight at the end of the day.
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Local calendar date of an instant in a time zone
+ * @returns {Object} { year, month, day }
+ */
+function getLocalDate(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return { year, month, day };
+}
+
+/**
+ * Move a local date by a number of days
+ */
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * ISO weekday of a local date (1 = Monday ... 7 = Sunday)
+ */
+function getIsoWeekday({ year, month, day }) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+}
+
+/**
+ * Format a local date as YYYY-MM-DD
+ */
+function formatLocalDate({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Compare two local dates
+ * @returns {number} Negative, zero or positive
+ */
+function compareLocalDates(a, b) {
+    return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    getLocalDate,
+    addDays,
+    getIsoWeekday,
+    formatLocalDate,
+    compareLocalDates
+};
@@ -0,0 +1,62 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Optimistic concurrency helpers for case rows.
+ * Every update bumps cases.version; clients send the version they last
+ * saw either as an If-Match ETag or as a `version` body field, and edits
+ * without either are refused.
+ */
+
+/**
+ * Build the ETag for a case row
+ * @param {Object} caseData
+ * @returns {string}
+ */
+function caseEtag(caseData) {
+    return `"${caseData.version}"`;
+}
+
+/**
+ * Versions the client expects the case to be at
+ * @param {Object} req
+ * @returns {number[]|null} Accepted versions, or null for If-Match: *
+ * @throws {HttpError} 428 if neither If-Match nor a version was sent
+ */
+function getExpectedVersions(req) {
+    const ifMatch = req.get('If-Match');
+
+    if (ifMatch) {
+        if (ifMatch.trim() === '*') {
+            return null;
+        }
+        return ifMatch
+            .split(',')
+            .map(tag => parseInt(tag.trim().replace(/^W\//, '').replace(/"/g, ''), 10))
+            .filter(Number.isInteger);
+    }
+
+    if (req.body?.version !== undefined) {
+        return [parseInt(req.body.version, 10)];
+    }
+
+    throw new HttpError(428, 'Send If-Match with the case ETag, or a version field', {
+        reason: 'Edits must say which version of the case they were made to'
+    });
+}
+
+/**
+ * Reject a change if the case changed since the client read it
+ * @param {number[]|null} expected - From getExpectedVersions; null accepts any
+ * @param {Object} caseData - Current (locked) case row
+ * @throws {HttpError} 409 with the current case
+ */
+function assertExpectedVersion(expected, caseData) {
+    if (expected && !expected.includes(caseData.version)) {
+        throw new HttpError(409, 'Case has been modified by someone else', {
+            reason: `Case is at version ${caseData.version}`,
+            case: caseData
+        });
+    }
+}
+
+module.exports = { caseEtag, getExpectedVersions, assertExpectedVersion };
@@ -0,0 +1,216 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const { createStorage } = require('../../src/config/storage');
+const attachmentRoutes = require('../../src/routes/attachments.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AttachmentService = require('../../src/services/attachment.service');
+const { as } = require('../helpers/auth');
+const { ROLES, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases/:id/attachments', attachmentRoutes);
+app.use(errorHandler);
+
+// Requester 3 raised case 4, analyst 5 has it
+const caseRow = { id: 4, case_id: 'CASE-01004', created_by: 3, assigned_to: 5 };
+
+/**
+ * In-memory storage plus the cases, comments and attachments tables
+ */
+const fakeBackend = () => {
+    const files = new Map();
+    const attachments = new Map();
+    let nextId = 20;
+
+    AttachmentService.useStorage({
+        name: 'memory',
+        put: async (key, buffer) => { files.set(key, buffer); },
+        get: async (key) => (files.has(key) ? require('stream').Readable.from([files.get(key)]) : null),
+        remove: async (key) => { files.delete(key); }
+    });
+
+    db.respond([
+        ['FROM cases', (params) => ({ rows: params[0] === caseRow.id ? [caseRow] : [] })],
+        ['FROM comments', (params) => ({ rows: params[0] === 12 && params[1] === caseRow.id ? [{ id: 12 }] : [] })],
+        ['INSERT INTO attachments', (params) => {
+            const [caseId, commentId, storageKey, filename, contentType, size, userId] = params;
+            const row = {
+                id: nextId++,
+                case_id: caseId,
+                comment_id: commentId,
+                storage_key: storageKey,
+                filename,
+                content_type: contentType,
+                size_bytes: size,
+                uploaded_by: userId
+            };
+            attachments.set(row.id, row);
+            const { storage_key: omitted, ...returned } = row;
+            return { rows: [returned] };
+        }],
+        ['SELECT * FROM attachments', (params) => {
+            const row = attachments.get(params[0]);
+            return { rows: row && row.case_id === params[1] ? [row] : [] };
+        }],
+        ['FROM attachments a', (params) => ({ rows: [...attachments.values()].filter(a => a.case_id === params[0]) })],
+        ['DELETE FROM attachments', (params) => {
+            attachments.delete(params[0]);
+            return { rows: [] };
+        }]
+    ]);
+
+    return { files, attachments };
+};
+
+describe('Attachments API', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = fakeBackend();
+    });
+
+    test('uploads files, audits each one and serves them back', async () => {
+        const uploaded = await request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.REQUESTER, 3))
+            .attach('files', Buffer.from('boot loop after update'), 'boot.log')
+            .attach('files', Buffer.from('%PDF-1.4'), 'Invoice.PDF');
+
+        expect(uploaded.status).toBe(201);
+        expect(uploaded.body.attachments).toHaveLength(2);
+        expect(uploaded.body.attachments[0]).toMatchObject({ filename: 'boot.log', content_type: 'text/plain', size_bytes: 22 });
+        expect(uploaded.body.attachments[0].storage_key).toBeUndefined();
+        expect(backend.files.size).toBe(2);
+        expect(db.audit.map(entry => entry.action)).toEqual([AUDIT_ACTIONS.ATTACHMENT_ADDED, AUDIT_ACTIONS.ATTACHMENT_ADDED]);
+        expect(db.audit[1].details).toMatchObject({ filename: 'Invoice.PDF', sizeBytes: 8, commentId: null });
+        // Every file is in before the first audit entry takes the chain lock
+        const inserts = db.query.mock.calls.map(([text]) => text.match(/INSERT INTO (\w+)/)?.[1]).filter(Boolean);
+        expect(inserts.slice(0, 3)).toEqual(['attachments', 'attachments', 'case_audit_log']);
+
+        const [{ id }] = uploaded.body.attachments;
+        const downloaded = await request(app)
+            .get(`/api/cases/4/attachments/${id}`)
+            .set(as(ROLES.ANALYST, 5))
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(downloaded.status).toBe(200);
+        expect(downloaded.headers['content-type']).toMatch(/^text\/plain/);
+        expect(downloaded.headers['content-disposition']).toContain('filename="boot.log"');
+        expect(downloaded.body.toString()).toBe('boot loop after update');
+    });
+
+    test('attaches files to a comment of the case', async () => {
+        const onComment = await request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.ANALYST, 5))
+            .field('commentId', '12')
+            .attach('files', Buffer.from('png'), 'screenshot.png');
+        const otherComment = await request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.ANALYST, 5))
+            .field('commentId', '13')
+            .attach('files', Buffer.from('png'), 'screenshot.png');
+
+        expect(onComment.status).toBe(201);
+        expect(onComment.body.attachments[0]).toMatchObject({ comment_id: 12, content_type: 'image/png' });
+        expect(otherComment.status).toBe(400);
+        // The stored file is removed again when the upload is rejected
+        expect(backend.files.size).toBe(1);
+    });
+
+    test('rejects disallowed types, missing files and oversized files', async () => {
+        const upload = (name, content) => request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.MANAGER, 2))
+            .attach('files', content, name);
+
+        const executable = await upload('setup.exe', Buffer.from('MZ'));
+        expect(executable.status).toBe(400);
+        expect(executable.body.error).toBe('File type not allowed: setup.exe');
+
+        const empty = await request(app).post('/api/cases/4/attachments').set(as(ROLES.MANAGER, 2)).field('commentId', '');
+        expect(empty.status).toBe(400);
+
+        const oversized = await upload('dump.txt', Buffer.alloc(AttachmentService.getMaxFileBytes() + 1));
+        expect(oversized.status).toBe(413);
+
+        expect(backend.files.size).toBe(0);
+        expect(db.audit).toEqual([]);
+    });
+
+    test('only users who can see the case can list or download its attachments', async () => {
+        const otherRequester = await request(app).get('/api/cases/4/attachments').set(as(ROLES.REQUESTER, 8));
+        const otherAnalyst = await request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.ANALYST, 6))
+            .attach('files', Buffer.from('x'), 'notes.txt');
+        const missing = await request(app).get('/api/cases/99/attachments').set(as(ROLES.ADMIN, 1));
+        const manager = await request(app).get('/api/cases/4/attachments').set(as(ROLES.MANAGER, 2));
+
+        expect(otherRequester.status).toBe(403);
+        expect(otherAnalyst.status).toBe(403);
+        expect(missing.status).toBe(404);
+        expect(manager.status).toBe(200);
+        expect(backend.files.size).toBe(0);
+    });
+
+    test('the uploader or a manager can delete an attachment', async () => {
+        const uploaded = await request(app)
+            .post('/api/cases/4/attachments')
+            .set(as(ROLES.REQUESTER, 3))
+            .attach('files', Buffer.from('a,b'), 'export.csv');
+        const [{ id }] = uploaded.body.attachments;
+
+        const byAnalyst = await request(app).delete(`/api/cases/4/attachments/${id}`).set(as(ROLES.ANALYST, 5));
+        expect(byAnalyst.status).toBe(403);
+
+        const byManager = await request(app).delete(`/api/cases/4/attachments/${id}`).set(as(ROLES.MANAGER, 2));
+        expect(byManager.status).toBe(200);
+        expect(backend.files.size).toBe(0);
+        expect(backend.attachments.size).toBe(0);
+        expect(db.audit[1]).toMatchObject({
+            action: AUDIT_ACTIONS.ATTACHMENT_DELETED,
+            performed_by: 2,
+            details: { attachmentId: id, filename: 'export.csv' }
+        });
+
+        const again = await request(app).get(`/api/cases/4/attachments/${id}`).set(as(ROLES.MANAGER, 2));
+        expect(again.status).toBe(404);
+    });
+});
+
+describe('local attachment storage', () => {
+    test('stores, reads and removes files inside its directory', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wacms-attachments-'));
+        const storage = createStorage({ ATTACHMENT_DIR: dir });
+
+        await storage.put('cases/4/a.txt', Buffer.from('hello'));
+        const stream = await storage.get('cases/4/a.txt');
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        expect(Buffer.concat(chunks).toString()).toBe('hello');
+
+        await storage.remove('cases/4/a.txt');
+        await storage.remove('cases/4/a.txt');
+        expect(await storage.get('cases/4/a.txt')).toBeNull();
+        await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
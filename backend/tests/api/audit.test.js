@@ -0,0 +1,131 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const auditRoutes = require('../../src/routes/audit.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { as } = require('../helpers/auth');
+const { ROLES, AUDIT_ACTIONS, STATUS } = require('../../src/config/constants');
+
+const app = express();
+app.use('/api/audit', auditRoutes);
+app.use(errorHandler);
+
+const admin = as(ROLES.ADMIN, 1);
+
+const entry = (id, overrides = {}) => ({
+    id,
+    timestamp: new Date('2026-03-02T10:00:00Z'),
+    action: AUDIT_ACTIONS.STATUS_CHANGED,
+    case_id: 4,
+    case_ref: 'CASE-01004',
+    performed_by: 2,
+    performed_by_name: 'Mia Manager',
+    previous_status: STATUS.UNDER_REVIEW,
+    new_status: STATUS.CLOSED,
+    details: {},
+    ...overrides
+});
+
+describe('GET /api/audit', () => {
+    beforeEach(() => {
+        db.respond();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('Is limited to admins', async () => {
+        const response = await request(app)
+            .get('/api/audit')
+            .set(as(ROLES.MANAGER, 2));
+
+        expect(response.status).toBe(403);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('Applies filters and returns a cursor for the next page', async () => {
+        db.query.mockResolvedValueOnce({ rows: [entry(9), entry(8), entry(7)] });
+
+        const response = await request(app)
+            .get('/api/audit')
+            .query({
+                actorId: 2,
+                action: `${AUDIT_ACTIONS.STATUS_CHANGED},${AUDIT_ACTIONS.CASE_ASSIGNED}`,
+                caseId: 'CASE-01004',
+                toStatus: STATUS.CLOSED,
+                from: '2026-03-01',
+                limit: 2
+            })
+            .set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.entries.map(e => e.id)).toEqual([9, 8]);
+        expect(response.body.nextCursor).toEqual(expect.any(String));
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('cal.action = ANY($2)');
+        expect(sql).toContain('c.case_id = $3');
+        expect(params).toEqual([
+            2,
+            [AUDIT_ACTIONS.STATUS_CHANGED, AUDIT_ACTIONS.CASE_ASSIGNED],
+            'CASE-01004',
+            STATUS.CLOSED,
+            '2026-03-01',
+            3
+        ]);
+
+        db.query.mockResolvedValueOnce({ rows: [entry(7)] });
+
+        const next = await request(app)
+            .get('/api/audit')
+            .query({ cursor: response.body.nextCursor, limit: 2 })
+            .set(admin);
+
+        expect(next.body).toEqual({ entries: [expect.objectContaining({ id: 7 })], nextCursor: null });
+        expect(db.query.mock.calls[1][0]).toContain('cal.id < $1');
+        expect(db.query.mock.calls[1][1]).toEqual([8, 3]);
+    });
+
+    test('Rejects unknown actions and malformed cursors', async () => {
+        const badAction = await request(app).get('/api/audit').query({ action: 'CASE_BURNED' }).set(admin);
+        expect(badAction.status).toBe(400);
+
+        const badCursor = await request(app).get('/api/audit').query({ cursor: 'nope', format: 'csv' }).set(admin);
+        expect(badCursor.status).toBe(400);
+        expect(badCursor.body.error).toBe('Invalid cursor');
+    });
+
+    test('Exports every page as CSV', async () => {
+        const firstPage = Array.from({ length: 1001 }, (_, i) => entry(2000 - i));
+        firstPage[0] = entry(2000, {
+            action: AUDIT_ACTIONS.CASE_UPDATED,
+            details: { changes: { title: { from: 'VPN', to: '=HYPERLINK("x")' } } }
+        });
+        db.query
+            .mockResolvedValueOnce({ rows: firstPage })
+            .mockResolvedValueOnce({ rows: [entry(999)] });
+
+        const response = await request(app).get('/api/audit').query({ format: 'csv' }).set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toContain('text/csv');
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-.*\.csv"/);
+
+        const lines = response.text.trim().split('\r\n');
+        expect(lines[0]).toBe('id,timestamp,action,case_id,case_ref,performed_by,performed_by_name,previous_status,new_status,previous_assignee,new_assignee,details,prev_hash,hash');
+        expect(lines).toHaveLength(1002);
+        expect(lines[1]).toContain('"{""changes"":{""title"":{""from"":""VPN"",""to"":""=HYPERLINK(\\""x\\"")""}}}"');
+        expect(lines[1001]).toMatch(/^999,2026-03-02T10:00:00.000Z,STATUS_CHANGED/);
+    });
+
+    test('Exports JSON lines', async () => {
+        db.query.mockResolvedValueOnce({ rows: [entry(2), entry(1)] });
+
+        const response = await request(app).get('/api/audit').query({ format: 'jsonl' }).set(admin);
+
+        const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.id)).toEqual([2, 1]);
+    });
+});
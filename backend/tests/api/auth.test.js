@@ -0,0 +1,89 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const db = require('../../src/config/db');
+const authConfig = require('../../src/config/auth');
+const authRoutes = require('../../src/routes/auth.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { ROLES, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const user = {
+    id: 5,
+    name: 'Ana Lyst',
+    email: 'ana@example.com',
+    role: ROLES.ANALYST,
+    password_hash: bcrypt.hashSync('correct-horse', 4)
+};
+
+const findUser = /^SELECT id, name, email, password_hash/;
+
+const auditInserts = () => db.audit.map(({ action, performed_by: performedBy, details }) => ({ action, performedBy, details }));
+
+describe('Authentication audit', () => {
+    beforeEach(() => {
+        db.respond([[findUser, { rows: [user] }]]);
+    });
+
+    test('A successful login records the IP and user agent', async () => {
+        const response = await request(app)
+            .post('/api/auth/login')
+            .set('User-Agent', 'audit-test/1.0')
+            .send({ email: user.email, password: 'correct-horse' });
+
+        expect(response.status).toBe(200);
+        expect(auditInserts()).toEqual([{
+            action: AUDIT_ACTIONS.LOGIN_SUCCEEDED,
+            performedBy: 5,
+            details: { targetUserId: 5, email: user.email, ip: expect.any(String), userAgent: 'audit-test/1.0' }
+        }]);
+    });
+
+    test('A wrong password is recorded against the account', async () => {
+        const response = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: 'battery-staple' });
+
+        expect(response.status).toBe(401);
+        expect(auditInserts()).toEqual([{
+            action: AUDIT_ACTIONS.LOGIN_FAILED,
+            performedBy: null,
+            details: expect.objectContaining({ targetUserId: 5, email: user.email, reason: 'Wrong password' })
+        }]);
+    });
+
+    test('An unknown email is recorded without an account', async () => {
+        db.respond([[findUser, { rows: [] }]]);
+
+        const response = await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'nobody@example.com', password: 'guess' });
+
+        expect(response.status).toBe(401);
+        const [entry] = auditInserts();
+        expect(entry.action).toBe(AUDIT_ACTIONS.LOGIN_FAILED);
+        expect(entry.details).not.toHaveProperty('targetUserId');
+        expect(entry.details.reason).toBe('Unknown email');
+    });
+
+    test('An IP that keeps failing is refused without writing more entries', async () => {
+        // Two failures were recorded above from the same address
+        for (let attempt = 2; attempt < authConfig.maxFailedLogins; attempt++) {
+            const response = await request(app).post('/api/auth/login').send({ email: user.email, password: 'guess' });
+            expect(response.status).toBe(401);
+        }
+        db.query.mockClear();
+
+        const response = await request(app).post('/api/auth/login').send({ email: user.email, password: 'correct-horse' });
+
+        expect(response.status).toBe(429);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
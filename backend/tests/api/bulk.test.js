@@ -0,0 +1,182 @@
+/**
+ * POST /api/cases/bulk against an in-memory stand-in for the few queries
+ * the case changes make
+ */
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const WorkflowService = require('../../src/services/workflow.service');
+const SlaService = require('../../src/services/sla.service');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { as } = require('../helpers/auth');
+const { STATUS, ROLES, TRANSITIONS, TRANSITION_GUARDS, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const cases = new Map();
+const comments = [];
+
+const writeCase = (id, changes) => {
+    const row = { ...cases.get(id), ...changes };
+    row.version += 1;
+    cases.set(row.id, row);
+    return { rows: [row] };
+};
+
+// Answers the few queries the case changes make
+const routes = [
+    [/^SELECT id, created_by, assigned_to FROM cases WHERE id = ANY/, (params) => ({
+        rows: [...cases.values()].filter(row => params[0].includes(row.id))
+    })],
+    [/^SELECT (\*|id, case_id, created_by, assigned_to) FROM cases WHERE id = \$1/, (params) => {
+        const row = cases.get(params[0]);
+        return { rows: row ? [{ ...row }] : [] };
+    }],
+    [/^SELECT COUNT\(\*\) FROM comments/, { rows: [{ count: '0' }] }],
+    [/^SELECT id, name, role FROM users/, (params) => ({
+        rows: params[0] === 5 ? [{ id: 5, name: 'Ana Lyst', role: 'analyst' }] : []
+    })],
+    [/^UPDATE cases SET status/, (params) => writeCase(params[1], { status: params[0] })],
+    [/^UPDATE cases SET assigned_to/, (params) => writeCase(params[2], { assigned_to: params[0], status: params[1] })],
+    ['INSERT INTO comments', (params) => {
+        const comment = { id: comments.length + 1, case_id: params[0], comment: params[1], created_by: params[2] };
+        comments.push(comment);
+        return { rows: [comment] };
+    }]
+];
+
+const seedCase = (id, overrides = {}) => {
+    cases.set(id, {
+        id,
+        case_id: `CASE-0${id}`,
+        status: STATUS.CREATED,
+        created_by: 3,
+        assigned_to: null,
+        workflow_id: 1,
+        version: 1,
+        ...overrides
+    });
+};
+
+describe('Bulk case operations', () => {
+    beforeAll(() => {
+        jest.spyOn(WorkflowService, 'getDefinitionForCase').mockResolvedValue({
+            id: 1,
+            initialState: STATUS.CREATED,
+            assignedState: STATUS.ASSIGNED,
+            states: [],
+            transitions: TRANSITIONS,
+            guards: TRANSITION_GUARDS,
+            actions: {},
+            creationActions: []
+        });
+        jest.spyOn(SlaService, 'recordResponse').mockResolvedValue(null);
+    });
+
+    beforeEach(() => {
+        cases.clear();
+        comments.length = 0;
+        db.respond(routes);
+    });
+
+    test('transitions each case it can and reports the rest', async () => {
+        seedCase(1, { status: STATUS.UNDER_REVIEW });
+        seedCase(2, { status: STATUS.IN_PROGRESS });
+        seedCase(3, { status: STATUS.UNDER_REVIEW });
+
+        const response = await request(app)
+            .post('/api/cases/bulk')
+            .set(as(ROLES.MANAGER, 2))
+            .send({ action: 'transition', ids: [1, 2, 99, 3, 1], status: STATUS.IN_PROGRESS, fields: { reworkReason: 'Needs logs' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ succeeded: 2, failed: 2 });
+        expect(response.body.results.map(({ id, ok, status }) => ({ id, ok, status }))).toEqual([
+            { id: 1, ok: true, status: undefined },
+            { id: 2, ok: false, status: 403 },
+            { id: 99, ok: false, status: 404 },
+            { id: 3, ok: true, status: undefined }
+        ]);
+        expect(response.body.results[0].case.status).toBe(STATUS.IN_PROGRESS);
+        expect(response.body.results[1]).toMatchObject({ error: 'Invalid transition', reason: expect.any(String) });
+        expect(cases.get(2).status).toBe(STATUS.IN_PROGRESS);
+
+        // One entry per changed case, each tagged with the batch
+        expect(db.audit.map(entry => [entry.case_id, entry.action])).toEqual([
+            [1, AUDIT_ACTIONS.STATUS_CHANGED],
+            [3, AUDIT_ACTIONS.STATUS_CHANGED]
+        ]);
+        expect(db.audit.every(entry => entry.details.bulkId === response.body.bulkId)).toBe(true);
+    });
+
+    test('runs the transition guards for every case', async () => {
+        seedCase(1, { status: STATUS.UNDER_REVIEW });
+
+        const missing = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'transition', ids: [1], status: STATUS.CLOSED });
+        const given = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'transition', ids: [1], status: STATUS.CLOSED, fields: { resolutionSummary: 'Fixed' } });
+
+        expect(missing.body.results[0]).toMatchObject({ ok: false, status: 400, error: 'Transition requirements not met' });
+        expect(given.body.results[0]).toMatchObject({ ok: true, case: { status: STATUS.CLOSED } });
+    });
+
+    test('assigns cases to an analyst, moving new ones to Assigned', async () => {
+        seedCase(1);
+        seedCase(2, { status: STATUS.IN_PROGRESS, assigned_to: 6 });
+
+        const response = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'assign', ids: [1, 2], assigneeId: 5 });
+
+        expect(response.body.succeeded).toBe(2);
+        expect(cases.get(1)).toMatchObject({ assigned_to: 5, status: STATUS.ASSIGNED });
+        expect(cases.get(2)).toMatchObject({ assigned_to: 5, status: STATUS.IN_PROGRESS });
+    });
+
+    test('only managers can bulk assign', async () => {
+        seedCase(1, { assigned_to: 5 });
+
+        const response = await request(app).post('/api/cases/bulk').set(as(ROLES.ANALYST, 5))
+            .send({ action: 'assign', ids: [1], assigneeId: 5 });
+
+        expect(response.status).toBe(403);
+        expect(db.audit).toHaveLength(0);
+    });
+
+    test('comments only on cases the user can see', async () => {
+        seedCase(1, { assigned_to: 5 });
+        seedCase(2, { created_by: 5 });
+        seedCase(3);
+
+        const response = await request(app).post('/api/cases/bulk').set(as(ROLES.ANALYST, 5))
+            .send({ action: 'comment', ids: [1, 2, 3], comment: 'Looking into these today' });
+
+        expect(response.body.results.map(result => result.ok)).toEqual([true, true, false]);
+        expect(response.body.results[2]).toEqual({ id: 3, ok: false, status: 404, error: 'Case not found' });
+        expect(comments.map(comment => comment.case_id)).toEqual([1, 2]);
+        expect(db.audit.map(entry => entry.action)).toEqual([AUDIT_ACTIONS.COMMENT_ADDED, AUDIT_ACTIONS.COMMENT_ADDED]);
+    });
+
+    test('rejects malformed requests before touching any case', async () => {
+        const unknown = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'delete', ids: [1] });
+        const tooMany = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'comment', ids: Array.from({ length: 101 }, (_, i) => i + 1), comment: 'Hi' });
+        const nothingToUpdate = await request(app).post('/api/cases/bulk').set(as(ROLES.MANAGER, 2))
+            .send({ action: 'update', ids: [1] });
+
+        expect(unknown.status).toBe(400);
+        expect(tooMany.status).toBe(400);
+        expect(nothingToUpdate.status).toBe(400);
+        expect(nothingToUpdate.body.error).toBe('No fields to update');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
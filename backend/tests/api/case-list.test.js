@@ -0,0 +1,229 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { caseSortKeys, caseCursorCondition, encodeCaseCursor } = require('../../src/utils/caseFilters');
+const { as } = require('../helpers/auth');
+const { ROLES } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const queryContaining = (text) => db.query.mock.calls.find(([sql]) => sql.includes(text));
+
+const row = (id, createdAt) => ({
+    id,
+    case_id: `CASE-0${id}`,
+    title: `Case ${id}`,
+    description: 'A long description',
+    priority: 'High',
+    sla_due_at: null,
+    created_at: new Date(createdAt),
+    cursor_values: ['3', `${createdAt.replace('T', ' ').replace('Z', '')}123`, String(id)]
+});
+
+/**
+ * Answer the list query with some rows and any count query with a total
+ */
+const fakeCases = (rows, total = rows.length) => {
+    db.respond([
+        ['COUNT(*)', { rows: [{ count: String(total) }] }],
+        [/^EXPLAIN/, { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 41250 } }] }] }],
+        ['FROM sla_thresholds', { rows: [] }],
+        ['category_sla_calendars', { rows: [] }]
+    ], { rows });
+};
+
+describe('Case list pagination', () => {
+    beforeEach(() => {
+        db.respond();
+    });
+
+    test('cursor pages skip the count and hand back a cursor for the next page', async () => {
+        fakeCases([row(9, '2026-03-02T10:00:00.000Z'), row(8, '2026-03-01T10:00:00.000Z'), row(7, '2026-03-01T09:00:00.000Z')]);
+
+        const response = await request(app).get('/api/cases?pagination=cursor&limit=2').set(as(ROLES.MANAGER, 2));
+
+        expect(response.status).toBe(200);
+        expect(queryContaining('COUNT(*)')).toBeUndefined();
+        const [sql, params] = queryContaining('LIMIT');
+        expect(sql).toContain('json_build_array(');
+        expect(sql).not.toContain('OFFSET');
+        expect(params).toEqual([3]);
+
+        expect(response.body.cases.map(c => c.id)).toEqual([9, 8]);
+        expect(response.body.cases[0]).not.toHaveProperty('cursor_values');
+        expect(response.body.pagination).toMatchObject({ limit: 2, hasMore: true, total: null });
+
+        db.query.mockClear();
+        await request(app)
+            .get(`/api/cases?cursor=${response.body.pagination.nextCursor}&limit=2`)
+            .set(as(ROLES.MANAGER, 2));
+
+        const [nextSql, nextParams] = queryContaining('LIMIT');
+        expect(nextSql).toContain('c.id < $3');
+        expect(nextParams).toEqual(['3', '2026-03-01 10:00:00.000123', '8', 3]);
+    });
+
+    test('the last cursor page has no next cursor', async () => {
+        fakeCases([row(2, '2026-01-01T00:00:00.000Z')]);
+
+        const response = await request(app).get('/api/cases?pagination=cursor').set(as(ROLES.ADMIN, 1));
+
+        expect(response.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+    });
+
+    test('a cursor from another sort order or a made-up one is rejected', async () => {
+        fakeCases([]);
+        const otherSort = encodeCaseCursor('created_at', ['2026-01-01 00:00:00', '5']);
+
+        const mismatched = await request(app).get(`/api/cases?cursor=${otherSort}`).set(as(ROLES.ADMIN, 1));
+        const garbage = await request(app).get('/api/cases?cursor=not-a-cursor').set(as(ROLES.ADMIN, 1));
+
+        expect(mismatched.status).toBe(400);
+        expect(mismatched.body.error).toBe('Invalid cursor');
+        expect(garbage.status).toBe(400);
+    });
+
+    test('count=estimate reads the planner estimate instead of counting', async () => {
+        fakeCases([row(1, '2026-01-01T00:00:00.000Z')]);
+
+        const response = await request(app).get('/api/cases?count=estimate&status=Created').set(as(ROLES.ANALYST, 5));
+
+        expect(queryContaining('COUNT(*)')).toBeUndefined();
+        const [sql, params] = queryContaining('EXPLAIN');
+        expect(sql).toContain('(c.assigned_to = $1 OR c.created_by = $1) AND c.status = ANY($2)');
+        expect(params).toEqual([5, ['Created']]);
+        expect(response.body.pagination).toMatchObject({ total: 41250, totalPages: 2063, estimated: true });
+    });
+
+    test('count=none pages by offset and reports whether there is more', async () => {
+        fakeCases([row(3, '2026-01-03T00:00:00.000Z'), row(2, '2026-01-02T00:00:00.000Z')]);
+
+        const response = await request(app).get('/api/cases?count=none&limit=1&page=2').set(as(ROLES.ADMIN, 1));
+
+        expect(queryContaining('LIMIT')[1]).toEqual([2, 1]);
+        expect(response.body.cases).toHaveLength(1);
+        expect(response.body.pagination).toEqual({
+            page: 2, limit: 1, total: null, totalPages: null, hasMore: true, estimated: false
+        });
+    });
+
+    test('rejects unknown pagination options', async () => {
+        const response = await request(app).get('/api/cases?pagination=pages&count=maybe').set(as(ROLES.ADMIN, 1));
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors.map(e => e.path)).toEqual(['pagination', 'count']);
+    });
+});
+
+describe('Case list fields', () => {
+    beforeEach(() => {
+        db.respond();
+    });
+
+    test('fields selects only what was asked for, plus what sla_status needs', async () => {
+        fakeCases([row(4, '2026-01-01T00:00:00.000Z')]);
+
+        const response = await request(app)
+            .get('/api/cases?fields=case_id,title,sla_status')
+            .set(as(ROLES.ADMIN, 1));
+
+        expect(response.status).toBe(200);
+        const [sql] = queryContaining('LIMIT');
+        expect(sql).toContain('c.id, c.case_id, c.title, c.priority, c.category, c.sla_due_at, c.sla_resolved_at, c.sla_paused_at');
+        expect(sql).not.toContain('c.*');
+        expect(sql).not.toContain('LEFT JOIN users');
+        expect(Object.keys(response.body.cases[0]).sort()).toEqual(['case_id', 'id', 'sla_status', 'title']);
+    });
+
+    test('sla_status of projected rows uses the category calendar like the full rows and the filter', async () => {
+        jest.useFakeTimers({
+            now: new Date('2026-03-06T16:00:00Z'),
+            doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+        });
+        // Due 1.5 working hours from Friday 16:00 on business hours, over two days on the clock
+        const itCase = {
+            ...row(5, '2026-03-02T00:00:00.000Z'),
+            category: 'IT', sla_due_at: new Date('2026-03-09T09:30:00Z'), sla_resolved_at: null, sla_paused_at: null
+        };
+        db.respond([
+            ['FROM sla_thresholds', { rows: [] }],
+            ['category_sla_calendars', {
+                rows: [{
+                    category: 'IT', id: 1, name: 'business-hours', time_zone: 'UTC',
+                    working_days: [1, 2, 3, 4, 5], work_start: '09:00:00', work_end: '17:00:00', holidays: []
+                }]
+            }],
+            ['COUNT(*)', { rows: [{ count: '1' }] }]
+        ], (params, text) => {
+            // Only the selected columns, as the database would return them
+            const columns = [...text.matchAll(/\bc\.(\w+)(?=,|\s+FROM)/g)].map(match => match[1]);
+            const selected = text.includes('c.*') ? { ...itCase } : Object.fromEntries(
+                [...columns, 'cursor_values'].filter(column => column in itCase).map(column => [column, itCase[column]])
+            );
+            return { rows: [selected] };
+        });
+
+        try {
+            const projected = await request(app).get('/api/cases?fields=case_id,sla_status').set(as(ROLES.ADMIN, 1));
+            const full = await request(app).get('/api/cases').set(as(ROLES.ADMIN, 1));
+            const filtered = await request(app).get('/api/cases?slaStatus=at_risk').set(as(ROLES.ADMIN, 1));
+
+            expect(projected.body.cases[0]).toEqual({ id: 5, case_id: 'CASE-05', sla_status: 'at_risk' });
+            expect(full.body.cases[0].sla_status).toBe('at_risk');
+            // The filter's High boundary for IT is an hour into Monday, not 18:00 on Friday
+            const [, params] = db.query.mock.calls.filter(([sql]) => sql.includes('COUNT(*)')).pop();
+            expect(params).toContainEqual(new Date('2026-03-09T10:00:00Z'));
+            expect(filtered.body.cases[0].sla_status).toBe('at_risk');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('user names and assignee sorting bring their joins back', async () => {
+        fakeCases([]);
+
+        await request(app).get('/api/cases?fields=title,created_by_name&sort=assignee').set(as(ROLES.ADMIN, 1));
+
+        const [sql] = queryContaining('LIMIT');
+        expect(sql).toContain('creator.name as created_by_name');
+        expect(sql).toContain('LEFT JOIN users creator ON c.created_by = creator.id');
+        expect(sql).toContain('LEFT JOIN users assignee ON c.assigned_to = assignee.id');
+        expect(sql).not.toContain('assigned_to_name');
+    });
+
+    test('unknown fields are rejected', async () => {
+        const response = await request(app).get('/api/cases?fields=title,password_hash').set(as(ROLES.ADMIN, 1));
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].msg).toBe('Unknown fields: password_hash');
+    });
+});
+
+describe('caseCursorCondition', () => {
+    test('continues after the cursor row with nulls last', () => {
+        const params = [];
+        const condition = caseCursorCondition(caseSortKeys('sla_due_at'), ['2026-04-01 09:00:00', '12'], params);
+
+        expect(condition).toBe(
+            '(((c.sla_due_at > $1 OR c.sla_due_at IS NULL)) OR (c.sla_due_at = $1 AND c.id < $2))'
+        );
+        expect(params).toEqual(['2026-04-01 09:00:00', '12']);
+    });
+
+    test('after a null only the remaining nulls follow', () => {
+        const params = [];
+        const condition = caseCursorCondition(caseSortKeys('-sla_due_at'), [null, '12'], params);
+
+        expect(condition).toBe('((c.sla_due_at IS NULL AND c.id < $1))');
+        expect(params).toEqual(['12']);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Dashboard buckets follow workflow flags rather than state names
+ */
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const dashboardRoutes = require('../../src/routes/dashboard.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { as } = require('../helpers/auth');
+const { ROLES, STATUS } = require('../../src/config/constants');
+
+const app = express();
+app.use('/api/dashboard', dashboardRoutes);
+app.use(errorHandler);
+
+const STATE_NAMES = Object.values(STATUS).map(name => `'${name}'`);
+
+const caseQueries = () => db.query.mock.calls.filter(([text]) => /FROM (cases c|users u)\b/.test(text));
+
+describe('Dashboard buckets', () => {
+    beforeEach(() => {
+        db.respond([
+            ['FROM users u', {
+                rows: [{
+                    id: 5, name: 'Ana', email: 'ana@example.com',
+                    total_assigned: '4', pending: '1', in_progress: '2', under_review: '1'
+                }]
+            }]
+        ], { rows: [] });
+    });
+
+    test('analyst workload counts cases by the flags of their state', async () => {
+        const response = await request(app).get('/api/dashboard/analyst-workload').set(as(ROLES.MANAGER, 2));
+
+        expect(response.status).toBe(200);
+        expect(response.body.analysts).toEqual([{
+            id: 5, name: 'Ana', email: 'ana@example.com', totalAssigned: 4, pending: 1, inProgress: 2, underReview: 1
+        }]);
+
+        const [[text, params]] = caseQueries();
+        expect(text).toContain('c.status = wd.assigned_state');
+        expect(text).toContain('ws.pauses_sla');
+        expect(text).toContain('ANY(wt.allowed_roles)');
+        expect(params).toEqual([ROLES.ANALYST, ROLES.MANAGER]);
+        for (const name of STATE_NAMES) {
+            expect(text).not.toContain(name);
+        }
+    });
+
+    test('pending actions find cases by the flags of their state', async () => {
+        await request(app).get('/api/dashboard/my-pending-actions').set(as(ROLES.ANALYST, 5));
+        await request(app).get('/api/dashboard/my-pending-actions').set(as(ROLES.ADMIN, 1));
+
+        const [assigned, unassigned, reviews] = caseQueries();
+        expect(assigned[0]).toContain('c.status = wd.assigned_state');
+        expect(assigned[1]).toEqual([ROLES.ANALYST, 5]);
+        expect(unassigned[0]).toContain('WHERE ws.is_initial');
+        // Reviews are what only the reviewer's own role can move on
+        expect(reviews[1]).toEqual([ROLES.ANALYST, ROLES.ADMIN]);
+        for (const [text] of [assigned, unassigned, reviews]) {
+            for (const name of STATE_NAMES) {
+                expect(text).not.toContain(name);
+            }
+        }
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * POST /api/cases/import against an in-memory cases table
+ */
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const WorkflowService = require('../../src/services/workflow.service');
+const SlaService = require('../../src/services/sla.service');
+const EventService = require('../../src/services/event.service');
+const AuditService = require('../../src/services/audit.service');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { parseCsv } = require('../../src/utils/csv');
+const { as } = require('../helpers/auth');
+const { STATUS, ROLES, AUDIT_ACTIONS, EVENTS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const cases = [];
+let seq;
+
+const routes = [
+    [/^SELECT case_id FROM cases WHERE case_id = ANY/, (params) => ({
+        rows: cases.filter(row => params[0].includes(row.case_id))
+    })],
+    ["setval('case_id_seq'", (params) => {
+        seq = Math.max(seq, params[0]);
+        return { rows: [{ setval: seq }] };
+    }],
+    ["nextval('case_id_seq')", () => {
+        seq += 1;
+        return { rows: [{ nextval: String(seq) }] };
+    }],
+    ['INSERT INTO cases', (params) => {
+        const [caseId, title, description, category, priority, status, createdBy, , , , createdAt] = params;
+        const row = {
+            id: cases.length + 1,
+            case_id: caseId, title, description, category, priority, status,
+            created_by: createdBy, created_at: createdAt
+        };
+        cases.push(row);
+        return { rows: [row] };
+    }]
+];
+
+const upload = (csv, fields = {}, filename = 'cases.csv') => {
+    const req = request(app).post('/api/cases/import').set(as(ROLES.MANAGER, 2));
+    for (const [name, value] of Object.entries(fields)) {
+        req.field(name, value);
+    }
+    return req.attach('file', Buffer.from(csv), filename);
+};
+
+const SHEET = [
+    'Reference,Summary,Details,Type,Severity,Opened',
+    'OLD-17,Printer on fire,"Third floor, again",IT,High,2025-11-03T09:15:00Z',
+    'CASE-02000,Refund for order 88,,Finance,Low,2025-12-01',
+    ',VPN drops every hour,,IT,Medium,'
+].join('\n');
+
+describe('Case import', () => {
+    beforeAll(() => {
+        jest.spyOn(WorkflowService, 'getActiveDefinitionForCategory')
+            .mockResolvedValue({ id: 1, version: 3, initialState: STATUS.CREATED });
+        jest.spyOn(SlaService, 'calculateTargets').mockResolvedValue({ responseDueAt: null, resolutionDueAt: null });
+    });
+
+    beforeEach(() => {
+        cases.length = 0;
+        seq = 1000;
+        db.respond(routes);
+    });
+
+    test('imports every row, keeping given case IDs and created dates', async () => {
+        const response = await upload(SHEET);
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({
+            dryRun: false,
+            total: 3,
+            imported: 3,
+            mapping: {
+                case_id: 'Reference', title: 'Summary', description: 'Details',
+                category: 'Type', priority: 'Severity', created_at: 'Opened'
+            }
+        });
+        expect(response.body.cases.map(c => [c.row, c.case_id])).toEqual([
+            [2, 'OLD-17'], [3, 'CASE-02000'], [4, 'CASE-02001']
+        ]);
+
+        const [fire] = cases;
+        expect(fire).toMatchObject({ description: 'Third floor, again', status: STATUS.CREATED, created_by: 2 });
+        expect(fire.created_at).toEqual(new Date('2025-11-03T09:15:00Z'));
+
+        expect(db.audit.map(entry => entry.action)).toEqual(Array(3).fill(AUDIT_ACTIONS.CASE_IMPORTED));
+        expect(db.audit[1].details).toMatchObject({
+            importId: response.body.importId, row: 3, category: 'Finance', workflowVersion: 3
+        });
+        // Audit entries, which take the audit chain lock, come after every insert
+        const writes = db.query.mock.calls.map(([text]) => text)
+            .filter(text => /INSERT INTO (cases|case_audit_log)\b/.test(text));
+        expect(writes.map(text => text.includes('case_audit_log') ? 'audit' : 'case'))
+            .toEqual(['case', 'case', 'case', 'audit', 'audit', 'audit']);
+    });
+
+    test('publishes each imported case once the import has committed', async () => {
+        const published = [];
+        const publish = jest.spyOn(EventService, 'publish').mockImplementation(async (event, payload) => {
+            published.push({ event, caseId: payload.case.case_id, importId: payload.importId, committed: db.commits > 0 });
+            return [];
+        });
+
+        const response = await upload(SHEET);
+        publish.mockRestore();
+
+        expect(response.status).toBe(201);
+        expect(published).toEqual(['OLD-17', 'CASE-02000', 'CASE-02001'].map(caseId => ({
+            event: EVENTS.CASE_IMPORTED, caseId, importId: response.body.importId, committed: true
+        })));
+    });
+
+    test('publishes nothing when the import is rolled back', async () => {
+        const publish = jest.spyOn(EventService, 'publish');
+        const audit = jest.spyOn(AuditService, 'logCaseImported').mockRejectedValueOnce(new Error('connection lost'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await upload(SHEET);
+        publish.mockRestore();
+        audit.mockRestore();
+        consoleError.mockRestore();
+
+        expect(response.status).toBe(500);
+        expect(db.commits).toBe(0);
+        expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('a dry run reports every invalid row and writes nothing', async () => {
+        cases.push({ id: 1, case_id: 'OLD-17' });
+        const csv = [
+            'Case ID,Title,Category,Priority,Created',
+            'OLD-17,Already here,IT,High,',
+            ',,Sales,Urgent,yesterday',
+            'NEW-1,Fine,Other,Low,2999-01-01',
+            'NEW-1,Twice,Other,Low,'
+        ].join('\r\n');
+
+        const response = await upload(csv, { dryRun: 'true' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ dryRun: true, total: 4, valid: 0, invalid: 4 });
+        expect(response.body.errors).toEqual([
+            { row: 2, errors: [{ path: 'case_id', msg: 'Case OLD-17 already exists' }] },
+            {
+                row: 3,
+                errors: [
+                    { path: 'title', msg: 'Title is required' },
+                    { path: 'category', msg: 'Invalid category' },
+                    { path: 'priority', msg: 'Invalid priority' },
+                    { path: 'created_at', msg: 'Created date must be an ISO 8601 date' }
+                ]
+            },
+            { row: 4, errors: [{ path: 'created_at', msg: 'Created date cannot be in the future' }] },
+            { row: 5, errors: [{ path: 'case_id', msg: 'Case ID repeats row 4' }] }
+        ]);
+        expect(cases).toHaveLength(1);
+    });
+
+    test('a real import with invalid rows imports nothing', async () => {
+        const response = await upload('Title,Category,Priority\nGood,Other,Low\nBad,Other,Someday');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ error: 'Import has invalid rows; nothing was imported', valid: 1, invalid: 1 });
+        expect(cases).toHaveLength(0);
+    });
+
+    test('an explicit mapping picks the columns', async () => {
+        const csv = 'Ticket,Headline,Area,Level\nT-1,Laptop will not boot,IT,Critical';
+
+        const response = await upload(csv, {
+            mapping: JSON.stringify({ case_id: 'Ticket', title: 'Headline', category: 'Area', priority: 'Level' })
+        });
+        const unmapped = await upload(csv);
+        const badMapping = await upload(csv, { mapping: JSON.stringify({ owner: 'Ticket' }) });
+
+        expect(response.status).toBe(201);
+        expect(cases[0]).toMatchObject({ case_id: 'T-1', title: 'Laptop will not boot', priority: 'Critical' });
+        expect(unmapped.status).toBe(400);
+        expect(unmapped.body.missing).toEqual(['title', 'category', 'priority']);
+        expect(badMapping.body.error).toBe('Unknown import fields: owner');
+    });
+
+    test('reads the first worksheet of a real XLSX file', async () => {
+        const workbook = fs.readFileSync(path.join(__dirname, '../fixtures/cases.xlsx'));
+
+        const response = await upload(workbook, {}, 'cases.xlsx');
+
+        expect(response.status).toBe(201);
+        expect(response.body.cases.map(c => [c.row, c.case_id])).toEqual([[2, 'XL-1'], [4, '42']]);
+        // Rich text, a formula's result and a date cell
+        expect(cases[0]).toMatchObject({ title: 'From Excel', category: 'IT', priority: 'Low' });
+        expect(cases[0].created_at).toEqual(new Date('2025-10-01T08:00:00Z'));
+    });
+
+    test('a file that is not a workbook is rejected', async () => {
+        const response = await upload('Title,Category,Priority', {}, 'cases.xlsx');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Could not read Excel file');
+    });
+
+    test('only managers can import', async () => {
+        const response = await request(app).post('/api/cases/import').set(as(ROLES.ANALYST, 5))
+            .attach('file', Buffer.from(SHEET), 'cases.csv');
+
+        expect(response.status).toBe(403);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('parseCsv', () => {
+    test('handles quotes, escaped quotes, line breaks in fields and a BOM', () => {
+        expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\n')).toEqual([
+            ['a', 'b'],
+            ['x, y', 'say "hi"\nthere']
+        ]);
+        expect(() => parseCsv('a,"b')).toThrow('Unterminated quoted field');
+    });
+});
@@ -0,0 +1,175 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const notificationRoutes = require('../../src/routes/notifications.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AuditService = require('../../src/services/audit.service');
+const EventService = require('../../src/services/event.service');
+const NotificationService = require('../../src/services/notification.service');
+const SlaService = require('../../src/services/sla.service');
+const auth = require('../helpers/auth');
+const { ROLES, EVENTS, NOTIFICATION_TYPES, SLA_EVENTS, SLA_TYPES } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+const as = (role, id) => auth.as(role, id, 'Ana Lyst');
+
+const caseRow = { id: 4, case_id: 'CASE-01004', status: 'In Progress', created_by: 3, assigned_to: 5 };
+
+/**
+ * Notifications the in-app channel tried to create, one entry per recipient
+ */
+const inserted = () => db.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO notifications'))
+    .flatMap(([, [userIds, caseId, type, message]]) => userIds.map(userId => ({ userId, caseId, type, message })));
+
+describe('Notifications', () => {
+    beforeAll(() => NotificationService.subscribe());
+
+    beforeEach(() => {
+        db.respond([], { rows: [] });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('events', () => {
+        test('a new comment notifies the case owner and assignee but not its author', async () => {
+            jest.spyOn(AuditService, 'logCommentAdded').mockResolvedValue({});
+            jest.spyOn(SlaService, 'recordResponse').mockResolvedValue(null);
+            db.query
+                .mockResolvedValueOnce({ rows: [caseRow] })
+                .mockResolvedValueOnce({ rows: [{ id: 11, case_id: 4, comment: 'On it', created_by: 5 }] });
+
+            const response = await request(app)
+                .post('/api/cases/4/comments')
+                .set(as(ROLES.ANALYST, 5))
+                .send({ comment: 'On it' });
+
+            expect(response.status).toBe(201);
+            expect(inserted()).toEqual([{
+                userId: 3,
+                caseId: 4,
+                type: NOTIFICATION_TYPES.COMMENT_ADDED,
+                message: 'Ana Lyst commented on case CASE-01004'
+            }]);
+        });
+
+        test('a status change notifies the owner and assignee', async () => {
+            await EventService.publish(EVENTS.CASE_STATUS_CHANGED, {
+                case: { ...caseRow, status: 'Resolved' },
+                previousStatus: 'In Progress',
+                newStatus: 'Resolved',
+                performedBy: 2
+            });
+
+            expect(inserted()).toEqual([3, 5].map(userId => ({
+                userId,
+                caseId: 4,
+                type: NOTIFICATION_TYPES.STATUS_CHANGED,
+                message: 'Case CASE-01004 moved from In Progress to Resolved'
+            })));
+        });
+
+        test('an assignment notifies the new assignee', async () => {
+            await EventService.publish(EVENTS.CASE_ASSIGNED, { case: caseRow, previousAssignee: null, performedBy: 2 });
+
+            expect(inserted()).toEqual([expect.objectContaining({ userId: 5, type: NOTIFICATION_TYPES.CASE_ASSIGNED })]);
+        });
+
+        test('SLA risk notifies the users the monitor escalated to', async () => {
+            await EventService.publish(EVENTS.SLA_ESCALATION, {
+                case: caseRow,
+                userIds: [2, 5],
+                slaType: SLA_TYPES.RESOLUTION,
+                event: SLA_EVENTS.AT_RISK,
+                message: 'Case CASE-01004 is due to miss its resolution SLA'
+            });
+
+            expect(inserted().map(n => [n.userId, n.type])).toEqual([
+                [2, NOTIFICATION_TYPES.SLA_AT_RISK],
+                [5, NOTIFICATION_TYPES.SLA_AT_RISK]
+            ]);
+        });
+
+        test('muted types are filtered out when the notification is stored', async () => {
+            await NotificationService.notify([5], { type: NOTIFICATION_TYPES.COMMENT_ADDED, caseId: 4, message: 'Hi' });
+
+            const [sql, params] = db.query.mock.calls[0];
+            expect(sql).toContain('notification_preferences');
+            expect(params.slice(2)).toEqual([NOTIFICATION_TYPES.COMMENT_ADDED, 'Hi']);
+        });
+    });
+
+    describe('API', () => {
+        test('lists the current user\'s notifications with the unread count', async () => {
+            db.query
+                .mockResolvedValueOnce({ rows: [{ id: 9 }, { id: 8 }, { id: 7 }] })
+                .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+            const response = await request(app).get('/api/notifications?limit=2&unread=true').set(as(ROLES.ANALYST, 5));
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ notifications: [{ id: 9 }, { id: 8 }], unreadCount: 2, hasMore: true });
+            expect(db.query.mock.calls[0][0]).toContain('n.read_at IS NULL');
+            expect(db.query.mock.calls[0][1]).toEqual([5, 3]);
+        });
+
+        test('only the owner can mark a notification read', async () => {
+            const response = await request(app).put('/api/notifications/9/read').set(as(ROLES.ANALYST, 6));
+
+            expect(response.status).toBe(404);
+            expect(db.query.mock.calls[0][1]).toEqual([9, 6]);
+        });
+
+        test('marks everything read', async () => {
+            db.query.mockResolvedValueOnce({ rows: [], rowCount: 4 });
+
+            const response = await request(app).put('/api/notifications/read-all').set(as(ROLES.ANALYST, 5));
+
+            expect(response.status).toBe(200);
+            expect(response.body.unreadCount).toBe(0);
+            expect(db.query.mock.calls[0][1]).toEqual([5]);
+        });
+
+        test('saves preferences and reports every type', async () => {
+            db.respond([
+                ['SELECT type, enabled', { rows: [{ type: NOTIFICATION_TYPES.COMMENT_ADDED, enabled: false }] }]
+            ], { rows: [] });
+
+            const response = await request(app)
+                .put('/api/notifications/preferences')
+                .set(as(ROLES.ANALYST, 5))
+                .send({ preferences: { [NOTIFICATION_TYPES.COMMENT_ADDED]: false } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.preferences).toEqual({
+                ...Object.fromEntries(Object.values(NOTIFICATION_TYPES).map(type => [type, true])),
+                [NOTIFICATION_TYPES.COMMENT_ADDED]: false
+            });
+        });
+
+        test('rejects unknown types and non-boolean settings', async () => {
+            const unknown = await request(app)
+                .put('/api/notifications/preferences')
+                .set(as(ROLES.ANALYST, 5))
+                .send({ preferences: { fax: false } });
+            const notBoolean = await request(app)
+                .put('/api/notifications/preferences')
+                .set(as(ROLES.ANALYST, 5))
+                .send({ preferences: { [NOTIFICATION_TYPES.COMMENT_ADDED]: 'off' } });
+
+            expect(unknown.status).toBe(400);
+            expect(notBoolean.status).toBe(400);
+            expect(db.query).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { omitSearchVectors } = require('../../src/utils/search');
+const { as } = require('../helpers/auth');
+const { ROLES } = require('../../src/config/constants');
+
+const app = express();
+app.set('json replacer', omitSearchVectors);
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const queryContaining = (text) => db.query.mock.calls.find(([sql]) => sql.includes(text));
+
+const match = {
+    id: 4,
+    case_id: 'CASE-01004',
+    title: 'VPN drops every hour',
+    priority: 'High',
+    created_by: 3,
+    assigned_to: 5,
+    search_vector: "'drop':3A 'vpn':2A",
+    search_rank: 0.6,
+    search_title: '<mark>VPN</mark> drops every hour',
+    search_description: 'Since Monday the <mark>VPN</mark> client disconnects',
+    search_comment: null
+};
+
+/**
+ * Answer the count and list queries of GET /api/cases
+ */
+const fakeCases = (rows) => {
+    db.respond([
+        ['COUNT(*)', { rows: [{ count: String(rows.length) }] }],
+        ['FROM sla_thresholds', { rows: [] }],
+        ['category_sla_calendars', { rows: [] }]
+    ], { rows });
+};
+
+describe('Case search', () => {
+    beforeEach(() => {
+        db.respond();
+    });
+
+    test('q searches cases and comments within the user\'s visible cases, best match first', async () => {
+        fakeCases([match]);
+
+        const response = await request(app).get('/api/cases?q=vpn%20-wifi&priority=High').set(as(ROLES.ANALYST, 5));
+
+        expect(response.status).toBe(200);
+        const [countSql, countParams] = queryContaining('COUNT(*)');
+        expect(countSql).toContain('(c.assigned_to = $1 OR c.created_by = $1)');
+        expect(countSql).toContain("c.search_vector @@ websearch_to_tsquery('english', $3)");
+        expect(countSql).toContain('cm.search_vector @@');
+        expect(countParams).toEqual([5, ['High'], 'vpn -wifi']);
+
+        const [listSql, listParams] = queryContaining('LIMIT');
+        expect(listSql).toContain('LEFT JOIN LATERAL');
+        expect(listSql).toMatch(/ORDER BY search_rank DESC/);
+        expect(listParams).toEqual([5, ['High'], 'vpn -wifi', 20, 0]);
+    });
+
+    test('matches come back with highlighted snippets and without search vectors', async () => {
+        fakeCases([match]);
+
+        const response = await request(app).get('/api/cases?q=vpn').set(as(ROLES.MANAGER, 2));
+
+        const [result] = response.body.cases;
+        expect(result.search).toEqual({
+            rank: 0.6,
+            title: '<mark>VPN</mark> drops every hour',
+            description: 'Since Monday the <mark>VPN</mark> client disconnects',
+            comment: null
+        });
+        expect(result).not.toHaveProperty('search_vector');
+        expect(result).not.toHaveProperty('search_title');
+        expect(response.body.pagination.total).toBe(1);
+    });
+
+    test('without q the list is unchanged', async () => {
+        fakeCases([{ ...match, search_rank: undefined }]);
+
+        const response = await request(app).get('/api/cases').set(as(ROLES.REQUESTER, 3));
+
+        expect(queryContaining('LIMIT')[0]).not.toContain('websearch_to_tsquery');
+        expect(response.body.cases[0]).not.toHaveProperty('search');
+        expect(response.body.cases[0]).not.toHaveProperty('search_vector');
+    });
+});
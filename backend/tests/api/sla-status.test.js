@@ -0,0 +1,191 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const dashboardRoutes = require('../../src/routes/dashboard.routes');
+const slaRoutes = require('../../src/routes/sla.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const WorkflowService = require('../../src/services/workflow.service');
+const auth = require('../helpers/auth');
+const { ROLES, PRIORITY, SLA_STATUS, SLA_TYPES, SLA_AT_RISK_DEFAULTS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/sla', slaRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+const as = (role, id = 1) => auth.as(role, id);
+
+const caseRow = (id, overrides) => ({
+    id,
+    case_id: `CASE-0100${id}`,
+    title: `Case ${id}`,
+    category: 'HR',
+    status: 'In Progress',
+    priority: PRIORITY.MEDIUM,
+    created_by: 3,
+    assigned_to: 5,
+    version: 1,
+    sla_due_at: hoursFromNow(48),
+    sla_resolved_at: null,
+    sla_paused_at: null,
+    ...overrides
+});
+
+// One case in each SLA state, with the state every endpoint must report
+const scenarios = [
+    { expected: SLA_STATUS.OVERDUE, row: caseRow(1, { priority: PRIORITY.CRITICAL, sla_due_at: hoursFromNow(-1) }) },
+    {
+        expected: SLA_STATUS.PAUSED,
+        row: caseRow(2, { priority: PRIORITY.HIGH, status: 'Pending Requester', sla_due_at: hoursFromNow(1), sla_paused_at: hoursFromNow(-1) })
+    },
+    {
+        expected: SLA_STATUS.OVERDUE,
+        row: caseRow(3, { priority: PRIORITY.HIGH, status: 'Pending Requester', sla_due_at: hoursFromNow(-3), sla_paused_at: hoursFromNow(-2) })
+    },
+    { expected: SLA_STATUS.AT_RISK, row: caseRow(4, { priority: PRIORITY.CRITICAL, sla_due_at: hoursFromNow(0.5) }) },
+    { expected: SLA_STATUS.ON_TRACK, row: caseRow(5, { priority: PRIORITY.CRITICAL, sla_due_at: hoursFromNow(1.5) }) },
+    { expected: SLA_STATUS.AT_RISK, row: caseRow(6, { priority: PRIORITY.LOW, sla_due_at: hoursFromNow(10) }) },
+    {
+        expected: SLA_STATUS.MET,
+        row: caseRow(7, { status: 'Closed', sla_due_at: hoursFromNow(-10), sla_resolved_at: hoursFromNow(-20) })
+    },
+    { expected: null, row: caseRow(8, { sla_due_at: null }) }
+];
+
+const databaseRoutes = (thresholdRows = []) => [
+    ['FROM sla_thresholds', { rows: thresholdRows }],
+    ['category_sla_calendars', { rows: [] }],
+    ['case_sla_pauses', { rows: [] }],
+    ['SELECT COUNT(*) FROM cases', () => ({ rows: [{ count: String(scenarios.length) }] })],
+    ['COUNT(*) FILTER', { rows: [{ met: '0', missed: '0' }] }],
+    ['WHERE c.id = $1', (params) => ({ rows: scenarios.filter(s => s.row.id === params[0]).map(s => ({ ...s.row })) })],
+    ['FROM cases c', () => ({ rows: scenarios.map(s => ({ ...s.row })) })]
+];
+
+const mockDatabase = (thresholdRows) => db.respond(databaseRoutes(thresholdRows));
+
+/**
+ * sla_status of every case as reported by each endpoint that reports it
+ */
+const reportedStatuses = async () => {
+    const byId = (cases) => Object.fromEntries(cases.map(c => [c.id, c.sla_status]));
+
+    const list = await request(app).get('/api/cases').set(as(ROLES.ADMIN));
+    const analyst = await request(app).get('/api/dashboard/my-pending-actions').set(as(ROLES.ANALYST, 5));
+    const manager = await request(app).get('/api/dashboard/my-pending-actions').set(as(ROLES.MANAGER, 2));
+    const requester = await request(app).get('/api/dashboard/my-pending-actions').set(as(ROLES.REQUESTER, 3));
+    const breaches = await request(app).get('/api/dashboard/sla-breaches').set(as(ROLES.MANAGER, 2));
+
+    const details = {};
+    for (const { row } of scenarios) {
+        const response = await request(app).get(`/api/cases/${row.id}`).set(as(ROLES.ADMIN));
+        details[row.id] = response.body.case.sla_status;
+    }
+
+    return {
+        'GET /api/cases': byId(list.body.cases),
+        'GET /api/cases/:id': details,
+        'my-pending-actions (analyst)': byId(analyst.body.pendingCases),
+        'my-pending-actions (manager cases)': byId(manager.body.pendingCases),
+        'my-pending-actions (manager reviews)': byId(manager.body.pendingReviews),
+        'my-pending-actions (requester)': byId(requester.body.pendingCases),
+        'sla-breaches': byId(breaches.body.cases.filter(c => c.sla_type === SLA_TYPES.RESOLUTION))
+    };
+};
+
+describe('SLA status across endpoints', () => {
+    const expected = Object.fromEntries(scenarios.map(s => [s.row.id, s.expected]));
+
+    beforeEach(() => {
+        db.respond();
+        jest.spyOn(WorkflowService, 'getDefinitionForCase').mockResolvedValue({
+            id: 1,
+            name: 'default',
+            version: 1,
+            transitions: {},
+            guards: {}
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('every endpoint reports the same state for every case', async () => {
+        mockDatabase();
+
+        const reported = await reportedStatuses();
+
+        for (const [endpoint, statuses] of Object.entries(reported)) {
+            expect({ endpoint, statuses }).toEqual({ endpoint, statuses: expected });
+        }
+    });
+
+    test('a threshold change applies to every endpoint at once', async () => {
+        // Critical cases become at risk two hours out instead of one
+        mockDatabase([{ priority: PRIORITY.CRITICAL, at_risk_hours: '2.00' }]);
+
+        const reported = await reportedStatuses();
+
+        for (const [endpoint, statuses] of Object.entries(reported)) {
+            expect({ endpoint, statuses }).toEqual({ endpoint, statuses: { ...expected, 5: SLA_STATUS.AT_RISK } });
+        }
+    });
+
+    test('sla-breaches includes cases at risk under a threshold above 24 hours', async () => {
+        db.respond([
+            // Answer the breaches query with only the open cases inside its window
+            ['< c.sla_paused_at', (params) => ({
+                rows: scenarios.map(s => s.row).filter(row => row.sla_due_at && !row.sla_resolved_at && (
+                    row.sla_due_at < row.sla_paused_at || (!row.sla_paused_at && row.sla_due_at < params[0])
+                ))
+            })],
+            ...databaseRoutes([{ priority: PRIORITY.LOW, at_risk_hours: '48.00' }])
+        ]);
+        const lowDueLater = caseRow(9, { priority: PRIORITY.LOW, sla_due_at: hoursFromNow(30) });
+        scenarios.push({ expected: SLA_STATUS.AT_RISK, row: lowDueLater });
+
+        try {
+            const list = await request(app).get('/api/cases').set(as(ROLES.ADMIN));
+            const breaches = await request(app).get('/api/dashboard/sla-breaches').set(as(ROLES.MANAGER, 2));
+
+            expect(list.body.cases.find(c => c.id === 9).sla_status).toBe(SLA_STATUS.AT_RISK);
+            expect(breaches.body.cases.find(c => c.id === 9 && c.sla_type === SLA_TYPES.RESOLUTION))
+                .toMatchObject({ sla_status: SLA_STATUS.AT_RISK });
+            expect(breaches.body.byType[SLA_TYPES.RESOLUTION].atRisk).toBe(3);
+        } finally {
+            scenarios.pop();
+        }
+    });
+
+    test('thresholds are exposed per priority', async () => {
+        mockDatabase([{ priority: PRIORITY.LOW, at_risk_hours: '24.00' }]);
+
+        const response = await request(app).get('/api/sla/thresholds').set(as(ROLES.ANALYST, 5));
+
+        expect(response.status).toBe(200);
+        expect(response.body.thresholds).toEqual({ ...SLA_AT_RISK_DEFAULTS, [PRIORITY.LOW]: 24 });
+    });
+
+    test('only admins can change a threshold', async () => {
+        db.respond([], { rows: [{ priority: PRIORITY.HIGH, at_risk_hours: '3.00' }] });
+
+        const denied = await request(app).put('/api/sla/thresholds/High').set(as(ROLES.MANAGER, 2)).send({ atRiskHours: 3 });
+        const invalid = await request(app).put('/api/sla/thresholds/Urgent').set(as(ROLES.ADMIN)).send({ atRiskHours: 3 });
+        const saved = await request(app).put('/api/sla/thresholds/High').set(as(ROLES.ADMIN)).send({ atRiskHours: 3 });
+
+        expect(denied.status).toBe(403);
+        expect(invalid.status).toBe(400);
+        expect(saved.status).toBe(200);
+        expect(saved.body.threshold).toEqual({ priority: PRIORITY.HIGH, atRiskHours: 3 });
+        expect(db.query.mock.calls[0][1]).toEqual([PRIORITY.HIGH, 3, 1]);
+    });
+});
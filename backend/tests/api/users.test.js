@@ -0,0 +1,87 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const userRoutes = require('../../src/routes/users.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { as } = require('../helpers/auth');
+const { ROLES, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const admin = as(ROLES.ADMIN, 1);
+
+const auditInserts = () => db.audit.map(({ case_id: caseId, action, performed_by: performedBy, details }) => ({
+    caseId, action, performedBy, details
+}));
+
+describe('User administration audit', () => {
+    beforeEach(() => {
+        db.respond();
+    });
+
+    test('Creating a user is audited', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 8, name: 'Ana Lyst', email: 'ana@example.com', role: ROLES.ANALYST }] });
+
+        const response = await request(app)
+            .post('/api/users')
+            .set(admin)
+            .send({ name: 'Ana Lyst', email: 'ana@example.com', password: 'secret1', role: ROLES.ANALYST });
+
+        expect(response.status).toBe(201);
+        expect(auditInserts()).toEqual([{
+            caseId: null,
+            action: AUDIT_ACTIONS.USER_CREATED,
+            performedBy: 1,
+            details: {
+                targetUserId: 8,
+                email: 'ana@example.com',
+                role: ROLES.ANALYST,
+                ip: expect.any(String),
+                userAgent: null
+            }
+        }]);
+    });
+
+    test('A role change is audited with the old and new role', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 8, name: 'Ana Lyst', email: 'ana@example.com', role: ROLES.ANALYST }] })
+            .mockResolvedValueOnce({ rows: [{ id: 8, name: 'Ana Lyst', email: 'ana@example.com', role: ROLES.MANAGER }] });
+
+        const response = await request(app)
+            .put('/api/users/8')
+            .set(admin)
+            .send({ name: 'Ana Lyst', role: ROLES.MANAGER });
+
+        expect(response.status).toBe(200);
+        expect(db.query.mock.calls[1][0]).toMatch(/^UPDATE users SET role = \$1, updated_at/);
+        expect(auditInserts()).toEqual([expect.objectContaining({
+            action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+            details: expect.objectContaining({
+                targetUserId: 8,
+                changes: { role: { from: ROLES.ANALYST, to: ROLES.MANAGER } }
+            })
+        })]);
+    });
+
+    test('Deleting a user is audited with who they were', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 8, name: 'Ana Lyst', email: 'ana@example.com', role: ROLES.ANALYST }] });
+
+        const response = await request(app).delete('/api/users/8').set(admin);
+
+        expect(response.status).toBe(200);
+        expect(auditInserts()).toEqual([expect.objectContaining({
+            action: AUDIT_ACTIONS.USER_DELETED,
+            details: expect.objectContaining({ targetUserId: 8, name: 'Ana Lyst', email: 'ana@example.com', role: ROLES.ANALYST })
+        })]);
+    });
+});
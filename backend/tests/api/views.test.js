@@ -0,0 +1,174 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const viewRoutes = require('../../src/routes/views.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { parseCaseFilters } = require('../../src/utils/caseFilters');
+const { as } = require('../helpers/auth');
+const { ROLES, SLA_STATUS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use('/api/views', viewRoutes);
+app.use(errorHandler);
+
+const queryContaining = (text) => db.query.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('Case list filters', () => {
+    beforeEach(() => {
+        db.respond([['COUNT(*)', { rows: [{ count: '0' }] }]], { rows: [] });
+    });
+
+    test('lists take repeated or comma-separated values and user filters take me and none', async () => {
+        const response = await request(app)
+            .get('/api/cases?status=Created&status=Assigned&priority=High,Critical&assignedTo=me,none,7&createdBy=3')
+            .set(as(ROLES.MANAGER, 2));
+
+        expect(response.status).toBe(200);
+        const [sql, params] = queryContaining('COUNT(*)');
+        expect(sql).toContain('c.status = ANY($1)');
+        expect(sql).toContain('c.priority = ANY($2)');
+        expect(sql).toContain('(c.assigned_to = ANY($3::int[]) OR c.assigned_to IS NULL)');
+        expect(sql).toContain('(c.created_by = ANY($4::int[]))');
+        expect(params).toEqual([['Created', 'Assigned'], ['High', 'Critical'], [2, 7], [3]]);
+    });
+
+    test('a date-only upper bound includes the whole day', async () => {
+        await request(app)
+            .get('/api/cases?createdFrom=2026-03-01&createdTo=2026-03-04&slaDueTo=2026-03-10T12:00:00Z')
+            .set(as(ROLES.ADMIN, 1));
+
+        const [sql, params] = queryContaining('COUNT(*)');
+        expect(sql).toContain('c.created_at >= $1 AND c.created_at < $2 AND c.sla_due_at <= $3');
+        expect(params).toEqual([
+            new Date('2026-03-01T00:00:00Z'),
+            new Date('2026-03-05T00:00:00Z'),
+            new Date('2026-03-10T12:00:00Z')
+        ]);
+    });
+
+    test('filters on SLA status with the configured at-risk thresholds', async () => {
+        db.respond([
+            ['FROM sla_thresholds', { rows: [{ priority: 'High', at_risk_hours: '5' }] }],
+            ['COUNT(*)', { rows: [{ count: '0' }] }]
+        ], { rows: [] });
+
+        await request(app).get(`/api/cases?slaStatus=${SLA_STATUS.AT_RISK},${SLA_STATUS.OVERDUE}`).set(as(ROLES.ADMIN, 1));
+
+        const [sql, params] = queryContaining('COUNT(*)');
+        expect(sql).toContain('c.sla_due_at < COALESCE(c.sla_paused_at, $1::timestamp)');
+        expect(sql).toContain("c.sla_due_at < CASE c.priority WHEN 'Low' THEN $2::timestamp");
+        expect(sql).toContain("WHEN 'High' THEN $4::timestamp");
+        // Without category calendars the thresholds are wall-clock hours from now
+        expect(params.slice(1).map(boundary => (boundary - params[0]) / (60 * 60 * 1000))).toEqual([12, 6, 5, 1, 6]);
+    });
+
+    test('sorts by the chosen columns with id as the tie-breaker', async () => {
+        await request(app).get('/api/cases?sort=-sla_due_at,assignee').set(as(ROLES.ADMIN, 1));
+        expect(queryContaining('LIMIT')[0]).toContain('ORDER BY c.sla_due_at DESC NULLS LAST, assignee.name ASC NULLS LAST, c.id DESC');
+
+        db.query.mockClear();
+        await request(app).get('/api/cases').set(as(ROLES.ADMIN, 1));
+        expect(queryContaining('LIMIT')[0]).toMatch(/ORDER BY CASE c\.priority .* END DESC NULLS LAST, c\.created_at DESC NULLS LAST, c\.id DESC/);
+    });
+
+    test('reports every invalid filter at once', async () => {
+        const response = await request(app)
+            .get('/api/cases?priority=Urgent&assignedTo=bob&createdFrom=yesterday&sort=password')
+            .set(as(ROLES.ADMIN, 1));
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid filters');
+        expect(response.body.errors.map(e => e.path)).toEqual(['priority', 'assignedTo', 'createdFrom', 'sort']);
+        expect(queryContaining('COUNT(*)')).toBeUndefined();
+    });
+
+    test('empty values are ignored so blank form fields do not filter', () => {
+        expect(parseCaseFilters({ status: '', priority: '', q: ' ', sort: '', page: '2' })).toEqual({});
+        expect(() => parseCaseFilters({ page: '2' }, { strict: true })).toThrow('Invalid filters');
+    });
+});
+
+describe('Saved views API', () => {
+    const view = { id: 9, owner_id: 5, name: 'My urgent', filters: { priority: ['Critical'] }, shared: false };
+
+    beforeEach(() => {
+        db.respond([], { rows: [] });
+    });
+
+    test('saves normalised filters', async () => {
+        db.respond([], (params) => ({
+            rows: [{ id: 9, owner_id: params[0], name: params[1], filters: JSON.parse(params[2]), shared: params[3] }]
+        }));
+
+        const response = await request(app)
+            .post('/api/views')
+            .set(as(ROLES.ANALYST, 5))
+            .send({ name: 'My urgent', filters: { priority: 'Critical,High', assignedTo: ['me'], status: '' }, shared: true });
+
+        expect(response.status).toBe(201);
+        expect(response.body.view).toMatchObject({
+            owner_id: 5,
+            filters: { priority: ['Critical', 'High'], assignedTo: ['me'] },
+            shared: true
+        });
+    });
+
+    test('rejects unknown or invalid filters', async () => {
+        const unknown = await request(app).post('/api/views').set(as(ROLES.ANALYST, 5))
+            .send({ name: 'Bad', filters: { limit: 100 } });
+        const invalid = await request(app).post('/api/views').set(as(ROLES.ANALYST, 5))
+            .send({ name: 'Bad', filters: { category: 'Sales' } });
+
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.errors).toEqual([{ path: 'limit', msg: 'Unknown filter: limit' }]);
+        expect(invalid.status).toBe(400);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('a duplicate name is a conflict', async () => {
+        db.query.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+        const response = await request(app).post('/api/views').set(as(ROLES.ANALYST, 5))
+            .send({ name: 'My urgent', filters: {} });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error).toBe('You already have a view with this name');
+    });
+
+    test('only the owner changes a view; admins can delete shared ones; private views stay hidden', async () => {
+        db.respond([
+            ['SELECT', (params) => {
+                const views = { 9: view, 10: { ...view, id: 10, shared: true } };
+                return { rows: views[params[0]] ? [views[params[0]]] : [] };
+            }]
+        ], (params) => ({ rows: [{ ...view, name: params[1] ?? view.name }] }));
+
+        const byOwner = await request(app).put('/api/views/9').set(as(ROLES.ANALYST, 5)).send({ name: 'Urgent' });
+        const privateView = await request(app).put('/api/views/9').set(as(ROLES.ANALYST, 6)).send({ name: 'Mine' });
+        const sharedView = await request(app).put('/api/views/10').set(as(ROLES.ANALYST, 6)).send({ name: 'Mine' });
+        const adminDelete = await request(app).delete('/api/views/10').set(as(ROLES.ADMIN, 1));
+
+        expect(byOwner.status).toBe(200);
+        expect(byOwner.body.view.name).toBe('Urgent');
+        expect(privateView.status).toBe(404);
+        expect(sharedView.status).toBe(403);
+        expect(adminDelete.status).toBe(200);
+    });
+
+    test('lists your own views and shared ones', async () => {
+        db.query.mockResolvedValueOnce({ rows: [view] });
+
+        const response = await request(app).get('/api/views').set(as(ROLES.ANALYST, 5));
+
+        expect(response.body.views).toEqual([view]);
+        expect(db.query.mock.calls[0][0]).toContain('WHERE v.owner_id = $1 OR v.shared');
+        expect(db.query.mock.calls[0][1]).toEqual([5]);
+    });
+});
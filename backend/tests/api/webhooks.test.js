@@ -0,0 +1,116 @@
+jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const webhookRoutes = require('../../src/routes/webhooks.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const auth = require('../helpers/auth');
+const { ROLES, WEBHOOK_DELIVERY_STATUS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhooks', webhookRoutes);
+app.use(errorHandler);
+
+const as = (role, id = 1) => auth.as(role, id);
+
+const subscription = {
+    id: 2,
+    name: 'Chat',
+    url: 'https://chat.example.com/hooks/wacms',
+    secret: 's3cret',
+    events: ['case.status_changed'],
+    categories: ['IT'],
+    active: true
+};
+
+describe('Webhook subscriptions API', () => {
+    beforeEach(() => {
+        db.respond([], { rows: [] });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('only admins can manage webhooks', async () => {
+        const response = await request(app).get('/api/webhooks').set(as(ROLES.MANAGER, 2));
+
+        expect(response.status).toBe(403);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('creating a subscription returns its signing secret', async () => {
+        db.respond([], (params) => ({
+            rows: [{ id: 2, name: params[0], url: params[1], secret: params[2], events: params[3], categories: params[4], active: params[5] }]
+        }));
+
+        const response = await request(app)
+            .post('/api/webhooks')
+            .set(as(ROLES.ADMIN))
+            .send({ name: 'Chat', url: 'https://chat.example.com/hooks/wacms', events: ['case.status_changed', 'case.status_changed'], categories: ['IT'] });
+
+        expect(response.status).toBe(201);
+        expect(response.body.subscription).toMatchObject({ events: ['case.status_changed'], categories: ['IT'], active: true });
+        expect(response.body.subscription.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(db.query.mock.calls[0][1][6]).toBe(1);
+    });
+
+    test('rejects unknown events, categories and non-http URLs', async () => {
+        const send = (data) => request(app)
+            .post('/api/webhooks')
+            .set(as(ROLES.ADMIN))
+            .send({ name: 'Chat', url: 'https://chat.example.com/hooks', events: ['case.status_changed'], ...data });
+
+        expect((await send({ events: ['case.deleted'] })).status).toBe(400);
+        expect((await send({ events: [] })).status).toBe(400);
+        expect((await send({ categories: ['Sales'] })).status).toBe(400);
+        expect((await send({ url: 'ftp://chat.example.com/hooks' })).status).toBe(400);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('lists deliveries filtered by status', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 31, status: WEBHOOK_DELIVERY_STATUS.FAILED }] });
+
+        const response = await request(app).get('/api/webhooks/2/deliveries?status=failed').set(as(ROLES.ADMIN));
+
+        expect(response.status).toBe(200);
+        expect(response.body.deliveries).toEqual([{ id: 31, status: WEBHOOK_DELIVERY_STATUS.FAILED }]);
+        expect(db.query.mock.calls[0][1]).toEqual([2, WEBHOOK_DELIVERY_STATUS.FAILED, 50]);
+    });
+
+    test('replays a delivery as a new pending delivery', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 40, replay_of: 31, status: WEBHOOK_DELIVERY_STATUS.PENDING }] });
+
+        const replayed = await request(app).post('/api/webhooks/deliveries/31/replay').set(as(ROLES.ADMIN));
+        const missing = await request(app).post('/api/webhooks/deliveries/99/replay').set(as(ROLES.ADMIN));
+
+        expect(replayed.status).toBe(202);
+        expect(replayed.body.delivery).toMatchObject({ id: 40, replay_of: 31 });
+        expect(missing.status).toBe(404);
+    });
+
+    test('the test endpoint sends a signed webhook.test event and reports the result', async () => {
+        const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 500 });
+        db.respond([
+            ['SELECT * FROM webhook_subscriptions', { rows: [subscription] }],
+            ['INSERT INTO webhook_deliveries', (params) => ({
+                rows: [{ id: 41, subscription_id: 2, event: params[1], payload: JSON.parse(params[2]), attempts: 1 }]
+            })]
+        ], (params) => ({ rows: [{ id: 41, status: params[1], response_status: params[3], last_error: params[4] }] }));
+
+        const response = await request(app).post('/api/webhooks/2/test').set(as(ROLES.ADMIN));
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Test event failed: Responded with 500');
+        // Test events are never retried
+        expect(response.body.delivery.status).toBe(WEBHOOK_DELIVERY_STATUS.FAILED);
+        // Never queued as pending, where a queue scan could send it again
+        const [, inserted] = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_deliveries'));
+        expect(inserted).toContain(WEBHOOK_DELIVERY_STATUS.FAILED);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][1].headers['X-WACMS-Event']).toBe('webhook.test');
+        expect(fetchMock.mock.calls[0][1].headers['X-WACMS-Signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Stand-in for src/middleware/auth that takes the user from test headers
+ *
+ *     jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+ */
+const authenticate = (req, res, next) => {
+    req.user = { id: Number(req.headers['x-user-id']), role: req.headers['x-user-role'] };
+    if (req.headers['x-user-name']) {
+        req.user.name = req.headers['x-user-name'];
+    }
+    next();
+};
+
+/**
+ * Headers that authenticate a request as this user
+ */
+const as = (role, id, name) => ({
+    'x-user-id': String(id),
+    'x-user-role': role,
+    ...(name && { 'x-user-name': name })
+});
+
+module.exports = { authenticate, as };
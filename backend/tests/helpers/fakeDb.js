@@ -0,0 +1,81 @@
+/**
+ * In-memory stand-in for src/config/db, for suites that do not need PostgreSQL
+ *
+ *     jest.mock('../../src/config/db', () => require('../helpers/fakeDb').createFakeDb());
+ *
+ * db.respond(routes, otherwise) answers each query with the first route whose
+ * pattern matches its SQL: a string the SQL contains, or a RegExp. A route's
+ * answer is a result, or a function of (params, text) returning one. Queries
+ * no route matches get `otherwise` the same way, or throw when it is left out.
+ *
+ * Audit entries and webhook deliveries are answered after the suite's own
+ * routes: entries are kept, as rows, in db.audit, and no webhook is queued.
+ *
+ * withTransaction runs its callback on a client that shares db.query and
+ * counts the transactions that committed in db.commits. Nothing is isolated
+ * or locked; tests/integration covers that against PostgreSQL.
+ */
+const matches = (pattern, text) => (pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern));
+
+const answer = (result, params, text) => (typeof result === 'function' ? result(params, text) : result);
+
+const createFakeDb = () => {
+    const db = { audit: [], commits: 0 };
+    let routes = [];
+    let otherwise;
+
+    const defaults = [
+        ['INSERT INTO case_audit_log', (params) => {
+            const [caseId, action, previousStatus, newStatus, previousAssignee, newAssignee, performedBy, details] = params;
+            const entry = {
+                id: db.audit.length + 1,
+                case_id: caseId,
+                action,
+                previous_status: previousStatus,
+                new_status: newStatus,
+                previous_assignee: previousAssignee,
+                new_assignee: newAssignee,
+                performed_by: performedBy,
+                details: JSON.parse(details)
+            };
+            db.audit.push(entry);
+            return { rows: [entry] };
+        }],
+        ['INSERT INTO webhook_deliveries', { rows: [], rowCount: 0 }]
+    ];
+
+    const dispatch = async (text, params = []) => {
+        const route = [...routes, ...defaults].find(([pattern]) => matches(pattern, text));
+        if (route) {
+            return answer(route[1], params, text);
+        }
+        if (otherwise !== undefined) {
+            return answer(otherwise, params, text);
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    };
+
+    db.query = jest.fn(dispatch);
+
+    db.withTransaction = jest.fn(async (callback) => {
+        const result = await callback({ query: db.query });
+        db.commits += 1;
+        return result;
+    });
+
+    /**
+     * Answer queries from these routes from now on, with a fresh audit log
+     */
+    db.respond = (suiteRoutes = [], fallback = undefined) => {
+        routes = suiteRoutes;
+        otherwise = fallback;
+        db.audit.length = 0;
+        db.commits = 0;
+        db.query.mockReset();
+        db.query.mockImplementation(dispatch);
+    };
+
+    return db;
+};
+
+module.exports = { createFakeDb };
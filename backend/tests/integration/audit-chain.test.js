@@ -0,0 +1,78 @@
+/**
+ * Concurrent audit writers against PostgreSQL: the chain trigger serialises
+ * them, so the chain stays valid and a transaction's entries stay together
+ */
+const { describeWithDatabase, useDatabase, createUser, createCase } = require('./database');
+
+const db = require('../../src/config/db');
+const AuditService = require('../../src/services/audit.service');
+const { PRIORITY } = require('../../src/config/constants');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describeWithDatabase('Audit chain under concurrent writers', () => {
+    useDatabase();
+
+    let user;
+
+    beforeAll(async () => {
+        user = await createUser();
+    });
+
+    test('a second writer waits for the first to commit and links to its entry', async () => {
+        const [first, second] = await Promise.all([createCase(user.id), createCase(user.id)]);
+        const order = [];
+        let firstLogged;
+        const firstHasLogged = new Promise(resolve => { firstLogged = resolve; });
+
+        const writeFirst = db.withTransaction(async (client) => {
+            await client.query('UPDATE cases SET priority = $1 WHERE id = $2', [PRIORITY.CRITICAL, first.id]);
+            const entry = await AuditService.logCaseUpdate(first.id, user.id, { changes: {} }, client);
+            firstLogged();
+            // Still holding the chain lock
+            await sleep(300);
+            order.push('first committed');
+            return entry;
+        });
+
+        // Never leave the second writer waiting if the first one fails
+        writeFirst.then(firstLogged, firstLogged);
+
+        const writeSecond = db.withTransaction(async (client) => {
+            await firstHasLogged;
+            // Work before the audit entry does not wait for the lock
+            await client.query('UPDATE cases SET priority = $1 WHERE id = $2', [PRIORITY.CRITICAL, second.id]);
+            order.push('second updated');
+            const entry = await AuditService.logCaseUpdate(second.id, user.id, { changes: {} }, client);
+            order.push('second logged');
+            return entry;
+        });
+
+        const [firstEntry, secondEntry] = await Promise.all([writeFirst, writeSecond]);
+
+        expect(order).toEqual(['second updated', 'first committed', 'second logged']);
+        expect(secondEntry.prev_hash).toBe(firstEntry.hash);
+        expect(secondEntry.id).toBeGreaterThan(firstEntry.id);
+        expect(await AuditService.verifyChain()).toMatchObject({ valid: true, headHash: secondEntry.hash });
+    });
+
+    test('interleaved transactions keep one valid chain with each transaction\'s entries together', async () => {
+        const cases = await Promise.all(Array.from({ length: 6 }, () => createCase(user.id)));
+
+        const written = await Promise.all(cases.map(caseData => db.withTransaction(async (client) => {
+            const entries = [];
+            for (let step = 0; step < 3; step++) {
+                entries.push(await AuditService.logCaseUpdate(caseData.id, user.id, { changes: {}, step }, client));
+                await sleep(5);
+            }
+            return entries;
+        })));
+
+        // Each entry links to the one before it in its own transaction
+        for (const entries of written) {
+            expect(entries[1].prev_hash).toBe(entries[0].hash);
+            expect(entries[2].prev_hash).toBe(entries[1].hash);
+        }
+        expect(await AuditService.verifyChain()).toMatchObject({ valid: true });
+    });
+});
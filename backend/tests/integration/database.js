@@ -0,0 +1,76 @@
+/**
+ * Shared setup for tests that run against a real PostgreSQL database
+ *
+ * They only run when TEST_DB_NAME names a database they may write to
+ * (reached through DB_HOST, DB_PORT, DB_USER and DB_PASSWORD); it is
+ * migrated before each file. The audit log is append-only, so nothing is
+ * cleaned up: every test creates its own users and cases.
+ */
+if (process.env.TEST_DB_NAME) {
+    process.env.DB_NAME = process.env.TEST_DB_NAME;
+    delete process.env.DATABASE_URL;
+}
+
+const crypto = require('crypto');
+
+const db = require('../../src/config/db');
+const runMigrations = require('../../src/migrations/run');
+const WorkflowService = require('../../src/services/workflow.service');
+const { STATUS, PRIORITY, CATEGORY, ROLES } = require('../../src/config/constants');
+
+const describeWithDatabase = process.env.TEST_DB_NAME ? describe : describe.skip;
+
+/**
+ * Migrate before the file's tests and close the pool after them
+ */
+const useDatabase = () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await runMigrations();
+        console.log.mockRestore();
+    });
+
+    afterAll(() => db.pool.end());
+};
+
+const createUser = async (role = ROLES.ANALYST) => {
+    const suffix = crypto.randomUUID();
+    const result = await db.query(
+        `INSERT INTO users (name, email, password_hash, role)
+       VALUES ($1, $2, 'not-a-hash', $3)
+       RETURNING *`,
+        [`Test ${role}`, `${suffix}@example.com`, role]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Insert a case straight into the table, without automation or audit entries
+ */
+const createCase = async (createdBy, overrides = {}) => {
+    const fields = {
+        status: STATUS.IN_PROGRESS,
+        priority: PRIORITY.HIGH,
+        category: CATEGORY.OTHER,
+        assigned_to: null,
+        ...overrides
+    };
+    const workflow = await WorkflowService.getActiveDefinitionForCategory(fields.category);
+    const result = await db.query(
+        `INSERT INTO cases (case_id, title, category, priority, status, assigned_to, created_by, workflow_id)
+       VALUES ($1, 'Integration test case', $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+        [
+            `TEST-${crypto.randomUUID().slice(0, 12)}`, fields.category, fields.priority, fields.status,
+            fields.assigned_to, createdBy, workflow.id
+        ]
+    );
+    return result.rows[0];
+};
+
+module.exports = {
+    describeWithDatabase,
+    useDatabase,
+    createUser,
+    createCase
+};
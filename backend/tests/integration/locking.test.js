@@ -0,0 +1,115 @@
+/**
+ * Concurrent status transitions, assignments and edits of one case against
+ * PostgreSQL: SELECT ... FOR UPDATE lets one request at a time work on the
+ * case, and each winner's audit entries join the chain
+ */
+const { describeWithDatabase, useDatabase, createUser, createCase } = require('./database');
+
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AuditService = require('../../src/services/audit.service');
+const { as } = require('../helpers/auth');
+const { STATUS, ROLES, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const auditOf = async (caseId) => {
+    const result = await db.query(
+        'SELECT action, new_status FROM case_audit_log WHERE case_id = $1 ORDER BY id',
+        [caseId]
+    );
+    return result.rows;
+};
+
+const countOf = (entries, action) => entries.filter(entry => entry.action === action).length;
+
+describeWithDatabase('Concurrent changes to one case', () => {
+    useDatabase();
+
+    let managers;
+    let analysts;
+
+    beforeAll(async () => {
+        // The error handler logs the refused requests
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        managers = [await createUser(ROLES.MANAGER), await createUser(ROLES.MANAGER)];
+        analysts = [await createUser(ROLES.ANALYST), await createUser(ROLES.ANALYST)];
+    });
+
+    test('only one of two conflicting transitions wins', async () => {
+        const caseData = await createCase(analysts[0].id, { status: STATUS.UNDER_REVIEW, assigned_to: analysts[0].id });
+
+        const [close, rework] = await Promise.all([
+            request(app)
+                .put(`/api/cases/${caseData.id}/status`)
+                .set(as(ROLES.MANAGER, managers[0].id))
+                .set('If-Match', '*')
+                .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } }),
+            request(app)
+                .put(`/api/cases/${caseData.id}/status`)
+                .set(as(ROLES.MANAGER, managers[1].id))
+                .set('If-Match', '*')
+                .send({ status: STATUS.IN_PROGRESS, fields: { reworkReason: 'Missing logs' } })
+        ]);
+
+        expect([close.status, rework.status].sort()).toEqual([200, 403]);
+        const winner = close.status === 200 ? STATUS.CLOSED : STATUS.IN_PROGRESS;
+        const stored = await db.query('SELECT status, version FROM cases WHERE id = $1', [caseData.id]);
+        expect(stored.rows[0]).toEqual({ status: winner, version: 2 });
+
+        const entries = await auditOf(caseData.id);
+        expect(entries.filter(entry => entry.action === AUDIT_ACTIONS.STATUS_CHANGED)).toEqual([
+            { action: AUDIT_ACTIONS.STATUS_CHANGED, new_status: winner }
+        ]);
+    });
+
+    test('concurrent assignments move the case to the assigned state once', async () => {
+        const caseData = await createCase(analysts[0].id, { status: STATUS.CREATED });
+
+        const responses = await Promise.all(analysts.map(analyst =>
+            request(app)
+                .put(`/api/cases/${caseData.id}/assign`)
+                .set(as(ROLES.MANAGER, managers[0].id))
+                .set('If-Match', '*')
+                .send({ assigneeId: analyst.id })
+        ));
+
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+        const stored = await db.query('SELECT status, version FROM cases WHERE id = $1', [caseData.id]);
+        expect(stored.rows[0]).toEqual({ status: STATUS.ASSIGNED, version: 3 });
+
+        const entries = await auditOf(caseData.id);
+        expect(countOf(entries, AUDIT_ACTIONS.STATUS_CHANGED)).toBe(1);
+        expect(countOf(entries, AUDIT_ACTIONS.CASE_ASSIGNED)).toBe(2);
+    });
+
+    test('two edits of the same version cannot both succeed', async () => {
+        const caseData = await createCase(analysts[0].id);
+
+        const responses = await Promise.all(['First', 'Second'].map((title, index) =>
+            request(app)
+                .put(`/api/cases/${caseData.id}`)
+                .set(as(ROLES.MANAGER, managers[index].id))
+                .set('If-Match', '"1"')
+                .send({ title })
+        ));
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+        const stored = await db.query('SELECT version FROM cases WHERE id = $1', [caseData.id]);
+        expect(stored.rows[0].version).toBe(2);
+        expect(countOf(await auditOf(caseData.id), AUDIT_ACTIONS.CASE_UPDATED)).toBe(1);
+    });
+
+    test('the audit chain of every change above is intact', async () => {
+        expect(await AuditService.verifyChain()).toMatchObject({ valid: true });
+    });
+});
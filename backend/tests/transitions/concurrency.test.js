@@ -0,0 +1,366 @@
+/**
+ * Concurrent edits, status transitions and assignments against an
+ * in-memory stand-in for PostgreSQL that honours SELECT ... FOR UPDATE
+ * row locks and transaction rollback. tests/integration/locking.test.js
+ * runs the same races against PostgreSQL itself.
+ */
+jest.mock('../../src/config/db', () => {
+    const state = { cases: new Map(), users: new Map(), audit: [], comments: new Map(), failAuditInserts: false };
+    const locks = new Map();
+
+    // Yield so that concurrent requests interleave between queries
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    const acquire = async (caseId, owner) => {
+        while (locks.has(caseId) && locks.get(caseId).owner !== owner) {
+            await locks.get(caseId).released;
+        }
+        if (!locks.has(caseId)) {
+            let release;
+            const released = new Promise(resolve => { release = resolve; });
+            locks.set(caseId, { owner, released, release });
+        }
+    };
+
+    const releaseAll = (owner) => {
+        for (const [caseId, lock] of locks) {
+            if (lock.owner === owner) {
+                locks.delete(caseId);
+                lock.release();
+            }
+        }
+    };
+
+    const createClient = () => {
+        const owner = Symbol('client');
+        let pendingCases = new Map();
+        let pendingAudit = [];
+
+        const readCase = (id) => pendingCases.get(id) || state.cases.get(id);
+
+        const writeCase = (id, changes, text) => {
+            const previous = readCase(id);
+            const row = { ...previous, ...changes };
+            if (text.includes('version = version + 1')) {
+                row.version = previous.version + 1;
+            }
+            pendingCases.set(id, row);
+            return { rows: [row] };
+        };
+
+        return {
+            release: () => releaseAll(owner),
+            query: async (text, params = []) => {
+                await tick();
+
+                if (text === 'BEGIN') {
+                    pendingCases = new Map();
+                    pendingAudit = [];
+                    return { rows: [] };
+                }
+                if (text === 'COMMIT') {
+                    for (const [id, row] of pendingCases) state.cases.set(id, row);
+                    state.audit.push(...pendingAudit);
+                    releaseAll(owner);
+                    return { rows: [] };
+                }
+                if (text === 'ROLLBACK') {
+                    pendingCases = new Map();
+                    pendingAudit = [];
+                    releaseAll(owner);
+                    return { rows: [] };
+                }
+                if (text.startsWith('SELECT * FROM cases WHERE id = $1 FOR UPDATE')) {
+                    await acquire(params[0], owner);
+                    const row = readCase(params[0]);
+                    return { rows: row ? [{ ...row }] : [] };
+                }
+                if (text.startsWith('SELECT COUNT(*) FROM comments')) {
+                    return { rows: [{ count: String(state.comments.get(params[0]) || 0) }] };
+                }
+                if (text.startsWith('SELECT id, name, role FROM users')) {
+                    const user = state.users.get(params[0]);
+                    return { rows: user ? [user] : [] };
+                }
+                if (text.startsWith('UPDATE cases SET status')) {
+                    return writeCase(params[1], { status: params[0] }, text);
+                }
+                if (text.startsWith('UPDATE cases SET assigned_to')) {
+                    return writeCase(params[2], { assigned_to: params[0], status: params[1] }, text);
+                }
+                if (text.startsWith('UPDATE cases SET title')) {
+                    return writeCase(params[1], { title: params[0] }, text);
+                }
+                if (text.startsWith('INSERT INTO case_audit_log')) {
+                    if (state.failAuditInserts) {
+                        throw new Error('audit insert failed');
+                    }
+                    const entry = { case_id: params[0], action: params[1], previous_status: params[2], new_status: params[3] };
+                    pendingAudit.push(entry);
+                    return { rows: [entry] };
+                }
+                if (text.trim().startsWith('INSERT INTO webhook_deliveries')) {
+                    // No webhook subscriptions
+                    return { rows: [], rowCount: 0 };
+                }
+                throw new Error(`Unexpected query: ${text}`);
+            }
+        };
+    };
+
+    const withTransaction = async (callback) => {
+        const client = createClient();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    return {
+        __state: state,
+        query: (text, params) => createClient().query(text, params),
+        getClient: async () => createClient(),
+        withTransaction
+    };
+});
+
+jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+
+const express = require('express');
+const request = require('supertest');
+
+const db = require('../../src/config/db');
+const WorkflowService = require('../../src/services/workflow.service');
+const caseRoutes = require('../../src/routes/cases.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { as } = require('../helpers/auth');
+const { STATUS, ROLES, TRANSITIONS, TRANSITION_GUARDS, AUDIT_ACTIONS } = require('../../src/config/constants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cases', caseRoutes);
+app.use(errorHandler);
+
+const manager = (userId) => as(ROLES.MANAGER, userId);
+
+const seedCase = (overrides = {}) => {
+    db.__state.cases.set(1, {
+        id: 1,
+        case_id: 'CASE-01000',
+        status: STATUS.UNDER_REVIEW,
+        title: 'VPN outage',
+        assigned_to: 5,
+        workflow_id: 1,
+        version: 1,
+        ...overrides
+    });
+};
+
+describe('Concurrent case updates', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(WorkflowService, 'getDefinitionForCase').mockResolvedValue({
+            id: 1,
+            initialState: STATUS.CREATED,
+            assignedState: STATUS.ASSIGNED,
+            transitions: TRANSITIONS,
+            guards: TRANSITION_GUARDS,
+            actions: {},
+            creationActions: []
+        });
+    });
+
+    beforeEach(() => {
+        db.__state.cases.clear();
+        db.__state.audit.length = 0;
+        db.__state.failAuditInserts = false;
+        db.__state.users.set(5, { id: 5, name: 'Ana Lyst', role: ROLES.ANALYST });
+        db.__state.users.set(6, { id: 6, name: 'Ben Lyst', role: ROLES.ANALYST });
+    });
+
+    test('Only one of two conflicting transitions wins', async () => {
+        seedCase();
+
+        const [close, rework] = await Promise.all([
+            request(app)
+                .put('/api/cases/1/status')
+                .set(manager(2))
+                .set('If-Match', '*')
+                .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } }),
+            request(app)
+                .put('/api/cases/1/status')
+                .set(manager(3))
+                .set('If-Match', '*')
+                .send({ status: STATUS.IN_PROGRESS, fields: { reworkReason: 'Missing logs' } })
+        ]);
+
+        const statuses = [close.status, rework.status].sort();
+        expect(statuses).toEqual([200, 403]);
+
+        const winner = close.status === 200 ? STATUS.CLOSED : STATUS.IN_PROGRESS;
+        expect(db.__state.cases.get(1).status).toBe(winner);
+
+        const statusChanges = db.__state.audit.filter(e => e.action === AUDIT_ACTIONS.STATUS_CHANGED);
+        expect(statusChanges).toHaveLength(1);
+        expect(statusChanges[0].new_status).toBe(winner);
+    });
+
+    test('The same transition requested twice succeeds once', async () => {
+        seedCase();
+
+        const responses = await Promise.all([2, 3].map(userId =>
+            request(app)
+                .put('/api/cases/1/status')
+                .set(manager(userId))
+                .set('If-Match', '*')
+                .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } })
+        ));
+
+        expect(responses.map(r => r.status).sort()).toEqual([200, 403]);
+        expect(db.__state.audit).toHaveLength(1);
+    });
+
+    test('Concurrent assignments auto-transition the case only once', async () => {
+        seedCase({ status: STATUS.CREATED, assigned_to: null });
+
+        const responses = await Promise.all([5, 6].map(assigneeId =>
+            request(app)
+                .put('/api/cases/1/assign')
+                .set(manager(2))
+                .set('If-Match', '*')
+                .send({ assigneeId })
+        ));
+
+        expect(responses.every(r => r.status === 200)).toBe(true);
+        expect(db.__state.cases.get(1).status).toBe(STATUS.ASSIGNED);
+
+        const statusChanges = db.__state.audit.filter(e => e.action === AUDIT_ACTIONS.STATUS_CHANGED);
+        expect(statusChanges).toHaveLength(1);
+        expect(db.__state.audit.filter(e => e.action === AUDIT_ACTIONS.CASE_ASSIGNED)).toHaveLength(2);
+    });
+
+    test('A failed audit insert rolls back the status change', async () => {
+        seedCase();
+        db.__state.failAuditInserts = true;
+
+        const response = await request(app)
+            .put('/api/cases/1/status')
+            .set(manager(2))
+            .set('If-Match', '"1"')
+            .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } });
+
+        expect(response.status).toBe(500);
+        expect(db.__state.cases.get(1).status).toBe(STATUS.UNDER_REVIEW);
+        expect(db.__state.audit).toHaveLength(0);
+    });
+
+    describe('Optimistic concurrency', () => {
+        test('An edit based on a stale ETag is rejected with the current case', async () => {
+            seedCase();
+
+            const first = await request(app)
+                .put('/api/cases/1')
+                .set(manager(2))
+                .set('If-Match', '"1"')
+                .send({ title: 'VPN outage in Berlin' });
+
+            expect(first.status).toBe(200);
+            expect(first.headers.etag).toBe('"2"');
+
+            const second = await request(app)
+                .put('/api/cases/1')
+                .set(manager(3))
+                .set('If-Match', '"1"')
+                .send({ title: 'VPN down' });
+
+            expect(second.status).toBe(409);
+            expect(second.body.case).toEqual(expect.objectContaining({ title: 'VPN outage in Berlin', version: 2 }));
+            expect(db.__state.cases.get(1).title).toBe('VPN outage in Berlin');
+            expect(db.__state.audit.filter(e => e.action === AUDIT_ACTIONS.CASE_UPDATED)).toHaveLength(1);
+        });
+
+        test('Two simultaneous edits of the same version cannot both succeed', async () => {
+            seedCase();
+
+            const responses = await Promise.all(['First', 'Second'].map((title, i) =>
+                request(app)
+                    .put('/api/cases/1')
+                    .set(manager(2 + i))
+                    .set('If-Match', 'W/"1"')
+                    .send({ title })
+            ));
+
+            expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+            expect(db.__state.cases.get(1).version).toBe(2);
+        });
+
+        test('Status changes and assignments honour a version in the body', async () => {
+            seedCase({ version: 4 });
+
+            const stale = await request(app)
+                .put('/api/cases/1/status')
+                .set(manager(2))
+                .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' }, version: 3 });
+
+            expect(stale.status).toBe(409);
+            expect(db.__state.cases.get(1).status).toBe(STATUS.UNDER_REVIEW);
+
+            const reassign = await request(app)
+                .put('/api/cases/1/assign')
+                .set(manager(2))
+                .send({ assigneeId: 6, version: 4 });
+
+            expect(reassign.status).toBe(200);
+            expect(reassign.body.case.version).toBe(5);
+        });
+
+        test('Resubmitting the current values does not create a new version', async () => {
+            seedCase({ version: 3 });
+
+            const response = await request(app)
+                .put('/api/cases/1')
+                .set(manager(2))
+                .set('If-Match', '"3"')
+                .send({ title: 'VPN outage' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers.etag).toBe('"3"');
+            expect(db.__state.audit).toHaveLength(0);
+        });
+
+        test('Requests without a precondition are refused', async () => {
+            seedCase({ version: 7 });
+
+            const responses = await Promise.all([
+                request(app).put('/api/cases/1').set(manager(2)).send({ title: 'VPN outage in Berlin' }),
+                request(app).put('/api/cases/1/status').set(manager(2))
+                    .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } }),
+                request(app).put('/api/cases/1/assign').set(manager(2)).send({ assigneeId: 6 })
+            ]);
+
+            expect(responses.map(r => r.status)).toEqual([428, 428, 428]);
+            expect(db.__state.cases.get(1).version).toBe(7);
+            expect(db.__state.audit).toHaveLength(0);
+        });
+
+        test('If-Match: * applies a change to the latest version', async () => {
+            seedCase({ version: 7 });
+
+            const response = await request(app)
+                .put('/api/cases/1/status')
+                .set(manager(2))
+                .set('If-Match', '*')
+                .send({ status: STATUS.CLOSED, fields: { resolutionSummary: 'Done' } });
+
+            expect(response.status).toBe(200);
+            expect(response.headers.etag).toBe('"8"');
+        });
+    });
+});
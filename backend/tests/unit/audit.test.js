@@ -0,0 +1,164 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/db');
+const AuditService = require('../../src/services/audit.service');
+const { AUDIT_ACTIONS, STATUS } = require('../../src/config/constants');
+
+describe('AuditService', () => {
+    describe('diffChanges', () => {
+        const before = {
+            title: 'VPN outage',
+            description: null,
+            priority: 'Low',
+            sla_due_at: new Date('2026-03-02T10:00:00Z')
+        };
+
+        test('Returns only the fields whose values changed', () => {
+            const changes = AuditService.diffChanges(
+                before,
+                { title: 'VPN outage', description: 'Berlin office', priority: 'High' },
+                ['title', 'description', 'priority']
+            );
+
+            expect(changes).toEqual({
+                description: { from: null, to: 'Berlin office' },
+                priority: { from: 'Low', to: 'High' }
+            });
+        });
+
+        test('Skips fields that were not supplied', () => {
+            expect(AuditService.diffChanges(before, { title: undefined }, ['title', 'priority'])).toEqual({});
+        });
+
+        test('Compares dates by value and records them as ISO strings', () => {
+            expect(AuditService.diffChanges(
+                before,
+                { sla_due_at: new Date('2026-03-02T10:00:00Z') },
+                ['sla_due_at']
+            )).toEqual({});
+
+            expect(AuditService.diffChanges(
+                before,
+                { sla_due_at: new Date('2026-03-01T14:00:00Z') },
+                ['sla_due_at']
+            )).toEqual({
+                sla_due_at: { from: '2026-03-02T10:00:00.000Z', to: '2026-03-01T14:00:00.000Z' }
+            });
+        });
+    });
+
+    describe('logCaseCreated', () => {
+        test('Records the initial state the case was created in', async () => {
+            db.query.mockReset();
+            db.query.mockImplementation(async (text, params) => (
+                text.includes('INSERT INTO case_audit_log')
+                    ? { rows: [{ id: 1, case_id: params[0], action: params[1], new_status: params[3] }] }
+                    : { rows: [], rowCount: 0 }
+            ));
+
+            const entry = await AuditService.logCaseCreated(4, 'New', 3, { title: 'VPN outage' });
+
+            expect(entry).toMatchObject({ action: AUDIT_ACTIONS.CASE_CREATED, new_status: 'New' });
+        });
+    });
+
+    describe('getAuditTrail', () => {
+        test('Describes every entry as a list of field changes', async () => {
+            db.query.mockResolvedValueOnce({
+                rows: [
+                    {
+                        action: AUDIT_ACTIONS.CASE_UPDATED,
+                        details: { changes: { priority: { from: 'Low', to: 'High' } } }
+                    },
+                    {
+                        action: AUDIT_ACTIONS.CASE_ASSIGNED,
+                        previous_assignee_name: null,
+                        new_assignee_name: 'Ana Lyst',
+                        details: {}
+                    },
+                    {
+                        action: AUDIT_ACTIONS.STATUS_CHANGED,
+                        previous_status: STATUS.CREATED,
+                        new_status: STATUS.ASSIGNED,
+                        details: {}
+                    },
+                    { action: AUDIT_ACTIONS.COMMENT_ADDED, details: { commentId: 4 } }
+                ]
+            });
+
+            const trail = await AuditService.getAuditTrail(1);
+
+            expect(trail.map(entry => entry.changes)).toEqual([
+                [{ field: 'priority', from: 'Low', to: 'High' }],
+                [{ field: 'assigned_to', from: null, to: 'Ana Lyst' }],
+                [{ field: 'status', from: STATUS.CREATED, to: STATUS.ASSIGNED }],
+                []
+            ]);
+        });
+
+        test('Reads entries recorded before diffs as new values only', async () => {
+            db.query.mockResolvedValueOnce({
+                rows: [{
+                    action: AUDIT_ACTIONS.CASE_UPDATED,
+                    details: { changes: { title: 'New title', priority: null } }
+                }]
+            });
+
+            const [entry] = await AuditService.getAuditTrail(1);
+
+            expect(entry.changes).toEqual([{ field: 'title', from: null, to: 'New title' }]);
+        });
+    });
+
+    describe('verifyChain', () => {
+        const entry = (id, prevHash, hash, expectedHash = hash) => ({
+            id, case_id: 1, action: AUDIT_ACTIONS.CASE_UPDATED, prev_hash: prevHash, hash, expected_hash: expectedHash
+        });
+
+        beforeEach(() => {
+            db.query.mockReset();
+        });
+
+        test('Accepts an intact chain', async () => {
+            db.query.mockResolvedValueOnce({ rows: [entry(1, null, 'a'), entry(2, 'a', 'b'), entry(3, 'b', 'c')] });
+
+            expect(await AuditService.verifyChain()).toEqual({ valid: true, checked: 3, headHash: 'c' });
+        });
+
+        test('Reports an entry whose content was changed', async () => {
+            db.query.mockResolvedValueOnce({ rows: [entry(1, null, 'a'), entry(2, 'a', 'b', 'x'), entry(3, 'b', 'c')] });
+
+            const result = await AuditService.verifyChain();
+
+            expect(result.valid).toBe(false);
+            expect(result.checked).toBe(1);
+            expect(result.brokenAt).toEqual(expect.objectContaining({
+                id: 2,
+                reason: 'Entry content does not match its hash'
+            }));
+        });
+
+        test('Reports a gap left by a deleted entry', async () => {
+            db.query.mockResolvedValueOnce({ rows: [entry(1, null, 'a'), entry(3, 'b', 'c')] });
+
+            const result = await AuditService.verifyChain();
+
+            expect(result.brokenAt).toEqual(expect.objectContaining({
+                id: 3,
+                reason: 'Entry does not link to the previous entry'
+            }));
+        });
+
+        test('Continues across batches from the last verified id', async () => {
+            const firstBatch = Array.from({ length: 1000 }, (_, i) => entry(i + 1, i === 0 ? null : `h${i}`, `h${i + 1}`));
+            db.query
+                .mockResolvedValueOnce({ rows: firstBatch })
+                .mockResolvedValueOnce({ rows: [entry(1001, 'h1000', 'h1001')] });
+
+            const result = await AuditService.verifyChain();
+
+            expect(result).toEqual({ valid: true, checked: 1001, headHash: 'h1001' });
+            expect(db.query.mock.calls[1][1]).toEqual([1000, 1000]);
+        });
+    });
+});
@@ -0,0 +1,185 @@
+jest.mock('../../src/config/db', () => {
+    const query = jest.fn();
+    return {
+        query,
+        withTransaction: jest.fn((callback) => callback({ query }))
+    };
+});
+jest.mock('../../src/services/audit.service');
+
+const db = require('../../src/config/db');
+const AuditService = require('../../src/services/audit.service');
+const AutomationService = require('../../src/services/automation.service');
+const EventService = require('../../src/services/event.service');
+const WorkflowService = require('../../src/services/workflow.service');
+const { ACTION_TYPES, STATUS, PRIORITY, EVENTS, TRANSITIONS } = require('../../src/config/constants');
+
+const workflow = {
+    initialState: STATUS.CREATED,
+    assignedState: STATUS.ASSIGNED,
+    transitions: TRANSITIONS,
+    actions: {
+        [STATUS.UNDER_REVIEW]: {
+            [STATUS.CLOSED]: [
+                { type: ACTION_TYPES.NOTIFY_REQUESTER },
+                { type: ACTION_TYPES.ADD_COMMENT, text: 'Closed automatically' }
+            ]
+        }
+    },
+    creationActions: [{ type: ACTION_TYPES.AUTO_ASSIGN }]
+};
+
+const caseRow = {
+    id: 7,
+    case_id: 'CASE-01007',
+    status: STATUS.CREATED,
+    priority: PRIORITY.LOW,
+    assigned_to: null,
+    created_by: 3
+};
+
+describe('AutomationService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockReset();
+    });
+
+    describe('validateAction', () => {
+        test('Accepts every action type with its parameters', () => {
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.AUTO_ASSIGN })).toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.ADD_COMMENT, text: 'Hi' })).toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.SET_PRIORITY, priority: PRIORITY.HIGH })).toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.NOTIFY_REQUESTER })).toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.WEBHOOK, url: 'https://example.com/hook' })).toBeNull();
+        });
+
+        test('Rejects unknown types and missing parameters', () => {
+            expect(AutomationService.validateAction({ type: 'launch_rocket' })).toContain('Unknown action type');
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.ADD_COMMENT })).not.toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.SET_PRIORITY, priority: 'Urgent' })).not.toBeNull();
+            expect(AutomationService.validateAction({ type: ACTION_TYPES.WEBHOOK, url: 'ftp://example.com' })).not.toBeNull();
+        });
+    });
+
+    describe('runTransitionActions', () => {
+        test('Records a failed action in the audit log and keeps going', async () => {
+            db.query.mockResolvedValue({ rows: [{ id: 99 }] });
+
+            const { results } = await AutomationService.runTransitionActions(
+                { ...caseRow, status: STATUS.CLOSED },
+                STATUS.UNDER_REVIEW,
+                STATUS.CLOSED,
+                workflow,
+                1
+            );
+
+            expect(results).toEqual([
+                { type: ACTION_TYPES.NOTIFY_REQUESTER, success: false, error: 'No notification channel is configured' },
+                { type: ACTION_TYPES.ADD_COMMENT, success: true }
+            ]);
+            expect(AuditService.logAutomationFailed).toHaveBeenCalledWith(7, 1, expect.objectContaining({
+                trigger: `${STATUS.UNDER_REVIEW} → ${STATUS.CLOSED}`,
+                error: 'No notification channel is configured'
+            }));
+            expect(AuditService.logCommentAdded).toHaveBeenCalledWith(7, 1, { commentId: 99, automated: true }, expect.anything());
+        });
+
+        test('Publishes requester notifications to subscribers', async () => {
+            const handler = jest.fn().mockResolvedValue();
+            EventService.subscribe(EVENTS.REQUESTER_NOTIFICATION, handler);
+            db.query.mockResolvedValue({ rows: [{ id: 99 }] });
+
+            const { results } = await AutomationService.runTransitionActions(
+                { ...caseRow, status: STATUS.CLOSED },
+                STATUS.UNDER_REVIEW,
+                STATUS.CLOSED,
+                workflow,
+                1
+            );
+            EventService.unsubscribe(EVENTS.REQUESTER_NOTIFICATION, handler);
+
+            expect(results[0].success).toBe(true);
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ userId: 3 }));
+            expect(AuditService.logAutomationExecuted).toHaveBeenCalled();
+        });
+
+        test('Does nothing for transitions without actions', async () => {
+            const { results } = await AutomationService.runTransitionActions(
+                caseRow, STATUS.CREATED, STATUS.ASSIGNED, workflow, 1
+            );
+            expect(results).toEqual([]);
+            expect(db.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('runCreationActions', () => {
+        beforeEach(() => {
+            jest.spyOn(WorkflowService, 'getDefinitionForCase').mockResolvedValue(workflow);
+        });
+
+        afterEach(() => {
+            WorkflowService.getDefinitionForCase.mockRestore();
+        });
+
+        test('Auto-assigns to an analyst and moves the case to Assigned', async () => {
+            const publish = jest.spyOn(EventService, 'publish').mockResolvedValue([]);
+            db.query
+                .mockResolvedValueOnce({ rows: [caseRow] })
+                .mockResolvedValueOnce({ rows: [{ id: 5, name: 'Ana Lyst' }] })
+                .mockResolvedValueOnce({ rows: [{ ...caseRow, assigned_to: 5, status: STATUS.ASSIGNED }] });
+
+            const result = await AutomationService.runCreationActions(caseRow, workflow, 1);
+
+            expect(result.case.status).toBe(STATUS.ASSIGNED);
+            // The case is locked again, since the change that triggered the action has committed
+            expect(db.withTransaction).toHaveBeenCalledTimes(1);
+            expect(db.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            const client = expect.objectContaining({ query: db.query });
+            expect(AuditService.logAssignment).toHaveBeenCalledWith(7, null, 5, 1, { assigneeName: 'Ana Lyst', automated: true }, client);
+            expect(AuditService.logStatusChange).toHaveBeenCalledWith(7, STATUS.CREATED, STATUS.ASSIGNED, 1, expect.any(Object), client);
+            expect(publish).toHaveBeenCalledWith(EVENTS.CASE_ASSIGNED, expect.objectContaining({ previousAssignee: null, performedBy: 1 }));
+            publish.mockRestore();
+        });
+
+        test('Takes the status from the locked case rather than the one it was given', async () => {
+            const publish = jest.spyOn(EventService, 'publish').mockResolvedValue([]);
+            // Assigned by a manager in the meantime
+            const locked = { ...caseRow, status: STATUS.ASSIGNED, assigned_to: 6 };
+            db.query
+                .mockResolvedValueOnce({ rows: [locked] })
+                .mockResolvedValueOnce({ rows: [{ id: 5, name: 'Ana Lyst' }] })
+                .mockResolvedValueOnce({ rows: [{ ...locked, assigned_to: 5 }] });
+
+            const result = await AutomationService.runCreationActions(caseRow, workflow, 1);
+            publish.mockRestore();
+
+            expect(result.case).toMatchObject({ status: STATUS.ASSIGNED, assigned_to: 5 });
+            expect(db.query.mock.calls[2][1]).toEqual([5, STATUS.ASSIGNED, 7]);
+            expect(AuditService.logAssignment).toHaveBeenCalledWith(7, 6, 5, 1, expect.any(Object), expect.anything());
+            expect(AuditService.logStatusChange).not.toHaveBeenCalled();
+        });
+
+        test('Fails when no analyst exists', async () => {
+            db.query
+                .mockResolvedValueOnce({ rows: [caseRow] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const result = await AutomationService.runCreationActions(caseRow, workflow, 1);
+
+            expect(result.results[0].success).toBe(false);
+            expect(result.case).toBe(caseRow);
+            expect(AuditService.logAutomationFailed).toHaveBeenCalled();
+        });
+
+        test('Leaves a case that already has the priority alone', async () => {
+            const actions = { ...workflow, creationActions: [{ type: ACTION_TYPES.SET_PRIORITY, priority: PRIORITY.HIGH }] };
+            db.query.mockResolvedValueOnce({ rows: [{ ...caseRow, priority: PRIORITY.HIGH }] });
+
+            const result = await AutomationService.runCreationActions(caseRow, actions, 1);
+
+            expect(result.results).toEqual([{ type: ACTION_TYPES.SET_PRIORITY, success: true }]);
+            expect(db.query).toHaveBeenCalledTimes(1);
+            expect(AuditService.logCaseUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
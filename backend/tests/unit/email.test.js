@@ -0,0 +1,245 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const db = require('../../src/config/db');
+const { createTransport } = require('../../src/config/mailer');
+const EmailService = require('../../src/services/email.service');
+const EventService = require('../../src/services/event.service');
+const { EVENTS, EMAIL_STATUS } = require('../../src/config/constants');
+
+const NOW = new Date('2026-03-04T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const caseRow = {
+    id: 4,
+    case_id: 'CASE-01004',
+    title: 'Laptop will not boot',
+    priority: 'High',
+    status: 'In Progress',
+    created_by: 3,
+    assigned_to: 5
+};
+
+const users = [
+    { id: 2, name: 'Mona Ager', email: 'mona@example.com' },
+    { id: 3, name: 'Rita Quester', email: 'rita@example.com' },
+    { id: 5, name: 'Ana Lyst', email: 'ana@example.com' }
+];
+
+/**
+ * In-memory email_outbox plus the users table
+ */
+const fakeDatabase = () => {
+    const outbox = new Map();
+
+    db.query.mockImplementation(async (text, params) => {
+        if (text.includes('FROM users')) {
+            return { rows: users.filter(u => params[0].includes(u.id)) };
+        }
+        if (text.includes('INSERT INTO email_outbox')) {
+            const row = {
+                id: outbox.size + 1,
+                case_id: params[0],
+                to_address: params[1],
+                subject: params[2],
+                body: params[3],
+                status: EMAIL_STATUS.PENDING,
+                attempts: 0,
+                next_attempt_at: NOW,
+                last_error: null,
+                sent_at: null
+            };
+            outbox.set(row.id, row);
+            return { rows: [row] };
+        }
+        if (text.includes('SET attempts = attempts + 1')) {
+            const [now, leaseUntil, status, limit] = params;
+            const due = [...outbox.values()]
+                .filter(m => m.status === status && m.next_attempt_at <= now)
+                .slice(0, limit);
+            for (const message of due) {
+                Object.assign(message, { attempts: message.attempts + 1, next_attempt_at: leaseUntil });
+            }
+            return { rows: due.map(m => ({ ...m })) };
+        }
+        if (text.includes('sent_at = $3')) {
+            Object.assign(outbox.get(params[0]), { status: params[1], sent_at: params[2], last_error: null });
+            return { rows: [] };
+        }
+        if (text.includes('last_error = $4')) {
+            Object.assign(outbox.get(params[0]), { status: params[1], next_attempt_at: params[2], last_error: params[3] });
+            return { rows: [] };
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    });
+
+    return outbox;
+};
+
+const fakeTransport = () => ({ name: 'test', send: jest.fn().mockResolvedValue({}) });
+
+describe('EmailService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+    });
+
+    afterAll(() => EmailService.useTransport(undefined));
+
+    describe('enqueue', () => {
+        test('a status change emails the requester and assignee but not whoever made it', async () => {
+            const outbox = fakeDatabase();
+
+            await EmailService.enqueue(EVENTS.CASE_STATUS_CHANGED, {
+                case: { ...caseRow, status: 'Closed' },
+                previousStatus: 'Under Review',
+                newStatus: 'Closed',
+                performedBy: 5
+            });
+
+            expect([...outbox.values()]).toEqual([expect.objectContaining({
+                case_id: 4,
+                to_address: 'rita@example.com',
+                subject: '[CASE-01004] Closed: Laptop will not boot',
+                status: EMAIL_STATUS.PENDING
+            })]);
+            expect(outbox.get(1).body).toContain('has moved from Under Review to Closed');
+        });
+
+        test('a new case confirms receipt to the requester', async () => {
+            const outbox = fakeDatabase();
+
+            await EmailService.enqueue(EVENTS.CASE_CREATED, { case: { ...caseRow, assigned_to: null }, performedBy: 3 });
+
+            expect([...outbox.values()].map(m => m.to_address)).toEqual(['rita@example.com']);
+        });
+
+        test('comments include the comment text', async () => {
+            const outbox = fakeDatabase();
+
+            await EmailService.enqueue(EVENTS.COMMENT_ADDED, {
+                case: caseRow,
+                comment: { comment: 'Please try holding the power button for 10 seconds' },
+                authorName: 'Ana Lyst',
+                performedBy: 5
+            });
+
+            expect(outbox.get(1)).toMatchObject({ to_address: 'rita@example.com', subject: '[CASE-01004] New comment from Ana Lyst' });
+            expect(outbox.get(1).body).toContain('Please try holding the power button for 10 seconds');
+        });
+
+        test('queueing never waits on the mail server', async () => {
+            const transport = fakeTransport();
+            EmailService.useTransport(transport);
+            EmailService.subscribe();
+            const outbox = fakeDatabase();
+
+            const results = await EventService.publish(EVENTS.CASE_ASSIGNED, { case: caseRow, performedBy: 2 });
+
+            expect(results.every(r => r.status === 'fulfilled')).toBe(true);
+            expect(outbox.get(1)).toMatchObject({ to_address: 'ana@example.com', subject: '[CASE-01004] Assigned to you: Laptop will not boot' });
+            expect(transport.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('runOnce', () => {
+        test('sends due messages and marks them sent', async () => {
+            const transport = fakeTransport();
+            EmailService.useTransport(transport);
+            const outbox = fakeDatabase();
+            await EmailService.enqueue(EVENTS.CASE_CREATED, { case: caseRow, performedBy: 3 });
+
+            const results = await EmailService.runOnce(NOW);
+
+            expect(results).toEqual([{ id: 1, status: EMAIL_STATUS.SENT, attempts: 1 }]);
+            expect(transport.send).toHaveBeenCalledWith({
+                to: 'rita@example.com',
+                subject: outbox.get(1).subject,
+                text: outbox.get(1).body
+            });
+            expect(outbox.get(1)).toMatchObject({ status: EMAIL_STATUS.SENT, sent_at: NOW });
+            expect(await EmailService.runOnce(NOW)).toEqual([]);
+        });
+
+        test('retries with backoff while the mail server is down, then gives up', async () => {
+            const transport = { name: 'test', send: jest.fn().mockRejectedValue(new Error('Connection refused')) };
+            EmailService.useTransport(transport);
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const outbox = fakeDatabase();
+            await EmailService.enqueue(EVENTS.CASE_CREATED, { case: caseRow, performedBy: 3 });
+
+            const first = await EmailService.runOnce(NOW);
+            expect(first).toEqual([{ id: 1, status: EMAIL_STATUS.PENDING, attempts: 1, error: 'Connection refused' }]);
+            expect(outbox.get(1).next_attempt_at).toEqual(new Date(NOW.getTime() + MINUTE_MS));
+
+            // Not due again until the retry delay has passed
+            expect(await EmailService.runOnce(new Date(NOW.getTime() + 30 * 1000))).toEqual([]);
+
+            let now = NOW;
+            let last = first;
+            while (last.length && last[0].status === EMAIL_STATUS.PENDING) {
+                now = outbox.get(1).next_attempt_at;
+                last = await EmailService.runOnce(now);
+            }
+
+            expect(transport.send).toHaveBeenCalledTimes(5);
+            expect(outbox.get(1)).toMatchObject({ status: EMAIL_STATUS.FAILED, attempts: 5, last_error: 'Connection refused' });
+            expect(now).toEqual(new Date(NOW.getTime() + (1 + 5 + 15 + 60) * MINUTE_MS));
+            console.error.mockRestore();
+        });
+
+        test('recovers once the mail server is back', async () => {
+            const transport = fakeTransport();
+            transport.send.mockRejectedValueOnce(new Error('Connection refused'));
+            EmailService.useTransport(transport);
+            const outbox = fakeDatabase();
+            await EmailService.enqueue(EVENTS.CASE_CREATED, { case: caseRow, performedBy: 3 });
+
+            await EmailService.runOnce(NOW);
+            const retry = await EmailService.runOnce(new Date(NOW.getTime() + MINUTE_MS));
+
+            expect(retry).toEqual([{ id: 1, status: EMAIL_STATUS.SENT, attempts: 2 }]);
+            expect(outbox.get(1).last_error).toBeNull();
+        });
+
+        test('does nothing with email off', async () => {
+            EmailService.useTransport(null);
+
+            expect(await EmailService.runOnce(NOW)).toEqual([]);
+            expect(db.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('transports', () => {
+        test('email is off unless EMAIL_TRANSPORT is set', () => {
+            expect(createTransport({})).toBeNull();
+            expect(() => createTransport({ EMAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown EMAIL_TRANSPORT');
+            expect(() => createTransport({ EMAIL_TRANSPORT: 'smtp' })).toThrow('SMTP_HOST');
+        });
+
+        test('the file transport writes each message as an .eml file', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wacms-email-'));
+            const transport = createTransport({ EMAIL_TRANSPORT: 'file', EMAIL_FILE_DIR: dir, EMAIL_FROM: 'desk@example.com' });
+
+            const info = await transport.send({ to: 'rita@example.com', subject: 'Case closed', text: 'All done' });
+
+            const eml = fs.readFileSync(info.file, 'utf8');
+            expect(eml).toContain('To: rita@example.com');
+            expect(eml).toContain('From: desk@example.com');
+            expect(eml).toContain('Subject: Case closed');
+            expect(eml).toContain('All done');
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('the console transport prints each message', async () => {
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            await createTransport({ EMAIL_TRANSPORT: 'console' }).send({ to: 'rita@example.com', subject: 'Case closed', text: 'All done' });
+
+            expect(log).toHaveBeenCalledWith(expect.stringContaining('rita@example.com: Case closed'));
+            log.mockRestore();
+        });
+    });
+});
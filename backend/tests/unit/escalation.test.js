@@ -0,0 +1,310 @@
+jest.mock('../../src/config/db', () => {
+    const query = jest.fn();
+    return {
+        query,
+        withTransaction: (callback) => callback({ query })
+    };
+});
+jest.mock('../../src/services/audit.service');
+
+const db = require('../../src/config/db');
+const AuditService = require('../../src/services/audit.service');
+const EscalationService = require('../../src/services/escalation.service');
+const EventService = require('../../src/services/event.service');
+const { PRIORITY, EVENTS, SLA_TYPES, SLA_EVENTS, ESCALATION_ACTIONS, SLA_AT_RISK_DEFAULTS } = require('../../src/config/constants');
+
+const NOW = new Date('2026-03-04T12:00:00Z');
+
+// High priority cases are at risk two hours before a target is due
+const thresholds = { ...SLA_AT_RISK_DEFAULTS };
+
+const caseRow = (overrides = {}) => ({
+    id: 7,
+    case_id: 'CASE-01007',
+    category: 'IT',
+    status: 'In Progress',
+    priority: PRIORITY.HIGH,
+    assigned_to: 5,
+    sla_response_due_at: new Date('2026-03-04T09:00:00Z'),
+    sla_responded_at: new Date('2026-03-04T08:30:00Z'),
+    sla_response_breached_at: null,
+    sla_due_at: new Date('2026-03-04T11:00:00Z'),
+    sla_resolved_at: null,
+    sla_resolution_breached_at: null,
+    sla_paused_at: null,
+    ...overrides
+});
+
+/**
+ * In-memory stand-in for the tables the monitor touches, shared by every
+ * "instance" in a test like a real database would be
+ */
+const fakeDatabase = (rows, { assigneeRole = 'analyst' } = {}) => {
+    const cases = new Map(rows.map(row => [row.id, { ...row }]));
+    const events = new Set();
+
+    const update = (id, changes) => {
+        cases.set(id, { ...cases.get(id), ...changes });
+        return { rows: [cases.get(id)] };
+    };
+
+    db.query.mockImplementation(async (text, params) => {
+        if (text.includes('FROM sla_thresholds')) {
+            return { rows: [] };
+        }
+        if (text.includes('category_sla_calendars')) {
+            return { rows: [] };
+        }
+        if (text.includes('FROM cases c')) {
+            const type = params[2];
+            return { rows: [...cases.values()].filter(c => EscalationService.classify(c, type, params[0], thresholds)) };
+        }
+        if (text.includes('FOR UPDATE')) {
+            return { rows: [cases.get(params[0])] };
+        }
+        if (text.includes('INSERT INTO case_sla_events')) {
+            const key = params.slice(0, 4).join('/');
+            if (events.has(key)) {
+                return { rows: [] };
+            }
+            events.add(key);
+            return { rows: [{ id: events.size }] };
+        }
+        if (text.includes('SET sla_resolution_breached_at = sla_due_at')) {
+            return update(params[0], { sla_resolution_breached_at: cases.get(params[0]).sla_due_at });
+        }
+        if (text.includes('SET sla_response_breached_at = sla_response_due_at')) {
+            return update(params[0], { sla_response_breached_at: cases.get(params[0]).sla_response_due_at });
+        }
+        if (text.includes('SET priority')) {
+            return update(params[1], { priority: params[0] });
+        }
+        if (text.includes('SELECT role FROM users')) {
+            return { rows: [{ role: assigneeRole }] };
+        }
+        if (text.includes("u.role = 'manager'")) {
+            return { rows: [{ id: 2, name: 'Mona Ager' }] };
+        }
+        if (text.includes('SET assigned_to')) {
+            return update(params[1], { assigned_to: params[0] });
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    });
+
+    return { cases, events };
+};
+
+describe('EscalationService', () => {
+    const published = [];
+    const handler = async (payload) => { published.push(payload); };
+
+    beforeAll(() => EventService.subscribe(EVENTS.SLA_ESCALATION, handler));
+    afterAll(() => EventService.unsubscribe(EVENTS.SLA_ESCALATION, handler));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        published.length = 0;
+    });
+
+    describe('classify', () => {
+        test('a target past due is breached', () => {
+            expect(EscalationService.classify(caseRow(), SLA_TYPES.RESOLUTION, NOW, thresholds)).toBe(SLA_EVENTS.BREACHED);
+        });
+
+        test('a target due within its priority\'s threshold is at risk', () => {
+            const row = caseRow({ sla_due_at: new Date('2026-03-04T13:30:00Z') });
+            expect(EscalationService.classify(row, SLA_TYPES.RESOLUTION, NOW, thresholds)).toBe(SLA_EVENTS.AT_RISK);
+            expect(EscalationService.classify(row, SLA_TYPES.RESOLUTION, new Date('2026-03-04T11:00:00Z'), thresholds)).toBeNull();
+            expect(EscalationService.classify({ ...row, priority: PRIORITY.LOW }, SLA_TYPES.RESOLUTION, new Date('2026-03-04T11:00:00Z'), thresholds))
+                .toBe(SLA_EVENTS.AT_RISK);
+        });
+
+        test('a met target is neither', () => {
+            expect(EscalationService.classify(caseRow(), SLA_TYPES.RESPONSE, NOW, thresholds)).toBeNull();
+        });
+
+        test('a paused target only counts as breached if it was before the pause', () => {
+            const pausedLate = caseRow({ sla_paused_at: new Date('2026-03-04T11:30:00Z') });
+            const pausedEarly = caseRow({ sla_paused_at: new Date('2026-03-04T10:00:00Z') });
+
+            expect(EscalationService.classify(pausedLate, SLA_TYPES.RESOLUTION, NOW, thresholds)).toBe(SLA_EVENTS.BREACHED);
+            expect(EscalationService.classify(pausedEarly, SLA_TYPES.RESOLUTION, NOW, thresholds)).toBeNull();
+        });
+    });
+
+    describe('runOnce', () => {
+        test('records a breach and escalates the case', async () => {
+            const { cases } = fakeDatabase([caseRow()]);
+
+            const fired = await EscalationService.runOnce(NOW);
+
+            expect(fired).toHaveLength(1);
+            expect(fired[0]).toMatchObject({
+                slaType: SLA_TYPES.RESOLUTION,
+                event: SLA_EVENTS.BREACHED,
+                escalations: [
+                    ESCALATION_ACTIONS.RAISE_PRIORITY,
+                    ESCALATION_ACTIONS.ASSIGN_MANAGER,
+                    ESCALATION_ACTIONS.NOTIFY
+                ]
+            });
+            expect(cases.get(7)).toMatchObject({
+                priority: PRIORITY.CRITICAL,
+                assigned_to: 2,
+                sla_resolution_breached_at: new Date('2026-03-04T11:00:00Z'),
+                sla_due_at: new Date('2026-03-04T11:00:00Z')
+            });
+            expect(AuditService.logSlaBreached).toHaveBeenCalledWith(7, {
+                slaType: SLA_TYPES.RESOLUTION,
+                dueAt: new Date('2026-03-04T11:00:00Z'),
+                detectedAt: NOW
+            }, expect.anything());
+            expect(AuditService.logAssignment).toHaveBeenCalledWith(7, 5, 2, null, expect.objectContaining({ automated: true }), expect.anything());
+            expect(published).toHaveLength(1);
+            expect(published[0]).toMatchObject({ event: SLA_EVENTS.BREACHED, userIds: [2, 5] });
+
+            // Audit entries come after every change, in the order they happened
+            const lastChange = Math.max(...db.query.mock.invocationCallOrder);
+            const audits = [AuditService.logSlaBreached, AuditService.logCaseUpdate, AuditService.logAssignment]
+                .map(log => log.mock.invocationCallOrder[0]);
+            expect(audits[0]).toBeGreaterThan(lastChange);
+            expect([...audits].sort((a, b) => a - b)).toEqual(audits);
+        });
+
+        test('an at-risk target only notifies the assignee', async () => {
+            const { cases } = fakeDatabase([caseRow({ sla_due_at: new Date('2026-03-04T13:30:00Z') })]);
+
+            const fired = await EscalationService.runOnce(NOW);
+
+            expect(fired.map(f => f.event)).toEqual([SLA_EVENTS.AT_RISK]);
+            expect(cases.get(7).priority).toBe(PRIORITY.HIGH);
+            expect(AuditService.logSlaBreached).not.toHaveBeenCalled();
+            expect(published[0]).toMatchObject({ event: SLA_EVENTS.AT_RISK, userIds: [5] });
+        });
+
+        test('fires each event once across repeated scans', async () => {
+            fakeDatabase([caseRow({ sla_due_at: new Date('2026-03-04T13:30:00Z') })]);
+
+            const first = await EscalationService.runOnce(NOW);
+            const again = await EscalationService.runOnce(new Date('2026-03-04T12:05:00Z'));
+            const breached = await EscalationService.runOnce(new Date('2026-03-04T14:00:00Z'));
+
+            expect(first.map(f => f.event)).toEqual([SLA_EVENTS.AT_RISK]);
+            expect(again).toEqual([]);
+            expect(breached.map(f => f.event)).toEqual([SLA_EVENTS.BREACHED]);
+        });
+
+        test('escalates again once a recalculated due date is missed', async () => {
+            const { cases } = fakeDatabase([caseRow()]);
+
+            const first = await EscalationService.runOnce(NOW);
+            // Priority raised to Critical by the breach; resuming the clock moves the due date
+            cases.set(7, { ...cases.get(7), sla_due_at: new Date('2026-03-04T15:00:00Z') });
+            const onTrack = await EscalationService.runOnce(new Date('2026-03-04T13:00:00Z'));
+            const atRisk = await EscalationService.runOnce(new Date('2026-03-04T14:15:00Z'));
+            const breached = await EscalationService.runOnce(new Date('2026-03-04T16:00:00Z'));
+            const again = await EscalationService.runOnce(new Date('2026-03-04T16:05:00Z'));
+
+            expect(first.map(f => f.event)).toEqual([SLA_EVENTS.BREACHED]);
+            expect(onTrack).toEqual([]);
+            expect(atRisk.map(f => f.event)).toEqual([SLA_EVENTS.AT_RISK]);
+            expect(breached).toHaveLength(1);
+            expect(breached[0]).toMatchObject({ event: SLA_EVENTS.BREACHED, dueAt: new Date('2026-03-04T15:00:00Z') });
+            expect(again).toEqual([]);
+            expect(AuditService.logSlaBreached).toHaveBeenCalledTimes(2);
+            expect(cases.get(7).sla_resolution_breached_at).toEqual(new Date('2026-03-04T15:00:00Z'));
+            const [scan] = db.query.mock.calls.find(([text]) => text.includes('FROM cases c'));
+            expect(scan).toContain('e.due_at = c.sla_');
+        });
+
+        test('does not double-fire when several instances scan at once', async () => {
+            const { events } = fakeDatabase([caseRow(), caseRow({ id: 8, case_id: 'CASE-01008' })]);
+
+            const results = await Promise.all([
+                EscalationService.runOnce(NOW),
+                EscalationService.runOnce(NOW),
+                EscalationService.runOnce(NOW)
+            ]);
+
+            expect(results.flat()).toHaveLength(2);
+            expect(events.size).toBe(2);
+            expect(AuditService.logSlaBreached).toHaveBeenCalledTimes(2);
+            expect(published).toHaveLength(2);
+        });
+
+        test('leaves Critical cases and cases already with a manager as they are', async () => {
+            const { cases } = fakeDatabase([caseRow({ priority: PRIORITY.CRITICAL })], { assigneeRole: 'manager' });
+
+            const fired = await EscalationService.runOnce(NOW);
+
+            expect(fired[0].escalations).toEqual([ESCALATION_ACTIONS.NOTIFY]);
+            expect(cases.get(7)).toMatchObject({ priority: PRIORITY.CRITICAL, assigned_to: 5 });
+            expect(AuditService.logCaseUpdate).not.toHaveBeenCalled();
+            expect(AuditService.logAssignment).not.toHaveBeenCalled();
+        });
+
+        test('skips a target met between the scan and the escalation', async () => {
+            const { cases, events } = fakeDatabase([caseRow()]);
+            const findDueEvents = EscalationService.findDueEvents.bind(EscalationService);
+            jest.spyOn(EscalationService, 'findDueEvents').mockImplementationOnce(async (now, levels) => {
+                const candidates = await findDueEvents(now, levels);
+                cases.set(7, { ...cases.get(7), sla_resolved_at: NOW });
+                return candidates;
+            });
+
+            const fired = await EscalationService.runOnce(NOW);
+
+            expect(fired).toEqual([]);
+            expect(events.size).toBe(0);
+        });
+
+        test('a failing notification channel does not undo the escalation', async () => {
+            const failing = async () => { throw new Error('SMTP down'); };
+            EventService.subscribe(EVENTS.SLA_ESCALATION, failing);
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const { cases } = fakeDatabase([caseRow()]);
+
+            const fired = await EscalationService.runOnce(NOW);
+
+            EventService.unsubscribe(EVENTS.SLA_ESCALATION, failing);
+            expect(fired).toHaveLength(1);
+            expect(cases.get(7).priority).toBe(PRIORITY.CRITICAL);
+            expect(console.error).toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+
+        test('tells finished cases apart by their workflow\'s final states, not by name', async () => {
+            fakeDatabase([caseRow()]);
+
+            await EscalationService.runOnce(NOW);
+
+            const scans = db.query.mock.calls.filter(([text]) => text.includes('FROM cases c'));
+            const managers = db.query.mock.calls.find(([text]) => text.includes("u.role = 'manager'"));
+            for (const [text] of [...scans, managers]) {
+                expect(text).toContain('final_state.is_final');
+                expect(text).not.toContain("'Closed'");
+            }
+        });
+    });
+
+    describe('start', () => {
+        afterEach(() => {
+            EscalationService.stop();
+            jest.useRealTimers();
+        });
+
+        test('scans on the interval with the injected clock', async () => {
+            jest.useFakeTimers();
+            const runOnce = jest.spyOn(EscalationService, 'runOnce').mockResolvedValue([]);
+
+            EscalationService.start({ intervalMs: 1000, clock: () => NOW });
+            await jest.advanceTimersByTimeAsync(3000);
+            EscalationService.stop();
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(runOnce).toHaveBeenCalledTimes(3);
+            expect(runOnce).toHaveBeenCalledWith(NOW);
+            runOnce.mockRestore();
+        });
+    });
+});
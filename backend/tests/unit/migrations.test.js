@@ -0,0 +1,196 @@
+/**
+ * Workflow seeding against in-memory workflow tables
+ */
+jest.mock('../../src/config/db', () => ({ pool: {} }));
+
+const { seedWorkflows } = require('../../src/migrations/run');
+const {
+    STATUS, ROLES, CATEGORY, DEFAULT_WORKFLOW, CATEGORY_WORKFLOWS, TRANSITIONS
+} = require('../../src/config/constants');
+
+const createClient = () => {
+    const tables = { definitions: [], states: [], transitions: [], categories: [] };
+
+    const query = jest.fn(async (text, params = []) => {
+        if (text.startsWith('SELECT * FROM workflow_definitions WHERE name')) {
+            const rows = tables.definitions.filter(row => row.name === params[0])
+                .sort((a, b) => (b.is_active - a.is_active) || (b.version - a.version));
+            return { rows: rows.slice(0, 1) };
+        }
+        if (text.includes('pg_advisory_xact_lock')) {
+            return { rows: [] };
+        }
+        if (text.includes('MAX(version)')) {
+            const versions = tables.definitions.filter(row => row.name === params[0]).map(row => row.version);
+            return { rows: [{ version: Math.max(0, ...versions) }] };
+        }
+        if (text.includes('UPDATE workflow_definitions SET is_active = false')) {
+            tables.definitions.filter(row => row.name === params[0]).forEach(row => { row.is_active = false; });
+            return { rows: [] };
+        }
+        if (text.includes('INSERT INTO workflow_definitions')) {
+            const [name, version, createdBy, creationActions, assignedState] = params;
+            const row = {
+                id: tables.definitions.length + 1, name, version, is_active: true, created_by: createdBy,
+                creation_actions: JSON.parse(creationActions), assigned_state: assignedState
+            };
+            tables.definitions.push(row);
+            return { rows: [row] };
+        }
+        if (text.includes('INSERT INTO workflow_states')) {
+            const [workflowId, name, position, isInitial, isFinal, pausesSla, recordsResponse] = params;
+            tables.states.push({
+                workflow_id: workflowId, name, position, is_initial: isInitial, is_final: isFinal,
+                pauses_sla: pausesSla, records_response: recordsResponse
+            });
+            return { rows: [] };
+        }
+        if (text.includes('INSERT INTO workflow_transitions')) {
+            const [workflowId, fromState, toState, roles, guards, actions] = params;
+            tables.transitions.push({
+                workflow_id: workflowId, from_state: fromState, to_state: toState, allowed_roles: roles,
+                guards: JSON.parse(guards), actions: JSON.parse(actions)
+            });
+            return { rows: [] };
+        }
+        if (text.includes('FROM workflow_states WHERE workflow_id')) {
+            return {
+                rows: tables.states.filter(row => row.workflow_id === params[0]).sort((a, b) => a.position - b.position)
+            };
+        }
+        if (text.includes('FROM workflow_transitions WHERE workflow_id')) {
+            return { rows: tables.transitions.filter(row => row.workflow_id === params[0]) };
+        }
+        if (text.includes('INSERT INTO category_workflows')) {
+            if (!tables.categories.some(row => row.category === params[0])) {
+                tables.categories.push({ category: params[0], workflow_name: params[1] });
+            }
+            return { rows: [], rowCount: 1 };
+        }
+        if (text.includes('UPDATE cases SET workflow_id')) {
+            return { rows: [], rowCount: 0 };
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    });
+
+    return { tables, query };
+};
+
+// The seeded workflows as they were before Pending Requester was added
+const withoutPendingRequester = (transitions) => Object.fromEntries(Object.entries(transitions)
+    .filter(([fromState]) => fromState !== STATUS.PENDING_REQUESTER)
+    .map(([fromState, targets]) => [fromState, Object.fromEntries(
+        Object.entries(targets).filter(([toState]) => toState !== STATUS.PENDING_REQUESTER)
+    )]));
+
+const seedBaseline = async (client) => {
+    const seeds = [
+        { name: DEFAULT_WORKFLOW, transitions: TRANSITIONS },
+        ...Object.values(CATEGORY_WORKFLOWS)
+    ];
+    for (const [index, seed] of seeds.entries()) {
+        const id = index + 1;
+        client.tables.definitions.push({
+            id, name: seed.name, version: 1, is_active: true, created_by: null,
+            creation_actions: [], assigned_state: STATUS.ASSIGNED
+        });
+        const baseline = withoutPendingRequester(seed.transitions);
+        const states = [...new Set(
+            Object.entries(baseline).flatMap(([fromState, targets]) => [fromState, ...Object.keys(targets)])
+        )];
+        for (const [position, name] of states.entries()) {
+            client.tables.states.push({
+                workflow_id: id, name, position,
+                is_initial: name === STATUS.CREATED, is_final: !baseline[name], pauses_sla: false,
+                records_response: name === STATUS.IN_PROGRESS
+            });
+        }
+        for (const [fromState, targets] of Object.entries(baseline)) {
+            for (const [toState, roles] of Object.entries(targets)) {
+                client.tables.transitions.push({
+                    workflow_id: id, from_state: fromState, to_state: toState, allowed_roles: roles, guards: [], actions: []
+                });
+            }
+        }
+    }
+};
+
+const versionsOf = (client, name) => client.tables.definitions.filter(row => row.name === name);
+
+describe('seedWorkflows', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test('publishes Pending Requester as a new version of workflows seeded before it existed', async () => {
+        const client = createClient();
+        await seedBaseline(client);
+        const firstVersions = JSON.parse(JSON.stringify({ states: client.tables.states, transitions: client.tables.transitions }));
+        const seeded = client.tables.definitions.map(row => row.name);
+
+        await seedWorkflows(client);
+
+        // Stored versions never change
+        expect(client.tables.states.filter(row => row.workflow_id <= seeded.length)).toEqual(firstVersions.states);
+        expect(client.tables.transitions.filter(row => row.workflow_id <= seeded.length)).toEqual(firstVersions.transitions);
+
+        for (const [index, name] of seeded.entries()) {
+            const [first, second] = versionsOf(client, name);
+            expect(first).toMatchObject({ id: index + 1, is_active: false });
+            expect(second).toMatchObject({ version: 2, is_active: true, created_by: null, assigned_state: STATUS.ASSIGNED });
+
+            const states = client.tables.states.filter(row => row.workflow_id === second.id);
+            expect(states.map(row => row.name)).toEqual([
+                ...firstVersions.states.filter(row => row.workflow_id === first.id).map(row => row.name),
+                STATUS.PENDING_REQUESTER
+            ]);
+            expect(states.at(-1)).toMatchObject({ is_initial: false, is_final: false, pauses_sla: true, records_response: false });
+
+            const transitions = client.tables.transitions.filter(row => row.workflow_id === second.id)
+                .map(row => [row.from_state, row.to_state]);
+            expect(transitions).toEqual(expect.arrayContaining([
+                [STATUS.IN_PROGRESS, STATUS.PENDING_REQUESTER],
+                [STATUS.PENDING_REQUESTER, STATUS.IN_PROGRESS]
+            ]));
+        }
+    });
+
+    test('backfills guards in the new version and leaves versions an admin published alone', async () => {
+        const client = createClient();
+        await seedBaseline(client);
+        // An admin already published the compliance workflow again
+        const compliance = CATEGORY_WORKFLOWS[CATEGORY.COMPLIANCE].name;
+        const published = client.tables.definitions.find(row => row.name === compliance);
+        published.is_active = false;
+        client.tables.definitions.push({ ...published, id: 10, version: 2, is_active: true, created_by: 1 });
+
+        await seedWorkflows(client);
+
+        const [, current] = versionsOf(client, DEFAULT_WORKFLOW);
+        const assign = client.tables.transitions.find(row => row.workflow_id === current.id && row.to_state === STATUS.ASSIGNED);
+        expect(assign).toMatchObject({ allowed_roles: [ROLES.MANAGER, ROLES.ADMIN], guards: [{ type: 'has_assignee' }] });
+
+        expect(versionsOf(client, compliance).map(row => [row.version, row.is_active])).toEqual([[1, false], [2, true]]);
+    });
+
+    test('running it again changes nothing', async () => {
+        const client = createClient();
+        await seedWorkflows(client);
+        const snapshot = JSON.parse(JSON.stringify(client.tables));
+
+        await seedWorkflows(client);
+
+        expect(client.tables).toEqual(snapshot);
+        expect(client.tables.definitions.every(row => row.version === 1 && row.is_active)).toBe(true);
+        expect(client.tables.states.filter(row => row.workflow_id === 1).map(row => row.name)).toEqual([
+            STATUS.CREATED, STATUS.ASSIGNED, STATUS.IN_PROGRESS, STATUS.UNDER_REVIEW,
+            STATUS.PENDING_REQUESTER, STATUS.CLOSED
+        ]);
+        expect(client.tables.states.filter(row => row.records_response).map(row => row.name))
+            .toEqual(Array(client.tables.definitions.length).fill(STATUS.IN_PROGRESS));
+    });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const { EventEmitter } = require('events');
+
+const db = require('../../src/config/db');
+const EventService = require('../../src/services/event.service');
+const RealtimeService = require('../../src/services/realtime.service');
+const { caseScopeCondition, canViewCase } = require('../../src/utils/caseAccess');
+const { EVENTS, ROLES } = require('../../src/config/constants');
+
+const caseRow = {
+    id: 4,
+    case_id: 'CASE-01004',
+    title: 'Laptop will not boot',
+    priority: 'High',
+    status: 'In Progress',
+    created_by: 3,
+    assigned_to: 5,
+    version: 3
+};
+
+const users = {
+    manager: { id: 2, role: ROLES.MANAGER },
+    requester: { id: 3, role: ROLES.REQUESTER },
+    otherRequester: { id: 4, role: ROLES.REQUESTER },
+    analyst: { id: 5, role: ROLES.ANALYST },
+    otherAnalyst: { id: 6, role: ROLES.ANALYST }
+};
+
+/**
+ * Open a stream for a user and collect the events written to it
+ */
+const connect = (user) => {
+    const req = new EventEmitter();
+    req.user = user;
+    const events = [];
+    const res = {
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+        end: jest.fn(),
+        write: (chunk) => {
+            const match = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+            if (match) {
+                events.push({ event: match[1], data: JSON.parse(match[2]) });
+            }
+        }
+    };
+    RealtimeService.connect(req, res);
+    return { req, res, events, close: () => req.emit('close') };
+};
+
+describe('case access', () => {
+    test('the SQL condition and canViewCase agree by role', () => {
+        const params = [];
+        expect(caseScopeCondition(users.requester, params)).toBe('c.created_by = $1');
+        expect(caseScopeCondition(users.analyst, params)).toBe('(c.assigned_to = $2 OR c.created_by = $2)');
+        expect(caseScopeCondition(users.manager, params)).toBeNull();
+        expect(params).toEqual([3, 5]);
+
+        expect(canViewCase(users.requester, caseRow)).toBe(true);
+        expect(canViewCase(users.otherRequester, caseRow)).toBe(false);
+        expect(canViewCase(users.analyst, caseRow)).toBe(true);
+        expect(canViewCase(users.otherAnalyst, caseRow)).toBe(false);
+        expect(canViewCase(users.manager, caseRow)).toBe(true);
+    });
+});
+
+describe('RealtimeService', () => {
+    let streams;
+
+    beforeAll(() => RealtimeService.subscribe());
+
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockImplementation(async (text) => {
+            if (text.includes('FROM cases')) {
+                return { rows: [{ ...caseRow, created_by_name: 'Rita Quester', assigned_to_name: 'Ana Lyst' }] };
+            }
+            if (text.includes('FROM comments')) {
+                return { rows: [{ id: 12, case_id: 4, comment: 'Tried safe mode', created_by_name: 'Ana Lyst' }] };
+            }
+            return { rows: [] };
+        });
+        streams = Object.fromEntries(Object.entries(users).map(([name, user]) => [name, connect(user)]));
+    });
+
+    afterEach(() => RealtimeService.disconnectAll());
+
+    test('case changes go only to users who can see the case', async () => {
+        await EventService.publish(EVENTS.CASE_STATUS_CHANGED, { case: caseRow, previousStatus: 'Assigned', newStatus: 'In Progress' });
+
+        for (const name of ['manager', 'requester', 'analyst']) {
+            expect(streams[name].events.map(e => e.event)).toEqual(['case.changed', 'pending_actions.changed']);
+        }
+        expect(streams.otherRequester.events).toEqual([]);
+        expect(streams.otherAnalyst.events).toEqual([]);
+
+        const [{ data }] = streams.manager.events;
+        expect(data.event).toBe(EVENTS.CASE_STATUS_CHANGED);
+        expect(data.case).toMatchObject({ id: 4, assigned_to_name: 'Ana Lyst', sla_status: null });
+        expect(streams.manager.events[1].data).toEqual({ caseId: 4 });
+    });
+
+    test('the previous assignee hears about a reassignment once', async () => {
+        await EventService.publish(EVENTS.CASE_ASSIGNED, { case: caseRow, previousAssignee: 6 });
+
+        expect(streams.otherAnalyst.events.map(e => e.event)).toEqual(['case.changed', 'pending_actions.changed']);
+        expect(streams.otherRequester.events).toEqual([]);
+    });
+
+    test('new comments reach the case\'s viewers as the comments list returns them', async () => {
+        await EventService.publish(EVENTS.COMMENT_ADDED, { case: caseRow, comment: { id: 12 } });
+
+        expect(streams.requester.events).toEqual([{
+            event: 'comment.added',
+            data: { caseId: 4, comment: { id: 12, case_id: 4, comment: 'Tried safe mode', created_by_name: 'Ana Lyst' } }
+        }]);
+        expect(streams.otherAnalyst.events).toEqual([]);
+    });
+
+    test('closed streams are dropped and nothing is queried without listeners', async () => {
+        Object.values(streams).forEach(stream => stream.close());
+        expect(RealtimeService.clientCount()).toBe(0);
+
+        await EventService.publish(EVENTS.CASE_UPDATED, { case: caseRow });
+
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
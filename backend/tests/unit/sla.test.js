@@ -0,0 +1,582 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/db');
+const SlaService = require('../../src/services/sla.service');
+const { PRIORITY, SLA_TYPES, SLA_STATUS, SLA_AT_RISK_DEFAULTS } = require('../../src/config/constants');
+
+const businessHours = (overrides = {}) => ({
+    id: 1,
+    name: 'business-hours',
+    timeZone: 'UTC',
+    workingDays: [1, 2, 3, 4, 5],
+    workStart: '09:00',
+    workEnd: '17:00',
+    holidays: [],
+    ...overrides
+});
+
+const twentyFourSeven = (timeZone = 'UTC') => ({
+    id: 2,
+    name: '24x7',
+    timeZone,
+    workingDays: [1, 2, 3, 4, 5, 6, 7],
+    workStart: '00:00',
+    workEnd: '24:00',
+    holidays: []
+});
+
+describe('SlaService', () => {
+    describe('calculateDueDate', () => {
+        test('counts wall-clock hours without a calendar', () => {
+            const due = SlaService.calculateDueDate(24, new Date('2026-03-06T15:00:00Z'));
+            expect(due.toISOString()).toBe('2026-03-07T15:00:00.000Z');
+        });
+
+        test('counts fractional hours', () => {
+            const due = SlaService.calculateDueDate(0.5, new Date('2026-03-06T16:45:00Z'), businessHours());
+            expect(due.toISOString()).toBe('2026-03-09T09:15:00.000Z');
+        });
+
+        test('stays within the working day when time remains', () => {
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-04T10:00:00Z'), businessHours());
+            expect(due.toISOString()).toBe('2026-03-04T14:00:00.000Z');
+        });
+
+        test('ends at close of business rather than the next morning', () => {
+            const due = SlaService.addWorkingHours(new Date('2026-03-04T09:00:00Z'), 8, businessHours());
+            expect(due.toISOString()).toBe('2026-03-04T17:00:00.000Z');
+        });
+    });
+
+    describe('weekend rollover', () => {
+        test('Friday afternoon rolls over to Monday', () => {
+            // 2h left on Friday, 2h on Monday morning
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-06T15:00:00Z'), businessHours());
+            expect(due.toISOString()).toBe('2026-03-09T11:00:00.000Z');
+        });
+
+        test('Friday evening starts the clock on Monday morning', () => {
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-06T20:00:00Z'), businessHours());
+            expect(due.toISOString()).toBe('2026-03-09T13:00:00.000Z');
+        });
+
+        test('a case raised at the weekend starts on Monday morning', () => {
+            const due = SlaService.calculateDueDate(24, new Date('2026-03-07T12:00:00Z'), businessHours());
+            // 24 working hours: Monday, Tuesday and Wednesday
+            expect(due.toISOString()).toBe('2026-03-11T17:00:00.000Z');
+        });
+
+        test('a 24x7 calendar does not skip the weekend', () => {
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-06T22:00:00Z'), twentyFourSeven());
+            expect(due.toISOString()).toBe('2026-03-07T02:00:00.000Z');
+        });
+    });
+
+    describe('holiday rollover', () => {
+        test('skips a holiday and the weekend after it', () => {
+            const calendar = businessHours({ holidays: [{ date: '2026-12-25', name: 'Christmas Day' }] });
+            // 1h on Thursday 24th, Friday 25th is a holiday, 3h on Monday 28th
+            const due = SlaService.calculateDueDate(4, new Date('2026-12-24T16:00:00Z'), calendar);
+            expect(due.toISOString()).toBe('2026-12-28T12:00:00.000Z');
+        });
+
+        test('a case raised on a holiday starts on the next working day', () => {
+            const calendar = businessHours({ holidays: [{ date: '2026-03-09', name: 'Bank holiday' }] });
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-09T10:00:00Z'), calendar);
+            expect(due.toISOString()).toBe('2026-03-10T13:00:00.000Z');
+        });
+
+        test('holidays are local dates in the calendar time zone', () => {
+            const calendar = businessHours({
+                timeZone: 'Asia/Tokyo',
+                holidays: [{ date: '2026-03-09', name: 'Holiday' }]
+            });
+            // Sunday 23:00 UTC is already Monday 08:00 in Tokyo, which is a holiday
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-08T23:00:00Z'), calendar);
+            // Tuesday 09:00-13:00 JST
+            expect(due.toISOString()).toBe('2026-03-10T04:00:00.000Z');
+        });
+    });
+
+    describe('DST boundaries', () => {
+        test('US spring forward keeps working hours at 09:00 local', () => {
+            const calendar = businessHours({ timeZone: 'America/New_York' });
+            // Friday 15:00 EST; DST starts Sunday 8 March
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-06T20:00:00Z'), calendar);
+            // Monday 11:00 EDT
+            expect(due.toISOString()).toBe('2026-03-09T15:00:00.000Z');
+        });
+
+        test('US fall back keeps working hours at 09:00 local', () => {
+            const calendar = businessHours({ timeZone: 'America/New_York' });
+            // Friday 15:00 EDT; DST ends Sunday 1 November
+            const due = SlaService.calculateDueDate(4, new Date('2026-10-30T19:00:00Z'), calendar);
+            // Monday 11:00 EST
+            expect(due.toISOString()).toBe('2026-11-02T16:00:00.000Z');
+        });
+
+        test('UK clocks going forward keep working hours at 09:00 local', () => {
+            const calendar = businessHours({ timeZone: 'Europe/London' });
+            // Friday 16:00 GMT; BST starts Sunday 29 March
+            const due = SlaService.calculateDueDate(4, new Date('2026-03-27T16:00:00Z'), calendar);
+            // Monday 12:00 BST
+            expect(due.toISOString()).toBe('2026-03-30T11:00:00.000Z');
+        });
+
+        test('a 24x7 calendar counts the 23-hour DST day as 23 hours', () => {
+            const calendar = twentyFourSeven('America/New_York');
+            // Midnight EST on Sunday 8 March
+            const from = new Date('2026-03-08T05:00:00Z');
+            expect(SlaService.addWorkingHours(from, 24, calendar).toISOString()).toBe('2026-03-09T05:00:00.000Z');
+            expect(SlaService.workingHoursBetween(from, new Date('2026-03-09T04:00:00Z'), calendar)).toBe(23);
+        });
+
+        test('a 24x7 calendar counts the 25-hour DST day as 25 hours', () => {
+            const calendar = twentyFourSeven('America/New_York');
+            // Midnight EDT to midnight EST on Sunday 1 November
+            const hours = SlaService.workingHoursBetween(
+                new Date('2026-11-01T04:00:00Z'),
+                new Date('2026-11-02T05:00:00Z'),
+                calendar
+            );
+            expect(hours).toBe(25);
+        });
+    });
+
+    describe('workingHoursBetween', () => {
+        test('counts only working time across a weekend', () => {
+            const hours = SlaService.workingHoursBetween(
+                new Date('2026-03-06T16:00:00Z'),
+                new Date('2026-03-09T10:00:00Z'),
+                businessHours()
+            );
+            expect(hours).toBe(2);
+        });
+
+        test('excludes holidays', () => {
+            const calendar = businessHours({ holidays: [{ date: '2026-03-09', name: 'Bank holiday' }] });
+            const hours = SlaService.workingHoursBetween(
+                new Date('2026-03-06T16:00:00Z'),
+                new Date('2026-03-10T10:00:00Z'),
+                calendar
+            );
+            expect(hours).toBe(2);
+        });
+
+        test('is negative once the due date has passed', () => {
+            const hours = SlaService.workingHoursBetween(
+                new Date('2026-03-09T10:00:00Z'),
+                new Date('2026-03-06T16:00:00Z'),
+                businessHours()
+            );
+            expect(hours).toBe(-2);
+        });
+
+        test('is the inverse of addWorkingHours', () => {
+            const calendar = businessHours({ timeZone: 'Europe/London' });
+            const from = new Date('2026-03-26T14:30:00Z');
+            const due = SlaService.addWorkingHours(from, 20, calendar);
+            expect(SlaService.workingHoursBetween(from, due, calendar)).toBe(20);
+        });
+
+        test('counts wall-clock hours without a calendar', () => {
+            const hours = SlaService.workingHoursBetween(
+                new Date('2026-03-06T16:00:00Z'),
+                new Date('2026-03-09T10:00:00Z')
+            );
+            expect(hours).toBe(66);
+        });
+    });
+
+    describe('addWorkingHours', () => {
+        test('throws when the calendar has no working time', () => {
+            expect(() => SlaService.addWorkingHours(new Date(), 4, businessHours({ workingDays: [] })))
+                .toThrow('has no working time');
+        });
+    });
+
+    describe('validateCalendar', () => {
+        test('accepts a valid calendar', () => {
+            expect(SlaService.validateCalendar(businessHours({ timeZone: 'Europe/London' })).valid).toBe(true);
+            expect(SlaService.validateCalendar(twentyFourSeven()).valid).toBe(true);
+        });
+
+        test('rejects an unknown time zone', () => {
+            const result = SlaService.validateCalendar(businessHours({ timeZone: 'Mars/Olympus_Mons' }));
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toContain('Unknown time zone');
+        });
+
+        test('rejects working hours that end before they start', () => {
+            const result = SlaService.validateCalendar(businessHours({ workStart: '17:00', workEnd: '09:00' }));
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Working hours must end after they start');
+        });
+
+        test('rejects calendars without working days', () => {
+            expect(SlaService.validateCalendar(businessHours({ workingDays: [] })).valid).toBe(false);
+            expect(SlaService.validateCalendar(businessHours({ workingDays: [0, 1] })).valid).toBe(false);
+        });
+
+        test('rejects malformed holidays', () => {
+            const result = SlaService.validateCalendar(businessHours({ holidays: [{ date: '25/12/2026' }] }));
+            expect(result.valid).toBe(false);
+        });
+    });
+
+    describe('pausing the SLA clock', () => {
+        const workflow = {
+            states: [
+                { name: 'In Progress' },
+                { name: 'Pending Requester', pausesSla: true },
+                { name: 'Closed', isFinal: true }
+            ]
+        };
+        const calendarRow = {
+            id: 1,
+            name: 'business-hours',
+            time_zone: 'UTC',
+            working_days: [1, 2, 3, 4, 5],
+            work_start: '09:00:00',
+            work_end: '17:00:00',
+            holidays: []
+        };
+        const caseRow = {
+            id: 7,
+            category: 'IT',
+            status: 'Pending Requester',
+            sla_due_at: new Date('2026-03-06T16:00:00Z'),
+            sla_responded_at: new Date('2026-03-02T10:00:00Z'),
+            sla_paused_at: null
+        };
+
+        beforeEach(() => db.query.mockReset());
+
+        test('entering a pausing state records the pause', async () => {
+            const now = new Date('2026-03-04T10:00:00Z');
+            const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ ...caseRow, sla_paused_at: now }] }) };
+
+            const clock = await SlaService.updateClock(caseRow, workflow, client, now);
+
+            expect(clock.sla).toEqual({ paused: true });
+            expect(clock.case.sla_paused_at).toBe(now);
+            expect(client.query.mock.calls[0][1]).toEqual([now, 7]);
+            expect(client.query.mock.calls[1][0]).toContain('INSERT INTO case_sla_pauses');
+            expect(client.query.mock.calls[1][1]).toEqual([7, 'Pending Requester', now]);
+        });
+
+        test('leaving it extends the due date by the paused working time', async () => {
+            db.query.mockResolvedValueOnce({ rows: [calendarRow] });
+            const now = new Date('2026-03-09T11:00:00Z');
+            const resumed = { ...caseRow, status: 'In Progress', sla_paused_at: new Date('2026-03-06T15:00:00Z') };
+            const client = { query: jest.fn().mockImplementation(async (text, params) => ({ rows: [{ ...resumed, sla_due_at: params[0] }] })) };
+
+            const clock = await SlaService.updateClock(resumed, workflow, client, now);
+
+            // Paused Friday 15:00 to Monday 11:00 is 4 working hours, so the
+            // Friday 16:00 deadline moves to Monday 12:00
+            expect(clock.sla).toEqual({
+                resumed: true,
+                pausedHours: 4,
+                previousDueAt: resumed.sla_due_at,
+                dueAt: new Date('2026-03-09T12:00:00Z')
+            });
+            expect(clock.case.sla_due_at).toEqual(new Date('2026-03-09T12:00:00Z'));
+            expect(client.query.mock.calls[1][0]).toContain('UPDATE case_sla_pauses');
+            expect(client.query.mock.calls[1][1]).toEqual([now, 4, 7]);
+        });
+
+        test('a pause over the weekend alone does not move the due date', async () => {
+            db.query.mockResolvedValueOnce({ rows: [calendarRow] });
+            const resumed = {
+                ...caseRow,
+                status: 'In Progress',
+                sla_due_at: new Date('2026-03-09T10:00:00Z'),
+                sla_paused_at: new Date('2026-03-07T10:00:00Z')
+            };
+            const client = { query: jest.fn().mockImplementation(async (text, params) => ({ rows: [{ ...resumed, sla_due_at: params[0] }] })) };
+
+            const clock = await SlaService.updateClock(resumed, workflow, client, new Date('2026-03-08T18:00:00Z'));
+
+            expect(clock.sla.pausedHours).toBe(0);
+            expect(clock.case.sla_due_at).toEqual(new Date('2026-03-09T10:00:00Z'));
+        });
+
+        test('does nothing when the clock is already in the right state', async () => {
+            const client = { query: jest.fn() };
+
+            const stillPaused = await SlaService.updateClock({ ...caseRow, sla_paused_at: new Date() }, workflow, client);
+            const stillRunning = await SlaService.updateClock({ ...caseRow, status: 'In Progress' }, workflow, client);
+
+            expect(stillPaused.sla).toBeNull();
+            expect(stillRunning.sla).toBeNull();
+            expect(client.query).not.toHaveBeenCalled();
+        });
+
+        test('hours remaining are frozen while paused', () => {
+            const paused = { ...caseRow, sla_paused_at: new Date('2026-03-06T14:00:00Z') };
+
+            expect(SlaService.getHoursRemaining(paused, businessHours(), new Date('2026-03-20T12:00:00Z'))).toBe(2);
+            expect(SlaService.getHoursRemaining(caseRow, businessHours(), new Date('2026-03-09T10:00:00Z'))).toBe(-2);
+        });
+    });
+
+    describe('SLA policies', () => {
+        const calendarRow = {
+            id: 1,
+            name: 'business-hours',
+            time_zone: 'UTC',
+            working_days: [1, 2, 3, 4, 5],
+            work_start: '09:00:00',
+            work_end: '17:00:00',
+            holidays: []
+        };
+
+        beforeEach(() => db.query.mockReset());
+
+        test('prefers the category policy over the default', async () => {
+            db.query.mockResolvedValueOnce({
+                rows: [{ id: 9, category: 'IT', priority: 'High', response_hours: '2.00', resolution_hours: '16.00' }]
+            });
+
+            const policy = await SlaService.getPolicy(PRIORITY.HIGH, 'IT');
+
+            expect(db.query.mock.calls[0][0]).toContain('ORDER BY category NULLS LAST');
+            expect(db.query.mock.calls[0][1]).toEqual([PRIORITY.HIGH, 'IT']);
+            expect(policy).toEqual({ id: 9, category: 'IT', priority: 'High', responseHours: 2, resolutionHours: 16 });
+        });
+
+        test('falls back to the built-in defaults when no policy is stored', async () => {
+            db.query.mockResolvedValue({ rows: [] });
+
+            expect(await SlaService.getPolicy(PRIORITY.CRITICAL, 'IT')).toMatchObject({ responseHours: 1, resolutionHours: 4 });
+            expect(await SlaService.getPolicy('Urgent', 'IT')).toMatchObject({ responseHours: 8, resolutionHours: 48 });
+        });
+
+        test('calculates both targets on the category calendar', async () => {
+            db.query.mockImplementation(async (text) => (text.includes('sla_policies')
+                ? { rows: [{ id: 1, category: null, priority: 'Critical', response_hours: '1.00', resolution_hours: '4.00' }] }
+                : { rows: [calendarRow] }));
+
+            const targets = await SlaService.calculateTargets(PRIORITY.CRITICAL, 'IT', new Date('2026-03-06T15:00:00Z'));
+
+            expect(targets.responseDueAt.toISOString()).toBe('2026-03-06T16:00:00.000Z');
+            expect(targets.resolutionDueAt.toISOString()).toBe('2026-03-09T11:00:00.000Z');
+        });
+
+        test('counts wall-clock hours when the category has no calendar', async () => {
+            db.query.mockResolvedValue({ rows: [] });
+
+            const targets = await SlaService.calculateTargets(PRIORITY.CRITICAL, 'IT', new Date('2026-03-06T15:00:00Z'));
+
+            expect(targets.responseDueAt.toISOString()).toBe('2026-03-06T16:00:00.000Z');
+            expect(targets.resolutionDueAt.toISOString()).toBe('2026-03-06T19:00:00.000Z');
+        });
+
+        test('only category policies can be deleted', async () => {
+            db.query.mockResolvedValueOnce({ rows: [] });
+
+            expect(await SlaService.deletePolicy(1)).toBeNull();
+            expect(db.query.mock.calls[0][0]).toContain('category IS NOT NULL');
+        });
+    });
+
+    describe('first-response and resolution targets', () => {
+        const workflow = {
+            states: [
+                { name: 'Assigned' },
+                { name: 'In Progress', recordsResponse: true },
+                { name: 'Closed', isFinal: true }
+            ]
+        };
+        const caseRow = {
+            id: 7,
+            category: 'IT',
+            status: 'In Progress',
+            sla_response_due_at: new Date('2026-03-04T11:00:00Z'),
+            sla_responded_at: null,
+            sla_due_at: new Date('2026-03-04T18:00:00Z'),
+            sla_resolved_at: null,
+            sla_paused_at: null
+        };
+
+        test('getTarget reads the columns of each SLA type', () => {
+            const responded = { ...caseRow, sla_responded_at: new Date('2026-03-04T12:00:00Z'), sla_response_breached_at: caseRow.sla_response_due_at };
+
+            expect(SlaService.getTarget(responded, SLA_TYPES.RESPONSE)).toEqual({
+                dueAt: caseRow.sla_response_due_at,
+                metAt: responded.sla_responded_at,
+                breachedAt: caseRow.sla_response_due_at
+            });
+            expect(SlaService.getTarget(responded, SLA_TYPES.RESOLUTION).dueAt).toBe(caseRow.sla_due_at);
+        });
+
+        test('entering a state that records the response meets the first-response target', async () => {
+            const now = new Date('2026-03-04T10:30:00Z');
+            const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ ...caseRow, sla_responded_at: now, sla_response_breached_at: null }] }) };
+
+            const clock = await SlaService.updateClock(caseRow, workflow, client, now);
+
+            expect(clock.sla).toEqual({ responded: true, responseBreached: false });
+            expect(client.query.mock.calls[0][0]).toContain('sla_responded_at IS NULL');
+            expect(client.query.mock.calls[0][1]).toEqual([now, 7]);
+        });
+
+        test('the flag rather than the state name decides what records the response', async () => {
+            const now = new Date('2026-03-04T10:30:00Z');
+            const triage = {
+                states: [
+                    { name: 'Triaged', recordsResponse: true },
+                    { name: 'In Progress' },
+                    { name: 'Closed', isFinal: true }
+                ]
+            };
+            const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ ...caseRow, status: 'Triaged', sla_responded_at: now }] }) };
+
+            const working = await SlaService.updateClock(caseRow, triage, client, now);
+            const triaged = await SlaService.updateClock({ ...caseRow, status: 'Triaged' }, triage, client, now);
+
+            expect(working.sla).toBeNull();
+            expect(triaged.sla).toEqual({ responded: true, responseBreached: false });
+            expect(client.query).toHaveBeenCalledTimes(1);
+        });
+
+        test('a late first response is recorded as breached', async () => {
+            const now = new Date('2026-03-04T12:00:00Z');
+            const client = {
+                query: jest.fn().mockResolvedValueOnce({
+                    rows: [{ ...caseRow, sla_responded_at: now, sla_response_breached_at: caseRow.sla_response_due_at }]
+                })
+            };
+
+            const response = await SlaService.recordResponse(caseRow, client, now);
+
+            expect(response.sla).toEqual({ responded: true, responseBreached: true });
+            expect(response.case.sla_response_breached_at).toBe(caseRow.sla_response_due_at);
+        });
+
+        test('a case already responded to is left alone', async () => {
+            const client = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+
+            const response = await SlaService.recordResponse(caseRow, client);
+
+            expect(response).toEqual({ case: caseRow, sla: null });
+        });
+
+        test('reaching a final state meets the resolution target', async () => {
+            const now = new Date('2026-03-04T19:00:00Z');
+            const closed = { ...caseRow, status: 'Closed', sla_responded_at: new Date('2026-03-04T10:30:00Z') };
+            const client = {
+                query: jest.fn().mockResolvedValueOnce({
+                    rows: [{ ...closed, sla_resolved_at: now, sla_resolution_breached_at: closed.sla_due_at }]
+                })
+            };
+
+            const clock = await SlaService.updateClock(closed, workflow, client, now);
+
+            expect(clock.sla).toEqual({ resolved: true, resolutionBreached: true });
+            expect(client.query).toHaveBeenCalledTimes(1);
+            expect(client.query.mock.calls[0][0]).toContain('sla_resolution_breached_at');
+        });
+
+        test('hours remaining can be read for either target', () => {
+            const now = new Date('2026-03-04T10:00:00Z');
+
+            expect(SlaService.getHoursRemaining(caseRow, null, now, SLA_TYPES.RESPONSE)).toBe(1);
+            expect(SlaService.getHoursRemaining(caseRow, null, now)).toBe(8);
+        });
+
+        test('resuming also extends a first-response target not yet met', async () => {
+            db.query.mockReset();
+            db.query.mockResolvedValueOnce({ rows: [] });
+            const now = new Date('2026-03-04T12:00:00Z');
+            const resumed = { ...caseRow, status: 'Assigned', sla_paused_at: new Date('2026-03-04T10:00:00Z') };
+            const client = {
+                query: jest.fn().mockImplementation(async (text, params) => ({
+                    rows: [{ ...resumed, sla_due_at: params[0], sla_response_due_at: params[1], sla_paused_at: null }]
+                }))
+            };
+
+            const clock = await SlaService.updateClock(resumed, workflow, client, now);
+
+            expect(clock.case.sla_response_due_at).toEqual(new Date('2026-03-04T13:00:00Z'));
+            expect(clock.case.sla_due_at).toEqual(new Date('2026-03-04T20:00:00Z'));
+        });
+    });
+
+    describe('getStatus', () => {
+        const now = new Date('2026-03-04T12:00:00Z');
+        const thresholds = { ...SLA_AT_RISK_DEFAULTS };
+        const caseRow = {
+            priority: PRIORITY.HIGH,
+            sla_response_due_at: new Date('2026-03-04T09:00:00Z'),
+            sla_responded_at: new Date('2026-03-04T10:00:00Z'),
+            sla_due_at: new Date('2026-03-04T13:00:00Z'),
+            sla_resolved_at: null,
+            sla_paused_at: null
+        };
+
+        test('uses the at-risk threshold of the case priority', () => {
+            expect(SlaService.getStatus(caseRow, thresholds, now)).toBe(SLA_STATUS.AT_RISK);
+            expect(SlaService.getStatus({ ...caseRow, priority: PRIORITY.CRITICAL }, thresholds, now)).toBe(SLA_STATUS.ON_TRACK);
+            expect(SlaService.getStatus(caseRow, { ...thresholds, [PRIORITY.HIGH]: 0.5 }, now)).toBe(SLA_STATUS.ON_TRACK);
+        });
+
+        test('reports each target on its own', () => {
+            expect(SlaService.getStatus(caseRow, thresholds, now, SLA_TYPES.RESPONSE)).toBe(SLA_STATUS.MET);
+            expect(SlaService.getStatus({ ...caseRow, sla_responded_at: null }, thresholds, now, SLA_TYPES.RESPONSE))
+                .toBe(SLA_STATUS.OVERDUE);
+        });
+
+        test('a paused case is paused unless it was overdue when paused', () => {
+            expect(SlaService.getStatus({ ...caseRow, sla_paused_at: new Date('2026-03-04T11:00:00Z') }, thresholds, now))
+                .toBe(SLA_STATUS.PAUSED);
+            expect(SlaService.getStatus({ ...caseRow, sla_paused_at: new Date('2026-03-04T14:00:00Z') }, thresholds, new Date('2026-03-04T15:00:00Z')))
+                .toBe(SLA_STATUS.OVERDUE);
+        });
+
+        test('counts the at-risk threshold in working hours on the calendar', () => {
+            const friday = new Date('2026-03-06T16:00:00Z');
+            // 1.5 working hours away, but over two days on the clock
+            const mondayMorning = { ...caseRow, sla_due_at: new Date('2026-03-09T09:30:00Z') };
+            const mondayLater = { ...caseRow, sla_due_at: new Date('2026-03-09T10:30:00Z') };
+
+            expect(SlaService.getStatus(mondayMorning, thresholds, friday, SLA_TYPES.RESOLUTION, businessHours()))
+                .toBe(SLA_STATUS.AT_RISK);
+            expect(SlaService.getStatus(mondayLater, thresholds, friday, SLA_TYPES.RESOLUTION, businessHours()))
+                .toBe(SLA_STATUS.ON_TRACK);
+            expect(SlaService.getStatus(mondayMorning, thresholds, friday)).toBe(SLA_STATUS.ON_TRACK);
+        });
+
+        test('filters and narrows down on the same working-hours boundaries', () => {
+            const friday = new Date('2026-03-06T16:00:00Z');
+            const params = [];
+
+            const sql = SlaService.getStatusCondition(
+                [SLA_STATUS.AT_RISK], thresholds, params, friday, SLA_TYPES.RESOLUTION, { IT: businessHours(), HR: null }
+            );
+
+            expect(sql).toMatch(/CASE c\.category WHEN \$(\d+) THEN CASE c\.priority/);
+            expect(params[Number(sql.match(/CASE c\.category WHEN \$(\d+)/)[1]) - 1]).toBe('IT');
+            expect(params).not.toContain('HR');
+            expect(params).toContainEqual(SlaService.getAtRiskBefore(PRIORITY.HIGH, thresholds, friday, businessHours()));
+            expect(params).toContainEqual(new Date('2026-03-09T10:00:00Z'));
+            expect(params).toContainEqual(new Date('2026-03-06T18:00:00Z'));
+            // Low's 12 hours end on Tuesday on business hours, Saturday on the clock
+            expect(SlaService.getAtRiskHorizon(thresholds, friday, { IT: businessHours(), HR: null }))
+                .toEqual(new Date('2026-03-10T12:00:00Z'));
+            expect(SlaService.getAtRiskHorizon(thresholds, friday)).toEqual(new Date('2026-03-07T04:00:00Z'));
+        });
+
+        test('a case without a due date has no status', () => {
+            expect(SlaService.getStatus({ ...caseRow, sla_due_at: null }, thresholds, now)).toBeNull();
+        });
+
+        test('stored thresholds override the defaults', async () => {
+            db.query.mockReset();
+            db.query.mockResolvedValueOnce({ rows: [{ priority: PRIORITY.LOW, at_risk_hours: '24.00' }] });
+
+            expect(await SlaService.getThresholds()).toEqual({ ...SLA_AT_RISK_DEFAULTS, [PRIORITY.LOW]: 24 });
+        });
+    });
+});
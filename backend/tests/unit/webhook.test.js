@@ -0,0 +1,178 @@
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+
+const db = require('../../src/config/db');
+const AuditService = require('../../src/services/audit.service');
+const WebhookService = require('../../src/services/webhook.service');
+const { AUDIT_ACTIONS, WEBHOOK_DELIVERY_STATUS } = require('../../src/config/constants');
+
+const NOW = new Date('2026-03-04T12:00:00Z');
+const SECOND_MS = 1000;
+
+const delivery = (overrides = {}) => ({
+    id: 31,
+    subscription_id: 2,
+    event: 'case.status_changed',
+    payload: { id: 900, event: 'case.status_changed', case: { id: 4, category: 'IT' } },
+    status: WEBHOOK_DELIVERY_STATUS.PENDING,
+    attempts: 1,
+    url: 'https://chat.example.com/hooks/wacms',
+    secret: 's3cret',
+    ...overrides
+});
+
+/**
+ * In-memory webhook_deliveries; claim hands out every due pending row
+ */
+const fakeQueue = (rows) => {
+    const deliveries = new Map(rows.map(row => [row.id, { ...row }]));
+
+    db.query.mockImplementation(async (text, params) => {
+        if (text.includes('SET attempts = d.attempts + 1')) {
+            const [now, leaseUntil, status] = params;
+            const due = [...deliveries.values()].filter(d => d.status === status && d.next_attempt_at <= now);
+            for (const row of due) {
+                Object.assign(row, { attempts: row.attempts + 1, next_attempt_at: leaseUntil });
+            }
+            return { rows: due.map(row => ({ ...row })) };
+        }
+        if (text.includes('SET status = $2')) {
+            const [id, status, nextAttemptAt, responseStatus, error] = params;
+            Object.assign(deliveries.get(id), {
+                status,
+                next_attempt_at: nextAttemptAt,
+                response_status: responseStatus,
+                last_error: error,
+                delivered_at: status === WEBHOOK_DELIVERY_STATUS.DELIVERED ? nextAttemptAt : null
+            });
+            return { rows: [{ ...deliveries.get(id) }] };
+        }
+        throw new Error(`Unexpected query: ${text}`);
+    });
+
+    return deliveries;
+};
+
+describe('WebhookService', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        db.query.mockReset();
+        fetchMock = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('enqueue', () => {
+        test('audited case actions are queued in the audit entry\'s transaction', async () => {
+            const client = { query: jest.fn() };
+            const entry = {
+                id: 900,
+                case_id: 4,
+                action: AUDIT_ACTIONS.STATUS_CHANGED,
+                previous_status: 'In Progress',
+                new_status: 'Closed',
+                performed_by: 5,
+                timestamp: NOW
+            };
+            client.query
+                .mockResolvedValueOnce({ rows: [entry] })
+                .mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+            await AuditService.logStatusChange(4, 'In Progress', 'Closed', 5, {}, client);
+
+            const [sql, params] = client.query.mock.calls[1];
+            expect(sql).toContain('INSERT INTO webhook_deliveries');
+            expect(params[0]).toBe('case.status_changed');
+            expect(params[1]).toBe(900);
+            expect(JSON.parse(params[3])).toMatchObject({ previousStatus: 'In Progress', newStatus: 'Closed', performedBy: 5 });
+            expect(params[4]).toBe(4);
+            expect(db.query).not.toHaveBeenCalled();
+        });
+
+        test('imports and attachment changes are queued as their own events', async () => {
+            const client = { query: jest.fn(async (sql, params) => (
+                sql.includes('INSERT INTO case_audit_log')
+                    ? { rows: [{ id: 901, case_id: params[0], action: params[1], timestamp: NOW }] }
+                    : { rows: [], rowCount: 1 }
+            )) };
+
+            await AuditService.logCaseImported(4, 'Created', 2, { importId: 'imp-1', row: 2 }, client);
+            await AuditService.logAttachmentAdded(4, 5, { attachmentId: 7, filename: 'logs.txt' }, client);
+            await AuditService.logAttachmentDeleted(4, 5, { attachmentId: 7, filename: 'logs.txt' }, client);
+
+            const queued = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO webhook_deliveries'));
+            expect(queued.map(([, params]) => params[0])).toEqual(['case.imported', 'attachment.added', 'attachment.deleted']);
+        });
+
+        test('actions without a webhook event and entries without a case are not queued', async () => {
+            expect(await WebhookService.enqueue({ id: 1, case_id: null, action: AUDIT_ACTIONS.CASE_CREATED })).toBe(0);
+            expect(await WebhookService.enqueue({ id: 2, case_id: 4, action: AUDIT_ACTIONS.AUTOMATION_FAILED })).toBe(0);
+            expect(await WebhookService.enqueue({ id: 3, case_id: null, action: AUDIT_ACTIONS.LOGIN_FAILED })).toBe(0);
+            expect(db.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('runOnce', () => {
+        test('posts the payload signed with the subscription\'s secret', async () => {
+            const deliveries = fakeQueue([delivery({ attempts: 0, next_attempt_at: NOW })]);
+            fetchMock.mockResolvedValue({ ok: true, status: 204 });
+
+            const [result] = await WebhookService.runOnce(NOW);
+
+            const [url, request] = fetchMock.mock.calls[0];
+            const timestamp = String(NOW.getTime() / 1000);
+            const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${request.body}`).digest('hex');
+            expect(url).toBe('https://chat.example.com/hooks/wacms');
+            expect(JSON.parse(request.body)).toEqual(delivery().payload);
+            expect(request.headers).toMatchObject({
+                'X-WACMS-Event': 'case.status_changed',
+                'X-WACMS-Delivery': '31',
+                'X-WACMS-Timestamp': timestamp,
+                'X-WACMS-Signature': `sha256=${expected}`
+            });
+            expect(result).toMatchObject({ status: WEBHOOK_DELIVERY_STATUS.DELIVERED, response_status: 204, attempts: 1 });
+            expect(deliveries.get(31).delivered_at).toEqual(NOW);
+        });
+
+        test('retries with exponential backoff and fails after the last attempt', async () => {
+            const deliveries = fakeQueue([delivery({ attempts: 0, next_attempt_at: NOW })]);
+            fetchMock.mockResolvedValue({ ok: false, status: 503 });
+
+            const delays = [];
+            let now = NOW;
+            for (;;) {
+                const [result] = await WebhookService.runOnce(now);
+                if (result.status !== WEBHOOK_DELIVERY_STATUS.PENDING) {
+                    break;
+                }
+                delays.push((result.next_attempt_at - now) / SECOND_MS);
+                now = result.next_attempt_at;
+            }
+
+            expect(delays).toEqual([30, 60, 120, 240, 480, 960, 1920]);
+            expect(fetchMock).toHaveBeenCalledTimes(8);
+            expect(deliveries.get(31)).toMatchObject({
+                status: WEBHOOK_DELIVERY_STATUS.FAILED,
+                attempts: 8,
+                response_status: 503,
+                last_error: 'Responded with 503'
+            });
+        });
+
+        test('a receiver that cannot be reached is retried like an error response', async () => {
+            fakeQueue([delivery({ attempts: 0, next_attempt_at: NOW })]);
+            fetchMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND chat.example.com'));
+
+            const [result] = await WebhookService.runOnce(NOW);
+
+            expect(result).toMatchObject({
+                status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                response_status: null,
+                last_error: 'getaddrinfo ENOTFOUND chat.example.com',
+                next_attempt_at: new Date(NOW.getTime() + 30 * SECOND_MS)
+            });
+        });
+    });
+});
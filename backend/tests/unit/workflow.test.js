@@ -1,5 +1,5 @@
 const WorkflowService = require('../../src/services/workflow.service');
-const { STATUS, ROLES } = require('../../src/config/constants');
+const { STATUS, ROLES, CATEGORY, CATEGORY_WORKFLOWS } = require('../../src/config/constants');
 
 describe('WorkflowService', () => {
     describe('canTransition', () => {
@@ -29,6 +29,11 @@ describe('WorkflowService', () => {
             expect(result.valid).toBe(true);
         });
 
+        test('Analyst can put a case on hold for the requester and resume it', () => {
+            expect(WorkflowService.canTransition(STATUS.IN_PROGRESS, STATUS.PENDING_REQUESTER, ROLES.ANALYST).valid).toBe(true);
+            expect(WorkflowService.canTransition(STATUS.PENDING_REQUESTER, STATUS.IN_PROGRESS, ROLES.ANALYST).valid).toBe(true);
+        });
+
         // Invalid transitions - wrong role
         test('Requester cannot assign cases', () => {
             const result = WorkflowService.canTransition(STATUS.CREATED, STATUS.ASSIGNED, ROLES.REQUESTER);
@@ -93,15 +98,263 @@ describe('WorkflowService', () => {
         });
     });
 
-    describe('canAssign', () => {
-        test('Can assign cases in Created status', () => {
-            expect(WorkflowService.canAssign(STATUS.CREATED)).toBe(true);
+    describe('validateTransitionRequirements', () => {
+        test('Requires an assignee before Assigned', () => {
+            const result = WorkflowService.validateTransitionRequirements(
+                { status: STATUS.CREATED, assigned_to: null },
+                STATUS.ASSIGNED
+            );
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toContain('assignee');
+        });
+
+        test('Requires a comment before Under Review', () => {
+            const caseData = { status: STATUS.IN_PROGRESS, assigned_to: 1 };
+            expect(WorkflowService.validateTransitionRequirements(caseData, STATUS.UNDER_REVIEW).valid).toBe(false);
+            expect(WorkflowService.validateTransitionRequirements(caseData, STATUS.UNDER_REVIEW, { commentCount: 1 }).valid).toBe(true);
+        });
+
+        test('Requires a resolution summary before Closed', () => {
+            const caseData = { status: STATUS.UNDER_REVIEW, assigned_to: 1 };
+            const missing = WorkflowService.validateTransitionRequirements(caseData, STATUS.CLOSED, {
+                fields: { resolutionSummary: '   ' }
+            });
+            expect(missing.valid).toBe(false);
+            expect(missing.errors).toContain('Resolution summary is required');
+
+            const provided = WorkflowService.validateTransitionRequirements(caseData, STATUS.CLOSED, {
+                fields: { resolutionSummary: ' Replaced the VPN certificate ' }
+            });
+            expect(provided.valid).toBe(true);
+            expect(provided.fields).toEqual({ resolutionSummary: 'Replaced the VPN certificate' });
+        });
+
+        test('Keeps only the fields a guard asks for', () => {
+            const result = WorkflowService.validateTransitionRequirements(
+                { status: STATUS.UNDER_REVIEW, assigned_to: 1 },
+                STATUS.IN_PROGRESS,
+                { fields: { reworkReason: 'Missing logs', extra: 'ignored' } }
+            );
+            expect(result.valid).toBe(true);
+            expect(result.fields).toEqual({ reworkReason: 'Missing logs' });
+        });
+
+        test('Passes transitions without guards', () => {
+            const result = WorkflowService.validateTransitionRequirements(
+                { status: STATUS.ASSIGNED, assigned_to: 1 },
+                STATUS.IN_PROGRESS
+            );
+            expect(result.valid).toBe(true);
+        });
+    });
+
+    describe('getRequiredFields', () => {
+        test('Lists the fields of each transition from Under Review', () => {
+            const required = WorkflowService.getRequiredFields(STATUS.UNDER_REVIEW);
+            expect(required[STATUS.CLOSED]).toEqual([{ field: 'resolutionSummary', label: 'Resolution summary' }]);
+            expect(required[STATUS.IN_PROGRESS]).toEqual([{ field: 'reworkReason', label: 'Rework reason' }]);
+        });
+
+        test('Omits transitions without field guards', () => {
+            expect(WorkflowService.getRequiredFields(STATUS.CREATED)).toEqual({});
+        });
+    });
+
+    describe('custom transition maps', () => {
+        const onHoldTransitions = {
+            [STATUS.IN_PROGRESS]: {
+                'On Hold': [ROLES.ANALYST],
+                [STATUS.UNDER_REVIEW]: [ROLES.ANALYST]
+            },
+            'On Hold': {
+                [STATUS.IN_PROGRESS]: [ROLES.ANALYST, ROLES.MANAGER]
+            }
+        };
+
+        test('Allows transitions defined only in the custom map', () => {
+            const result = WorkflowService.canTransition(STATUS.IN_PROGRESS, 'On Hold', ROLES.ANALYST, onHoldTransitions);
+            expect(result.valid).toBe(true);
+        });
+
+        test('Rejects default transitions missing from the custom map', () => {
+            const result = WorkflowService.canTransition(STATUS.CREATED, STATUS.ASSIGNED, ROLES.MANAGER, onHoldTransitions);
+            expect(result.valid).toBe(false);
+        });
+
+        test('Lists available transitions from the custom map', () => {
+            const transitions = WorkflowService.getAvailableTransitions('On Hold', ROLES.MANAGER, onHoldTransitions);
+            expect(transitions).toEqual([STATUS.IN_PROGRESS]);
+        });
+    });
+
+    describe('category workflows', () => {
+        const itTransitions = CATEGORY_WORKFLOWS[CATEGORY.IT].transitions;
+        const complianceTransitions = CATEGORY_WORKFLOWS[CATEGORY.COMPLIANCE].transitions;
+
+        test('IT incidents close straight from In Progress', () => {
+            const result = WorkflowService.canTransition(STATUS.IN_PROGRESS, STATUS.CLOSED, ROLES.ANALYST, itTransitions);
+            expect(result.valid).toBe(true);
+        });
+
+        test('IT incidents have no review stage', () => {
+            const transitions = WorkflowService.getAvailableTransitions(STATUS.IN_PROGRESS, ROLES.ANALYST, itTransitions);
+            expect(transitions).not.toContain(STATUS.UNDER_REVIEW);
+        });
+
+        test('Compliance cases cannot close from Under Review', () => {
+            const result = WorkflowService.canTransition(STATUS.UNDER_REVIEW, STATUS.CLOSED, ROLES.MANAGER, complianceTransitions);
+            expect(result.valid).toBe(false);
+        });
+
+        test('Compliance cases close only after legal sign-off', () => {
+            const transitions = WorkflowService.getAvailableTransitions(STATUS.LEGAL_SIGN_OFF, ROLES.ADMIN, complianceTransitions);
+            expect(transitions).toContain(STATUS.CLOSED);
+        });
+    });
+
+    describe('getStateOnAssignment', () => {
+        const workflow = {
+            initialState: 'New',
+            assignedState: 'Triage',
+            transitions: { New: { Triage: [ROLES.MANAGER] }, Triage: { Done: [ROLES.ANALYST] } }
+        };
+
+        test('Moves a case in the initial state to the workflow\'s assigned state', () => {
+            expect(WorkflowService.getStateOnAssignment(workflow, 'New')).toBe('Triage');
         });
 
-        test('Cannot assign cases in other statuses', () => {
-            expect(WorkflowService.canAssign(STATUS.ASSIGNED)).toBe(false);
-            expect(WorkflowService.canAssign(STATUS.IN_PROGRESS)).toBe(false);
-            expect(WorkflowService.canAssign(STATUS.CLOSED)).toBe(false);
+        test('Keeps the status past the initial state or without an assigned state', () => {
+            expect(WorkflowService.getStateOnAssignment(workflow, 'Triage')).toBeNull();
+            expect(WorkflowService.getStateOnAssignment({ ...workflow, assignedState: null }, 'New')).toBeNull();
+        });
+    });
+
+    describe('validateDefinition', () => {
+        const states = [
+            { name: STATUS.CREATED, isInitial: true },
+            { name: 'On Hold' },
+            { name: STATUS.CLOSED, isFinal: true }
+        ];
+
+        test('Accepts a well-formed definition', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: {
+                    [STATUS.CREATED]: { 'On Hold': [ROLES.MANAGER] },
+                    'On Hold': { [STATUS.CLOSED]: [ROLES.MANAGER, ROLES.ADMIN] }
+                }
+            });
+            expect(result.valid).toBe(true);
+        });
+
+        test('Rejects transitions to unknown states', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CREATED]: { Archived: [ROLES.ADMIN] } }
+            });
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Unknown target state: Archived');
+        });
+
+        test('Rejects invalid roles', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CREATED]: { 'On Hold': ['superuser'] } }
+            });
+            expect(result.valid).toBe(false);
+        });
+
+        test('Requires exactly one initial state', () => {
+            const result = WorkflowService.validateDefinition({
+                states: [{ name: STATUS.CREATED }, { name: STATUS.CLOSED, isFinal: true }],
+                transitions: {}
+            });
+            expect(result.errors).toContain('Exactly one initial state is required');
+        });
+
+        test('Only intermediate states can pause the SLA', () => {
+            const transitions = {
+                [STATUS.CREATED]: { 'On Hold': [ROLES.MANAGER] },
+                'On Hold': { [STATUS.CLOSED]: [ROLES.MANAGER] }
+            };
+
+            expect(WorkflowService.validateDefinition({
+                states: [states[0], { name: 'On Hold', pausesSla: true }, states[2]],
+                transitions
+            }).valid).toBe(true);
+
+            const result = WorkflowService.validateDefinition({
+                states: [states[0], states[1], { name: STATUS.CLOSED, isFinal: true, pausesSla: true }],
+                transitions
+            });
+            expect(result.errors).toContain(`State '${STATUS.CLOSED}' cannot pause the SLA: only intermediate states can`);
+        });
+
+        test('The initial state cannot record the first response', () => {
+            const transitions = {
+                [STATUS.CREATED]: { Triage: [ROLES.MANAGER] },
+                Triage: { [STATUS.CLOSED]: [ROLES.MANAGER] }
+            };
+
+            expect(WorkflowService.validateDefinition({
+                states: [states[0], { name: 'Triage', recordsResponse: true }, { ...states[2], recordsResponse: true }],
+                transitions
+            }).valid).toBe(true);
+
+            const result = WorkflowService.validateDefinition({
+                states: [{ ...states[0], recordsResponse: true }, { name: 'Triage' }, states[2]],
+                transitions
+            });
+            expect(result.errors).toContain(`State '${STATUS.CREATED}' cannot record the first response: it is the initial state`);
+        });
+
+        test('The assigned state must follow the initial state', () => {
+            const transitions = {
+                [STATUS.CREATED]: { Triage: [ROLES.MANAGER] },
+                Triage: { [STATUS.CLOSED]: [ROLES.MANAGER] }
+            };
+            const triageStates = [states[0], { name: 'Triage' }, states[2]];
+
+            expect(WorkflowService.validateDefinition({ states: triageStates, transitions, assignedState: 'Triage' }).valid).toBe(true);
+            expect(WorkflowService.validateDefinition({ states: triageStates, transitions, assignedState: STATUS.CLOSED }).errors)
+                .toContain(`Assigned state '${STATUS.CLOSED}' must be a transition target of the initial state`);
+        });
+
+        test('Rejects guards on transitions that do not exist', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CREATED]: { 'On Hold': [ROLES.MANAGER] } },
+                guards: { [STATUS.CREATED]: { [STATUS.CLOSED]: [{ type: 'has_assignee' }] } }
+            });
+            expect(result.valid).toBe(false);
+        });
+
+        test('Rejects unknown guard types', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CREATED]: { 'On Hold': [ROLES.MANAGER] } },
+                guards: { [STATUS.CREATED]: { 'On Hold': [{ type: 'manager_mood' }] } }
+            });
+            expect(result.valid).toBe(false);
+        });
+
+        test('Rejects invalid automation actions', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CREATED]: { 'On Hold': [ROLES.MANAGER] } },
+                actions: { [STATUS.CREATED]: { 'On Hold': [{ type: 'set_priority', priority: 'Urgent' }] } },
+                creationActions: [{ type: 'auto_assign' }]
+            });
+            expect(result.valid).toBe(false);
+            expect(result.errors).toHaveLength(1);
+        });
+
+        test('Rejects outgoing transitions from final states', () => {
+            const result = WorkflowService.validateDefinition({
+                states,
+                transitions: { [STATUS.CLOSED]: { 'On Hold': [ROLES.ADMIN] } }
+            });
+            expect(result.valid).toBe(false);
         });
     });
 });
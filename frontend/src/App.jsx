@@ -7,6 +7,8 @@ import Dashboard from './pages/Dashboard';
 import Cases from './pages/Cases';
 import CaseDetail from './pages/CaseDetail';
 import NewCase from './pages/NewCase';
+import Users from './pages/Users';
+import UserDetail from './pages/UserDetail';
 
 // Components
 import Layout from './components/Layout';
@@ -42,6 +44,8 @@ function App() {
                                 <Route path="/cases" element={<Cases />} />
                                 <Route path="/cases/new" element={<NewCase />} />
                                 <Route path="/cases/:id" element={<CaseDetail />} />
+                                <Route path="/users" element={<Users />} />
+                                <Route path="/users/:id" element={<UserDetail />} />
                             </Routes>
                         </Layout>
                     </PrivateRoute>
@@ -1,7 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { notificationsAPI } from '../services/api';
 import './Layout.css';
 
+// How often the unread badge is refreshed
+const UNREAD_POLL_MS = 30000;
+
+const NOTIFICATION_TYPE_LABELS = {
+    case_assigned: 'Cases assigned to me',
+    status_changed: 'Status changes',
+    comment_added: 'New comments',
+    case_update: 'Case updates',
+    sla_at_risk: 'SLA at risk',
+    sla_breached: 'SLA breaches'
+};
+
+function NotificationBell() {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [showPreferences, setShowPreferences] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [preferences, setPreferences] = useState(null);
+
+    const loadUnreadCount = useCallback(async () => {
+        try {
+            const response = await notificationsAPI.getUnreadCount();
+            setUnreadCount(response.data.unreadCount);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadUnreadCount();
+        const interval = setInterval(loadUnreadCount, UNREAD_POLL_MS);
+        return () => clearInterval(interval);
+    }, [loadUnreadCount]);
+
+    const loadNotifications = async () => {
+        try {
+            const response = await notificationsAPI.list({ limit: 20 });
+            setNotifications(response.data.notifications);
+            setUnreadCount(response.data.unreadCount);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    };
+
+    const handleToggle = () => {
+        if (!open) {
+            loadNotifications();
+        }
+        setShowPreferences(false);
+        setOpen(!open);
+    };
+
+    const handleOpenNotification = async (notification) => {
+        try {
+            if (!notification.read_at) {
+                const response = await notificationsAPI.markRead(notification.id);
+                setUnreadCount(response.data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Failed to mark notification read:', error);
+        }
+        setOpen(false);
+        if (notification.case_id) {
+            navigate(`/cases/${notification.case_id}`);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await notificationsAPI.markAllRead();
+            setUnreadCount(0);
+            setNotifications(notifications.map(n => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+        } catch (error) {
+            console.error('Failed to mark notifications read:', error);
+        }
+    };
+
+    const handleShowPreferences = async () => {
+        try {
+            const response = await notificationsAPI.getPreferences();
+            setPreferences(response.data.preferences);
+            setShowPreferences(true);
+        } catch (error) {
+            console.error('Failed to load notification preferences:', error);
+        }
+    };
+
+    const handleTogglePreference = async (type) => {
+        try {
+            const response = await notificationsAPI.savePreferences({ [type]: !preferences[type] });
+            setPreferences(response.data.preferences);
+        } catch (error) {
+            console.error('Failed to save notification preferences:', error);
+        }
+    };
+
+    return (
+        <div className="notification-bell">
+            <button
+                className="bell-button"
+                onClick={handleToggle}
+                title="Notifications"
+                aria-label={`Notifications (${unreadCount} unread)`}
+            >
+                🔔
+                {unreadCount > 0 && (
+                    <span className="bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {open && (
+                <div className="notification-panel">
+                    <div className="notification-panel-header">
+                        <span className="notification-panel-title">
+                            {showPreferences ? 'Notify me about' : 'Notifications'}
+                        </span>
+                        {showPreferences ? (
+                            <button className="notification-link" onClick={() => setShowPreferences(false)}>
+                                Back
+                            </button>
+                        ) : (
+                            <div className="notification-actions">
+                                {unreadCount > 0 && (
+                                    <button className="notification-link" onClick={handleMarkAllRead}>
+                                        Mark all read
+                                    </button>
+                                )}
+                                <button className="notification-link" onClick={handleShowPreferences}>
+                                    Settings
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    {showPreferences ? (
+                        <div className="notification-preferences">
+                            {Object.entries(NOTIFICATION_TYPE_LABELS).map(([type, label]) => (
+                                <label key={type} className="notification-preference">
+                                    <input
+                                        type="checkbox"
+                                        checked={preferences?.[type] ?? true}
+                                        onChange={() => handleTogglePreference(type)}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    ) : notifications.length === 0 ? (
+                        <div className="notification-empty">No notifications</div>
+                    ) : (
+                        <ul className="notification-list">
+                            {notifications.map(notification => (
+                                <li
+                                    key={notification.id}
+                                    className={`notification-item ${notification.read_at ? '' : 'unread'}`}
+                                    onClick={() => handleOpenNotification(notification)}
+                                >
+                                    <div className="notification-message">{notification.message}</div>
+                                    <div className="notification-time">
+                                        {new Date(notification.created_at).toLocaleString()}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
 export default function Layout({ children }) {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
@@ -19,6 +193,7 @@ export default function Layout({ children }) {
                         <span className="logo-icon">⚡</span>
                         <span className="logo-text">WACMS</span>
                     </div>
+                    <NotificationBell />
                 </div>
 
                 <nav className="sidebar-nav">
@@ -34,6 +209,12 @@ export default function Layout({ children }) {
                         <span className="nav-icon">➕</span>
                         New Case
                     </NavLink>
+                    {user?.role === 'admin' && (
+                        <NavLink to="/users" className="nav-link">
+                            <span className="nav-icon">👥</span>
+                            Users
+                        </NavLink>
+                    )}
                 </nav>
 
                 <div className="sidebar-footer">
@@ -1,9 +1,58 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { casesAPI, usersAPI } from '../services/api';
+import { casesAPI, usersAPI, attachmentsAPI, subscribeToEvents } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { isSlaBreached } from '../utils/sla';
 import './CaseDetail.css';
 
+const EDITABLE_FIELDS = [
+    { field: 'title', label: 'Title' },
+    { field: 'description', label: 'Description' },
+    { field: 'category', label: 'Category' },
+    { field: 'priority', label: 'Priority' }
+];
+
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    priority: 'Priority',
+    sla_response_due_at: 'First response due',
+    sla_due_at: 'SLA due',
+    status: 'Status',
+    assigned_to: 'Assignee'
+};
+
+const AUDIT_ACTION_LABELS = {
+    CASE_CREATED: 'created the case',
+    CASE_IMPORTED: 'imported the case',
+    STATUS_CHANGED: 'changed the status',
+    CASE_ASSIGNED: 'changed the assignee',
+    CASE_UPDATED: 'edited the case',
+    COMMENT_ADDED: 'added a comment',
+    AUTOMATION_EXECUTED: 'ran an automation',
+    AUTOMATION_FAILED: 'had an automation fail',
+    SLA_BREACHED: 'recorded an SLA breach',
+    ATTACHMENT_ADDED: 'attached a file',
+    ATTACHMENT_DELETED: 'deleted an attachment'
+};
+
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatAuditValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'sla_due_at' || field === 'sla_response_due_at') return new Date(value).toLocaleString();
+    return String(value);
+};
+
+const pickEditable = (data) => Object.fromEntries(
+    EDITABLE_FIELDS.map(({ field }) => [field, data[field] || ''])
+);
+
 export default function CaseDetail() {
     const { id } = useParams();
     const navigate = useNavigate();
@@ -15,26 +64,67 @@ export default function CaseDetail() {
     const [newComment, setNewComment] = useState('');
     const [loading, setLoading] = useState(true);
     const [actionLoading, setActionLoading] = useState(false);
+    const [pendingTransition, setPendingTransition] = useState(null);
+    const [transitionFields, setTransitionFields] = useState({});
+    const [etag, setEtag] = useState(null);
+    const [editBase, setEditBase] = useState(null);
+    const [editForm, setEditForm] = useState(null);
+    const [conflict, setConflict] = useState(null);
+    const [auditTrail, setAuditTrail] = useState([]);
+    const [attachments, setAttachments] = useState([]);
+    const [attachmentLimits, setAttachmentLimits] = useState(null);
+    const [commentFiles, setCommentFiles] = useState([]);
+    const [uploading, setUploading] = useState(false);
+    const caseFileInput = useRef(null);
+    const commentFileInput = useRef(null);
 
     const isManager = ['manager', 'admin'].includes(user?.role);
     const isAnalyst = user?.role === 'analyst';
+    const canEdit = caseData && (
+        isManager || caseData.created_by === user?.id || caseData.assigned_to === user?.id
+    );
 
     useEffect(() => {
         loadCase();
     }, [id]);
 
+    // Live handlers read the latest state without resubscribing on every render
+    const live = useRef({});
+    live.current = { caseData, editing: editForm !== null, loadCase };
+
+    useEffect(() => subscribeToEvents({
+        'case.changed': ({ case: changed }) => {
+            const { caseData: current, editing } = live.current;
+            // An open edit keeps its version so saving still reports the conflict
+            if (!current || changed.id !== current.id || changed.version <= current.version || editing) return;
+            live.current.loadCase();
+        },
+        'comment.added': ({ caseId, comment }) => {
+            if (caseId !== live.current.caseData?.id) return;
+            setComments(prev => (prev.some(c => c.id === comment.id) ? prev : [comment, ...prev]));
+        }
+    }), [id]);
+
     const loadCase = async () => {
         try {
-            const [caseRes, commentsRes] = await Promise.all([
+            const [caseRes, commentsRes, attachmentsRes] = await Promise.all([
                 casesAPI.get(id),
-                casesAPI.getComments(id)
+                casesAPI.getComments(id),
+                attachmentsAPI.list(id)
             ]);
             setCaseData(caseRes.data.case);
+            setEtag(caseRes.headers.etag || `"${caseRes.data.case.version}"`);
             setComments(commentsRes.data.comments);
+            setAttachments(attachmentsRes.data.attachments);
+            setAttachmentLimits(attachmentsRes.data);
 
             if (isManager) {
-                const analystsRes = await usersAPI.getAnalysts();
+                const [analystsRes, auditRes] = await Promise.all([
+                    usersAPI.getAnalysts(),
+                    casesAPI.getAudit(id)
+                ]);
                 setAnalysts(analystsRes.data.analysts);
+                setAuditTrail(auditRes.data.audit);
             }
         } catch (error) {
             console.error('Failed to load case:', error);
@@ -44,24 +134,116 @@ export default function CaseDetail() {
         }
     };
 
-    const handleStatusTransition = async (newStatus) => {
+    // A 409 carrying the case means someone else changed it since we loaded it
+    const isVersionConflict = (error) =>
+        error.response?.status === 409 && Boolean(error.response.data?.case);
+
+    const reloadAfterConflict = async () => {
+        alert('This case was changed by someone else. The latest version has been loaded.');
+        setPendingTransition(null);
+        await loadCase();
+    };
+
+    const startEditing = () => {
+        const base = pickEditable(caseData);
+        setEditBase(base);
+        setEditForm(base);
+        setConflict(null);
+    };
+
+    const stopEditing = () => {
+        setEditBase(null);
+        setEditForm(null);
+        setConflict(null);
+    };
+
+    const submitEdit = async (changes, version) => {
+        setActionLoading(true);
+        try {
+            await casesAPI.update(id, changes, version);
+            stopEditing();
+            await loadCase();
+        } catch (error) {
+            if (isVersionConflict(error)) {
+                setConflict(error.response.data.case);
+            } else {
+                alert(error.response?.data?.error || 'Failed to update case');
+            }
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    // Only send the fields this user changed so other edits are left alone
+    const getMyChanges = () => Object.fromEntries(
+        EDITABLE_FIELDS
+            .filter(({ field }) => editForm[field] !== editBase[field])
+            .map(({ field }) => [field, editForm[field]])
+    );
+
+    const handleEditSubmit = (e) => {
+        e.preventDefault();
+        const changes = getMyChanges();
+        if (Object.keys(changes).length === 0) {
+            stopEditing();
+            return;
+        }
+        submitEdit(changes, etag);
+    };
+
+    // Re-apply my changes on top of the version that won the race
+    const handleMerge = () => {
+        submitEdit(getMyChanges(), `"${conflict.version}"`);
+    };
+
+    const handleDiscard = async () => {
+        stopEditing();
+        await loadCase();
+    };
+
+    const handleStatusTransition = (newStatus) => {
+        // Ask for the fields this transition requires before submitting
+        if (caseData.transitionFields?.[newStatus]?.length > 0) {
+            setPendingTransition(newStatus);
+            setTransitionFields({});
+            return;
+        }
+        submitStatusTransition(newStatus);
+    };
+
+    const submitStatusTransition = async (newStatus, fields) => {
         setActionLoading(true);
         try {
-            await casesAPI.updateStatus(id, newStatus);
+            await casesAPI.updateStatus(id, newStatus, fields, etag);
+            setPendingTransition(null);
             await loadCase();
         } catch (error) {
-            alert(error.response?.data?.reason || 'Failed to update status');
+            if (isVersionConflict(error)) {
+                await reloadAfterConflict();
+                return;
+            }
+            const data = error.response?.data;
+            alert(data?.reason || data?.errors?.map(e => e.msg || e).join('\n') || 'Failed to update status');
         } finally {
             setActionLoading(false);
         }
     };
 
+    const handleTransitionSubmit = (e) => {
+        e.preventDefault();
+        submitStatusTransition(pendingTransition, transitionFields);
+    };
+
     const handleAssign = async (assigneeId) => {
         setActionLoading(true);
         try {
-            await casesAPI.assign(id, parseInt(assigneeId));
+            await casesAPI.assign(id, parseInt(assigneeId), etag);
             await loadCase();
         } catch (error) {
+            if (isVersionConflict(error)) {
+                await reloadAfterConflict();
+                return;
+            }
             alert(error.response?.data?.error || 'Failed to assign case');
         } finally {
             setActionLoading(false);
@@ -73,8 +255,13 @@ export default function CaseDetail() {
         if (!newComment.trim()) return;
 
         try {
-            await casesAPI.addComment(id, newComment);
+            const added = await casesAPI.addComment(id, newComment);
             setNewComment('');
+            if (commentFiles.length > 0) {
+                await uploadFiles(commentFiles, added.data.comment.id);
+                setCommentFiles([]);
+                commentFileInput.current.value = '';
+            }
             const res = await casesAPI.getComments(id);
             setComments(res.data.comments);
         } catch (error) {
@@ -82,12 +269,80 @@ export default function CaseDetail() {
         }
     };
 
+    const uploadFiles = async (files, commentId) => {
+        setUploading(true);
+        try {
+            await attachmentsAPI.upload(id, files, commentId);
+        } catch (error) {
+            alert(error.response?.data?.error || 'Failed to upload files');
+        } finally {
+            const res = await attachmentsAPI.list(id);
+            setAttachments(res.data.attachments);
+            setUploading(false);
+        }
+    };
+
+    const handleAttachFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length > 0) {
+            await uploadFiles(files);
+        }
+    };
+
+    const handleDownload = async (attachment) => {
+        try {
+            const res = await attachmentsAPI.download(id, attachment.id);
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert('Failed to download file');
+        }
+    };
+
+    const handleDeleteAttachment = async (attachment) => {
+        if (!confirm(`Delete ${attachment.filename}?`)) return;
+        try {
+            await attachmentsAPI.delete(id, attachment.id);
+            setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+        } catch (error) {
+            alert(error.response?.data?.error || 'Failed to delete attachment');
+        }
+    };
+
+    const renderAttachment = (attachment) => (
+        <li key={attachment.id} className="attachment">
+            <button type="button" className="attachment-name" onClick={() => handleDownload(attachment)}>
+                📎 {attachment.filename}
+            </button>
+            <span className="attachment-meta">
+                {formatFileSize(attachment.size_bytes)} · {attachment.uploaded_by_name}
+            </span>
+            {(isManager || attachment.uploaded_by === user?.id) && (
+                <button
+                    type="button"
+                    className="attachment-delete"
+                    onClick={() => handleDeleteAttachment(attachment)}
+                    title="Delete attachment"
+                >
+                    ×
+                </button>
+            )}
+        </li>
+    );
+
     const getStatusBadgeClass = (status) => {
         const map = {
             'Created': 'badge-created',
             'Assigned': 'badge-assigned',
             'In Progress': 'badge-progress',
             'Under Review': 'badge-review',
+            'Legal Sign-off': 'badge-review',
+            'Pending Requester': 'badge-pending',
             'Closed': 'badge-closed'
         };
         return map[status] || '';
@@ -105,6 +360,10 @@ export default function CaseDetail() {
         return <div className="loading">Case not found</div>;
     }
 
+    const pausedHours = Math.round(
+        (caseData.slaPauses || []).reduce((total, pause) => total + (pause.paused_hours || 0), 0) * 100
+    ) / 100;
+
     return (
         <div className="case-detail fade-in">
             <div className="case-detail-header">
@@ -130,10 +389,108 @@ export default function CaseDetail() {
                 <div className="case-main">
                     {/* Description */}
                     <div className="card">
-                        <h2 className="card-title">Description</h2>
-                        <p className="case-description">
-                            {caseData.description || <span className="text-muted">No description provided</span>}
-                        </p>
+                        <div className="card-title-row">
+                            <h2 className="card-title">{editForm ? 'Edit Case' : 'Description'}</h2>
+                            {canEdit && !editForm && (
+                                <button className="btn btn-ghost" onClick={startEditing}>Edit</button>
+                            )}
+                        </div>
+
+                        {editForm ? (
+                            <form className="edit-form" onSubmit={handleEditSubmit}>
+                                {conflict && (
+                                    <div className="conflict-panel">
+                                        <p className="conflict-message">
+                                            Someone else saved changes to this case while you were editing.
+                                        </p>
+                                        <dl className="conflict-list">
+                                            {EDITABLE_FIELDS
+                                                .filter(({ field }) => (conflict[field] || '') !== editBase[field])
+                                                .map(({ field, label }) => (
+                                                    <div key={field} className="conflict-item">
+                                                        <dt>{label}</dt>
+                                                        <dd>
+                                                            <span className="conflict-theirs">Theirs: {conflict[field] || '—'}</span>
+                                                            <span className="conflict-mine">Yours: {editForm[field] || '—'}</span>
+                                                        </dd>
+                                                    </div>
+                                                ))}
+                                        </dl>
+                                        <div className="transition-form-actions">
+                                            <button type="button" className="btn btn-ghost" onClick={handleDiscard}>
+                                                Reload and discard mine
+                                            </button>
+                                            <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={actionLoading}>
+                                                Apply my changes on top
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+
+                                <div className="form-group">
+                                    <label className="form-label">Title *</label>
+                                    <input
+                                        className="form-input"
+                                        value={editForm.title}
+                                        onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                                        maxLength={255}
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Description</label>
+                                    <textarea
+                                        className="form-textarea"
+                                        value={editForm.description}
+                                        onChange={(e) => setEditForm({ ...editForm, description: e.target.value })}
+                                        rows={6}
+                                    />
+                                </div>
+                                <div className="edit-form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Category</label>
+                                        <select
+                                            className="form-select"
+                                            value={editForm.category}
+                                            onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                                        >
+                                            <option value="IT">IT</option>
+                                            <option value="HR">HR</option>
+                                            <option value="Finance">Finance</option>
+                                            <option value="Compliance">Compliance</option>
+                                            <option value="Other">Other</option>
+                                        </select>
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Priority</label>
+                                        <select
+                                            className="form-select"
+                                            value={editForm.priority}
+                                            onChange={(e) => setEditForm({ ...editForm, priority: e.target.value })}
+                                        >
+                                            <option value="Low">Low</option>
+                                            <option value="Medium">Medium</option>
+                                            <option value="High">High</option>
+                                            <option value="Critical">Critical</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                {!conflict && (
+                                    <div className="transition-form-actions">
+                                        <button type="button" className="btn btn-ghost" onClick={stopEditing}>
+                                            Cancel
+                                        </button>
+                                        <button type="submit" className="btn btn-primary" disabled={actionLoading}>
+                                            Save Changes
+                                        </button>
+                                    </div>
+                                )}
+                            </form>
+                        ) : (
+                            <p className="case-description">
+                                {caseData.description || <span className="text-muted">No description provided</span>}
+                            </p>
+                        )}
                     </div>
 
                     {/* Workflow Actions */}
@@ -152,6 +509,31 @@ export default function CaseDetail() {
                                     </button>
                                 ))}
                             </div>
+
+                            {pendingTransition && (
+                                <form className="transition-form" onSubmit={handleTransitionSubmit}>
+                                    {caseData.transitionFields[pendingTransition].map(({ field, label }) => (
+                                        <div key={field} className="form-group">
+                                            <label className="form-label">{label} *</label>
+                                            <textarea
+                                                className="form-textarea"
+                                                value={transitionFields[field] || ''}
+                                                onChange={(e) => setTransitionFields({ ...transitionFields, [field]: e.target.value })}
+                                                rows={3}
+                                                required
+                                            />
+                                        </div>
+                                    ))}
+                                    <div className="transition-form-actions">
+                                        <button type="button" className="btn btn-ghost" onClick={() => setPendingTransition(null)}>
+                                            Cancel
+                                        </button>
+                                        <button type="submit" className="btn btn-primary" disabled={actionLoading}>
+                                            Confirm {pendingTransition}
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
                         </div>
                     )}
 
@@ -175,6 +557,40 @@ export default function CaseDetail() {
                         </div>
                     )}
 
+                    {/* Attachments */}
+                    <div className="card">
+                        <div className="attachments-header">
+                            <h2 className="card-title">Attachments ({attachments.length})</h2>
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => caseFileInput.current.click()}
+                                disabled={uploading}
+                            >
+                                {uploading ? 'Uploading...' : 'Attach Files'}
+                            </button>
+                            <input
+                                ref={caseFileInput}
+                                type="file"
+                                multiple
+                                hidden
+                                accept={attachmentLimits?.allowedTypes.join(',')}
+                                onChange={handleAttachFiles}
+                            />
+                        </div>
+                        {attachmentLimits && (
+                            <p className="attachments-hint text-muted">
+                                Up to {attachmentLimits.maxFiles} files of {formatFileSize(attachmentLimits.maxFileBytes)} each
+                            </p>
+                        )}
+                        <ul className="attachments-list">
+                            {attachments.map(renderAttachment)}
+                        </ul>
+                        {attachments.length === 0 && (
+                            <p className="text-muted text-center">No attachments yet</p>
+                        )}
+                    </div>
+
                     {/* Comments */}
                     <div className="card">
                         <h2 className="card-title">Comments ({comments.length})</h2>
@@ -187,7 +603,15 @@ export default function CaseDetail() {
                                 onChange={(e) => setNewComment(e.target.value)}
                                 rows={3}
                             />
-                            <button type="submit" className="btn btn-primary" disabled={!newComment.trim()}>
+                            <input
+                                ref={commentFileInput}
+                                type="file"
+                                multiple
+                                className="comment-files"
+                                accept={attachmentLimits?.allowedTypes.join(',')}
+                                onChange={(e) => setCommentFiles([...e.target.files])}
+                            />
+                            <button type="submit" className="btn btn-primary" disabled={!newComment.trim() || uploading}>
                                 Add Comment
                             </button>
                         </form>
@@ -207,6 +631,11 @@ export default function CaseDetail() {
                                         </span>
                                     </div>
                                     <p className="comment-text">{comment.comment}</p>
+                                    {attachments.some(a => a.comment_id === comment.id) && (
+                                        <ul className="attachments-list">
+                                            {attachments.filter(a => a.comment_id === comment.id).map(renderAttachment)}
+                                        </ul>
+                                    )}
                                 </div>
                             ))}
                             {comments.length === 0 && (
@@ -214,6 +643,46 @@ export default function CaseDetail() {
                             )}
                         </div>
                     </div>
+
+                    {/* Change History (Manager only) */}
+                    {isManager && (
+                        <div className="card">
+                            <h2 className="card-title">History</h2>
+                            <ol className="timeline">
+                                {auditTrail.map(entry => (
+                                    <li key={entry.id} className="timeline-entry">
+                                        <div className="timeline-header">
+                                            <span>
+                                                <span className="comment-author">{entry.performed_by ? entry.performed_by_name : 'SLA monitor'}</span>
+                                                {' '}{AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                                                {entry.details?.automated && (
+                                                    <span className="badge timeline-automated">automated</span>
+                                                )}
+                                            </span>
+                                            <span className="comment-time">
+                                                {new Date(entry.timestamp).toLocaleString()}
+                                            </span>
+                                        </div>
+                                        {entry.changes.length > 0 && (
+                                            <ul className="timeline-changes">
+                                                {entry.changes.map(change => (
+                                                    <li key={change.field}>
+                                                        <span className="timeline-field">{FIELD_LABELS[change.field] || change.field}</span>
+                                                        <span className="timeline-from">{formatAuditValue(change.field, change.from)}</span>
+                                                        {' → '}
+                                                        <span className="timeline-to">{formatAuditValue(change.field, change.to)}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                            {auditTrail.length === 0 && (
+                                <p className="text-muted text-center">No history yet</p>
+                            )}
+                        </div>
+                    )}
                 </div>
 
                 {/* Sidebar */}
@@ -225,6 +694,12 @@ export default function CaseDetail() {
                                 <dt>Category</dt>
                                 <dd>{caseData.category}</dd>
                             </div>
+                            {caseData.workflow && (
+                                <div className="detail-item">
+                                    <dt>Workflow</dt>
+                                    <dd>{caseData.workflow.name} v{caseData.workflow.version}</dd>
+                                </div>
+                            )}
                             <div className="detail-item">
                                 <dt>Created By</dt>
                                 <dd>{caseData.created_by_name}</dd>
@@ -241,11 +716,39 @@ export default function CaseDetail() {
                                 <dt>Last Updated</dt>
                                 <dd>{new Date(caseData.updated_at).toLocaleString()}</dd>
                             </div>
+                            {caseData.sla_response_due_at && (
+                                <div className="detail-item">
+                                    <dt>First Response Due</dt>
+                                    <dd className={isSlaBreached(caseData.sla_response_status, caseData.sla_response_breached_at) ? 'sla-breached' : ''}>
+                                        {new Date(caseData.sla_response_due_at).toLocaleString()}
+                                        {caseData.sla_responded_at && (
+                                            <span className="sla-paused-note">
+                                                {caseData.sla_response_breached_at ? 'Responded late' : 'Responded'} {new Date(caseData.sla_responded_at).toLocaleString()}
+                                            </span>
+                                        )}
+                                    </dd>
+                                </div>
+                            )}
                             {caseData.sla_due_at && (
                                 <div className="detail-item">
                                     <dt>SLA Due</dt>
-                                    <dd className={new Date(caseData.sla_due_at) < new Date() ? 'sla-breached' : ''}>
+                                    <dd className={isSlaBreached(caseData.sla_status, caseData.sla_resolution_breached_at) ? 'sla-breached' : ''}>
                                         {new Date(caseData.sla_due_at).toLocaleString()}
+                                        {caseData.sla_resolved_at && (
+                                            <span className="sla-paused-note">
+                                                {caseData.sla_resolution_breached_at ? 'Resolved late' : 'Resolved'} {new Date(caseData.sla_resolved_at).toLocaleString()}
+                                            </span>
+                                        )}
+                                        {caseData.sla_paused_at && (
+                                            <span className="sla-paused-note">
+                                                ⏸ Paused since {new Date(caseData.sla_paused_at).toLocaleString()}
+                                            </span>
+                                        )}
+                                        {pausedHours > 0 && (
+                                            <span className="sla-paused-note">
+                                                Extended by {pausedHours} working hours of pauses
+                                            </span>
+                                        )}
                                     </dd>
                                 </div>
                             )}
@@ -1,35 +1,141 @@
 import { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
-import { casesAPI } from '../services/api';
+import { casesAPI, usersAPI, viewsAPI } from '../services/api';
+import { getSlaLabel } from '../utils/sla';
+import { useAuth } from '../context/AuthContext';
 import './Cases.css';
 
+// Query parameters that make up a view; see GET /api/cases
+const FILTER_KEYS = [
+    'q', 'status', 'priority', 'category', 'slaStatus', 'assignedTo', 'createdBy',
+    'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo', 'slaDueFrom', 'slaDueTo', 'sort'
+];
+
+const CHECKBOX_FILTERS = [
+    {
+        key: 'status',
+        label: 'Status',
+        options: ['Created', 'Assigned', 'In Progress', 'Under Review', 'Legal Sign-off', 'Pending Requester', 'Closed']
+    },
+    { key: 'priority', label: 'Priority', options: ['Critical', 'High', 'Medium', 'Low'] },
+    { key: 'category', label: 'Category', options: ['IT', 'HR', 'Finance', 'Compliance', 'Other'] },
+    {
+        key: 'slaStatus',
+        label: 'SLA',
+        options: [
+            { value: 'overdue', label: 'Overdue' },
+            { value: 'at_risk', label: 'At risk' },
+            { value: 'paused', label: 'Paused' },
+            { value: 'on_track', label: 'On track' },
+            { value: 'met', label: 'Met' }
+        ]
+    }
+];
+
+const DATE_FILTERS = [
+    { key: 'created', label: 'Created' },
+    { key: 'updated', label: 'Updated' },
+    { key: 'slaDue', label: 'SLA due' }
+];
+
+const SORT_OPTIONS = [
+    { value: 'priority', label: 'Priority' },
+    { value: 'created_at', label: 'Created' },
+    { value: 'updated_at', label: 'Updated' },
+    { value: 'sla_due_at', label: 'SLA due' },
+    { value: 'status', label: 'Status' },
+    { value: 'case_id', label: 'Case ID' },
+    { value: 'title', label: 'Title' },
+    { value: 'assignee', label: 'Assignee' }
+];
+
+// Only what the table shows; descriptions can be long
+const LIST_FIELDS = 'case_id,title,status,priority,category,assigned_to_name,sla_status,created_at';
+
+const splitList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+const optionsOf = (key) => CHECKBOX_FILTERS.find(filter => filter.key === key).options;
+
+/**
+ * Render a search snippet, turning its <mark></mark> markers into highlights
+ * The rest is plain text, so React escapes it.
+ */
+function Highlighted({ text }) {
+    return text.split(/(<mark>.*?<\/mark>)/g).map((part, index) => (
+        part.startsWith('<mark>')
+            ? <mark key={index}>{part.slice(6, -7)}</mark>
+            : part
+    ));
+}
+
 export default function Cases() {
+    const { user } = useAuth();
     const [cases, setCases] = useState([]);
     const [pagination, setPagination] = useState({});
     const [loading, setLoading] = useState(true);
+    const [views, setViews] = useState([]);
+    const [analysts, setAnalysts] = useState([]);
+    const [showFilters, setShowFilters] = useState(false);
+    const [selected, setSelected] = useState(new Set());
+    const [bulkBusy, setBulkBusy] = useState(false);
     const [searchParams, setSearchParams] = useSearchParams();
 
-    const status = searchParams.get('status') || '';
-    const priority = searchParams.get('priority') || '';
+    const isManager = ['manager', 'admin'].includes(user?.role);
+    const filters = Object.fromEntries(
+        FILTER_KEYS.filter(key => searchParams.get(key)).map(key => [key, searchParams.get(key)])
+    );
+    const q = filters.q || '';
+    const [searchText, setSearchText] = useState(q);
     const page = parseInt(searchParams.get('page')) || 1;
+    const activeViewId = parseInt(searchParams.get('view')) || null;
+    const activeFilterCount = Object.keys(filters).filter(key => key !== 'q' && key !== 'sort').length;
+
+    const sortValue = filters.sort || '';
+    const sortDescending = sortValue.startsWith('-');
+    const sortField = sortValue.replace(/^-/, '').split(',')[0];
 
     useEffect(() => {
         loadCases();
-    }, [status, priority, page]);
+    }, [searchParams.toString()]);
+
+    useEffect(() => {
+        setSearchText(q);
+    }, [q]);
+
+    useEffect(() => {
+        loadViews();
+        if (isManager) {
+            usersAPI.getAnalysts()
+                .then(res => setAnalysts(res.data.analysts))
+                .catch(error => console.error('Failed to load analysts:', error));
+        }
+    }, []);
 
     const loadCases = async () => {
         setLoading(true);
         try {
-            const response = await casesAPI.list({ status, priority, page, limit: 10 });
+            const response = await casesAPI.list({ ...filters, fields: LIST_FIELDS, page, limit: 10 });
             setCases(response.data.cases);
             setPagination(response.data.pagination);
+            setSelected(new Set());
         } catch (error) {
             console.error('Failed to load cases:', error);
+            alert(error.response?.data?.errors?.map(e => e.msg).join('\n') || 'Failed to load cases');
         } finally {
             setLoading(false);
         }
     };
 
+    const loadViews = async () => {
+        try {
+            const response = await viewsAPI.list();
+            setViews(response.data.views);
+        } catch (error) {
+            console.error('Failed to load views:', error);
+        }
+    };
+
+    // Changing a filter leaves the saved view it came from and goes back to page 1
     const updateFilter = (key, value) => {
         const params = new URLSearchParams(searchParams);
         if (value) {
@@ -37,16 +143,146 @@ export default function Cases() {
         } else {
             params.delete(key);
         }
-        params.delete('page');
+        if (key !== 'page') {
+            params.delete('page');
+            params.delete('view');
+        }
         setSearchParams(params);
     };
 
+    const toggleListValue = (key, value) => {
+        const values = splitList(filters[key]);
+        const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+        updateFilter(key, next.join(','));
+    };
+
+    const updateSort = (field, descending) => {
+        updateFilter('sort', field ? `${descending ? '-' : ''}${field}` : '');
+    };
+
+    const clearFilters = () => {
+        setSearchParams(new URLSearchParams());
+    };
+
+    const applyView = (view) => {
+        const params = new URLSearchParams();
+        Object.entries(view.filters).forEach(([key, value]) => params.set(key, [].concat(value).join(',')));
+        params.set('view', view.id);
+        setSearchParams(params);
+    };
+
+    const saveView = async () => {
+        const name = prompt('Name this view');
+        if (!name?.trim()) return;
+        const shared = confirm('Share this view with the team?');
+        try {
+            const response = await viewsAPI.create({ name: name.trim(), filters, shared });
+            await loadViews();
+            updateFilter('view', response.data.view.id);
+        } catch (error) {
+            alert(error.response?.data?.error || 'Failed to save view');
+        }
+    };
+
+    const updateView = async (view) => {
+        try {
+            await viewsAPI.update(view.id, { filters });
+            await loadViews();
+            updateFilter('view', view.id);
+        } catch (error) {
+            alert(error.response?.data?.error || 'Failed to update view');
+        }
+    };
+
+    const deleteView = async (view) => {
+        if (!confirm(`Delete the view "${view.name}"?`)) return;
+        try {
+            await viewsAPI.delete(view.id);
+            setViews(prev => prev.filter(v => v.id !== view.id));
+            if (activeViewId === view.id) {
+                updateFilter('view', '');
+            }
+        } catch (error) {
+            alert(error.response?.data?.error || 'Failed to delete view');
+        }
+    };
+
+    const toggleSelected = (id) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) {
+                next.delete(id);
+            } else {
+                next.add(id);
+            }
+            return next;
+        });
+    };
+
+    const allSelected = cases.length > 0 && cases.every(c => selected.has(c.id));
+
+    const toggleAll = () => {
+        setSelected(allSelected ? new Set() : new Set(cases.map(c => c.id)));
+    };
+
+    // Apply one action to every selected case; cases it could not change are listed
+    const runBulk = async (action, data) => {
+        setBulkBusy(true);
+        try {
+            const response = await casesAPI.bulk({ action, ids: [...selected], ...data });
+            const failures = response.data.results.filter(result => !result.ok);
+            if (failures.length > 0) {
+                const caseIds = Object.fromEntries(cases.map(c => [c.id, c.case_id]));
+                alert(`${response.data.message}\n\n${failures.map(failure =>
+                    `${caseIds[failure.id] || failure.id}: ${failure.reason || failure.errors?.join(', ') || failure.error}`
+                ).join('\n')}`);
+            }
+            await loadCases();
+        } catch (error) {
+            alert(error.response?.data?.error
+                || error.response?.data?.errors?.map(e => e.msg).join('\n')
+                || 'Bulk action failed');
+        } finally {
+            setBulkBusy(false);
+        }
+    };
+
+    const bulkTransition = (status) => {
+        // Closing needs a resolution summary and sending back for rework a reason
+        const fields = {};
+        if (status === 'Closed') {
+            const summary = prompt('Resolution summary for these cases');
+            if (summary === null) return;
+            fields.resolutionSummary = summary;
+        }
+        if (status === 'In Progress' && cases.some(c => selected.has(c.id) && c.status === 'Under Review')) {
+            const reason = prompt('Reason for sending the cases under review back for rework');
+            if (reason === null) return;
+            fields.reworkReason = reason;
+        }
+        runBulk('transition', { status, fields });
+    };
+
+    const bulkComment = () => {
+        const comment = prompt(`Comment to add to ${selected.size} cases`);
+        if (comment?.trim()) {
+            runBulk('comment', { comment: comment.trim() });
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilter('q', searchText.trim());
+    };
+
     const getStatusBadgeClass = (status) => {
         const map = {
             'Created': 'badge-created',
             'Assigned': 'badge-assigned',
             'In Progress': 'badge-progress',
             'Under Review': 'badge-review',
+            'Legal Sign-off': 'badge-review',
+            'Pending Requester': 'badge-pending',
             'Closed': 'badge-closed'
         };
         return map[status] || '';
@@ -56,12 +292,6 @@ export default function Cases() {
         return `badge-${priority.toLowerCase()}`;
     };
 
-    const getSlaLabel = (slaStatus) => {
-        if (slaStatus === 'overdue') return { label: '⚠ Overdue', class: 'sla-overdue' };
-        if (slaStatus === 'at_risk') return { label: '⏱ SLA at risk', class: 'sla-at-risk' };
-        return null;
-    };
-
     return (
         <div className="cases-page fade-in">
             <div className="page-header">
@@ -74,36 +304,254 @@ export default function Cases() {
                 </Link>
             </div>
 
+            <div className="cases-layout">
+            {/* Saved views */}
+            <aside className="card views-sidebar">
+                <h2 className="card-title">Views</h2>
+                <ul className="views-list">
+                    <li>
+                        <button
+                            type="button"
+                            className={`view-link ${!activeViewId && Object.keys(filters).length === 0 ? 'active' : ''}`}
+                            onClick={clearFilters}
+                        >
+                            All cases
+                        </button>
+                    </li>
+                    {views.map(view => (
+                        <li key={view.id} className="view-item">
+                            <button
+                                type="button"
+                                className={`view-link ${activeViewId === view.id ? 'active' : ''}`}
+                                onClick={() => applyView(view)}
+                                title={view.owner_id === user?.id ? undefined : `Shared by ${view.owner_name}`}
+                            >
+                                {view.name}
+                                {view.owner_id !== user?.id && <span className="view-owner">{view.owner_name}</span>}
+                                {view.owner_id === user?.id && view.shared && <span className="view-owner">shared</span>}
+                            </button>
+                            {(view.owner_id === user?.id || user?.role === 'admin') && (
+                                <button
+                                    type="button"
+                                    className="view-delete"
+                                    onClick={() => deleteView(view)}
+                                    title="Delete view"
+                                >
+                                    ×
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                <div className="views-actions">
+                    <button type="button" className="btn btn-secondary" onClick={saveView}>
+                        Save current view
+                    </button>
+                    {activeViewId && views.some(v => v.id === activeViewId && v.owner_id === user?.id) && (
+                        <button
+                            type="button"
+                            className="btn btn-ghost"
+                            onClick={() => updateView(views.find(v => v.id === activeViewId))}
+                        >
+                            Update view
+                        </button>
+                    )}
+                </div>
+            </aside>
+
+            <div className="cases-main">
             {/* Filters */}
             <div className="filters-bar">
-                <select
-                    className="form-select filter-select"
-                    value={status}
-                    onChange={(e) => updateFilter('status', e.target.value)}
+                <form className="search-form" onSubmit={handleSearch}>
+                    <input
+                        type="search"
+                        className="form-input search-input"
+                        placeholder="Search cases and comments..."
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                    />
+                    <button type="submit" className="btn btn-secondary">Search</button>
+                    {q && (
+                        <button type="button" className="btn btn-ghost" onClick={() => updateFilter('q', '')}>
+                            Clear
+                        </button>
+                    )}
+                </form>
+
+                <button
+                    type="button"
+                    className={`btn ${showFilters ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowFilters(!showFilters)}
                 >
-                    <option value="">All Statuses</option>
-                    <option value="Created">Created</option>
-                    <option value="Assigned">Assigned</option>
-                    <option value="In Progress">In Progress</option>
-                    <option value="Under Review">Under Review</option>
-                    <option value="Closed">Closed</option>
-                </select>
+                    Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+                </button>
 
                 <select
                     className="form-select filter-select"
-                    value={priority}
-                    onChange={(e) => updateFilter('priority', e.target.value)}
+                    value={sortField}
+                    onChange={(e) => updateSort(e.target.value, e.target.value ? sortDescending : false)}
                 >
-                    <option value="">All Priorities</option>
-                    <option value="Low">Low</option>
-                    <option value="Medium">Medium</option>
-                    <option value="High">High</option>
-                    <option value="Critical">Critical</option>
+                    <option value="">{q ? 'Best match' : 'Default order'}</option>
+                    {SORT_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                    ))}
                 </select>
+                {sortField && (
+                    <button
+                        type="button"
+                        className="btn btn-ghost"
+                        onClick={() => updateSort(sortField, !sortDescending)}
+                        title={sortDescending ? 'Descending' : 'Ascending'}
+                    >
+                        {sortDescending ? '↓' : '↑'}
+                    </button>
+                )}
             </div>
 
+            {showFilters && (
+                <div className="card filters-panel">
+                    {CHECKBOX_FILTERS.map(({ key, label, options }) => (
+                        <fieldset key={key} className="filter-group">
+                            <legend>{label}</legend>
+                            {options.map(option => {
+                                const { value, label: optionLabel } = typeof option === 'string'
+                                    ? { value: option, label: option }
+                                    : option;
+                                return (
+                                    <label key={value} className="filter-option">
+                                        <input
+                                            type="checkbox"
+                                            checked={splitList(filters[key]).includes(value)}
+                                            onChange={() => toggleListValue(key, value)}
+                                        />
+                                        {optionLabel}
+                                    </label>
+                                );
+                            })}
+                        </fieldset>
+                    ))}
+
+                    <fieldset className="filter-group">
+                        <legend>People</legend>
+                        <label className="filter-field">
+                            Assigned to
+                            <select
+                                className="form-select"
+                                value={filters.assignedTo || ''}
+                                onChange={(e) => updateFilter('assignedTo', e.target.value)}
+                            >
+                                <option value="">Anyone</option>
+                                <option value="me">Me</option>
+                                <option value="none">Unassigned</option>
+                                {analysts.filter(a => a.id !== user?.id).map(a => (
+                                    <option key={a.id} value={a.id}>{a.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="filter-field">
+                            Created by
+                            <select
+                                className="form-select"
+                                value={filters.createdBy || ''}
+                                onChange={(e) => updateFilter('createdBy', e.target.value)}
+                            >
+                                <option value="">Anyone</option>
+                                <option value="me">Me</option>
+                            </select>
+                        </label>
+                    </fieldset>
+
+                    <fieldset className="filter-group">
+                        <legend>Dates</legend>
+                        {DATE_FILTERS.map(({ key, label }) => (
+                            <div key={key} className="filter-field filter-date-range">
+                                {label}
+                                <input
+                                    type="date"
+                                    className="form-input"
+                                    value={filters[`${key}From`] || ''}
+                                    onChange={(e) => updateFilter(`${key}From`, e.target.value)}
+                                    aria-label={`${label} from`}
+                                />
+                                <span className="text-muted">to</span>
+                                <input
+                                    type="date"
+                                    className="form-input"
+                                    value={filters[`${key}To`] || ''}
+                                    onChange={(e) => updateFilter(`${key}To`, e.target.value)}
+                                    aria-label={`${label} to`}
+                                />
+                            </div>
+                        ))}
+                    </fieldset>
+
+                    {activeFilterCount > 0 && (
+                        <button type="button" className="btn btn-ghost filters-clear" onClick={clearFilters}>
+                            Clear all filters
+                        </button>
+                    )}
+                </div>
+            )}
+
             {/* Cases Table */}
             <div className="card">
+                {selected.size > 0 && (
+                    <div className="bulk-toolbar">
+                        <span className="bulk-count">{selected.size} selected</span>
+                        {isManager && (
+                            <select
+                                className="form-select"
+                                value=""
+                                disabled={bulkBusy}
+                                onChange={(e) => runBulk('assign', { assigneeId: parseInt(e.target.value) })}
+                            >
+                                <option value="">Assign to…</option>
+                                {analysts.map(a => (
+                                    <option key={a.id} value={a.id}>{a.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <select
+                            className="form-select"
+                            value=""
+                            disabled={bulkBusy}
+                            onChange={(e) => bulkTransition(e.target.value)}
+                        >
+                            <option value="">Move to…</option>
+                            {optionsOf('status').map(status => (
+                                <option key={status} value={status}>{status}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="form-select"
+                            value=""
+                            disabled={bulkBusy}
+                            onChange={(e) => runBulk('update', { priority: e.target.value })}
+                        >
+                            <option value="">Set priority…</option>
+                            {optionsOf('priority').map(priority => (
+                                <option key={priority} value={priority}>{priority}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="form-select"
+                            value=""
+                            disabled={bulkBusy}
+                            onChange={(e) => runBulk('update', { category: e.target.value })}
+                        >
+                            <option value="">Set category…</option>
+                            {optionsOf('category').map(category => (
+                                <option key={category} value={category}>{category}</option>
+                            ))}
+                        </select>
+                        <button type="button" className="btn btn-secondary" disabled={bulkBusy} onClick={bulkComment}>
+                            Comment
+                        </button>
+                        <button type="button" className="btn btn-ghost" disabled={bulkBusy} onClick={() => setSelected(new Set())}>
+                            Clear
+                        </button>
+                    </div>
+                )}
                 {loading ? (
                     <div className="loading">Loading cases...</div>
                 ) : (
@@ -111,6 +559,14 @@ export default function Cases() {
                         <table className="table">
                             <thead>
                                 <tr>
+                                    <th className="select-cell">
+                                        <input
+                                            type="checkbox"
+                                            checked={allSelected}
+                                            onChange={toggleAll}
+                                            aria-label="Select all cases on this page"
+                                        />
+                                    </th>
                                     <th>Case ID</th>
                                     <th>Title</th>
                                     <th>Category</th>
@@ -123,13 +579,29 @@ export default function Cases() {
                             </thead>
                             <tbody>
                                 {cases.map(c => (
-                                    <tr key={c.id}>
+                                    <tr key={c.id} className={selected.has(c.id) ? 'selected' : ''}>
+                                        <td className="select-cell">
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.has(c.id)}
+                                                onChange={() => toggleSelected(c.id)}
+                                                aria-label={`Select ${c.case_id}`}
+                                            />
+                                        </td>
                                         <td>
                                             <Link to={`/cases/${c.id}`} className="case-link">
                                                 {c.case_id}
                                             </Link>
                                         </td>
-                                        <td className="title-cell">{c.title}</td>
+                                        <td className="title-cell">
+                                            {c.search ? <Highlighted text={c.search.title} /> : c.title}
+                                            {c.search && (c.search.comment || c.search.description.includes('<mark>')) && (
+                                                <div className="search-snippet">
+                                                    {c.search.comment && <span className="search-snippet-label">Comment: </span>}
+                                                    <Highlighted text={c.search.comment || c.search.description} />
+                                                </div>
+                                            )}
+                                        </td>
                                         <td>{c.category}</td>
                                         <td><span className={`badge ${getStatusBadgeClass(c.status)}`}>{c.status}</span></td>
                                         <td><span className={`badge ${getPriorityBadgeClass(c.priority)}`}>{c.priority}</span></td>
@@ -148,7 +620,9 @@ export default function Cases() {
                                 ))}
                                 {cases.length === 0 && (
                                     <tr>
-                                        <td colSpan="8" className="text-center text-muted">No cases found</td>
+                                        <td colSpan="9" className="text-center text-muted">
+                                            {q ? `No cases match "${q}"` : 'No cases found'}
+                                        </td>
                                     </tr>
                                 )}
                             </tbody>
@@ -179,6 +653,8 @@ export default function Cases() {
                     </>
                 )}
             </div>
+            </div>
+            </div>
         </div>
     );
 }
@@ -1,6 +1,7 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { dashboardAPI, casesAPI } from '../services/api';
+import { dashboardAPI, casesAPI, subscribeToEvents } from '../services/api';
+import { getSlaLabel } from '../utils/sla';
 import { useAuth } from '../context/AuthContext';
 import './Dashboard.css';
 
@@ -15,11 +16,46 @@ export default function Dashboard() {
         loadDashboard();
     }, []);
 
+    // Several changes in a row only refresh the counts once
+    const refreshTimer = useRef(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToEvents({
+            'case.changed': ({ event, case: changed }) => {
+                setRecentCases(prev => (event === 'case.created'
+                    ? [changed, ...prev.filter(c => c.id !== changed.id)].slice(0, 5)
+                    : prev.map(c => (c.id === changed.id ? changed : c))));
+            },
+            'pending_actions.changed': () => {
+                clearTimeout(refreshTimer.current);
+                refreshTimer.current = setTimeout(refreshCounts, 500);
+            }
+        });
+        return () => {
+            unsubscribe();
+            clearTimeout(refreshTimer.current);
+        };
+    }, []);
+
+    // Pending actions and totals can shift with any case change
+    const refreshCounts = async () => {
+        try {
+            const [summaryRes, pendingRes] = await Promise.all([
+                dashboardAPI.getSummary(),
+                dashboardAPI.getMyPendingActions()
+            ]);
+            setSummary(summaryRes.data.summary);
+            setPendingData(pendingRes.data);
+        } catch (error) {
+            console.error('Failed to refresh dashboard:', error);
+        }
+    };
+
     const loadDashboard = async () => {
         try {
             const [summaryRes, casesRes, pendingRes] = await Promise.all([
                 dashboardAPI.getSummary(),
-                casesAPI.list({ limit: 5 }),
+                casesAPI.list({ limit: 5, fields: 'case_id,title,status,priority,sla_status,created_at', count: 'none' }),
                 dashboardAPI.getMyPendingActions()
             ]);
             setSummary(summaryRes.data.summary);
@@ -38,6 +74,8 @@ export default function Dashboard() {
             'Assigned': 'badge-assigned',
             'In Progress': 'badge-progress',
             'Under Review': 'badge-review',
+            'Legal Sign-off': 'badge-review',
+            'Pending Requester': 'badge-pending',
             'Closed': 'badge-closed'
         };
         return map[status] || '';
@@ -47,12 +85,6 @@ export default function Dashboard() {
         return `badge-${priority.toLowerCase()}`;
     };
 
-    const getSlaLabel = (slaStatus) => {
-        if (slaStatus === 'overdue') return { label: '⚠ Overdue', class: 'sla-overdue' };
-        if (slaStatus === 'at_risk') return { label: '⏱ SLA at risk', class: 'sla-at-risk' };
-        return null;
-    };
-
     if (loading) {
         return <div className="loading">Loading dashboard...</div>;
     }
@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link, Navigate } from 'react-router-dom';
+import { usersAPI, auditAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './Users.css';
+
+const ACTION_LABELS = {
+    USER_REGISTERED: 'Registered',
+    USER_CREATED: 'Account created',
+    USER_UPDATED: 'Account updated',
+    USER_ROLE_CHANGED: 'Role changed',
+    USER_DELETED: 'Account deleted',
+    LOGIN_SUCCEEDED: 'Signed in',
+    LOGIN_FAILED: 'Failed sign-in',
+    PASSWORD_CHANGED: 'Password changed'
+};
+
+const describeEntry = (entry) => {
+    if (entry.action === 'LOGIN_FAILED') {
+        return entry.details?.reason;
+    }
+    return entry.changes
+        ?.map(change => `${change.field}: ${change.from ?? '—'} → ${change.to ?? '—'}`)
+        .join(', ');
+};
+
+export default function UserDetail() {
+    const { id } = useParams();
+    const { user } = useAuth();
+
+    const [account, setAccount] = useState(null);
+    const [activity, setActivity] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const isAdmin = user?.role === 'admin';
+
+    useEffect(() => {
+        if (isAdmin) {
+            loadUser();
+        }
+    }, [id, isAdmin]);
+
+    const loadUser = async () => {
+        setLoading(true);
+        try {
+            const [userRes, auditRes] = await Promise.all([
+                usersAPI.get(id),
+                auditAPI.search({ targetUserId: id, limit: 25 })
+            ]);
+            setAccount(userRes.data.user);
+            setActivity(auditRes.data.entries);
+            setNextCursor(auditRes.data.nextCursor);
+        } catch (error) {
+            console.error('Failed to load user:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadMore = async () => {
+        setLoadingMore(true);
+        try {
+            const response = await auditAPI.search({ targetUserId: id, limit: 25, cursor: nextCursor });
+            setActivity([...activity, ...response.data.entries]);
+            setNextCursor(response.data.nextCursor);
+        } catch (error) {
+            console.error('Failed to load activity:', error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    if (!isAdmin) {
+        return <Navigate to="/" />;
+    }
+
+    if (loading) {
+        return <div className="loading">Loading user...</div>;
+    }
+
+    if (!account) {
+        return <div className="loading">User not found</div>;
+    }
+
+    return (
+        <div className="users-page fade-in">
+            <div className="page-header">
+                <Link to="/users" className="back-link">← Back to Users</Link>
+                <h1 className="page-title">{account.name}</h1>
+                <p className="page-subtitle">
+                    {account.email} · <span className={`badge badge-role badge-${account.role}`}>{account.role}</span>
+                </p>
+            </div>
+
+            <div className="card">
+                <h2 className="card-title">Security Activity</h2>
+                <table className="table activity-table">
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>Event</th>
+                            <th>By</th>
+                            <th>Details</th>
+                            <th>IP</th>
+                            <th>User Agent</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {activity.map(entry => (
+                            <tr key={entry.id} className={entry.action === 'LOGIN_FAILED' ? 'activity-failed' : ''}>
+                                <td className="text-muted">{new Date(entry.timestamp).toLocaleString()}</td>
+                                <td>{ACTION_LABELS[entry.action] || entry.action}</td>
+                                <td>{entry.performed_by_name || <span className="text-muted">—</span>}</td>
+                                <td>{describeEntry(entry) || <span className="text-muted">—</span>}</td>
+                                <td>{entry.details?.ip || <span className="text-muted">—</span>}</td>
+                                <td className="user-agent-cell" title={entry.details?.userAgent || ''}>
+                                    {entry.details?.userAgent || <span className="text-muted">—</span>}
+                                </td>
+                            </tr>
+                        ))}
+                        {activity.length === 0 && (
+                            <tr>
+                                <td colSpan="6" className="text-center text-muted">No activity recorded</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+
+                {nextCursor && (
+                    <div className="activity-more">
+                        <button className="btn btn-ghost" onClick={loadMore} disabled={loadingMore}>
+                            {loadingMore ? 'Loading...' : 'Load more'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
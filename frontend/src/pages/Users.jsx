@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './Users.css';
+
+export default function Users() {
+    const { user } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    const isAdmin = user?.role === 'admin';
+
+    useEffect(() => {
+        if (isAdmin) {
+            loadUsers();
+        }
+    }, [isAdmin]);
+
+    const loadUsers = async () => {
+        try {
+            const response = await usersAPI.list();
+            setUsers(response.data.users);
+        } catch (error) {
+            console.error('Failed to load users:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!isAdmin) {
+        return <Navigate to="/" />;
+    }
+
+    return (
+        <div className="users-page fade-in">
+            <div className="page-header">
+                <h1 className="page-title">Users</h1>
+                <p className="page-subtitle">Accounts and their security activity</p>
+            </div>
+
+            <div className="card">
+                {loading ? (
+                    <div className="loading">Loading users...</div>
+                ) : (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Email</th>
+                                <th>Role</th>
+                                <th>Created</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map(u => (
+                                <tr key={u.id}>
+                                    <td>
+                                        <Link to={`/users/${u.id}`} className="user-link">{u.name}</Link>
+                                    </td>
+                                    <td>{u.email}</td>
+                                    <td><span className={`badge badge-role badge-${u.role}`}>{u.role}</span></td>
+                                    <td className="text-muted">{new Date(u.created_at).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                            {users.length === 0 && (
+                                <tr>
+                                    <td colSpan="4" className="text-center text-muted">No users found</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
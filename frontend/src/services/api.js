@@ -30,17 +30,35 @@ api.interceptors.response.use(
 
 export default api;
 
+// Send the ETag of the case we last read so stale writes get a 409;
+// the server refuses case edits without it
+const ifMatch = (etag) => ({ headers: { 'If-Match': etag } });
+
 // API helper functions
 export const casesAPI = {
     list: (params) => api.get('/cases', { params }),
     get: (id) => api.get(`/cases/${id}`),
     create: (data) => api.post('/cases', data),
-    update: (id, data) => api.put(`/cases/${id}`, data),
-    updateStatus: (id, status) => api.put(`/cases/${id}/status`, { status }),
-    assign: (id, assigneeId) => api.put(`/cases/${id}/assign`, { assigneeId }),
+    update: (id, data, etag) => api.put(`/cases/${id}`, data, ifMatch(etag)),
+    updateStatus: (id, status, fields, etag) => api.put(`/cases/${id}/status`, { status, fields }, ifMatch(etag)),
+    assign: (id, assigneeId, etag) => api.put(`/cases/${id}/assign`, { assigneeId }, ifMatch(etag)),
     getComments: (id) => api.get(`/cases/${id}/comments`),
     addComment: (id, comment) => api.post(`/cases/${id}/comments`, { comment }),
-    getAudit: (id) => api.get(`/cases/${id}/audit`)
+    getAudit: (id) => api.get(`/cases/${id}/audit`),
+    bulk: (data) => api.post('/cases/bulk', data)
+};
+
+export const attachmentsAPI = {
+    list: (caseId) => api.get(`/cases/${caseId}/attachments`),
+    upload: (caseId, files, commentId) => {
+        const form = new FormData();
+        [...files].forEach(file => form.append('files', file));
+        if (commentId) form.append('commentId', commentId);
+        // The browser fills in the multipart boundary
+        return api.post(`/cases/${caseId}/attachments`, form, { headers: { 'Content-Type': 'multipart/form-data' } });
+    },
+    download: (caseId, attachmentId) => api.get(`/cases/${caseId}/attachments/${attachmentId}`, { responseType: 'blob' }),
+    delete: (caseId, attachmentId) => api.delete(`/cases/${caseId}/attachments/${attachmentId}`)
 };
 
 export const dashboardAPI = {
@@ -60,3 +78,97 @@ export const usersAPI = {
     update: (id, data) => api.put(`/users/${id}`, data),
     delete: (id) => api.delete(`/users/${id}`)
 };
+
+export const viewsAPI = {
+    list: () => api.get('/views'),
+    create: (data) => api.post('/views', data),
+    update: (id, data) => api.put(`/views/${id}`, data),
+    delete: (id) => api.delete(`/views/${id}`)
+};
+
+export const workflowsAPI = {
+    list: () => api.get('/workflows'),
+    get: (id) => api.get(`/workflows/${id}`),
+    create: (data) => api.post('/workflows', data),
+    update: (id, data) => api.put(`/workflows/${id}`, data),
+    activate: (id) => api.put(`/workflows/${id}/activate`),
+    getCategoryBindings: () => api.get('/workflows/categories'),
+    bindCategory: (category, workflowName) => api.put(`/workflows/categories/${category}`, { workflowName })
+};
+
+export const auditAPI = {
+    search: (params) => api.get('/audit', { params }),
+    verify: () => api.get('/audit/verify')
+};
+
+export const notificationsAPI = {
+    list: (params) => api.get('/notifications', { params }),
+    getUnreadCount: () => api.get('/notifications/unread-count'),
+    markRead: (id) => api.put(`/notifications/${id}/read`),
+    markAllRead: () => api.put('/notifications/read-all'),
+    getPreferences: () => api.get('/notifications/preferences'),
+    savePreferences: (preferences) => api.put('/notifications/preferences', { preferences })
+};
+
+// Wait this long before reconnecting when the event stream drops
+const EVENTS_RETRY_MS = 5000;
+
+/**
+ * Listen to live case updates from /api/events/stream
+ * Reads the Server-Sent Events stream with fetch so the token can go in the
+ * Authorization header, and reconnects whenever the stream drops.
+ * @param {Object} handlers - Callbacks keyed by event name, e.g. 'case.changed'
+ * @returns {Function} Stops listening
+ */
+export const subscribeToEvents = (handlers) => {
+    const controller = new AbortController();
+    let retryTimer = null;
+
+    const dispatch = (block) => {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        }
+        if (data.length > 0 && handlers[event]) {
+            handlers[event](JSON.parse(data.join('\n')));
+        }
+    };
+
+    const connect = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/events/stream`, {
+                headers: { Authorization: api.defaults.headers.common['Authorization'] },
+                signal: controller.signal
+            });
+            // Signed out; the next API call sends the user to the login page
+            if (response.status === 401) return;
+            if (!response.ok) throw new Error(`Event stream responded with ${response.status}`);
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                blocks.forEach(dispatch);
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Event stream failed:', error);
+        }
+        if (!controller.signal.aborted) {
+            retryTimer = setTimeout(connect, EVENTS_RETRY_MS);
+        }
+    };
+
+    connect();
+
+    return () => {
+        controller.abort();
+        clearTimeout(retryTimer);
+    };
+};
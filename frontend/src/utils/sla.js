@@ -0,0 +1,15 @@
+/**
+ * Display helpers for the sla_status the API reports.
+ * The states themselves are worked out by the backend (SlaService).
+ */
+const SLA_LABELS = {
+    overdue: { label: '⚠ Overdue', class: 'sla-overdue' },
+    at_risk: { label: '⏱ SLA at risk', class: 'sla-at-risk' },
+    paused: { label: '⏸ SLA paused', class: 'sla-paused' }
+};
+
+// Badge for an SLA state, or null for states without one
+export const getSlaLabel = (slaStatus) => SLA_LABELS[slaStatus] || null;
+
+// A target is breached while overdue, and stays so once met late
+export const isSlaBreached = (slaStatus, breachedAt) => slaStatus === 'overdue' || !!breachedAt;